@@ -0,0 +1,110 @@
+// --- Access Rules: who may walk a way, and in which direction ---
+// Applied by routing.buildGraph to every way, whatever the routing profile:
+//   - foot=* decides; without it access=* does. no/private and other non-public values
+//     (military, agricultural, delivery, permit, ...) exclude the way.
+//   - permissive and destination/customers are handled per routing profile ("accessHandling"):
+//     'allow', 'penalise' (cost x ACCESS_PENALTY_FACTOR) or 'exclude'.
+//   - service=driveway is private frontage: excluded unless foot is explicitly allowed.
+//   - service=parking_aisle (car parks) is allowed but costs more.
+//   - oneway:foot=yes/-1 keeps only the permitted direction (plain oneway is for vehicles).
+// Ways that are used but whose access is conditional are flagged, and routes report them.
+
+const { groupRouteSections } = require('./route_sections');
+
+const ACCESS_HANDLING_OPTIONS = ['allow', 'penalise', 'exclude'];
+const DEFAULT_ACCESS_HANDLING = { permissive: 'allow', destination: 'penalise' };
+const ACCESS_PENALTY_FACTOR = 2;
+const PARKING_AISLE_FACTOR = 1.5;
+
+const NO_FOOT_ACCESS = new Set(['no', 'private', 'military', 'agricultural', 'forestry', 'delivery', 'permit', 'use_sidepath']);
+const EXPLICIT_FOOT_ACCESS = new Set(['yes', 'designated', 'official', 'permissive']);
+// Conditional access values -> the accessHandling setting that decides them
+const CONDITIONAL_ACCESS = { permissive: 'permissive', destination: 'destination', customers: 'destination' };
+const ONEWAY_FORWARD = new Set(['yes', '1', 'true']);
+
+// Reasons a used way is flagged in route reports
+const ACCESS_FLAG_TEXT = {
+    permissive: 'permissive access (the owner may withdraw it)',
+    destination: 'access for visitors only',
+    customers: 'access for customers only',
+    discouraged: 'walking discouraged',
+    car_park: 'through a car park',
+    unknown: 'access unknown'
+};
+
+// --- Profile setting ---
+// Validates a profile's optional "accessHandling" object, filling in the defaults
+function normaliseAccessHandling(handling = {}, where = 'accessHandling') {
+    if (typeof handling !== 'object' || handling === null || Array.isArray(handling)) {
+        throw new Error(`${where} must be an object.`);
+    }
+    const result = { ...DEFAULT_ACCESS_HANDLING };
+    Object.entries(handling).forEach(([key, value]) => {
+        if (!(key in DEFAULT_ACCESS_HANDLING)) {
+            throw new Error(`${where}.${key} is not a known setting (use ${Object.keys(DEFAULT_ACCESS_HANDLING).join(' or ')}).`);
+        }
+        if (!ACCESS_HANDLING_OPTIONS.includes(value)) {
+            throw new Error(`${where}.${key} must be one of ${ACCESS_HANDLING_OPTIONS.join(', ')}.`);
+        }
+        result[key] = value;
+    });
+    return result;
+}
+
+// --- Per-way decision ---
+// Returns null if pedestrians may not use the way, otherwise
+// { forward, backward, factor, flag } where forward/backward follow the way's node order
+// and flag is a key of ACCESS_FLAG_TEXT (or null).
+function getWayAccess(tags = {}, handling = DEFAULT_ACCESS_HANDLING) {
+    const footAccess = tags.foot !== undefined ? tags.foot : tags.access;
+    if (NO_FOOT_ACCESS.has(footAccess)) return null;
+    if (tags.service === 'driveway' && !EXPLICIT_FOOT_ACCESS.has(tags.foot)) return null;
+
+    let factor = 1;
+    let flag = null;
+    if (footAccess in CONDITIONAL_ACCESS) {
+        const setting = handling[CONDITIONAL_ACCESS[footAccess]];
+        if (setting === 'exclude') return null;
+        if (setting === 'penalise') factor *= ACCESS_PENALTY_FACTOR;
+        flag = footAccess;
+    } else if (footAccess === 'discouraged') {
+        factor *= ACCESS_PENALTY_FACTOR;
+        flag = 'discouraged';
+    } else if (footAccess === 'unknown') {
+        flag = 'unknown';
+    }
+    if (tags.service === 'parking_aisle') {
+        factor *= PARKING_AISLE_FACTOR;
+        flag = flag || 'car_park';
+    }
+
+    const oneway = tags['oneway:foot'];
+    return {
+        forward: oneway !== '-1',
+        backward: !ONEWAY_FORWARD.has(oneway),
+        factor,
+        flag
+    };
+}
+
+// --- Route report ---
+// Flags each segment on a questionable way (segment.accessFlag) and groups them into sections.
+// graphData: { wayTags, accessHandling } as returned by routing.buildGraphData
+// Returns [{ wayId, wayName, flag, reason, distanceFromStart, length, start, end }]
+function describeRouteAccess(route, graphData) {
+    const wayTags = graphData.wayTags || new Map();
+    return groupRouteSections(route, segment => {
+        const tags = wayTags.get(segment.wayId);
+        const access = tags ? getWayAccess(tags, graphData.accessHandling) : null;
+        if (!access || !access.flag) return null;
+        segment.accessFlag = access.flag;
+        return { flag: access.flag, reason: ACCESS_FLAG_TEXT[access.flag] };
+    });
+}
+
+module.exports = {
+    DEFAULT_ACCESS_HANDLING,
+    normaliseAccessHandling,
+    getWayAccess,
+    describeRouteAccess
+};
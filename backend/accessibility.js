@@ -0,0 +1,112 @@
+// --- Accessibility Mode (step-free routing for wheelchairs and pushchairs) ---
+// Applied on top of whichever routing profile a request uses (find-routes option accessible: true):
+//   - excludes steps, ways tagged wheelchair=no, loose or soft surfaces, very rough smoothness
+//     and raised kerbs (kerb=raised on a way, or on a node, which blocks the node)
+//   - penalises steep inclines tagged in OSM (incline=12%, incline=5°, incline=up/down)
+//   - reports route sections whose ways lack the data needed to judge them: no surface on a
+//     path that is not paved by default, or a crossing with no kerb information.
+// Untagged ways are still used; they are only reported, as excluding them would leave most
+// areas with no route at all.
+
+const { groupRouteSections } = require('./route_sections');
+
+const EXCLUDED_SURFACES = new Set([
+    'gravel', 'pebblestone', 'shells', 'rock', 'stepping_stones',
+    'grass', 'ground', 'dirt', 'earth', 'mud', 'sand', 'woodchips'
+]);
+const EXCLUDED_SMOOTHNESS = new Set(['very_bad', 'horrible', 'very_horrible', 'impassable']);
+const EXCLUDED_KERBS = new Set(['raised']);
+// Highways that are paved unless tagged otherwise, so a missing surface tag is not reported
+const PAVED_BY_DEFAULT = new Set(['residential', 'living_street', 'unclassified', 'tertiary', 'service', 'pedestrian']);
+
+const INCLINE_GENTLE_PERCENT = 5;      // No penalty up to this gradient
+const INCLINE_PENALTY_PER_PERCENT = 0.25; // Extra cost factor per % above it (8% -> x1.75, 12% -> x2.75)
+const UNQUANTIFIED_INCLINE_PERCENT = 8; // incline=up/down/yes: mapped because it is noticeable
+
+// --- Tag helpers ---
+// Gradient in percent (always positive) from an OSM incline value, or null if absent/unknown
+function parseInclinePercent(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim().toLowerCase();
+    if (['up', 'down', 'yes'].includes(text)) return UNQUANTIFIED_INCLINE_PERCENT;
+    const match = text.match(/^([+-]?\d+(?:\.\d+)?)\s*(%|°)?$/);
+    if (!match) return null;
+    const number = Math.abs(parseFloat(match[1]));
+    if (match[2] === '°') return Math.tan((number * Math.PI) / 180) * 100;
+    return number;
+}
+
+// Nodes whose tags matter here (kept by the OSM loaders, which otherwise drop node tags)
+function isAccessibilityNode(tags) {
+    return !!tags && (tags.kerb !== undefined || tags.barrier === 'kerb');
+}
+
+// A node a wheelchair cannot pass, e.g. a raised kerb at the end of a crossing
+function isBlockedNode(tags) {
+    return !!tags && EXCLUDED_KERBS.has(tags.kerb);
+}
+
+// Cost multiplier for a way in accessibility mode, or null if the way is unsuitable
+function getAccessibilityFactor(tags = {}) {
+    if (tags.highway === 'steps' || tags.wheelchair === 'no') return null;
+    if (EXCLUDED_SURFACES.has(tags.surface) || EXCLUDED_SMOOTHNESS.has(tags.smoothness)) return null;
+    if (EXCLUDED_KERBS.has(tags.kerb)) return null;
+    const incline = parseInclinePercent(tags.incline);
+    if (incline === null || incline <= INCLINE_GENTLE_PERCENT) return 1;
+    return 1 + (incline - INCLINE_GENTLE_PERCENT) * INCLINE_PENALTY_PER_PERCENT;
+}
+
+// Tag names missing from a way (and its nodes on the route) that accessibility depends on
+function findMissingData(tags = {}, nodeTagsOnRoute = []) {
+    if (tags.wheelchair !== undefined) return []; // Explicitly assessed by a mapper
+    const missing = [];
+    if (tags.surface === undefined && !PAVED_BY_DEFAULT.has(tags.highway)) missing.push('surface');
+    const isCrossing = tags.footway === 'crossing' || tags.path === 'crossing' || tags.crossing !== undefined;
+    if (isCrossing && tags.kerb === undefined && !nodeTagsOnRoute.some(node => node && node.kerb !== undefined)) {
+        missing.push('kerb');
+    }
+    return missing;
+}
+
+// --- Profile overlay ---
+// Same weights as the base profile; buildGraph applies the rules above when profile.accessible
+// is set. The name differs so accessible graphs are cached separately.
+function createAccessibleProfile(profile) {
+    return {
+        ...profile,
+        name: `${profile.name}+accessible`,
+        label: `${profile.label} (step-free)`,
+        accessible: true
+    };
+}
+
+// --- Route report ---
+// Groups consecutive segments on the same way that lack accessibility data.
+// graphData: { wayTags: Map(wayId -> tags), nodeTags: { nodeId: tags } } from routing.buildGraphData
+// Returns { missingData: [{ wayId, wayName, missing, distanceFromStart, length, start, end }],
+//           missingDataLength, missingDataPercent }
+function describeRouteAccessibility(route, graphData) {
+    const wayTags = graphData.wayTags || new Map();
+    const nodeTags = graphData.nodeTags || {};
+    const sections = groupRouteSections(route, segment => {
+        const tags = wayTags.get(segment.wayId);
+        const missing = tags ? findMissingData(tags, [nodeTags[segment.startNodeId], nodeTags[segment.endNodeId]]) : [];
+        return missing.length > 0 ? { missing } : null;
+    });
+    const missingDataLength = sections.reduce((total, section) => total + section.length, 0);
+    return {
+        missingData: sections,
+        missingDataLength,
+        missingDataPercent: route.length > 0 ? Math.round((missingDataLength / route.length) * 100) : 0
+    };
+}
+
+module.exports = {
+    parseInclinePercent,
+    isAccessibilityNode,
+    isBlockedNode,
+    getAccessibilityFactor,
+    findMissingData,
+    createAccessibleProfile,
+    describeRouteAccessibility
+};
@@ -0,0 +1,243 @@
+// --- Accounts: local users, login sessions and walk history ---
+// Users are kept in one JSON file (see json_file_store.js):
+//   { users: { username: { username, salt, passwordHash, createdAt, history: [entry] } } }
+// Passwords are stored as scrypt hashes with a per-user salt. A history entry points at a
+// saved walk (route_store.js): { walkId, addedAt, favourite, completedOn } where completedOn
+// is the YYYY-MM-DD date the walk was done, or null. Sessions are random tokens held in
+// memory for sessionTtlMs, so restarting the server logs everyone out. Failed logins are
+// counted in memory too, per username and per client (IP address): after too many within
+// LOGIN_WINDOW_MS further attempts are refused until the window ends.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createJsonFileStore } = require('./json_file_store');
+const { isValidWalkId } = require('./route_store');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const PASSWORD_KEY_LENGTH = 64;
+const DEFAULT_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_HISTORY_ENTRIES = 200; // Oldest plain entries are dropped first; favourites and completed walks are kept
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES_PER_USER = 10;
+const MAX_LOGIN_FAILURES_PER_CLIENT = 50;
+const DUMMY_SALT = crypto.randomBytes(16).toString('hex'); // Hashed against for unknown usernames
+
+function createAccountError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function normaliseUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+async function hashPassword(password, salt) {
+    const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return key.toString('hex');
+}
+
+// YYYY-MM-DD that is a real calendar date
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Returns the walk ids of the entries dropped
+function trimHistory(history) {
+    const dropped = [];
+    for (let i = history.length - 1; history.length > MAX_HISTORY_ENTRIES && i >= 0; i--) {
+        if (!history[i].favourite && !history[i].completedOn) dropped.push(...history.splice(i, 1).map(entry => entry.walkId));
+    }
+    return dropped;
+}
+
+// --- Account Store Factory ---
+// options: { sessionTtlMs, onWalksDropped(walkIds) } - onWalksDropped is called with the
+// walks that dropped out of a history and are in no one's history any more
+function createAccountStore(filePath, options = {}) {
+    const sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_TTL_MS;
+    const onWalksDropped = options.onWalksDropped || (() => {});
+    const file = createJsonFileStore(filePath, () => ({ users: {} }));
+    const sessions = new Map(); // token -> { username, expiresAt }
+    const loginFailures = new Map(); // 'user:<username>' or 'client:<ip>' -> { count, resetAt }
+
+    async function getUser(username) {
+        const data = await file.read();
+        const user = data.users[username];
+        if (!user) throw createAccountError("Unknown user.", 401);
+        return { data, user };
+    }
+
+    // Resolves to { username }; the username is case-insensitive
+    async function register(rawUsername, password) {
+        const username = normaliseUsername(rawUsername);
+        if (!USERNAME_PATTERN.test(username)) {
+            throw createAccountError("Usernames are 3-32 letters, digits, dots, dashes or underscores.", 400);
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+            throw createAccountError(`Passwords must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters.`, 400);
+        }
+        const data = await file.read();
+        if (data.users[username]) throw createAccountError("That username is already taken.", 409);
+        const salt = crypto.randomBytes(16).toString('hex');
+        const passwordHash = await hashPassword(password, salt);
+        if (data.users[username]) throw createAccountError("That username is already taken.", 409); // Registered while hashing
+        data.users[username] = { username, salt, passwordHash, createdAt: new Date().toISOString(), history: [] };
+        await file.write(data);
+        console.log(`Backend: Registered user ${username}.`);
+        return { username };
+    }
+
+    // --- Login throttling ---
+    // Throws (statusCode 429, retryAfterSeconds) while either key has too many recent failures
+    function checkLoginFailures(limits) {
+        const now = Date.now();
+        limits.forEach(({ key, maxFailures }) => {
+            const failures = loginFailures.get(key);
+            if (failures && failures.resetAt > now && failures.count >= maxFailures) {
+                const retryAfterSeconds = Math.ceil((failures.resetAt - now) / 1000);
+                const error = createAccountError(`Too many failed logins. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`, 429);
+                error.retryAfterSeconds = retryAfterSeconds;
+                throw error;
+            }
+        });
+    }
+
+    function recordLoginFailure(limits) {
+        const now = Date.now();
+        loginFailures.forEach((failures, knownKey) => {
+            if (failures.resetAt <= now) loginFailures.delete(knownKey);
+        });
+        limits.forEach(({ key }) => {
+            const failures = loginFailures.get(key) || { count: 0, resetAt: now + LOGIN_WINDOW_MS };
+            failures.count += 1;
+            loginFailures.set(key, failures);
+        });
+    }
+
+    // Resolves to { username } or throws (statusCode 401) for an unknown user or wrong password,
+    // or (statusCode 429) after too many failures for the username or clientId (e.g. IP address).
+    // Unknown usernames are hashed too, so the response time does not tell which ones exist.
+    async function authenticate(rawUsername, password, clientId) {
+        const username = normaliseUsername(rawUsername);
+        const limits = [{ key: `user:${username}`, maxFailures: MAX_LOGIN_FAILURES_PER_USER }];
+        if (clientId) limits.push({ key: `client:${clientId}`, maxFailures: MAX_LOGIN_FAILURES_PER_CLIENT });
+        checkLoginFailures(limits);
+
+        const invalid = createAccountError("Wrong username or password.", 401);
+        if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+            recordLoginFailure(limits);
+            throw invalid;
+        }
+        const data = await file.read();
+        const user = Object.hasOwn(data.users, username) ? data.users[username] : null;
+        const actual = Buffer.from(await hashPassword(password, user ? user.salt : DUMMY_SALT), 'hex');
+        if (!user || !crypto.timingSafeEqual(Buffer.from(user.passwordHash, 'hex'), actual)) {
+            recordLoginFailure(limits);
+            throw invalid;
+        }
+        loginFailures.delete(limits[0].key);
+        return { username };
+    }
+
+    // --- Sessions ---
+    function createSession(username) {
+        const now = Date.now();
+        sessions.forEach((session, knownToken) => {
+            if (session.expiresAt <= now) sessions.delete(knownToken);
+        });
+        const token = crypto.randomBytes(32).toString('base64url');
+        sessions.set(token, { username, expiresAt: now + sessionTtlMs });
+        return token;
+    }
+
+    // Username for a session token, or null if it is unknown or expired
+    function getSessionUser(token) {
+        const session = token ? sessions.get(token) : null;
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            sessions.delete(token);
+            return null;
+        }
+        return session.username;
+    }
+
+    function endSession(token) {
+        sessions.delete(token);
+    }
+
+    // --- Walk history ---
+    function reportDroppedWalks(data, walkIds) {
+        if (walkIds.length === 0) return;
+        const referenced = new Set();
+        Object.values(data.users).forEach(user => user.history.forEach(entry => referenced.add(entry.walkId)));
+        const unreferenced = walkIds.filter(walkId => !referenced.has(walkId));
+        if (unreferenced.length > 0) onWalksDropped(unreferenced);
+    }
+
+    // Newest first
+    async function getHistory(username) {
+        const { user } = await getUser(username);
+        return user.history;
+    }
+
+    async function addToHistory(username, walkIds) {
+        const { data, user } = await getUser(username);
+        const addedAt = new Date().toISOString();
+        const known = new Set(user.history.map(entry => entry.walkId));
+        const entries = walkIds.filter(walkId => !known.has(walkId))
+            .map(walkId => ({ walkId, addedAt, favourite: false, completedOn: null }));
+        user.history.unshift(...entries);
+        const dropped = trimHistory(user.history);
+        await file.write(data);
+        reportDroppedWalks(data, dropped);
+    }
+
+    // changes: { favourite?: boolean, completedOn?: 'YYYY-MM-DD' | null }. A walk not in the
+    // history yet (e.g. opened from someone's permalink) is added. Resolves to the entry.
+    async function updateHistoryEntry(username, walkId, changes) {
+        const { favourite, completedOn } = changes;
+        if (!isValidWalkId(walkId)) throw createAccountError("Unknown walk id.", 400);
+        if (favourite !== undefined && typeof favourite !== 'boolean') {
+            throw createAccountError("favourite must be true or false.", 400);
+        }
+        if (completedOn !== undefined && completedOn !== null && !isValidDate(completedOn)) {
+            throw createAccountError("completedOn must be a date (YYYY-MM-DD) or null.", 400);
+        }
+        const { data, user } = await getUser(username);
+        let entry = user.history.find(candidate => candidate.walkId === walkId);
+        let dropped = [];
+        if (!entry) {
+            entry = { walkId, addedAt: new Date().toISOString(), favourite: false, completedOn: null };
+            user.history.unshift(entry);
+            dropped = trimHistory(user.history);
+        }
+        if (favourite !== undefined) entry.favourite = favourite;
+        if (completedOn !== undefined) entry.completedOn = completedOn;
+        await file.write(data);
+        reportDroppedWalks(data, dropped);
+        return entry;
+    }
+
+    return {
+        register,
+        authenticate,
+        createSession,
+        getSessionUser,
+        endSession,
+        getHistory,
+        addToHistory,
+        updateHistoryEntry
+    };
+}
+
+module.exports = {
+    createAccountStore
+};
@@ -0,0 +1,218 @@
+// --- Routing Benchmark: compact graph + heap searches vs the original implementation ---
+// Usage: node benchmark_routing.js [path/to/extract.osm|.osm.pbf] [--queries N] [--seed S] [--profile NAME]
+//   (or: npm run benchmark -- ...)
+// Defaults to fixtures/benchmark_network.osm, a synthetic ~3,600-node street network (a jittered
+// grid with missing links and mixed highway types) so the benchmark runs offline. Pass a real
+// extract for representative numbers; large extracts make the original A* very slow.
+//
+// Both implementations answer the same seeded random queries on the same graph and the
+// results are checked against each other (path cost must match).
+
+const path = require('path');
+const turf = require('@turf/turf');
+const routing = require('./routing');
+const compactGraph = require('./compact_graph');
+const { createLocalOsmSource } = require('./osm_file');
+const { createSeededRandom } = require('./loop_generator');
+const { loadRoutingProfiles } = require('./routing_profiles');
+
+// --- Configuration ---
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'benchmark_network.osm');
+const DEFAULT_QUERIES = 50;
+const DEFAULT_SEED = 1;
+const DIJKSTRA_MAX_DISTANCE = 1500; // Like route_import's local transitions, but larger
+const DIJKSTRA_TARGETS = 4;
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+
+function parseArgs(argv) {
+    const options = { file: DEFAULT_FIXTURE, queries: DEFAULT_QUERIES, seed: DEFAULT_SEED, profile: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--queries') options.queries = parseInt(argv[++i], 10);
+        else if (argv[i] === '--seed') options.seed = parseInt(argv[++i], 10);
+        else if (argv[i] === '--profile') options.profile = argv[++i];
+        else options.file = path.resolve(argv[i]);
+    }
+    if (!(options.queries > 0)) throw new Error("--queries must be a positive number.");
+    return options;
+}
+
+// --- Original implementations (as they were before compact_graph.js), kept for comparison ---
+// A*: sorted-array open set re-sorted every iteration, findIndex/splice updates, gScore
+// initialised for every node, turf heuristic.
+function legacyAStar(graph, nodes, startNodeId, endNodeId) {
+    const startNodeStr = String(startNodeId);
+    const endNodeStr = String(endNodeId);
+    const endPoint = turf.point([nodes[endNodeStr].lon, nodes[endNodeStr].lat]);
+    const heuristic = nodeStr => turf.distance(turf.point([nodes[nodeStr].lon, nodes[nodeStr].lat]), endPoint, { units: 'meters' });
+    const gScore = {};
+    Object.keys(graph).forEach(nodeStr => { gScore[nodeStr] = Infinity; });
+    Object.keys(nodes).forEach(nodeStr => { if (gScore[nodeStr] === undefined) gScore[nodeStr] = Infinity; });
+    gScore[startNodeStr] = 0;
+    const cameFrom = {};
+    const openSet = [{ nodeId: startNodeStr, f: heuristic(startNodeStr) }];
+    const visitedNodes = new Set();
+
+    while (openSet.length > 0) {
+        openSet.sort((a, b) => a.f - b.f);
+        const currentNodeStr = openSet.shift().nodeId;
+        if (visitedNodes.has(currentNodeStr)) continue;
+        visitedNodes.add(currentNodeStr);
+        if (currentNodeStr === endNodeStr) {
+            let length = 0;
+            for (let nodeStr = endNodeStr; cameFrom[nodeStr]; nodeStr = cameFrom[nodeStr].fromNode) length += cameFrom[nodeStr].length;
+            return { cost: gScore[endNodeStr], length };
+        }
+        for (const edge of graph[currentNodeStr] || []) {
+            const neighborNodeStr = String(edge.neighborId);
+            if (visitedNodes.has(neighborNodeStr)) continue;
+            const tentativeGScore = gScore[currentNodeStr] + edge.cost;
+            if (tentativeGScore < (gScore[neighborNodeStr] ?? Infinity)) {
+                cameFrom[neighborNodeStr] = { fromNode: currentNodeStr, length: edge.length };
+                gScore[neighborNodeStr] = tentativeGScore;
+                const existingIndex = openSet.findIndex(item => item.nodeId === neighborNodeStr);
+                if (existingIndex !== -1) openSet.splice(existingIndex, 1);
+                openSet.push({ nodeId: neighborNodeStr, f: tentativeGScore + heuristic(neighborNodeStr) });
+            }
+        }
+    }
+    return null;
+}
+
+// Dijkstra (route_import's bounded length search): array queue sorted on every pop
+function legacyDijkstra(graph, fromNodeId, targetIds, maxDistance) {
+    const results = new Map();
+    const distances = new Map([[fromNodeId, 0]]);
+    const visited = new Set();
+    const queue = [{ nodeId: fromNodeId, distance: 0 }];
+    let remaining = targetIds.size;
+    while (queue.length > 0 && remaining > 0) {
+        queue.sort((a, b) => a.distance - b.distance);
+        const { nodeId, distance } = queue.shift();
+        if (visited.has(nodeId)) continue;
+        visited.add(nodeId);
+        if (targetIds.has(nodeId)) {
+            results.set(nodeId, distance);
+            remaining--;
+        }
+        (graph[nodeId] || []).forEach(edge => {
+            const neighborId = String(edge.neighborId);
+            const newDistance = distance + edge.length;
+            if (newDistance > maxDistance || newDistance >= (distances.get(neighborId) ?? Infinity)) return;
+            distances.set(neighborId, newDistance);
+            queue.push({ nodeId: neighborId, distance: newDistance });
+        });
+    }
+    return results;
+}
+
+// --- Helpers ---
+// Runs fn with console.log silenced (the routing functions log every search)
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+async function timeEach(items, fn) {
+    const timings = [];
+    const results = [];
+    for (const item of items) {
+        const start = process.hrtime.bigint();
+        results.push(await quietly(() => fn(item)));
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return { timings, results };
+}
+
+function summarise(timings) {
+    const sorted = [...timings].sort((a, b) => a - b);
+    const total = timings.reduce((sum, t) => sum + t, 0);
+    return { mean: total / timings.length, median: sorted[Math.floor(sorted.length / 2)], max: sorted[sorted.length - 1], total };
+}
+
+function printRow(label, stats) {
+    console.log(`  ${label.padEnd(24)} mean ${stats.mean.toFixed(2).padStart(9)}ms   median ${stats.median.toFixed(2).padStart(9)}ms   max ${stats.max.toFixed(2).padStart(9)}ms`);
+}
+
+function sameCost(a, b) {
+    return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a));
+}
+
+// --- Main Execution Logic ---
+async function runBenchmark() {
+    const options = parseArgs(process.argv.slice(2));
+    console.log(`--- Routing benchmark: ${path.relative(process.cwd(), options.file) || options.file} ---`);
+
+    const profiles = await quietly(() => loadRoutingProfiles(PROFILES_DIR));
+    const profile = profiles.get(options.profile);
+    if (!profile) throw new Error(`Unknown routing profile "${options.profile}".`);
+    console.log(`Routing profile: ${profile.name}`);
+
+    const source = createLocalOsmSource(options.file);
+    const osmData = await quietly(() => source.fetchOsmData([-180, -90, 180, 90]));
+    const { graph, nodes } = await quietly(() => routing.buildGraphData(osmData, profile));
+
+    const buildStart = process.hrtime.bigint();
+    const compact = await quietly(() => compactGraph.getCompactGraph(graph, nodes));
+    const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+    console.log(`Graph: ${compact.nodeCount} nodes, ${compact.edgeCount} directed edges. Compact copy built in ${buildMs.toFixed(1)}ms (once per cached graph).`);
+
+    // Seeded random queries between nodes that have edges
+    const random = createSeededRandom(options.seed);
+    const nodeIds = Object.keys(graph).filter(id => graph[id].length > 0);
+    const pick = () => nodeIds[Math.floor(random() * nodeIds.length)];
+    const pairs = Array.from({ length: options.queries }, () => [pick(), pick()]);
+    console.log(`\nA* shortest path, ${pairs.length} random pairs (seed ${options.seed}):`);
+
+    const legacy = await timeEach(pairs, ([from, to]) => legacyAStar(graph, nodes, from, to));
+    const current = await timeEach(pairs, ([from, to]) => routing.findShortestPathAStar(graph, nodes, from, to));
+    let mismatches = 0;
+    pairs.forEach((pair, i) => {
+        const a = legacy.results[i];
+        const b = current.results[i];
+        if (!a !== !b || (a && !sameCost(a.cost, b.cost))) mismatches++;
+    });
+    const legacyAStarStats = summarise(legacy.timings);
+    const currentAStarStats = summarise(current.timings);
+    printRow('original (sorted array)', legacyAStarStats);
+    printRow('compact + heap', currentAStarStats);
+    console.log(`  speed-up x${(legacyAStarStats.total / currentAStarStats.total).toFixed(1)}, ${mismatches} cost mismatches`);
+
+    // Bounded Dijkstra from a node to a few nearby targets (map matching's transition search)
+    console.log(`\nBounded Dijkstra (<= ${DIJKSTRA_MAX_DISTANCE}m, ${DIJKSTRA_TARGETS} targets), ${pairs.length} origins:`);
+    const queries = pairs.map(([from]) => {
+        const targets = new Set();
+        while (targets.size < DIJKSTRA_TARGETS) targets.add(pick());
+        return { from, targets };
+    });
+    const legacyDistances = await timeEach(queries, ({ from, targets }) => legacyDijkstra(graph, from, targets, DIJKSTRA_MAX_DISTANCE));
+    const currentDistances = await timeEach(queries, ({ from, targets }) => {
+        const targetIndexes = new Set([...targets].map(id => compactGraph.findNodeIndex(compact, id)));
+        const reached = compactGraph.findDistancesDijkstra(compact, compactGraph.findNodeIndex(compact, from), targetIndexes, DIJKSTRA_MAX_DISTANCE);
+        return new Map([...reached].map(([index, { distance }]) => [String(compact.ids[index]), distance]));
+    });
+    let distanceMismatches = 0;
+    queries.forEach((query, i) => {
+        const a = legacyDistances.results[i];
+        const b = currentDistances.results[i];
+        query.targets.forEach(id => {
+            if (a.has(id) !== b.has(id) || (a.has(id) && !sameCost(a.get(id), b.get(id)))) distanceMismatches++;
+        });
+    });
+    const legacyDijkstraStats = summarise(legacyDistances.timings);
+    const currentDijkstraStats = summarise(currentDistances.timings);
+    printRow('original (sorted array)', legacyDijkstraStats);
+    printRow('compact + heap', currentDijkstraStats);
+    console.log(`  speed-up x${(legacyDijkstraStats.total / currentDijkstraStats.total).toFixed(1)}, ${distanceMismatches} distance mismatches`);
+
+    if (mismatches > 0 || distanceMismatches > 0) process.exitCode = 1;
+}
+
+runBenchmark().catch(error => {
+    console.error("Benchmark failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,387 @@
+// --- Compact Graph: typed-array adjacency for fast searches ---
+// The walk graph built by routing.buildGraph is a plain object keyed by string node ids with
+// one object (and geometry array) per edge. Searches over large areas spend most of their
+// time on string keys and object lookups, so this module derives a compact copy once per
+// graph: nodes get dense numeric indices and edges are stored CSR-style (offsets/targets)
+// with their length, cost and way in typed arrays. Heap-based A* and Dijkstra run on it and
+// turn their results back into the usual { geometry, length, cost, wayId, ... } segments.
+//
+// Compact graphs are cached per graph object (WeakMap), so they live exactly as long as the
+// graph stays in the graph cache.
+//
+// For the search worker pool (search_pool.js) the typed arrays are moved into
+// SharedArrayBuffers once per graph: workers restore a compact graph over the same memory
+// and get plain { graph, nodes } objects whose edge lists are only built when read.
+//
+// Per-request changes to edge costs (e.g. streets a user has walked, walked_edges.js) are
+// not made to the graph: they are cost factors indexed by edge (createCostFactors) that the
+// searches multiply the costs by, so the cached compact and shared graphs stay as they are.
+
+const { createMinHeap } = require('./priority_queue');
+
+const METERS_PER_DEGREE = 111320;
+const HEURISTIC_SAFETY = 0.99; // Keeps the flat-earth estimate below the true (haversine) distance
+
+const compactGraphs = new WeakMap();
+const sharedGraphs = new WeakMap(); // graph -> serialised form for worker threads
+const SHARED_ARRAYS = ['ids', 'lat', 'lon', 'offsets', 'targets', 'lengths', 'costs', 'wayIndexes'];
+let nextSharedGraphId = 1;
+
+// Reusable per-search state; a node's score is only valid when its stamp matches the search
+function createScratch(nodeCount) {
+    return {
+        stamp: 0,
+        seen: new Uint32Array(nodeCount),
+        closed: new Uint32Array(nodeCount),
+        score: new Float64Array(nodeCount),
+        viaEdge: new Int32Array(nodeCount),
+        viaNode: new Int32Array(nodeCount)
+    };
+}
+
+// --- Build ---
+function buildCompactGraph(graph, nodes) {
+    const startTime = Date.now();
+    const idToIndex = new Map();
+    const nodeKeys = [];
+    const addNode = key => {
+        if (!idToIndex.has(key) && nodes[key]) {
+            idToIndex.set(key, nodeKeys.length);
+            nodeKeys.push(key);
+        }
+    };
+    Object.keys(graph).forEach(key => {
+        addNode(key);
+        graph[key].forEach(edge => addNode(String(edge.neighborId)));
+    });
+
+    const nodeCount = nodeKeys.length;
+    const ids = new Float64Array(nodeCount); // OSM ids exceed 32 bits
+    const lat = new Float64Array(nodeCount);
+    const lon = new Float64Array(nodeCount);
+    const offsets = new Uint32Array(nodeCount + 1);
+    let edgeCount = 0;
+    nodeKeys.forEach((key, index) => {
+        ids[index] = Number(key);
+        lat[index] = nodes[key].lat;
+        lon[index] = nodes[key].lon;
+        offsets[index] = edgeCount;
+        (graph[key] || []).forEach(edge => { if (idToIndex.has(String(edge.neighborId))) edgeCount++; });
+    });
+    offsets[nodeCount] = edgeCount;
+
+    const targets = new Uint32Array(edgeCount);
+    const lengths = new Float64Array(edgeCount);
+    const costs = new Float64Array(edgeCount);
+    const wayIndexes = new Uint32Array(edgeCount);
+    const ways = []; // [{ wayId, wayName, highwayTag }], shared by all edges of a way
+    const wayLookup = new Map();
+    let minCostPerMeter = Infinity;
+    let latSum = 0;
+
+    nodeKeys.forEach((key, index) => {
+        latSum += lat[index];
+        let edgeIndex = offsets[index];
+        (graph[key] || []).forEach(edge => {
+            const target = idToIndex.get(String(edge.neighborId));
+            if (target === undefined) return;
+            const wayKey = `${edge.wayId}|${edge.wayName}|${edge.highwayTag}`;
+            if (!wayLookup.has(wayKey)) {
+                wayLookup.set(wayKey, ways.length);
+                ways.push({ wayId: edge.wayId, wayName: edge.wayName, highwayTag: edge.highwayTag });
+            }
+            targets[edgeIndex] = target;
+            lengths[edgeIndex] = edge.length;
+            costs[edgeIndex] = edge.cost;
+            wayIndexes[edgeIndex] = wayLookup.get(wayKey);
+            if (edge.length > 0) minCostPerMeter = Math.min(minCostPerMeter, edge.cost / edge.length);
+            edgeIndex++;
+        });
+    });
+
+    const compact = {
+        nodeCount, edgeCount, ids, lat, lon, offsets, targets, lengths, costs, wayIndexes, ways, idToIndex,
+        minCostPerMeter: Number.isFinite(minCostPerMeter) ? minCostPerMeter : 1,
+        cosLat: Math.cos(((nodeCount > 0 ? latSum / nodeCount : 0) * Math.PI) / 180),
+        scratch: createScratch(nodeCount)
+    };
+    console.log(`Backend: Compact graph built (${nodeCount} nodes, ${edgeCount} edges) in ${Date.now() - startTime}ms.`);
+    return compact;
+}
+
+// Compact copy of a graph, built on first use
+function getCompactGraph(graph, nodes) {
+    let compact = compactGraphs.get(graph);
+    if (!compact) {
+        compact = buildCompactGraph(graph, nodes);
+        compactGraphs.set(graph, compact);
+    }
+    return compact;
+}
+
+// --- Sharing with worker threads ---
+// Serialisable form of a graph's compact copy: { key, nodeCount, edgeCount, minCostPerMeter,
+// cosLat, ways, arrays }. The first call moves the typed arrays into SharedArrayBuffers (the
+// compact graph keeps using them), so posting this to a worker copies no edge data.
+function getSharedGraph(graph, nodes) {
+    let shared = sharedGraphs.get(graph);
+    if (!shared) {
+        const compact = getCompactGraph(graph, nodes);
+        const arrays = {};
+        SHARED_ARRAYS.forEach(name => {
+            const array = new compact[name].constructor(new SharedArrayBuffer(compact[name].byteLength));
+            array.set(compact[name]);
+            compact[name] = array;
+            arrays[name] = array;
+        });
+        shared = {
+            key: `graph-${nextSharedGraphId++}`,
+            nodeCount: compact.nodeCount,
+            edgeCount: compact.edgeCount,
+            minCostPerMeter: compact.minCostPerMeter,
+            cosLat: compact.cosLat,
+            ways: compact.ways,
+            arrays
+        };
+        sharedGraphs.set(graph, shared);
+    }
+    return shared;
+}
+
+// Inverse of getSharedGraph (in a worker): { graph, nodes } whose compact copy is the shared one.
+// graph[nodeId] edge lists ({ neighborId, length, cost, geometry, wayId, ... }) are built on first read.
+function restoreSharedGraph(shared) {
+    const compact = {
+        nodeCount: shared.nodeCount,
+        edgeCount: shared.edgeCount,
+        ...shared.arrays,
+        ways: shared.ways,
+        idToIndex: new Map(),
+        minCostPerMeter: shared.minCostPerMeter,
+        cosLat: shared.cosLat,
+        scratch: createScratch(shared.nodeCount)
+    };
+    const graph = {};
+    const nodes = {};
+    for (let index = 0; index < compact.nodeCount; index++) {
+        const key = String(compact.ids[index]);
+        compact.idToIndex.set(key, index);
+        nodes[key] = { lat: compact.lat[index], lon: compact.lon[index] };
+        Object.defineProperty(graph, key, {
+            enumerable: true,
+            configurable: true,
+            get() {
+                const edges = [];
+                for (let e = compact.offsets[index]; e < compact.offsets[index + 1]; e++) {
+                    const { segments: [segment] } = buildRouteFromEdges(compact, index, [e]);
+                    const { startNodeId, endNodeId, ...edge } = segment;
+                    edges.push({ neighborId: endNodeId, ...edge });
+                }
+                Object.defineProperty(graph, key, { value: edges, enumerable: true, writable: true });
+                return edges;
+            }
+        });
+    }
+    compactGraphs.set(graph, compact);
+    return { graph, nodes };
+}
+
+// --- Cost factors ---
+// Float64Array of 1s, one per edge, in a SharedArrayBuffer so workers read it without a copy.
+// Factors must be >= 1 (the A* heuristic assumes no edge gets cheaper); Infinity leaves the
+// edge out of searches.
+function createCostFactors(compact) {
+    return new Float64Array(new SharedArrayBuffer(compact.edgeCount * Float64Array.BYTES_PER_ELEMENT)).fill(1);
+}
+
+// --- Helpers ---
+function findNodeIndex(compact, nodeId) {
+    const index = compact.idToIndex.get(String(nodeId));
+    return index === undefined ? -1 : index;
+}
+
+// Flat-earth distance in metres between two node indices
+function approxDistance(compact, a, b) {
+    const x = (compact.lon[b] - compact.lon[a]) * compact.cosLat;
+    const y = compact.lat[b] - compact.lat[a];
+    return Math.sqrt(x * x + y * y) * METERS_PER_DEGREE;
+}
+
+function nextStamp(scratch) {
+    scratch.stamp++;
+    if (scratch.stamp === 0xFFFFFFFF) { // Wrapped: clear the stamps once
+        scratch.seen.fill(0);
+        scratch.closed.fill(0);
+        scratch.stamp = 1;
+    }
+    return scratch.stamp;
+}
+
+function markNodePair(compact, flags, from, to) {
+    for (let e = compact.offsets[from]; e < compact.offsets[from + 1]; e++) {
+        if (compact.targets[e] === to) flags[e] = 1;
+    }
+}
+
+// Edge flags (Uint8Array) for every edge, in both directions, between the node pairs of
+// the given segments - used to penalise edges a walk has already used
+function markSegmentEdges(compact, segments, flags = new Uint8Array(compact.edgeCount)) {
+    (segments || []).forEach(segment => {
+        const from = findNodeIndex(compact, segment.startNodeId);
+        const to = findNodeIndex(compact, segment.endNodeId);
+        if (from === -1 || to === -1) return;
+        markNodePair(compact, flags, from, to);
+        markNodePair(compact, flags, to, from);
+    });
+    return flags;
+}
+
+// Same for a path given as edge indices walked from fromIndex
+function markPathEdges(compact, fromIndex, edges, flags = new Uint8Array(compact.edgeCount)) {
+    let node = fromIndex;
+    edges.forEach(e => {
+        const target = compact.targets[e];
+        markNodePair(compact, flags, node, target);
+        markNodePair(compact, flags, target, node);
+        node = target;
+    });
+    return flags;
+}
+
+// Follows viaEdge/viaNode back from a node to the search origin; returns edge indices in walking order
+function collectEdges(compact, fromIndex, toIndex) {
+    const { viaEdge, viaNode } = compact.scratch;
+    const edges = [];
+    for (let node = toIndex; node !== fromIndex; node = viaNode[node]) edges.push(viaEdge[node]);
+    return edges.reverse();
+}
+
+// --- A* ---
+// options: { penalisedEdges: Uint8Array, penaltyFactor, costFactors (see createCostFactors),
+//            deadline (ms timestamp), maxExpansions }
+// Penalised edges cost penaltyFactor times more for the search; returned costs are real costs.
+// Returns { edges, expansions, stopReason } where edges is null unless a path was found and
+// stopReason is 'found' | 'unreachable' | 'deadline' | 'limit'.
+function findPathAStar(compact, fromIndex, toIndex, options = {}) {
+    const { penalisedEdges = null, penaltyFactor = 1, costFactors = null, deadline = Infinity, maxExpansions = Infinity } = options;
+    const { offsets, targets, costs, scratch } = compact;
+    const { seen, closed, score, viaEdge, viaNode } = scratch;
+    const stamp = nextStamp(scratch);
+    const heuristicScale = compact.minCostPerMeter * HEURISTIC_SAFETY;
+    const open = createMinHeap();
+
+    seen[fromIndex] = stamp;
+    score[fromIndex] = 0;
+    open.push(fromIndex, approxDistance(compact, fromIndex, toIndex) * heuristicScale);
+    let expansions = 0;
+
+    while (open.size > 0) {
+        const current = open.pop();
+        if (closed[current] === stamp) continue;
+        if (current === toIndex) {
+            return { edges: collectEdges(compact, fromIndex, toIndex), expansions, stopReason: 'found' };
+        }
+        closed[current] = stamp;
+        expansions++;
+        if (expansions > maxExpansions) return { edges: null, expansions, stopReason: 'limit' };
+        if ((expansions & 1023) === 0 && Date.now() > deadline) return { edges: null, expansions, stopReason: 'deadline' };
+
+        const currentScore = score[current];
+        for (let e = offsets[current]; e < offsets[current + 1]; e++) {
+            const neighbor = targets[e];
+            if (closed[neighbor] === stamp) continue;
+            const factor = costFactors ? costFactors[e] : 1;
+            if (factor === Infinity) continue;
+            const edgeCost = costs[e] * factor * (penalisedEdges && penalisedEdges[e] ? penaltyFactor : 1);
+            const tentative = currentScore + edgeCost;
+            if (seen[neighbor] !== stamp || tentative < score[neighbor]) {
+                seen[neighbor] = stamp;
+                score[neighbor] = tentative;
+                viaEdge[neighbor] = e;
+                viaNode[neighbor] = current;
+                open.push(neighbor, tentative + approxDistance(compact, neighbor, toIndex) * heuristicScale);
+            }
+        }
+    }
+    return { edges: null, expansions, stopReason: 'unreachable' };
+}
+
+// --- Dijkstra ---
+// Walked distance (edge length) from one node to a set of target indices, up to maxDistance.
+// Stops as soon as every target is settled. Returns Map(targetIndex -> { distance, nodePath })
+// where nodePath is the list of node indices from the origin to the target.
+function findDistancesDijkstra(compact, fromIndex, targetIndexes, maxDistance = Infinity) {
+    const { offsets, targets, lengths, scratch } = compact;
+    const { seen, closed, score, viaEdge, viaNode } = scratch;
+    const stamp = nextStamp(scratch);
+    const open = createMinHeap();
+    const results = new Map();
+    let remaining = targetIndexes.size;
+
+    seen[fromIndex] = stamp;
+    score[fromIndex] = 0;
+    open.push(fromIndex, 0);
+
+    while (open.size > 0 && remaining > 0) {
+        const current = open.pop();
+        if (closed[current] === stamp) continue;
+        closed[current] = stamp;
+        if (targetIndexes.has(current)) {
+            const nodePath = [fromIndex, ...collectEdges(compact, fromIndex, current).map(e => targets[e])];
+            results.set(current, { distance: score[current], nodePath });
+            remaining--;
+        }
+        for (let e = offsets[current]; e < offsets[current + 1]; e++) {
+            const neighbor = targets[e];
+            const distance = score[current] + lengths[e];
+            if (distance > maxDistance || closed[neighbor] === stamp) continue;
+            if (seen[neighbor] !== stamp || distance < score[neighbor]) {
+                seen[neighbor] = stamp;
+                score[neighbor] = distance;
+                viaEdge[neighbor] = e;
+                viaNode[neighbor] = current;
+                open.push(neighbor, distance);
+            }
+        }
+    }
+    return results;
+}
+
+// --- Back to the app's route shape ---
+// Edge indices walked from fromIndex -> { length, cost, path, segments }; costs include
+// costFactors when given
+function buildRouteFromEdges(compact, fromIndex, edges, costFactors = null) {
+    const segments = [];
+    let node = fromIndex;
+    edges.forEach(e => {
+        const target = compact.targets[e];
+        const way = compact.ways[compact.wayIndexes[e]];
+        segments.push({
+            startNodeId: compact.ids[node], endNodeId: compact.ids[target],
+            geometry: [[compact.lon[node], compact.lat[node]], [compact.lon[target], compact.lat[target]]],
+            length: compact.lengths[e], cost: compact.costs[e] * (costFactors ? costFactors[e] : 1),
+            wayId: way.wayId, wayName: way.wayName, highwayTag: way.highwayTag
+        });
+        node = target;
+    });
+    return {
+        length: segments.reduce((total, s) => total + s.length, 0),
+        cost: segments.reduce((total, s) => total + s.cost, 0),
+        path: [compact.ids[fromIndex], ...segments.map(s => s.endNodeId)],
+        segments
+    };
+}
+
+module.exports = {
+    getCompactGraph,
+    getSharedGraph,
+    restoreSharedGraph,
+    createCostFactors,
+    findNodeIndex,
+    approxDistance,
+    markSegmentEdges,
+    markPathEdges,
+    findPathAStar,
+    findDistancesDijkstra,
+    buildRouteFromEdges
+};
@@ -0,0 +1,268 @@
+// --- Concept Route Builder ---
+// Builds one walk that visits every resolved waypoint of an LLM concept:
+// 1. solve the visiting order (round trip back to the start, one-way ending at the last stop,
+//    or one-way ending at a chosen destination),
+// 2. stitch A* legs between consecutive stops, penalising edges already walked,
+// 3. pad short walks with detour via-points, and trim long ones by dropping waypoints.
+// Destination walks without waypoints use the same legs and padding (findDestinationWalks).
+
+const turf = require('@turf/turf');
+const routing = require('./routing');
+
+const EXACT_ORDER_MAX_WAYPOINTS = 8; // Brute-force the order up to 8! permutations, greedy beyond
+const PAD_BELOW_FRACTION = 0.9; // Pad walks shorter than 90% of the target
+const MAX_PADDING_ATTEMPTS = 3;
+const NETWORK_DETOUR_FACTOR = 1.3; // Walked distance is roughly 1.3x straight-line distance
+
+// --- Helpers ---
+function straightLineDistance(nodes, fromNodeId, toNodeId) {
+    const from = nodes[fromNodeId];
+    const to = nodes[toNodeId];
+    return turf.distance(turf.point([from.lon, from.lat]), turf.point([to.lon, to.lat]), { units: 'meters' });
+}
+
+function sumLegs(legs, key) {
+    return legs.reduce((total, leg) => total + leg[key], 0);
+}
+
+// Stop node ids for a given waypoint order, including the start and the finish
+// (back at the start for round trips, the destination if there is one, else the last waypoint)
+function getStopNodeIds(startNodeId, waypoints, walkType, endNodeId = null) {
+    const stops = [startNodeId, ...waypoints.map(w => w.nodeId)];
+    if (walkType !== 'one_way') stops.push(startNodeId);
+    else if (endNodeId !== null) stops.push(endNodeId);
+    return stops;
+}
+
+function getStraightLineLength(nodes, stops) {
+    let total = 0;
+    for (let i = 1; i < stops.length; i++) total += straightLineDistance(nodes, stops[i - 1], stops[i]);
+    return total;
+}
+
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    const result = [];
+    items.forEach((item, index) => {
+        const rest = [...items.slice(0, index), ...items.slice(index + 1)];
+        permutations(rest).forEach(perm => result.push([item, ...perm]));
+    });
+    return result;
+}
+
+// --- Visiting Order ---
+// Shortest straight-line tour; exact for small waypoint counts, nearest-neighbour otherwise.
+function solveVisitingOrder(nodes, startNodeId, waypoints, walkType, endNodeId = null) {
+    if (waypoints.length <= 1) return waypoints;
+    if (waypoints.length <= EXACT_ORDER_MAX_WAYPOINTS) {
+        let bestOrder = waypoints;
+        let bestLength = Infinity;
+        permutations(waypoints).forEach(order => {
+            const length = getStraightLineLength(nodes, getStopNodeIds(startNodeId, order, walkType, endNodeId));
+            if (length < bestLength) {
+                bestLength = length;
+                bestOrder = order;
+            }
+        });
+        return bestOrder;
+    }
+    const remaining = [...waypoints];
+    const order = [];
+    let current = startNodeId;
+    while (remaining.length > 0) {
+        let nearestIndex = 0;
+        remaining.forEach((waypoint, index) => {
+            if (straightLineDistance(nodes, current, waypoint.nodeId) < straightLineDistance(nodes, current, remaining[nearestIndex].nodeId)) {
+                nearestIndex = index;
+            }
+        });
+        const [next] = remaining.splice(nearestIndex, 1);
+        order.push(next);
+        current = next.nodeId;
+    }
+    return order;
+}
+
+// --- Leg Stitching ---
+// Routes stops[i] -> stops[i+1] in turn. Each leg is penalised on the edges earlier legs used
+// (and on avoidSegments), so round trips come back a different way where the network allows.
+// Resolves to [{ fromNodeId, toNodeId, length, cost, path, segments }] or null if a leg is unreachable
+// (failedLegIndex tells the caller which one). searchOptions go to findShortestPathAStar.
+async function routeLegs(graph, nodes, stops, avoidSegments = [], searchOptions = {}) {
+    const legs = [];
+    for (let i = 1; i < stops.length; i++) {
+        const previousSegments = [...avoidSegments, ...legs.flatMap(leg => leg.segments)];
+        const leg = await routing.findShortestPathAStar(graph, nodes, stops[i - 1], stops[i], previousSegments, searchOptions);
+        if (!leg || leg.path.length <= 1) return { legs: null, failedLegIndex: i - 1 };
+        legs.push({ fromNodeId: stops[i - 1], toNodeId: stops[i], ...leg });
+    }
+    return { legs, failedLegIndex: -1 };
+}
+
+function joinLegs(legs) {
+    const path = [];
+    legs.forEach((leg, index) => path.push(...(index === 0 ? leg.path : leg.path.slice(1))));
+    return {
+        length: sumLegs(legs, 'length'),
+        cost: sumLegs(legs, 'cost'),
+        path,
+        segments: legs.flatMap(leg => leg.segments)
+    };
+}
+
+// --- Padding: replace one leg A->B with A->via->B where via is off to one side ---
+// For an isosceles detour over a leg of straight length L, an offset d adds 2*sqrt((L/2)^2 + d^2) - L.
+function getDetourPoints(nodes, fromNodeId, toNodeId, extraMeters) {
+    const from = turf.point([nodes[fromNodeId].lon, nodes[fromNodeId].lat]);
+    const to = turf.point([nodes[toNodeId].lon, nodes[toNodeId].lat]);
+    const halfLength = turf.distance(from, to, { units: 'meters' }) / 2;
+    const extraStraight = extraMeters / NETWORK_DETOUR_FACTOR;
+    const offset = Math.sqrt(Math.pow(halfLength + extraStraight / 2, 2) - Math.pow(halfLength, 2));
+    // A round trip leg that starts and ends at the same node has no direction; detour north/south
+    const bearing = halfLength > 0 ? turf.bearing(from, to) : 0;
+    const midpoint = halfLength > 0 ? turf.midpoint(from, to) : from;
+    return [90, -90].map(turn => turf.destination(midpoint, offset, bearing + turn, { units: 'meters' }).geometry.coordinates);
+}
+
+async function padLegs(graph, nodes, legs, desiredDistanceMeters, avoidSegments = [], searchOptions = {}) {
+    let bestLegs = legs;
+    for (let attempt = 0; attempt < MAX_PADDING_ATTEMPTS; attempt++) {
+        const currentLength = sumLegs(bestLegs, 'length');
+        const deficit = desiredDistanceMeters - currentLength;
+        if (deficit <= desiredDistanceMeters * (1 - PAD_BELOW_FRACTION)) break;
+
+        // Detour on the longest leg; it has the most room to bend
+        const legIndex = bestLegs.reduce((best, leg, index) => (leg.length > bestLegs[best].length ? index : best), 0);
+        const leg = bestLegs[legIndex];
+        const otherSegments = [...avoidSegments, ...bestLegs.filter((_, index) => index !== legIndex).flatMap(l => l.segments)];
+        let improved = null;
+
+        for (const [lon, lat] of getDetourPoints(nodes, leg.fromNodeId, leg.toNodeId, deficit)) {
+            const { nodeId: viaNodeId } = routing.findNearestGraphNode(graph, nodes, lat, lon);
+            if (!viaNodeId || String(viaNodeId) === String(leg.fromNodeId) || String(viaNodeId) === String(leg.toNodeId)) continue;
+            const toVia = await routing.findShortestPathAStar(graph, nodes, leg.fromNodeId, viaNodeId, otherSegments, searchOptions);
+            if (!toVia || toVia.path.length <= 1) continue;
+            const fromVia = await routing.findShortestPathAStar(graph, nodes, viaNodeId, leg.toNodeId, [...otherSegments, ...toVia.segments], searchOptions);
+            if (!fromVia || fromVia.path.length <= 1) continue;
+
+            const candidateLegs = [
+                ...bestLegs.slice(0, legIndex),
+                { fromNodeId: leg.fromNodeId, toNodeId: viaNodeId, ...toVia, isDetour: true },
+                { fromNodeId: viaNodeId, toNodeId: leg.toNodeId, ...fromVia, isDetour: true },
+                ...bestLegs.slice(legIndex + 1)
+            ];
+            const candidateError = Math.abs(sumLegs(candidateLegs, 'length') - desiredDistanceMeters);
+            if (candidateError < Math.abs((improved ? sumLegs(improved, 'length') : currentLength) - desiredDistanceMeters)) {
+                improved = candidateLegs;
+            }
+        }
+        if (!improved) break; // No detour got closer to the target
+        console.log(`Backend: Concept route padded from ${currentLength.toFixed(0)}m to ${sumLegs(improved, 'length').toFixed(0)}m.`);
+        bestLegs = improved;
+    }
+    return bestLegs;
+}
+
+// --- Trimming: drop the waypoint whose removal saves the most straight-line distance ---
+function pickWaypointToDrop(nodes, startNodeId, waypoints, walkType, endNodeId) {
+    const fullLength = getStraightLineLength(nodes, getStopNodeIds(startNodeId, waypoints, walkType, endNodeId));
+    let bestIndex = 0;
+    let bestSaving = -Infinity;
+    waypoints.forEach((_, index) => {
+        const without = waypoints.filter((__, i) => i !== index);
+        const saving = fullLength - getStraightLineLength(nodes, getStopNodeIds(startNodeId, without, walkType, endNodeId));
+        if (saving > bestSaving) {
+            bestSaving = saving;
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+}
+
+// --- Main Export ---
+// waypoints: [{ nodeId, landmark }] in the concept's suggested order.
+// options: { walkType, desiredDistanceMeters, maxLength, preserveOrder, endNodeId, costFactors }
+// endNodeId (one-way only) fixes where the walk finishes; the waypoints are visited on the way.
+// Resolves to { length, cost, path, segments, visitedWaypoints, skippedWaypoints } or null.
+async function buildConceptRoute(graph, nodes, startNodeId, waypoints, options) {
+    const { walkType, desiredDistanceMeters, maxLength, preserveOrder = false } = options;
+    const searchOptions = { costFactors: options.costFactors };
+    const endNodeId = walkType === 'one_way' && options.endNodeId !== undefined ? options.endNodeId : null;
+
+    // Duplicate stops (two landmarks snapping to one node), the start and the finish add nothing
+    const seenNodeIds = new Set([String(startNodeId)]);
+    if (endNodeId !== null) seenNodeIds.add(String(endNodeId));
+    let remaining = waypoints.filter(waypoint => {
+        const key = String(waypoint.nodeId);
+        if (seenNodeIds.has(key) || !nodes[key]) return false;
+        seenNodeIds.add(key);
+        return true;
+    });
+    const skippedWaypoints = [];
+
+    while (remaining.length > 0) {
+        const ordered = preserveOrder ? remaining : solveVisitingOrder(nodes, startNodeId, remaining, walkType, endNodeId);
+        console.log(`Backend: Concept route visiting order: ${ordered.map(w => w.landmark.name).join(' -> ')}`);
+        const { legs, failedLegIndex } = await routeLegs(graph, nodes, getStopNodeIds(startNodeId, ordered, walkType, endNodeId), [], searchOptions);
+
+        if (!legs) {
+            // Drop the waypoint the failing leg was heading to (or leaving, for the return leg)
+            const dropIndex = Math.min(failedLegIndex, ordered.length - 1);
+            console.log(`Backend: Concept route could not reach "${ordered[dropIndex].landmark.name}". Dropping it.`);
+            skippedWaypoints.push({ ...ordered[dropIndex].landmark, reason: 'unreachable' });
+            remaining = ordered.filter((_, index) => index !== dropIndex);
+            continue;
+        }
+
+        const routedLength = sumLegs(legs, 'length');
+        if (routedLength > maxLength && ordered.length > 1) {
+            const dropIndex = pickWaypointToDrop(nodes, startNodeId, ordered, walkType, endNodeId);
+            console.log(`Backend: Concept route ${routedLength.toFixed(0)}m exceeds ${maxLength.toFixed(0)}m. Dropping "${ordered[dropIndex].landmark.name}".`);
+            skippedWaypoints.push({ ...ordered[dropIndex].landmark, reason: 'too_far' });
+            remaining = ordered.filter((_, index) => index !== dropIndex);
+            continue;
+        }
+
+        const finalLegs = routedLength < desiredDistanceMeters * PAD_BELOW_FRACTION
+            ? await padLegs(graph, nodes, legs, desiredDistanceMeters, [], searchOptions)
+            : legs;
+        return {
+            ...joinLegs(finalLegs),
+            visitedWaypoints: ordered.map(waypoint => waypoint.landmark),
+            skippedWaypoints
+        };
+    }
+    console.log("Backend: Concept route has no reachable waypoints left.");
+    return null;
+}
+
+// --- Destination Walks: one-way from start to a chosen end node ---
+// The direct leg follows the cost map (footpaths over roads) rather than the plain shortest path,
+// then detours stretch it toward the target distance. Each further walk is penalised on the
+// edges of the walks before it so the alternatives differ.
+// options: { desiredDistanceMeters, count, costFactors }
+// Resolves to up to `count` routes [{ length, cost, path, segments }].
+async function findDestinationWalks(graph, nodes, startNodeId, endNodeId, options) {
+    const { desiredDistanceMeters, count } = options;
+    const searchOptions = { costFactors: options.costFactors };
+    const walks = [];
+    for (let i = 0; i < count; i++) {
+        const avoidSegments = walks.flatMap(walk => walk.segments);
+        const { legs } = await routeLegs(graph, nodes, [startNodeId, endNodeId], avoidSegments, searchOptions);
+        if (!legs) break; // Destination unreachable; more attempts will not help
+        const routedLength = sumLegs(legs, 'length');
+        const finalLegs = routedLength < desiredDistanceMeters * PAD_BELOW_FRACTION
+            ? await padLegs(graph, nodes, legs, desiredDistanceMeters, avoidSegments, searchOptions)
+            : legs;
+        const walk = joinLegs(finalLegs);
+        console.log(`Backend: Destination walk ${i + 1}: ${walk.length.toFixed(0)}m (direct route ${routedLength.toFixed(0)}m).`);
+        walks.push(walk);
+    }
+    return walks;
+}
+
+module.exports = {
+    buildConceptRoute,
+    findDestinationWalks,
+    solveVisitingOrder
+};
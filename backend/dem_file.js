@@ -0,0 +1,332 @@
+// --- Offline elevation source (DEM) ---
+// Reads elevations from local digital elevation model files instead of an online API:
+//   - SRTM .hgt tiles (1 or 3 arc-second, named like N51W001.hgt)
+//   - GeoTIFF rasters in a geographic (lon/lat) CRS or British National Grid (EPSG:27700):
+//     single band, 16/32-bit int or 32/64-bit float samples, stripped or tiled, uncompressed
+//     or deflate (e.g. SRTM/Copernicus GeoTIFFs, OS Terrain 50). Other projected rasters must
+//     be reprojected first: gdalwarp -t_srs EPSG:4326 in.tif out.tif
+// ELEVATION_DEM_PATH may name one file or a directory of them. Only file headers are read at
+// startup; each raster is decoded on first use and then kept in memory.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { wgs84ToOsGrid } = require('./geocoder');
+
+const HGT_VOID = -32768;
+const HGT_NAME_PATTERN = /^([NS])(\d{2})([EW])(\d{3})\.hgt$/i;
+const GEOTIFF_EXTENSIONS = ['.tif', '.tiff'];
+
+// =====================================================================
+// --- SRTM HGT Reader ---
+// Square grid of big-endian int16 metres, north row first; the tile name is its SW corner.
+// =====================================================================
+
+function openHgtTile(filePath) {
+    const match = path.basename(filePath).match(HGT_NAME_PATTERN);
+    if (!match) throw new Error(`HGT file name must look like N51W001.hgt: ${filePath}`);
+    const south = (match[1].toUpperCase() === 'N' ? 1 : -1) * parseInt(match[2], 10);
+    const west = (match[3].toUpperCase() === 'E' ? 1 : -1) * parseInt(match[4], 10);
+    const size = Math.round(Math.sqrt(fs.statSync(filePath).size / 2));
+    if (size * size * 2 !== fs.statSync(filePath).size) {
+        throw new Error(`HGT file ${filePath} is not a square grid of 16-bit samples.`);
+    }
+    const step = 1 / (size - 1);
+    return {
+        filePath,
+        // Sample centres: the outer rows/columns lie on the tile edges (shared with neighbours)
+        grid: { width: size, height: size, west, north: south + 1, xStep: step, yStep: step },
+        toGridPoint: (lat, lon) => ({ x: lon, y: lat }),
+        load() {
+            const buffer = fs.readFileSync(filePath);
+            const data = new Float32Array(size * size);
+            for (let i = 0; i < data.length; i++) {
+                const value = buffer.readInt16BE(i * 2);
+                data[i] = value === HGT_VOID ? NaN : value;
+            }
+            return data;
+        }
+    };
+}
+
+// =====================================================================
+// --- GeoTIFF Reader ---
+// Minimal baseline TIFF (not BigTIFF) decoding plus the GeoTIFF georeferencing tags.
+// =====================================================================
+
+const TIFF_TAGS = {
+    ImageWidth: 256, ImageLength: 257, BitsPerSample: 258, Compression: 259,
+    StripOffsets: 273, SamplesPerPixel: 277, RowsPerStrip: 278, StripByteCounts: 279,
+    Predictor: 317, TileWidth: 322, TileLength: 323, TileOffsets: 324, TileByteCounts: 325,
+    SampleFormat: 339, ModelPixelScale: 33550, ModelTiepoint: 33922, GeoKeyDirectory: 34735,
+    GdalNoData: 42113
+};
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const COMPRESSION_NONE = 1;
+const COMPRESSION_DEFLATE = [8, 32946];
+const GEOKEY_MODEL_TYPE = 1024;
+const GEOKEY_RASTER_TYPE = 1025;
+const GEOKEY_PROJECTED_CRS = 3072;
+const MODEL_TYPE_PROJECTED = 1;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const EPSG_BRITISH_NATIONAL_GRID = 27700;
+const RASTER_PIXEL_IS_POINT = 2;
+
+// Random-access reads from an open file
+function readFileRange(fd, offset, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, offset);
+    if (bytesRead !== length) throw new Error("Unexpected end of GeoTIFF file.");
+    return buffer;
+}
+
+// Reads the first IFD: returns Map(tag -> array of values | string)
+function readTiffDirectory(fd) {
+    const header = readFileRange(fd, 0, 8);
+    const byteOrder = header.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') throw new Error("Not a TIFF file.");
+    const littleEndian = byteOrder === 'II';
+    const u16 = (buffer, offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const u32 = (buffer, offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+    const magic = u16(header, 2);
+    if (magic === 43) throw new Error("BigTIFF files are not supported.");
+    if (magic !== 42) throw new Error("Not a TIFF file.");
+
+    const ifdOffset = u32(header, 4);
+    const entryCount = u16(readFileRange(fd, ifdOffset, 2), 0);
+    const entries = readFileRange(fd, ifdOffset + 2, entryCount * 12);
+    const tags = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        const base = i * 12;
+        const tag = u16(entries, base);
+        const type = u16(entries, base + 2);
+        const count = u32(entries, base + 4);
+        const size = TIFF_TYPE_SIZES[type];
+        if (!size) continue; // Unknown types are not needed here
+        const byteLength = size * count;
+        const data = byteLength <= 4 ? entries.subarray(base + 8, base + 12) : readFileRange(fd, u32(entries, base + 8), byteLength);
+        if (type === 2) {
+            tags.set(tag, data.toString('latin1', 0, byteLength).replace(/\0+$/, ''));
+            continue;
+        }
+        const values = [];
+        for (let j = 0; j < count; j++) {
+            const offset = j * size;
+            switch (type) {
+                case 1: case 7: values.push(data[offset]); break;
+                case 6: values.push(data.readInt8(offset)); break;
+                case 3: values.push(u16(data, offset)); break;
+                case 8: values.push(littleEndian ? data.readInt16LE(offset) : data.readInt16BE(offset)); break;
+                case 4: values.push(u32(data, offset)); break;
+                case 9: values.push(littleEndian ? data.readInt32LE(offset) : data.readInt32BE(offset)); break;
+                case 5: values.push(u32(data, offset) / u32(data, offset + 4)); break;
+                case 10: values.push((littleEndian ? data.readInt32LE(offset) : data.readInt32BE(offset)) / (littleEndian ? data.readInt32LE(offset + 4) : data.readInt32BE(offset + 4))); break;
+                case 11: values.push(littleEndian ? data.readFloatLE(offset) : data.readFloatBE(offset)); break;
+                case 12: values.push(littleEndian ? data.readDoubleLE(offset) : data.readDoubleBE(offset)); break;
+            }
+        }
+        tags.set(tag, values);
+    }
+    return { tags, littleEndian };
+}
+
+// GeoKeyDirectory -> Map(keyId -> value) for the short-valued keys stored inline
+function readGeoKeys(directory) {
+    const keys = new Map();
+    if (!directory) return keys;
+    const keyCount = directory[3];
+    for (let i = 0; i < keyCount; i++) {
+        const [keyId, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+        if (location === 0) keys.set(keyId, value);
+    }
+    return keys;
+}
+
+// Returns a function reading sample i of a decoded block as a number
+function createSampleReader(block, bitsPerSample, sampleFormat, littleEndian) {
+    const bytes = bitsPerSample / 8;
+    const L = littleEndian;
+    if (sampleFormat === 3 && bitsPerSample === 32) return i => (L ? block.readFloatLE(i * bytes) : block.readFloatBE(i * bytes));
+    if (sampleFormat === 3 && bitsPerSample === 64) return i => (L ? block.readDoubleLE(i * bytes) : block.readDoubleBE(i * bytes));
+    if (sampleFormat === 2 && bitsPerSample === 16) return i => (L ? block.readInt16LE(i * bytes) : block.readInt16BE(i * bytes));
+    if (sampleFormat === 2 && bitsPerSample === 32) return i => (L ? block.readInt32LE(i * bytes) : block.readInt32BE(i * bytes));
+    if (sampleFormat === 1 && bitsPerSample === 16) return i => (L ? block.readUInt16LE(i * bytes) : block.readUInt16BE(i * bytes));
+    if (sampleFormat === 1 && bitsPerSample === 32) return i => (L ? block.readUInt32LE(i * bytes) : block.readUInt32BE(i * bytes));
+    throw new Error(`Unsupported GeoTIFF sample type (${bitsPerSample}-bit, format ${sampleFormat}).`);
+}
+
+// Wraps an integer to the sample width (horizontal differencing is modular)
+function createIntegerWrap(bitsPerSample, sampleFormat) {
+    if (bitsPerSample === 16) return sampleFormat === 2 ? value => (value << 16) >> 16 : value => value & 0xFFFF;
+    return sampleFormat === 2 ? value => value | 0 : value => value >>> 0;
+}
+
+function openGeoTiff(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    let directory;
+    try {
+        directory = readTiffDirectory(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    const { tags, littleEndian } = directory;
+    const first = (tag, fallback) => (tags.has(tag) ? tags.get(tag)[0] : fallback);
+
+    const width = first(TIFF_TAGS.ImageWidth);
+    const height = first(TIFF_TAGS.ImageLength);
+    const bitsPerSample = first(TIFF_TAGS.BitsPerSample, 1);
+    const sampleFormat = first(TIFF_TAGS.SampleFormat, 1);
+    const compression = first(TIFF_TAGS.Compression, COMPRESSION_NONE);
+    const predictor = first(TIFF_TAGS.Predictor, 1);
+    if (first(TIFF_TAGS.SamplesPerPixel, 1) !== 1) throw new Error(`${filePath}: only single-band GeoTIFFs are supported.`);
+    if (compression !== COMPRESSION_NONE && !COMPRESSION_DEFLATE.includes(compression)) {
+        throw new Error(`${filePath}: GeoTIFF compression ${compression} is not supported (use none or deflate).`);
+    }
+    if (predictor !== 1 && !(predictor === 2 && sampleFormat !== 3)) {
+        throw new Error(`${filePath}: GeoTIFF predictor ${predictor} is not supported.`);
+    }
+    createSampleReader(Buffer.alloc(8), bitsPerSample, sampleFormat, littleEndian); // Validates the sample type
+
+    const geoKeys = readGeoKeys(tags.get(TIFF_TAGS.GeoKeyDirectory));
+    const nationalGrid = geoKeys.get(GEOKEY_MODEL_TYPE) === MODEL_TYPE_PROJECTED
+        && geoKeys.get(GEOKEY_PROJECTED_CRS) === EPSG_BRITISH_NATIONAL_GRID;
+    if (geoKeys.get(GEOKEY_MODEL_TYPE) !== MODEL_TYPE_GEOGRAPHIC && !nationalGrid) {
+        throw new Error(`${filePath}: only GeoTIFFs in a geographic (lon/lat) CRS or British National Grid (EPSG:27700) are supported; reproject with gdalwarp -t_srs EPSG:4326.`);
+    }
+    const scale = tags.get(TIFF_TAGS.ModelPixelScale);
+    const tiepoint = tags.get(TIFF_TAGS.ModelTiepoint);
+    if (!scale || !tiepoint) throw new Error(`${filePath}: GeoTIFF has no ModelPixelScale/ModelTiepoint georeferencing.`);
+    const [xStep, yStep] = scale;
+    const [tieCol, tieRow, , tieX, tieY] = tiepoint;
+    // PixelIsArea (the default) georeferences pixel corners; sample at pixel centres
+    const centreOffset = geoKeys.get(GEOKEY_RASTER_TYPE) === RASTER_PIXEL_IS_POINT ? 0 : 0.5;
+    const west = tieX + (centreOffset - tieCol) * xStep;
+    const north = tieY - (centreOffset - tieRow) * yStep;
+    const noDataText = tags.get(TIFF_TAGS.GdalNoData);
+    const noData = typeof noDataText === 'string' && noDataText.trim() !== '' ? parseFloat(noDataText) : null;
+
+    const tiled = tags.has(TIFF_TAGS.TileOffsets);
+    const blockWidth = tiled ? first(TIFF_TAGS.TileWidth) : width;
+    const blockHeight = tiled ? first(TIFF_TAGS.TileLength) : first(TIFF_TAGS.RowsPerStrip, height);
+    const offsets = tags.get(tiled ? TIFF_TAGS.TileOffsets : TIFF_TAGS.StripOffsets);
+    const byteCounts = tags.get(tiled ? TIFF_TAGS.TileByteCounts : TIFF_TAGS.StripByteCounts);
+    const blocksAcross = Math.ceil(width / blockWidth);
+    const wrapInteger = createIntegerWrap(bitsPerSample, sampleFormat);
+
+    return {
+        filePath,
+        // west/north/steps are eastings/northings in metres for a British National Grid raster
+        grid: { width, height, west, north, xStep, yStep },
+        toGridPoint: nationalGrid
+            ? (lat, lon) => { const { easting, northing } = wgs84ToOsGrid(lat, lon); return { x: easting, y: northing }; }
+            : (lat, lon) => ({ x: lon, y: lat }),
+        load() {
+            const data = new Float32Array(width * height).fill(NaN);
+            const fd = fs.openSync(filePath, 'r');
+            try {
+                offsets.forEach((offset, blockIndex) => {
+                    let block = readFileRange(fd, offset, byteCounts[blockIndex]);
+                    if (compression !== COMPRESSION_NONE) block = zlib.inflateSync(block);
+                    const readSample = createSampleReader(block, bitsPerSample, sampleFormat, littleEndian);
+                    const blockCol = (blockIndex % blocksAcross) * blockWidth;
+                    const blockRow = Math.floor(blockIndex / blocksAcross) * blockHeight;
+                    for (let y = 0; y < blockHeight && blockRow + y < height; y++) {
+                        let previous = 0;
+                        for (let x = 0; x < blockWidth; x++) {
+                            let value = readSample(y * blockWidth + x);
+                            if (predictor === 2) { // Horizontal differencing
+                                value = wrapInteger(value + previous);
+                                previous = value;
+                            }
+                            if (blockCol + x >= width) continue; // Tile padding
+                            data[(blockRow + y) * width + blockCol + x] = value === noData ? NaN : value;
+                        }
+                    }
+                });
+            } finally {
+                fs.closeSync(fd);
+            }
+            return data;
+        }
+    };
+}
+
+// =====================================================================
+// --- Sampling ---
+// =====================================================================
+
+// Bilinear interpolation between the four surrounding samples at a point in the grid's own
+// CRS ({ x: lon, y: lat } or easting/northing); falls back to the nearest sample next to voids.
+// Returns metres or null.
+function sampleGrid(grid, data, point) {
+    const x = (point.x - grid.west) / grid.xStep;
+    const y = (grid.north - point.y) / grid.yStep;
+    if (x < 0 || y < 0 || x > grid.width - 1 || y > grid.height - 1) return null;
+    const col = Math.min(Math.floor(x), grid.width - 2);
+    const row = Math.min(Math.floor(y), grid.height - 2);
+    const fx = x - col;
+    const fy = y - row;
+    const topLeft = data[row * grid.width + col];
+    const topRight = data[row * grid.width + col + 1];
+    const bottomLeft = data[(row + 1) * grid.width + col];
+    const bottomRight = data[(row + 1) * grid.width + col + 1];
+    if (Number.isNaN(topLeft) || Number.isNaN(topRight) || Number.isNaN(bottomLeft) || Number.isNaN(bottomRight)) {
+        const nearest = data[Math.round(y) * grid.width + Math.round(x)];
+        return Number.isNaN(nearest) ? null : nearest;
+    }
+    const top = topLeft + (topRight - topLeft) * fx;
+    const bottom = bottomLeft + (bottomRight - bottomLeft) * fx;
+    return top + (bottom - top) * fy;
+}
+
+function openDemFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.hgt') return openHgtTile(filePath);
+    if (GEOTIFF_EXTENSIONS.includes(extension)) return openGeoTiff(filePath);
+    throw new Error(`Unsupported elevation file type: ${filePath} (use .hgt or .tif).`);
+}
+
+// Create an elevation source for a DEM file or a directory of them: { name, getElevation(lat, lon) }
+function createDemSource(demPath) {
+    if (!fs.existsSync(demPath)) {
+        throw new Error(`Elevation data not found: ${demPath}`);
+    }
+    const files = fs.statSync(demPath).isDirectory()
+        ? fs.readdirSync(demPath)
+            .filter(file => ['.hgt', ...GEOTIFF_EXTENSIONS].includes(path.extname(file).toLowerCase()))
+            .sort()
+            .map(file => path.join(demPath, file))
+        : [demPath];
+    const rasters = files.map(openDemFile);
+    if (rasters.length === 0) throw new Error(`No .hgt or .tif elevation files in ${demPath}.`);
+    console.log(`Backend: Elevation source ready with ${rasters.length} DEM file(s) from ${demPath}.`);
+
+    const loaded = new Map(); // raster -> Float32Array
+    const getData = raster => {
+        if (!loaded.has(raster)) {
+            const startTime = Date.now();
+            loaded.set(raster, raster.load());
+            console.log(`Backend: Loaded DEM ${path.basename(raster.filePath)} (${raster.grid.width}x${raster.grid.height}) in ${Date.now() - startTime}ms.`);
+        }
+        return loaded.get(raster);
+    };
+
+    return {
+        name: path.basename(demPath),
+        getElevation(lat, lon) {
+            for (const raster of rasters) {
+                const { grid } = raster;
+                const point = raster.toGridPoint(lat, lon);
+                if (point.x < grid.west || point.y > grid.north) continue;
+                if (point.x > grid.west + (grid.width - 1) * grid.xStep || point.y < grid.north - (grid.height - 1) * grid.yStep) continue;
+                const elevation = sampleGrid(raster.grid, getData(raster), point);
+                if (elevation !== null) return elevation;
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    createDemSource
+};
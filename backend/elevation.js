@@ -0,0 +1,103 @@
+// --- Elevation: route profiles and the flat/hilly preference ---
+// Uses an elevation source ({ getElevation(lat, lon) }, see dem_file.js) to
+//   - sample a route along its segments into an elevation profile with total ascent/descent
+//   - weight graph edges by gradient when a request prefers flat or hilly walks
+//     (a profile overlay like accessibility mode, so each preference gets its own cached graph).
+
+const HILLINESS_OPTIONS = ['any', 'flat', 'hilly'];
+const PROFILE_SAMPLE_SPACING_M = 20;
+const MAX_PROFILE_POINTS = 200;      // Points returned to the client/PDF per route
+const ASCENT_THRESHOLD_M = 2;        // Climbs smaller than this are DEM noise, not ascent
+const MIN_GRADE_LENGTH_M = 20;       // Short edges use at least this length so DEM noise does not read as cliffs
+const MAX_GRADE = 0.25;
+const FLAT_COST_PER_GRADE = 10;      // 'flat': 5% gradient costs x1.5, 10% x2
+const HILLY_DISCOUNT_PER_GRADE = 5;  // 'hilly': 10% gradient costs x0.67, flat ground unchanged
+
+// --- Edge weighting ---
+// Cost multiplier for an edge with the given absolute gradient (rise / run)
+function getGradeCostFactor(grade, hilliness) {
+    const clamped = Math.min(Math.abs(grade), MAX_GRADE);
+    if (hilliness === 'flat') return 1 + clamped * FLAT_COST_PER_GRADE;
+    if (hilliness === 'hilly') return 1 / (1 + clamped * HILLY_DISCOUNT_PER_GRADE);
+    return 1;
+}
+
+// Gradient between two points from the elevation source (0 where there is no data)
+function getGrade(elevationFrom, elevationTo, length) {
+    if (elevationFrom === null || elevationTo === null) return 0;
+    return (elevationTo - elevationFrom) / Math.max(length, MIN_GRADE_LENGTH_M);
+}
+
+// Same weights as the base profile plus the gradient factor in routing.buildGraph
+function createHillinessProfile(profile, hilliness, elevationSource) {
+    return {
+        ...profile,
+        name: `${profile.name}+${hilliness}`,
+        hilliness,
+        elevationSource
+    };
+}
+
+// --- Route profile ---
+// Samples every PROFILE_SAMPLE_SPACING_M along the route's segments.
+// Returns { ascent, descent, minElevation, maxElevation, coverage, profile: [[distanceM, elevationM]] }
+// or null when the DEM has no data for the route.
+function describeRouteElevation(route, elevationSource) {
+    const samples = [];
+    const segments = route.segments || [];
+    let distance = 0;
+    let nextSampleAt = 0;
+    segments.forEach(segment => {
+        const [fromLon, fromLat] = segment.geometry[0];
+        const [toLon, toLat] = segment.geometry[segment.geometry.length - 1];
+        while (nextSampleAt <= distance + segment.length) {
+            const fraction = segment.length > 0 ? (nextSampleAt - distance) / segment.length : 0;
+            samples.push([nextSampleAt, elevationSource.getElevation(fromLat + (toLat - fromLat) * fraction, fromLon + (toLon - fromLon) * fraction)]);
+            nextSampleAt += PROFILE_SAMPLE_SPACING_M;
+        }
+        distance += segment.length;
+    });
+    if (segments.length > 0 && samples[samples.length - 1][0] < distance) { // Always end on the finish
+        const [lon, lat] = segments[segments.length - 1].geometry[segments[segments.length - 1].geometry.length - 1];
+        samples.push([distance, elevationSource.getElevation(lat, lon)]);
+    }
+
+    const known = samples.filter(([, elevation]) => elevation !== null);
+    if (known.length === 0) return null;
+
+    // Ascent/descent with a hysteresis threshold
+    let ascent = 0;
+    let descent = 0;
+    let reference = known[0][1];
+    known.forEach(([, elevation]) => {
+        if (elevation - reference >= ASCENT_THRESHOLD_M) {
+            ascent += elevation - reference;
+            reference = elevation;
+        } else if (reference - elevation >= ASCENT_THRESHOLD_M) {
+            descent += reference - elevation;
+            reference = elevation;
+        }
+    });
+
+    const step = Math.max(1, Math.ceil(known.length / MAX_PROFILE_POINTS));
+    const profile = known
+        .filter((sample, index) => index % step === 0 || index === known.length - 1)
+        .map(([sampleDistance, elevation]) => [Math.round(sampleDistance), Math.round(elevation * 10) / 10]);
+    const elevations = known.map(([, elevation]) => elevation);
+    return {
+        ascent: Math.round(ascent),
+        descent: Math.round(descent),
+        minElevation: Math.round(Math.min(...elevations)),
+        maxElevation: Math.round(Math.max(...elevations)),
+        coverage: Math.round((known.length / samples.length) * 100) / 100,
+        profile
+    };
+}
+
+module.exports = {
+    HILLINESS_OPTIONS,
+    getGradeCostFactor,
+    getGrade,
+    createHillinessProfile,
+    describeRouteElevation
+};
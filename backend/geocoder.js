@@ -0,0 +1,457 @@
+// --- Postcode Geocoders ---
+// Every geocoder exposes { name, lookup(postcode) } where lookup resolves to
+// { latitude, longitude, postcode, precision } and throws "Postcode lookup failed: ..."
+// errors. precision is 'postcode', 'sector', 'outward' or 'partial'.
+
+const fs = require('fs');
+const readline = require('readline');
+const axios = require('axios');
+
+const POSTCODES_IO_API_URL = 'https://api.postcodes.io/postcodes/';
+const POSTCODES_IO_OUTCODES_URL = 'https://api.postcodes.io/outcodes/';
+const POSTCODES_IO_SEARCH_URL = 'https://api.postcodes.io/postcodes';
+const MAX_PARTIAL_MATCHES = 500; // Cap on postcodes averaged for a partial match
+const POSTCODES_IO_SEARCH_LIMIT = 100; // Most results postcodes.io returns for a postcode search
+
+// --- Postcode Normalisation ---
+const FULL_POSTCODE_REGEX = /^([A-Z]{1,2}[0-9][A-Z0-9]?)([0-9][A-Z]{2})$/;
+const OUTWARD_CODE_REGEX = /^[A-Z]{1,2}[0-9][A-Z0-9]?$/;
+const SECTOR_REGEX = /^([A-Z]{1,2}[0-9][A-Z0-9]?)([0-9])$/;
+
+// Strip spacing/case: " sw1a0aa " -> "SW1A0AA"
+function compactPostcode(postcode) {
+    return String(postcode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Canonical display form with a single space before the inward code: "SW1A 0AA"
+function normalisePostcode(postcode) {
+    const compact = compactPostcode(postcode);
+    const match = FULL_POSTCODE_REGEX.exec(compact);
+    return match ? `${match[1]} ${match[2]}` : compact;
+}
+
+// Classify a query as a full postcode, a sector ("SW1A 0"), an outward code ("SW1A") or a partial prefix
+function parsePostcodeQuery(postcode) {
+    const raw = String(postcode || '').toUpperCase().trim();
+    const compact = compactPostcode(raw);
+    if (!compact) return null;
+
+    const full = FULL_POSTCODE_REGEX.exec(compact);
+    if (full) return { type: 'postcode', compact, outward: full[1], display: `${full[1]} ${full[2]}` };
+
+    // A space tells us where the outward code ends ("M2 1" is a sector, "M21" is an outward code)
+    const spaced = /^([A-Z0-9]+)\s+([0-9])$/.exec(raw);
+    if (spaced && OUTWARD_CODE_REGEX.test(spaced[1])) {
+        return { type: 'sector', compact, outward: spaced[1], display: `${spaced[1]} ${spaced[2]}` };
+    }
+    if (OUTWARD_CODE_REGEX.test(compact)) return { type: 'outward', compact, outward: compact, display: compact };
+    const sector = SECTOR_REGEX.exec(compact);
+    if (sector) {
+        return { type: 'sector', compact, outward: sector[1], display: `${sector[1]} ${sector[2]}` };
+    }
+    return { type: 'partial', compact, outward: null, display: compact };
+}
+
+// =====================================================================
+// --- postcodes.io Geocoder ---
+// =====================================================================
+
+// Average of postcode results ({ latitude, longitude, postcode }) matching a sector or partial
+// query; a single match is that postcode. Returns null without matches.
+function averageMatches(matches, query) {
+    if (matches.length === 0) return null;
+    if (matches.length === 1) return { ...matches[0], precision: 'postcode' };
+    return {
+        latitude: matches.reduce((sum, m) => sum + m.latitude, 0) / matches.length,
+        longitude: matches.reduce((sum, m) => sum + m.longitude, 0) / matches.length,
+        postcode: query.display,
+        precision: query.type
+    };
+}
+
+function createPostcodesIoGeocoder() {
+    // Sectors ("SW1A 0") and partial postcodes ("SW1A 0A") are not accepted by /postcodes/<q>,
+    // so they go through the postcode search (/postcodes?q=) and the matches are averaged
+    async function searchPostcodes(query) {
+        const url = `${POSTCODES_IO_SEARCH_URL}?q=${encodeURIComponent(query.display)}&limit=${POSTCODES_IO_SEARCH_LIMIT}`;
+        console.log(`Backend: Searching postcodes: ${url}`);
+        try {
+            const response = await axios.get(url);
+            const results = Array.isArray(response.data.result) ? response.data.result : [];
+            const prefix = query.type === 'sector' ? query.display : query.compact;
+            const matches = results
+                .filter(r => r.latitude !== null && r.longitude !== null)
+                .filter(r => (query.type === 'sector' ? r.postcode : compactPostcode(r.postcode)).startsWith(prefix))
+                .map(r => ({ latitude: r.latitude, longitude: r.longitude, postcode: r.postcode }));
+            const result = averageMatches(matches, query);
+            if (!result) throw new Error('Postcode not found');
+            console.log(`Backend: Postcode search matched ${matches.length} postcode(s) for ${query.display} (${result.precision})`);
+            return result;
+        } catch (error) {
+            console.error("Backend: Error searching postcode data:", error.response ? error.response.data : error.message);
+            throw new Error(`Postcode lookup failed: ${error.response?.data?.error || error.message}`);
+        }
+    }
+
+    async function lookup(postcode) {
+        const query = parsePostcodeQuery(postcode);
+        if (!query) throw new Error("Postcode lookup failed: No postcode provided");
+        if (query.type === 'sector' || query.type === 'partial') return searchPostcodes(query);
+        const isOutward = query.type === 'outward';
+        const url = `${isOutward ? POSTCODES_IO_OUTCODES_URL : POSTCODES_IO_API_URL}${encodeURIComponent(query.compact)}`;
+        console.log(`Backend: Looking up postcode: ${url}`);
+        try {
+            // Use axios instead of fetch
+            const response = await axios.get(url);
+            const data = response.data; // axios wraps response in data property
+            if (data.status === 200 && data.result) {
+                const resolvedPostcode = data.result.postcode || data.result.outcode;
+                console.log(`Backend: Postcode lookup successful for ${resolvedPostcode}`);
+                return {
+                    latitude: data.result.latitude,
+                    longitude: data.result.longitude,
+                    postcode: resolvedPostcode,
+                    precision: isOutward ? 'outward' : 'postcode'
+                };
+            } else {
+                throw new Error(data.error || 'Postcode not found');
+            }
+        } catch (error) {
+            console.error("Backend: Error fetching postcode data:", error.response ? error.response.data : error.message);
+            // Rethrow a cleaner error for the caller
+            throw new Error(`Postcode lookup failed: ${error.response?.data?.error || error.message}`);
+        }
+    }
+
+    return { name: 'postcodes_io', lookup };
+}
+
+// =====================================================================
+// --- OSGB36 British National Grid <-> WGS84 (Code-Point Open eastings/northings, BNG DEMs) ---
+// Ordnance Survey transverse Mercator formulae plus a Helmert transform (~5m accuracy).
+// =====================================================================
+
+const AIRY_1830 = { a: 6377563.396, b: 6356256.909 };
+const WGS84 = { a: 6378137.0, b: 6356752.3142 };
+const NATIONAL_GRID = { F0: 0.9996012717, lat0: 49 * Math.PI / 180, lon0: -2 * Math.PI / 180, N0: -100000, E0: 400000 };
+const OSGB36_TO_WGS84 = { tx: 446.448, ty: -125.157, tz: 542.060, s: -20.4894e-6, rx: 0.1502, ry: 0.2470, rz: 0.8421 };
+
+// Meridional arc from the true origin to lat (radians) on the Airy ellipsoid, scaled by F0
+function meridionalArc(lat) {
+    const { a, b } = AIRY_1830;
+    const { F0, lat0 } = NATIONAL_GRID;
+    const n = (a - b) / (a + b);
+    const n2 = n * n, n3 = n * n * n;
+    const dLat = lat - lat0, sLat = lat + lat0;
+    return b * F0 * (
+        (1 + n + (5 / 4) * n2 + (5 / 4) * n3) * dLat
+        - (3 * n + 3 * n2 + (21 / 8) * n3) * Math.sin(dLat) * Math.cos(sLat)
+        + ((15 / 8) * n2 + (15 / 8) * n3) * Math.sin(2 * dLat) * Math.cos(2 * sLat)
+        - (35 / 24) * n3 * Math.sin(3 * dLat) * Math.cos(3 * sLat)
+    );
+}
+
+function gridToOsgb36(easting, northing) {
+    const { a, b } = AIRY_1830;
+    const { F0, lat0, lon0, N0, E0 } = NATIONAL_GRID;
+    const e2 = 1 - (b * b) / (a * a);
+
+    let lat = lat0;
+    let M = 0;
+    do {
+        lat = (northing - N0 - M) / (a * F0) + lat;
+        M = meridionalArc(lat);
+    } while (Math.abs(northing - N0 - M) >= 0.00001);
+
+    const sinLat = Math.sin(lat), cosLat = Math.cos(lat), tanLat = Math.tan(lat);
+    const nu = a * F0 / Math.sqrt(1 - e2 * sinLat * sinLat);
+    const rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sinLat * sinLat, 1.5);
+    const eta2 = nu / rho - 1;
+    const tan2 = tanLat * tanLat, tan4 = tan2 * tan2, tan6 = tan4 * tan2;
+    const secLat = 1 / cosLat;
+    const VII = tanLat / (2 * rho * nu);
+    const VIII = tanLat / (24 * rho * Math.pow(nu, 3)) * (5 + 3 * tan2 + eta2 - 9 * tan2 * eta2);
+    const IX = tanLat / (720 * rho * Math.pow(nu, 5)) * (61 + 90 * tan2 + 45 * tan4);
+    const X = secLat / nu;
+    const XI = secLat / (6 * Math.pow(nu, 3)) * (nu / rho + 2 * tan2);
+    const XII = secLat / (120 * Math.pow(nu, 5)) * (5 + 28 * tan2 + 24 * tan4);
+    const XIIA = secLat / (5040 * Math.pow(nu, 7)) * (61 + 662 * tan2 + 1320 * tan4 + 720 * tan6);
+    const dE = easting - E0;
+
+    return {
+        lat: lat - VII * dE * dE + VIII * Math.pow(dE, 4) - IX * Math.pow(dE, 6),
+        lon: lon0 + X * dE - XI * Math.pow(dE, 3) + XII * Math.pow(dE, 5) - XIIA * Math.pow(dE, 7)
+    };
+}
+
+function osgb36ToGrid({ lat, lon }) {
+    const { a, b } = AIRY_1830;
+    const { F0, lon0, N0, E0 } = NATIONAL_GRID;
+    const e2 = 1 - (b * b) / (a * a);
+    const sinLat = Math.sin(lat), cosLat = Math.cos(lat), tanLat = Math.tan(lat);
+    const nu = a * F0 / Math.sqrt(1 - e2 * sinLat * sinLat);
+    const rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sinLat * sinLat, 1.5);
+    const eta2 = nu / rho - 1;
+    const tan2 = tanLat * tanLat, tan4 = tan2 * tan2;
+    const cos3 = Math.pow(cosLat, 3), cos5 = Math.pow(cosLat, 5);
+    const I = meridionalArc(lat) + N0;
+    const II = nu / 2 * sinLat * cosLat;
+    const III = nu / 24 * sinLat * cos3 * (5 - tan2 + 9 * eta2);
+    const IIIA = nu / 720 * sinLat * cos5 * (61 - 58 * tan2 + tan4);
+    const IV = nu * cosLat;
+    const V = nu / 6 * cos3 * (nu / rho - tan2);
+    const VI = nu / 120 * cos5 * (5 - 18 * tan2 + tan4 + 14 * eta2 - 58 * tan2 * eta2);
+    const dLon = lon - lon0;
+
+    return {
+        easting: E0 + IV * dLon + V * Math.pow(dLon, 3) + VI * Math.pow(dLon, 5),
+        northing: I + II * dLon * dLon + III * Math.pow(dLon, 4) + IIIA * Math.pow(dLon, 6)
+    };
+}
+
+function toCartesian({ lat, lon }, { a, b }) {
+    const e2 = 1 - (b * b) / (a * a);
+    const nu = a / Math.sqrt(1 - e2 * Math.sin(lat) * Math.sin(lat));
+    return {
+        x: nu * Math.cos(lat) * Math.cos(lon),
+        y: nu * Math.cos(lat) * Math.sin(lon),
+        z: (1 - e2) * nu * Math.sin(lat)
+    };
+}
+
+function fromCartesian({ x, y, z }, { a, b }) {
+    const e2 = 1 - (b * b) / (a * a);
+    const p = Math.sqrt(x * x + y * y);
+    let lat = Math.atan2(z, p * (1 - e2));
+    for (let i = 0; i < 10; i++) {
+        const nu = a / Math.sqrt(1 - e2 * Math.sin(lat) * Math.sin(lat));
+        lat = Math.atan2(z + e2 * nu * Math.sin(lat), p);
+    }
+    return { lat, lon: Math.atan2(y, x) };
+}
+
+// direction 1 applies OSGB36_TO_WGS84; -1 applies its (small-angle) inverse
+function helmert(c, direction) {
+    const arcSecToRad = Math.PI / (180 * 3600);
+    const [tx, ty, tz, s] = ['tx', 'ty', 'tz', 's'].map(key => OSGB36_TO_WGS84[key] * direction);
+    const [rX, rY, rZ] = ['rx', 'ry', 'rz'].map(key => OSGB36_TO_WGS84[key] * arcSecToRad * direction);
+    return {
+        x: tx + (1 + s) * c.x - rZ * c.y + rY * c.z,
+        y: ty + rZ * c.x + (1 + s) * c.y - rX * c.z,
+        z: tz - rY * c.x + rX * c.y + (1 + s) * c.z
+    };
+}
+
+function osGridToWgs84(easting, northing) {
+    const c = toCartesian(gridToOsgb36(easting, northing), AIRY_1830);
+    const { lat, lon } = fromCartesian(helmert(c, 1), WGS84);
+    return { latitude: lat * 180 / Math.PI, longitude: lon * 180 / Math.PI };
+}
+
+function wgs84ToOsGrid(latitude, longitude) {
+    const c = toCartesian({ lat: latitude * Math.PI / 180, lon: longitude * Math.PI / 180 }, WGS84);
+    return osgb36ToGrid(fromCartesian(helmert(c, -1), AIRY_1830));
+}
+
+// =====================================================================
+// --- Local CSV Geocoder (ONSPD / Code-Point Open) ---
+// =====================================================================
+
+const POSTCODE_COLUMNS = ['pcds', 'pcd', 'pcd7', 'pcd8', 'postcode'];
+const LATITUDE_COLUMNS = ['lat', 'latitude'];
+const LONGITUDE_COLUMNS = ['long', 'lon', 'lng', 'longitude'];
+const EASTING_COLUMNS = ['oseast1m', 'eastings', 'easting'];
+const NORTHING_COLUMNS = ['osnrth1m', 'northings', 'northing'];
+// Code-Point Open CSVs have no header row: Postcode, Positional_quality_indicator, Eastings, Northings, ...
+const CODE_POINT_OPEN_LAYOUT = { postcode: 0, easting: 2, northing: 3 };
+
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') { current += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else current += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields;
+}
+
+function detectCsvLayout(firstRow) {
+    const header = firstRow.map(field => field.trim().toLowerCase());
+    const find = (names) => header.findIndex(column => names.includes(column));
+    const postcode = find(POSTCODE_COLUMNS);
+    if (postcode === -1) return { ...CODE_POINT_OPEN_LAYOUT, hasHeader: false };
+    return {
+        hasHeader: true,
+        postcode,
+        latitude: find(LATITUDE_COLUMNS),
+        longitude: find(LONGITUDE_COLUMNS),
+        easting: find(EASTING_COLUMNS),
+        northing: find(NORTHING_COLUMNS)
+    };
+}
+
+function readRowCoords(fields, layout) {
+    if (layout.latitude >= 0 && layout.longitude >= 0) {
+        const latitude = parseFloat(fields[layout.latitude]);
+        const longitude = parseFloat(fields[layout.longitude]);
+        // ONSPD uses 99.999999 for postcodes without a grid reference
+        if (!isNaN(latitude) && !isNaN(longitude) && Math.abs(latitude) <= 90) return { latitude, longitude };
+    }
+    if (layout.easting >= 0 && layout.northing >= 0) {
+        const easting = parseFloat(fields[layout.easting]);
+        const northing = parseFloat(fields[layout.northing]);
+        if (!isNaN(easting) && !isNaN(northing) && (easting > 0 || northing > 0)) return osGridToWgs84(easting, northing);
+    }
+    return null;
+}
+
+async function loadPostcodeCsv(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Postcode CSV file not found: ${filePath}`);
+    }
+    const startTime = Date.now();
+    console.log(`Backend: Loading postcode CSV ${filePath}...`);
+
+    const postcodes = new Map(); // compact postcode -> { latitude, longitude, postcode }
+    let layout = null;
+    let skipped = 0;
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const fields = splitCsvLine(line);
+        if (!layout) {
+            layout = detectCsvLayout(fields);
+            if (layout.hasHeader) continue;
+        }
+        const compact = compactPostcode(fields[layout.postcode]);
+        const coords = compact ? readRowCoords(fields, layout) : null;
+        if (!coords) { skipped++; continue; }
+        postcodes.set(compact, { ...coords, postcode: normalisePostcode(compact) });
+    }
+    if (postcodes.size === 0) {
+        throw new Error(`No usable postcode rows found in ${filePath}.`);
+    }
+    console.log(`Backend: Loaded ${postcodes.size} postcodes (${skipped} rows skipped) in ${Date.now() - startTime}ms.`);
+    return buildPostcodeIndex(postcodes);
+}
+
+// Full-postcode map plus outward/sector centroids and a sorted key list for prefix search
+function buildPostcodeIndex(postcodes) {
+    const outwardSums = new Map();
+    const sectorSums = new Map();
+    const addTo = (sums, key, coords) => {
+        const sum = sums.get(key) || { latitude: 0, longitude: 0, count: 0 };
+        sum.latitude += coords.latitude;
+        sum.longitude += coords.longitude;
+        sum.count++;
+        sums.set(key, sum);
+    };
+    postcodes.forEach((coords, compact) => {
+        const match = FULL_POSTCODE_REGEX.exec(compact);
+        if (!match) return;
+        addTo(outwardSums, match[1], coords);
+        addTo(sectorSums, `${match[1]} ${match[2][0]}`, coords);
+    });
+    const toCentroids = (sums) => {
+        const centroids = new Map();
+        sums.forEach((sum, key) => centroids.set(key, { latitude: sum.latitude / sum.count, longitude: sum.longitude / sum.count }));
+        return centroids;
+    };
+    return {
+        postcodes,
+        outwards: toCentroids(outwardSums),
+        sectors: toCentroids(sectorSums),
+        sortedKeys: [...postcodes.keys()].sort()
+    };
+}
+
+function findByPrefix(index, prefix) {
+    const keys = index.sortedKeys;
+    let low = 0, high = keys.length;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (keys[mid] < prefix) low = mid + 1;
+        else high = mid;
+    }
+    const matches = [];
+    for (let i = low; i < keys.length && keys[i].startsWith(prefix) && matches.length < MAX_PARTIAL_MATCHES; i++) {
+        matches.push(index.postcodes.get(keys[i]));
+    }
+    return matches;
+}
+
+function createCsvGeocoder(filePath) {
+    let indexPromise = null;
+
+    async function lookup(postcode) {
+        if (!indexPromise) {
+            indexPromise = loadPostcodeCsv(filePath).catch(error => {
+                indexPromise = null; // Allow a retry after fixing the file
+                throw error;
+            });
+        }
+        const index = await indexPromise;
+        const query = parsePostcodeQuery(postcode);
+        if (!query) throw new Error("Postcode lookup failed: No postcode provided");
+        console.log(`Backend: Looking up ${query.type} "${query.display}" in local postcode index`);
+
+        let result = null;
+        if (query.type === 'postcode') {
+            const entry = index.postcodes.get(query.compact);
+            if (entry) result = { ...entry, precision: 'postcode' };
+        } else if (query.type === 'sector') {
+            const centroid = index.sectors.get(query.display);
+            if (centroid) result = { ...centroid, postcode: query.display, precision: 'sector' };
+        } else if (query.type === 'outward') {
+            const centroid = index.outwards.get(query.compact);
+            if (centroid) result = { ...centroid, postcode: query.display, precision: 'outward' };
+        }
+        // Partial inward codes ("SW1A 0A") are resolved by prefix search; a prefix search for an
+        // unknown outward code would wrongly match longer ones ("M2" -> "M21"), so it is not used there
+        if (!result && query.type === 'partial') {
+            result = averageMatches(findByPrefix(index, query.compact), query);
+        }
+        if (!result) {
+            throw new Error(`Postcode lookup failed: Postcode not found`);
+        }
+        console.log(`Backend: Postcode lookup successful for ${result.postcode} (${result.precision})`);
+        return result;
+    }
+
+    return { name: 'csv', lookup };
+}
+
+// --- Factory: pick a geocoder from configuration ---
+// type: 'postcodes_io' | 'csv'. Defaults to csv when a CSV file is configured.
+function createGeocoder({ type, csvFile } = {}) {
+    const selected = type || (csvFile ? 'csv' : 'postcodes_io');
+    if (selected === 'csv') {
+        if (!csvFile) throw new Error("The csv geocoder needs POSTCODE_CSV_FILE to be set.");
+        return createCsvGeocoder(csvFile);
+    }
+    if (selected === 'postcodes_io') return createPostcodesIoGeocoder();
+    throw new Error(`Unknown geocoder "${selected}" (expected postcodes_io or csv).`);
+}
+
+module.exports = {
+    createGeocoder,
+    createPostcodesIoGeocoder,
+    createCsvGeocoder,
+    normalisePostcode,
+    parsePostcodeQuery,
+    osGridToWgs84,
+    wgs84ToOsGrid
+};
@@ -0,0 +1,363 @@
+// --- Tile-keyed cache for raw OSM elements and built graphs ---
+// Raw Overpass elements are stored per slippy-map tile so nearby searches can
+// reuse most of their data; built graphs are stored per (routing profile, tile range), and
+// named landmark features and green/water areas per tile range.
+// Both layers share one TTL and one approximate memory budget with LRU eviction.
+// Entries hold promises, so concurrent requests for the same key share one fetch/build.
+
+const routing = require('./routing');
+const landmarks = require('./landmarks');
+const scenic = require('./scenic');
+const compactGraph = require('./compact_graph');
+
+const TILE_ZOOM = 14; // ~1.5 km tiles at UK latitudes
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const DEGRADED_GRAPH_TTL_MS = 2 * 60 * 1000; // Graphs built without green/water areas (their fetch failed)
+
+// Rough per-object sizes used to keep the cache under its memory cap
+const BYTES_PER_NODE = 80;
+const BYTES_PER_WAY = 100;
+const BYTES_PER_WAY_NODE_REF = 8;
+const BYTES_PER_GRAPH_NODE = 60;
+const BYTES_PER_GRAPH_EDGE = 250;
+const BYTES_PER_COMPACT_NODE = 140; // Typed arrays, search scratch space and the id -> index map
+const BYTES_PER_COMPACT_EDGE = 24;
+const BYTES_PER_FEATURE = 150;
+const BYTES_PER_TAG_SET = 200; // Way/node tags kept with a graph for route reports
+const BYTES_PER_SCENIC_POINT = 40; // Green/water outline coordinates (also held by the graph's scenic index)
+
+// --- Tile Helpers ---
+function lonToTileX(lon, zoom) {
+    return Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
+}
+
+function latToTileY(lat, zoom) {
+    const latRad = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * Math.pow(2, zoom));
+}
+
+function tileXToLon(x, zoom) {
+    return x / Math.pow(2, zoom) * 360 - 180;
+}
+
+function tileYToLat(y, zoom) {
+    const n = Math.PI - 2 * Math.PI * y / Math.pow(2, zoom);
+    return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+}
+
+// bbox is [west, south, east, north]; returns the covering tile range
+function getTileRange(bbox, zoom = TILE_ZOOM) {
+    return {
+        zoom,
+        minX: lonToTileX(bbox[0], zoom),
+        maxX: lonToTileX(bbox[2], zoom),
+        minY: latToTileY(bbox[3], zoom), // Tile y grows southwards
+        maxY: latToTileY(bbox[1], zoom)
+    };
+}
+
+function getTileRangeBbox({ zoom, minX, maxX, minY, maxY }) {
+    return [tileXToLon(minX, zoom), tileYToLat(maxY + 1, zoom), tileXToLon(maxX + 1, zoom), tileYToLat(minY, zoom)];
+}
+
+function listTiles(range) {
+    const tiles = [];
+    for (let x = range.minX; x <= range.maxX; x++) {
+        for (let y = range.minY; y <= range.maxY; y++) {
+            tiles.push({ zoom: range.zoom, x, y, key: `${range.zoom}/${x}/${y}` });
+        }
+    }
+    return tiles;
+}
+
+// --- Helper: Bounding tile range of a list of tiles ---
+function getRangeOfTiles(tiles) {
+    return {
+        zoom: tiles[0].zoom,
+        minX: Math.min(...tiles.map(t => t.x)),
+        maxX: Math.max(...tiles.map(t => t.x)),
+        minY: Math.min(...tiles.map(t => t.y)),
+        maxY: Math.max(...tiles.map(t => t.y))
+    };
+}
+
+// --- Helper: Split a fetched element list into per-tile element lists ---
+// Each way goes to every requested tile it touches, together with all of its nodes,
+// so any union of tiles contains complete ways.
+function splitElementsIntoTiles(elements, tiles) {
+    const zoom = tiles[0].zoom;
+    const wanted = new Map(tiles.map(t => [t.key, { nodes: new Map(), ways: [] }]));
+    const nodesById = new Map();
+    elements.forEach(element => {
+        if (element.type === 'node') nodesById.set(element.id, element);
+    });
+
+    elements.forEach(element => {
+        if (element.type !== 'way' || !Array.isArray(element.nodes)) return;
+        const touchedTiles = new Set();
+        element.nodes.forEach(nodeId => {
+            const node = nodesById.get(nodeId);
+            if (!node) return;
+            const key = `${zoom}/${lonToTileX(node.lon, zoom)}/${latToTileY(node.lat, zoom)}`;
+            if (wanted.has(key)) touchedTiles.add(key);
+        });
+        touchedTiles.forEach(key => {
+            const tile = wanted.get(key);
+            tile.ways.push(element);
+            element.nodes.forEach(nodeId => {
+                const node = nodesById.get(nodeId);
+                if (node) tile.nodes.set(nodeId, node);
+            });
+        });
+    });
+
+    const result = new Map();
+    wanted.forEach((tile, key) => {
+        result.set(key, [...tile.nodes.values(), ...tile.ways]);
+    });
+    return result;
+}
+
+// --- Helper: Merge per-tile element lists, dropping duplicates ---
+function mergeTileElements(elementLists) {
+    const seen = new Map(); // element key -> index in elements
+    const elements = [];
+    elementLists.forEach(list => {
+        list.forEach(element => {
+            const id = `${element.type}/${element.id}`;
+            if (seen.has(id)) {
+                // Tile queries return a tagged node (e.g. a kerb) in full in one tile and only
+                // as a bare way node in its neighbour; keep the tagged copy
+                const index = seen.get(id);
+                if (element.tags && !elements[index].tags) elements[index] = element;
+                return;
+            }
+            seen.set(id, elements.length);
+            elements.push(element);
+        });
+    });
+    return elements;
+}
+
+function estimateElementsSize(elements) {
+    let bytes = 0;
+    elements.forEach(element => {
+        if (element.type === 'way') {
+            bytes += BYTES_PER_WAY + (element.nodes ? element.nodes.length * BYTES_PER_WAY_NODE_REF : 0);
+        } else {
+            bytes += BYTES_PER_NODE;
+        }
+    });
+    return bytes;
+}
+
+function estimateGraphSize(graphData) {
+    let bytes = 0;
+    Object.values(graphData.graph).forEach(edges => {
+        bytes += BYTES_PER_GRAPH_NODE + BYTES_PER_COMPACT_NODE + edges.length * (BYTES_PER_GRAPH_EDGE + BYTES_PER_COMPACT_EDGE);
+    });
+    bytes += ((graphData.wayTags ? graphData.wayTags.size : 0) + Object.keys(graphData.nodeTags || {}).length) * BYTES_PER_TAG_SET;
+    return bytes + Object.keys(graphData.nodes).length * BYTES_PER_NODE;
+}
+
+// --- Cache Factory ---
+// options.fetchOsmData(bbox) must resolve to { elements: [...] } (defaults to Overpass).
+// options.fetchNamedFeatures(bbox) must resolve to [{ id, name, type, lat, lon }] (defaults to Overpass).
+// options.fetchScenicAreas(bbox) must resolve to [{ id, type, polygons, lines }] (defaults to Overpass).
+function createGraphCache(options = {}) {
+    const ttlMs = options.ttlMs || 60 * 60 * 1000;
+    const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    const fetchOsmData = options.fetchOsmData || routing.fetchOsmDataInBbox;
+    const fetchNamedFeatures = options.fetchNamedFeatures || landmarks.fetchNamedFeaturesInBbox;
+    const fetchScenicAreas = options.fetchScenicAreas || scenic.fetchScenicAreasInBbox;
+
+    // Map preserves insertion order; re-inserting on access keeps the LRU entry first
+    const entries = new Map(); // key -> { kind, value, bytes, expiresAt }
+    let totalBytes = 0;
+    const stats = {
+        tiles: { hits: 0, misses: 0 },
+        graphs: { hits: 0, misses: 0 },
+        features: { hits: 0, misses: 0 },
+        scenic: { hits: 0, misses: 0 },
+        evictions: 0,
+        expirations: 0
+    };
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return;
+        totalBytes -= entry.bytes;
+        entries.delete(key);
+    };
+
+    const getEntry = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            remove(key);
+            stats.expirations++;
+            return null;
+        }
+        entries.delete(key);
+        entries.set(key, entry); // Mark as most recently used
+        return entry.value;
+    };
+
+    // entryTtlMs: a shorter lifetime than the cache's ttlMs (e.g. for a degraded graph)
+    const setEntry = (key, kind, value, bytes, entryTtlMs = ttlMs) => {
+        remove(key);
+        entries.set(key, { kind, value, bytes, expiresAt: Date.now() + entryTtlMs });
+        totalBytes += bytes;
+        // Evict least recently used entries until under the cap (never the entry just added)
+        for (const oldestKey of entries.keys()) {
+            if (totalBytes <= maxBytes || oldestKey === key) break;
+            remove(oldestKey);
+            stats.evictions++;
+        }
+        if (totalBytes > maxBytes) {
+            console.warn(`Backend: Cache entry ${key} alone exceeds the cache cap (${bytes} > ${maxBytes} bytes).`);
+        }
+    };
+
+    // Cache the pending promise from build() under key so concurrent callers share it; its size
+    // and lifetime are set once it resolves, and a rejected build is removed so the next call retries.
+    // entryTtlMs(value): the lifetime for a resolved value (defaults to the cache's ttlMs)
+    const setPending = (key, kind, build, sizeOf, entryTtlMs = () => ttlMs) => {
+        const pending = build().then(value => {
+            if (entries.has(key) && entries.get(key).value === pending) {
+                setEntry(key, kind, pending, sizeOf(value), entryTtlMs(value));
+            }
+            return value;
+        }, error => {
+            if (entries.has(key) && entries.get(key).value === pending) remove(key);
+            throw error;
+        });
+        setEntry(key, kind, pending, 0);
+        return pending;
+    };
+
+    // Get raw OSM elements covering bbox, fetching only the tiles not already cached
+    async function getOsmElements(bbox) {
+        const tiles = listTiles(getTileRange(bbox));
+        const tileElements = new Map();
+        const missingTiles = [];
+        tiles.forEach(tile => {
+            const cached = getEntry(`tile:${tile.key}`);
+            if (cached) {
+                stats.tiles.hits++;
+                tileElements.set(tile.key, cached);
+            } else {
+                stats.tiles.misses++;
+                missingTiles.push(tile);
+            }
+        });
+        console.log(`Backend: Cache has ${tiles.length - missingTiles.length}/${tiles.length} tiles for bbox.`);
+
+        if (missingTiles.length > 0) {
+            // One request for the rectangle covering all missing tiles
+            const fetchBbox = getTileRangeBbox(getRangeOfTiles(missingTiles));
+            const fetchedTiles = fetchOsmData(fetchBbox).then(osmData => splitElementsIntoTiles(osmData.elements, missingTiles));
+            missingTiles.forEach(tile => {
+                tileElements.set(tile.key, setPending(`tile:${tile.key}`, 'tile', () => fetchedTiles.then(byTile => byTile.get(tile.key)), estimateElementsSize));
+            });
+        }
+
+        return { elements: mergeTileElements(await Promise.all(tileElements.values())) };
+    }
+
+    // Get { graph, nodes } for bbox built with a routing profile (cached per profile name).
+    // onStage(stage, details) is told when map data is ready ('osm_fetched') on a cache miss.
+    // A graph built without green/water areas (their fetch failed) has warnings: [message] and
+    // is only cached for DEGRADED_GRAPH_TTL_MS, so the areas are tried again soon.
+    // A call made while the same graph is being built waits for that build (without onStage calls).
+    async function getGraph(bbox, profile, onStage = () => {}) {
+        const range = getTileRange(bbox);
+        const graphKey = `graph:${profile.name}:${range.zoom}/${range.minX}-${range.maxX}/${range.minY}-${range.maxY}`;
+        const cached = getEntry(graphKey);
+        if (cached) {
+            stats.graphs.hits++;
+            console.log(`Backend: Graph cache hit for ${graphKey}.`);
+            return cached;
+        }
+        stats.graphs.misses++;
+        console.log(`Backend: Graph cache miss for ${graphKey}. Building graph...`);
+        return setPending(graphKey, 'graph', () => buildGraph(bbox, profile, onStage), estimateGraphSize,
+            graphData => (graphData.warnings.length === 0 ? ttlMs : Math.min(ttlMs, DEGRADED_GRAPH_TTL_MS)));
+    }
+
+    async function buildGraph(bbox, profile, onStage) {
+        const osmData = await getOsmElements(bbox);
+        if (osmData.elements.length === 0) throw new Error("No map features found.");
+        onStage('osm_fetched', { elements: osmData.elements.length });
+        // Green/water areas only refine costs and reports, so a failed fetch does not stop routing
+        let scenicAreas = null;
+        try {
+            scenicAreas = await getScenicAreas(bbox);
+        } catch (scenicError) {
+            console.warn(`Backend: Could not fetch green/water areas (${scenicError.message}). Building graph without them.`);
+        }
+        const graphData = routing.buildGraphData(osmData, profile, scenicAreas);
+        graphData.warnings = scenicAreas ? [] : ["Green space and water data could not be loaded, so walks are not weighted by them and have no green %."];
+        // Build the compact search copy now so cache hits do not pay for it inside a route search
+        compactGraph.getCompactGraph(graphData.graph, graphData.nodes);
+        return graphData;
+    }
+
+    // Get named landmark features for the tile range covering bbox
+    async function getFeatures(bbox) {
+        const range = getTileRange(bbox);
+        const featureKey = `features:${range.zoom}/${range.minX}-${range.maxX}/${range.minY}-${range.maxY}`;
+        const cached = getEntry(featureKey);
+        if (cached) {
+            stats.features.hits++;
+            return cached;
+        }
+        stats.features.misses++;
+        return setPending(featureKey, 'features', () => fetchNamedFeatures(getTileRangeBbox(range)), features => features.length * BYTES_PER_FEATURE);
+    }
+
+    // Get green space and water areas for the tile range covering bbox
+    async function getScenicAreas(bbox) {
+        const range = getTileRange(bbox);
+        const scenicKey = `scenic:${range.zoom}/${range.minX}-${range.maxX}/${range.minY}-${range.maxY}`;
+        const cached = getEntry(scenicKey);
+        if (cached) {
+            stats.scenic.hits++;
+            return cached;
+        }
+        stats.scenic.misses++;
+        return setPending(scenicKey, 'scenic', () => fetchScenicAreas(getTileRangeBbox(range)), areas => {
+            let points = 0;
+            areas.forEach(area => [...area.polygons, ...area.lines].forEach(line => { points += line.length; }));
+            return points * BYTES_PER_SCENIC_POINT;
+        });
+    }
+
+    function getStats() {
+        const entryCounts = { tile: 0, graph: 0, features: 0, scenic: 0 };
+        entries.forEach(entry => { entryCounts[entry.kind]++; });
+        return {
+            ...stats,
+            tiles: { ...stats.tiles, entries: entryCounts.tile },
+            graphs: { ...stats.graphs, entries: entryCounts.graph },
+            features: { ...stats.features, entries: entryCounts.features },
+            scenic: { ...stats.scenic, entries: entryCounts.scenic },
+            approxBytes: totalBytes,
+            maxBytes,
+            ttlMs
+        };
+    }
+
+    function clear() {
+        entries.clear();
+        totalBytes = 0;
+    }
+
+    return { getOsmElements, getGraph, getFeatures, getScenicAreas, getStats, clear };
+}
+
+module.exports = {
+    createGraphCache,
+    getTileRange,
+    getTileRangeBbox
+};
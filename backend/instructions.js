@@ -0,0 +1,211 @@
+// --- Turn-by-turn Instructions ---
+// Turns a route's segments into walking directions: consecutive segments on the same way are
+// merged, the angle at each change of way becomes a left/right/slight/sharp/U-turn, unnamed
+// paths are described from their highway tag and surroundings, nearby named features are
+// mentioned at decision points, and round trips get a turnaround marker at their furthest point.
+
+const turf = require('@turf/turf');
+
+const MIN_INSTRUCTION_DISTANCE = 10; // Runs shorter than this are folded into the next one
+const STRAIGHT_MAX_ANGLE = 20;
+const SLIGHT_MAX_ANGLE = 45;
+const NORMAL_MAX_ANGLE = 135;
+const SHARP_MAX_ANGLE = 165; // Anything sharper is a U-turn
+const DECISION_FEATURE_RADIUS = 60; // Named features this close to a turn are used as cues
+const SURROUNDING_FEATURE_RADIUS = 200; // Parks/water this close to an unnamed path describe it
+const UNNAMED_WAY_PATTERN = /^Way \d+$/; // buildGraph's placeholder for ways without a name
+
+// How unnamed ways are described, by highway tag
+const HIGHWAY_DESCRIPTIONS = {
+    footway: 'the footpath', path: 'the path', pedestrian: 'the pedestrian street',
+    track: 'the track', bridleway: 'the bridleway', cycleway: 'the cycle path',
+    steps: 'the steps', living_street: 'the lane', residential: 'the residential street',
+    service: 'the service road', unclassified: 'the road', tertiary: 'the road'
+};
+const SURROUNDING_PREPOSITIONS = { park: 'through', garden: 'through', water: 'along' };
+
+// --- Helpers ---
+function isNamedWay(wayName) {
+    return !!wayName && !UNNAMED_WAY_PATTERN.test(wayName);
+}
+
+function roundDistance(meters) {
+    return meters < 100 ? Math.round(meters) : Math.round(meters / 10) * 10;
+}
+
+function normaliseAngle(degrees) {
+    let angle = degrees % 360;
+    if (angle > 180) angle -= 360;
+    if (angle <= -180) angle += 360;
+    return angle;
+}
+
+// Bearing of the first/last piece of a segment's geometry
+function getSegmentBearing(segment, atEnd) {
+    const geometry = segment.geometry;
+    const [from, to] = atEnd ? geometry.slice(-2) : geometry.slice(0, 2);
+    return turf.bearing(turf.point(from), turf.point(to));
+}
+
+// Signed change of direction from one segment to the next (negative = left)
+function getTurnAngle(incoming, outgoing) {
+    return normaliseAngle(getSegmentBearing(outgoing, false) - getSegmentBearing(incoming, true));
+}
+
+// Returns { turn, verb } for an angle; turn is null for straight on
+function classifyTurn(angle) {
+    const magnitude = Math.abs(angle);
+    const side = angle < 0 ? 'left' : 'right';
+    if (magnitude < STRAIGHT_MAX_ANGLE) return { turn: null, verb: 'Continue onto' };
+    if (magnitude < SLIGHT_MAX_ANGLE) return { turn: `slight ${side}`, verb: `Bear ${side} onto` };
+    if (magnitude < NORMAL_MAX_ANGLE) return { turn: side, verb: `Turn ${side} onto` };
+    if (magnitude < SHARP_MAX_ANGLE) return { turn: `sharp ${side}`, verb: `Turn sharp ${side} onto` };
+    return { turn: 'u-turn', verb: 'Make a U-turn onto' };
+}
+
+function findNearestFeature(features, [lon, lat], maxDistance, types = null) {
+    let nearest = null;
+    const point = turf.point([lon, lat]);
+    (features || []).forEach(feature => {
+        if (feature.type === 'street' || (types && !types.includes(feature.type))) return;
+        const distance = turf.distance(point, turf.point([feature.lon, feature.lat]), { units: 'meters' });
+        if (distance <= maxDistance && (!nearest || distance < nearest.distance)) nearest = { ...feature, distance };
+    });
+    return nearest;
+}
+
+// --- Group segments into runs along one way ---
+// A new run starts when the name changes; unnamed ways also split at a different way that
+// bends away, so "the footpath" does not silently swallow a junction.
+function buildRuns(segments) {
+    const runs = [];
+    segments.forEach((segment, index) => {
+        const named = isNamedWay(segment.wayName);
+        const last = runs[runs.length - 1];
+        let sameWay = false;
+        // Doubling back along the same way is still a U-turn worth telling the walker about
+        const angle = last ? Math.abs(getTurnAngle(segments[index - 1], segment)) : 0;
+        if (last && angle < SHARP_MAX_ANGLE) {
+            if (named || last.named) {
+                sameWay = named && last.named && last.wayName === segment.wayName;
+            } else {
+                sameWay = last.wayId === segment.wayId || (last.highwayTag === segment.highwayTag && angle < STRAIGHT_MAX_ANGLE);
+            }
+        }
+        if (sameWay) {
+            last.segments.push(segment);
+            last.distance += segment.length;
+            last.wayId = segment.wayId;
+        } else {
+            runs.push({
+                named, wayName: segment.wayName, wayId: segment.wayId, highwayTag: segment.highwayTag,
+                segments: [segment], distance: segment.length
+            });
+        }
+    });
+
+    // Fold very short runs (kinks at junctions, crossings) into the following run
+    const merged = [];
+    runs.forEach((run, index) => {
+        const next = runs[index + 1];
+        if (run.distance < MIN_INSTRUCTION_DISTANCE && next) {
+            next.segments.unshift(...run.segments);
+            next.distance += run.distance;
+        } else {
+            merged.push(run);
+        }
+    });
+    return merged;
+}
+
+// "Baker Street", or "the footpath through Hyde Park" for unnamed ways
+function describeRun(run, features) {
+    if (run.named) return run.wayName;
+    const base = HIGHWAY_DESCRIPTIONS[run.highwayTag] || 'the path';
+    const middle = run.segments[Math.floor(run.segments.length / 2)].geometry[0];
+    const surrounding = findNearestFeature(features, middle, SURROUNDING_FEATURE_RADIUS, Object.keys(SURROUNDING_PREPOSITIONS));
+    return surrounding ? `${base} ${SURROUNDING_PREPOSITIONS[surrounding.type]} ${surrounding.name}` : base;
+}
+
+// Index of the segment whose end is furthest (straight line) from the start
+function findTurnaroundSegmentIndex(segments) {
+    const start = turf.point(segments[0].geometry[0]);
+    let bestIndex = 0;
+    let bestDistance = -1;
+    segments.forEach((segment, index) => {
+        const end = segment.geometry[segment.geometry.length - 1];
+        const distance = turf.distance(start, turf.point(end), { units: 'meters' });
+        if (distance > bestDistance) {
+            bestDistance = distance;
+            bestIndex = index;
+        }
+    });
+    return { index: bestIndex, distanceFromStart: bestDistance };
+}
+
+// --- Main Export ---
+// options: { walkType, features } where features are named OSM features ({ name, type, lat, lon }).
+// Returns [{ type, action, text, turn, wayName, distance, distanceFromStart, lat, lon }] where type is
+// 'depart' | 'turn' | 'continue' | 'turnaround' | 'arrive', action is the short manoeuvre
+// ("Turn left onto Baker Street") and text adds the distance to walk.
+function generateInstructions(route, options = {}) {
+    const { walkType, features = [] } = options;
+    const segments = (route && route.segments || []).filter(s => Array.isArray(s.geometry) && s.geometry.length >= 2);
+    if (segments.length === 0) return [];
+
+    const runs = buildRuns(segments);
+    const turnaround = walkType === 'round_trip' ? findTurnaroundSegmentIndex(segments) : null;
+    const instructions = [];
+    let distanceFromStart = 0;
+    let segmentIndex = 0;
+
+    runs.forEach((run, runIndex) => {
+        const [lon, lat] = run.segments[0].geometry[0];
+        const description = describeRun(run, features);
+        const distanceText = `for approx. ${roundDistance(run.distance)}m`;
+        let instruction;
+        if (runIndex === 0) {
+            instruction = { type: 'depart', turn: null, action: `Start on ${description}` };
+        } else {
+            const { turn, verb } = classifyTurn(getTurnAngle(runs[runIndex - 1].segments.slice(-1)[0], run.segments[0]));
+            const cue = findNearestFeature(features, [lon, lat], DECISION_FEATURE_RADIUS);
+            const cueText = cue ? ` by ${cue.name}` : '';
+            instruction = { type: turn ? 'turn' : 'continue', turn, action: `${verb} ${description}${cueText}` };
+        }
+        instructions.push({
+            ...instruction, text: `${instruction.action} and walk ${distanceText}`,
+            wayName: run.named ? run.wayName : null, distance: run.distance, distanceFromStart, lat, lon
+        });
+
+        // Turnaround marker after the instruction for the run that contains it
+        const runEndIndex = segmentIndex + run.segments.length - 1;
+        if (turnaround && turnaround.index >= segmentIndex && turnaround.index <= runEndIndex && turnaround.index < segments.length - 1) {
+            const turnaroundSegment = segments[turnaround.index];
+            const [turnLon, turnLat] = turnaroundSegment.geometry[turnaroundSegment.geometry.length - 1];
+            const walkedSoFar = distanceFromStart + run.segments.slice(0, turnaround.index - segmentIndex + 1).reduce((total, s) => total + s.length, 0);
+            const cue = findNearestFeature(features, [turnLon, turnLat], DECISION_FEATURE_RADIUS);
+            const action = `Turnaround point${cue ? ` near ${cue.name}` : ''}`;
+            instructions.push({
+                type: 'turnaround', turn: null, action, wayName: run.named ? run.wayName : null,
+                text: `${action}: the furthest point of the walk, ${roundDistance(turnaround.distanceFromStart)}m from the start. From here you head back.`,
+                distance: 0, distanceFromStart: walkedSoFar, lat: turnLat, lon: turnLon
+            });
+        }
+        distanceFromStart += run.distance;
+        segmentIndex += run.segments.length;
+    });
+
+    const lastSegment = segments[segments.length - 1];
+    const [endLon, endLat] = lastSegment.geometry[lastSegment.geometry.length - 1];
+    const arrivalText = walkType === 'round_trip' ? 'You are back at the start.' : 'You have reached your destination.';
+    instructions.push({
+        type: 'arrive', turn: null, action: arrivalText, text: arrivalText,
+        wayName: null, distance: 0, distanceFromStart, lat: endLat, lon: endLon
+    });
+    return instructions;
+}
+
+module.exports = {
+    generateInstructions,
+    classifyTurn
+};
@@ -0,0 +1,43 @@
+// --- JSON File Store: one JSON document on disk, read once and rewritten on change ---
+// Used by the account store. The file is read on first use (a missing file
+// means createEmpty()) and every write replaces it via a temp file + rename; writes are
+// queued so concurrent changes cannot interleave.
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonFileStore(filePath, createEmpty) {
+    let loadPromise = null;
+    let writeQueue = Promise.resolve();
+
+    // Resolves to the document; the same object every time, so changes to it are kept
+    function read() {
+        if (!loadPromise) {
+            loadPromise = fs.promises.readFile(filePath, 'utf8')
+                .then(text => ({ ...createEmpty(), ...JSON.parse(text) }))
+                .catch(error => {
+                    if (error.code === 'ENOENT') return createEmpty();
+                    loadPromise = null; // Retry on the next request rather than overwrite a file we could not read
+                    throw new Error(`Could not read ${filePath}: ${error.message}`);
+                });
+        }
+        return loadPromise;
+    }
+
+    function write(data) {
+        const written = writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempFile = `${filePath}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify(data));
+            await fs.promises.rename(tempFile, filePath);
+        });
+        writeQueue = written.catch(() => {}); // A failed write must not block the ones after it
+        return written;
+    }
+
+    return { read, write };
+}
+
+module.exports = {
+    createJsonFileStore
+};
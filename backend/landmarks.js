@@ -0,0 +1,238 @@
+// --- Landmark Resolution ---
+// Resolves LLM waypoint names against named OSM features (parks, churches, water,
+// amenities, streets...) fetched for the same bounding box as the walk graph, with
+// fuzzy name matching and a distance limit. An external geocoder (Nominatim,
+// bounded to the search area) is only used when explicitly enabled as a fallback.
+
+const axios = require('axios');
+const turf = require('@turf/turf');
+
+const OVERPASS_API_URL = 'https://overpass-api.de/api/interpreter';
+const NOMINATIM_SEARCH_URL = 'https://nominatim.openstreetmap.org/search';
+const NOMINATIM_USER_AGENT = 'PostcodeWalker/1.0 (github.com/Joeckick/postcode-walker)';
+const MIN_MATCH_SCORE = 0.55; // Combined name similarity needed to accept a feature
+const TYPE_MATCH_BONUS = 0.1;
+const EXPECTED_POSITION_WEIGHT = 0.15; // How much the LLM's rough bearing/distance can move the score
+
+// --- OSM tag -> waypoint type (same vocabulary as llm_concepts WAYPOINT_TYPES) ---
+// Checked in order; the first matching rule wins.
+const FEATURE_RULES = [
+    { type: 'park', key: 'leisure', values: ['park', 'common', 'recreation_ground', 'nature_reserve', 'playground'] },
+    { type: 'garden', key: 'leisure', values: ['garden'] },
+    { type: 'park', key: 'landuse', values: ['forest', 'recreation_ground', 'village_green', 'meadow', 'cemetery'] },
+    { type: 'park', key: 'natural', values: ['wood', 'heath', 'grassland'] },
+    { type: 'water', key: 'natural', values: ['water', 'beach', 'coastline'] },
+    { type: 'water', key: 'waterway', values: ['river', 'canal', 'stream', 'dock'] },
+    { type: 'church', key: 'amenity', values: ['place_of_worship'] },
+    { type: 'church', key: 'building', values: ['church', 'cathedral', 'chapel', 'mosque', 'synagogue', 'temple'] },
+    { type: 'viewpoint', key: 'tourism', values: ['viewpoint'] },
+    { type: 'landmark', key: 'tourism', values: ['attraction', 'museum', 'gallery', 'artwork', 'zoo', 'theme_park'] },
+    { type: 'historic', key: 'historic', values: null }, // Any historic=* value
+    { type: 'amenity', key: 'amenity', values: ['cafe', 'pub', 'restaurant', 'library', 'theatre', 'cinema', 'marketplace', 'fountain', 'arts_centre', 'townhall'] },
+    { type: 'landmark', key: 'bridge', values: null },
+    { type: 'shop', key: 'shop', values: null }
+];
+
+// Returns the waypoint type for a tag set, or null if the feature is not interesting
+function classifyFeature(tags) {
+    if (!tags || !tags.name) return null;
+    for (const rule of FEATURE_RULES) {
+        const value = tags[rule.key];
+        if (value && value !== 'no' && (!rule.values || rule.values.includes(value))) return rule.type;
+    }
+    return null;
+}
+
+// --- Overpass: named features in a bbox ---
+function buildFeatureQuery(bboxString) {
+    const clauses = FEATURE_RULES.map(rule => {
+        const valueFilter = rule.values ? `~"^(${rule.values.join('|')})$"` : '';
+        return `nwr["name"]["${rule.key}"${valueFilter}](${bboxString});`;
+    });
+    return `
+        [out:json][timeout:60];
+        (
+          ${clauses.join('\n          ')}
+        );
+        out center tags;
+    `;
+}
+
+async function fetchNamedFeaturesInBbox(bbox) {
+    if (!bbox || bbox.length !== 4) {
+        throw new Error("Invalid bounding box provided to fetchNamedFeaturesInBbox.");
+    }
+    const bboxString = `${bbox[1]},${bbox[0]},${bbox[3]},${bbox[2]}`; // Overpass format: south,west,north,east
+    console.log(`Backend: Fetching named OSM features within bbox: ${bboxString}`);
+    try {
+        const response = await axios.post(OVERPASS_API_URL, `data=${encodeURIComponent(buildFeatureQuery(bboxString))}`, {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        const elements = response.data?.elements;
+        if (!Array.isArray(elements)) {
+            throw new Error("Received invalid feature data structure from Overpass API.");
+        }
+        const features = [];
+        elements.forEach(element => {
+            const type = classifyFeature(element.tags);
+            const lat = element.lat ?? element.center?.lat;
+            const lon = element.lon ?? element.center?.lon;
+            if (type && typeof lat === 'number' && typeof lon === 'number') {
+                features.push({ id: `${element.type}/${element.id}`, name: element.tags.name, type, lat, lon });
+            }
+        });
+        console.log(`Backend: Received ${features.length} named features.`);
+        return features;
+    } catch (error) {
+        console.error("Backend: Error fetching named features:", error.response ? error.response.data : error.message);
+        throw new Error(`Fetching named features failed: ${error.response?.data?.error || error.message}`);
+    }
+}
+
+// --- Street "features" from the walk graph itself (for waypoints of type street) ---
+function buildStreetFeatures(graph, nodes) {
+    const streets = new Map(); // wayName -> { latSum, lonSum, count }
+    Object.entries(graph).forEach(([nodeId, edges]) => {
+        const node = nodes[nodeId];
+        if (!node) return;
+        edges.forEach(edge => {
+            // buildGraph falls back to "Way <id>" for unnamed ways - those are not real names
+            if (!edge.wayName || /^Way \d+$/.test(edge.wayName)) return;
+            const entry = streets.get(edge.wayName) || { latSum: 0, lonSum: 0, count: 0, wayId: edge.wayId };
+            entry.latSum += node.lat;
+            entry.lonSum += node.lon;
+            entry.count++;
+            streets.set(edge.wayName, entry);
+        });
+    });
+    return [...streets.entries()].map(([name, entry]) => ({
+        id: `way/${entry.wayId}`, name, type: 'street',
+        lat: entry.latSum / entry.count, lon: entry.lonSum / entry.count
+    }));
+}
+
+// --- Fuzzy name matching ---
+const NAME_REPLACEMENTS = [
+    [/&/g, ' and '],
+    [/\bst\b\.?(?=\s+[a-z])/g, 'saint'], // "St James's" ~ "Saint James's", but leave "Baker St" alone
+    [/['’]s\b/g, 's'],
+    [/\bthe\b/g, ' ']
+];
+
+function normaliseName(name) {
+    let normalised = String(name || '').toLowerCase();
+    NAME_REPLACEMENTS.forEach(([pattern, replacement]) => { normalised = normalised.replace(pattern, replacement); });
+    return normalised.replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function bigrams(text) {
+    const grams = new Map();
+    const compact = text.replace(/ /g, '');
+    for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+// Sørensen–Dice similarity on character bigrams, boosted when one name contains the other
+function nameSimilarity(a, b) {
+    const na = normaliseName(a);
+    const nb = normaliseName(b);
+    if (!na || !nb) return 0;
+    if (na === nb) return 1;
+    const gramsA = bigrams(na);
+    const gramsB = bigrams(nb);
+    let overlap = 0, totalA = 0, totalB = 0;
+    gramsA.forEach((count, gram) => { totalA += count; overlap += Math.min(count, gramsB.get(gram) || 0); });
+    gramsB.forEach(count => { totalB += count; });
+    const dice = totalA + totalB > 0 ? (2 * overlap) / (totalA + totalB) : 0;
+    // "Green Park" vs "The Green Park" or "Regent's Canal" vs "Regent's Canal Towpath"
+    // Only for multi-word names, so a bare "Park" does not match every park
+    const shorter = na.length <= nb.length ? na : nb;
+    const longer = shorter === na ? nb : na;
+    const contained = shorter.includes(' ') && (` ${longer} `).includes(` ${shorter} `);
+    return contained ? Math.max(dice, 0.85) : dice;
+}
+
+// --- Nominatim fallback (bounded to the search area, never a hardcoded city) ---
+async function geocodeWithNominatim(name, bbox) {
+    const params = new URLSearchParams({
+        q: name, format: 'json', limit: '1', bounded: '1',
+        viewbox: `${bbox[0]},${bbox[3]},${bbox[2]},${bbox[1]}` // left,top,right,bottom
+    });
+    const url = `${NOMINATIM_SEARCH_URL}?${params.toString()}`;
+    console.log(`   Nominatim fallback URL: ${url}`);
+    const response = await axios.get(url, { headers: { 'User-Agent': NOMINATIM_USER_AGENT } });
+    const result = response.data?.[0];
+    if (!result || !result.lat || !result.lon) return null;
+    return { lat: parseFloat(result.lat), lon: parseFloat(result.lon), matchedName: result.display_name };
+}
+
+// --- Main Export: resolve one waypoint to coordinates ---
+// options: { features, startCoords: { latitude, longitude }, maxDistanceMeters, bbox, externalFallback }
+// Resolves to { name, matchedName, type, lat, lon, distanceFromStart, score, source } or null.
+async function resolveLandmark(waypoint, options) {
+    const { features, startCoords, maxDistanceMeters, bbox, externalFallback } = options;
+    const startPoint = turf.point([startCoords.longitude, startCoords.latitude]);
+
+    // Where the LLM roughly expected the waypoint to be (if it told us)
+    let expectedPoint = null;
+    if (typeof waypoint.approxBearingDeg === 'number' && typeof waypoint.approxDistanceM === 'number') {
+        expectedPoint = turf.destination(startPoint, waypoint.approxDistanceM, waypoint.approxBearingDeg, { units: 'meters' });
+    }
+
+    let best = null;
+    for (const feature of features) {
+        const similarity = nameSimilarity(waypoint.name, feature.name);
+        if (similarity < MIN_MATCH_SCORE - TYPE_MATCH_BONUS) continue;
+        const featurePoint = turf.point([feature.lon, feature.lat]);
+        const distanceFromStart = turf.distance(startPoint, featurePoint, { units: 'meters' });
+        if (distanceFromStart > maxDistanceMeters) continue;
+
+        let score = similarity;
+        if (waypoint.type && waypoint.type === feature.type) score += TYPE_MATCH_BONUS;
+        if (expectedPoint) {
+            // 0 penalty at the expected spot, full penalty at maxDistance away from it
+            const offset = turf.distance(expectedPoint, featurePoint, { units: 'meters' });
+            score -= EXPECTED_POSITION_WEIGHT * Math.min(offset / maxDistanceMeters, 1);
+        }
+        if (score < MIN_MATCH_SCORE) continue;
+        // Prefer higher scores; among equal scores prefer the closer feature
+        if (!best || score > best.score || (score === best.score && distanceFromStart < best.distanceFromStart)) {
+            best = {
+                name: waypoint.name, matchedName: feature.name, type: feature.type,
+                lat: feature.lat, lon: feature.lon, distanceFromStart, score, source: 'osm'
+            };
+        }
+    }
+    if (best) {
+        console.log(`   Resolved "${waypoint.name}" to OSM feature "${best.matchedName}" (${best.type}, score ${best.score.toFixed(2)}, ${best.distanceFromStart.toFixed(0)}m from start)`);
+        return best;
+    }
+
+    if (externalFallback === 'nominatim' && bbox) {
+        try {
+            const geocoded = await geocodeWithNominatim(waypoint.name, bbox);
+            if (geocoded) {
+                const distanceFromStart = turf.distance(startPoint, turf.point([geocoded.lon, geocoded.lat]), { units: 'meters' });
+                if (distanceFromStart <= maxDistanceMeters) {
+                    console.log(`   Resolved "${waypoint.name}" via Nominatim (${distanceFromStart.toFixed(0)}m from start)`);
+                    return { name: waypoint.name, type: waypoint.type, ...geocoded, distanceFromStart, score: null, source: 'nominatim' };
+                }
+            }
+        } catch (error) {
+            console.warn(`   Nominatim fallback failed for "${waypoint.name}": ${error.message}`);
+        }
+    }
+    console.log(`   Could not resolve "${waypoint.name}" within ${maxDistanceMeters.toFixed(0)}m of the start.`);
+    return null;
+}
+
+module.exports = {
+    classifyFeature,
+    fetchNamedFeaturesInBbox,
+    buildStreetFeatures,
+    nameSimilarity,
+    resolveLandmark
+};
@@ -0,0 +1,144 @@
+// --- LLM Walk Concepts: prompt, JSON schema validation and retry ---
+// Concepts are requested as JSON so each one carries explicit waypoints:
+// { name, description, waypoints: [{ name, type, approxBearingDeg?, approxDistanceM? }] }
+
+const MAX_CONCEPTS = 3;
+const MAX_WAYPOINTS_PER_CONCEPT = 6;
+const WAYPOINT_TYPES = ['park', 'garden', 'water', 'church', 'historic', 'landmark', 'amenity', 'shop', 'street', 'viewpoint', 'other'];
+
+// Schema shown to the model (kept in sync with validateConcepts below)
+const CONCEPT_SCHEMA_TEXT = `{
+  "concepts": [
+    {
+      "name": "string - short, appealing name/theme",
+      "description": "string - one or two sentences highlighting key features",
+      "waypoints": [
+        {
+          "name": "string - the real name of a place on or near the walk, e.g. \\"St James's Park\\"",
+          "type": "one of ${WAYPOINT_TYPES.map(t => `\\"${t}\\"`).join(', ')}",
+          "approxBearingDeg": "optional number 0-360 - rough compass direction from the start",
+          "approxDistanceM": "optional number - rough straight-line distance from the start in metres"
+        }
+      ]
+    }
+  ]
+}`;
+
+function buildConceptPrompt({ postcode, distanceKm, walkType, destination = null }) {
+    const destinationLine = destination ? `The walk must finish at ${destination}; choose waypoints on the way there.` : '';
+    return `
+        You are suggesting walking routes for someone who has just moved to a new area.
+        They want interesting and varied walks starting near the postcode ${postcode}.
+        The desired total distance is approximately ${distanceKm} km.
+        The walk type should be ${walkType === 'one_way' ? 'one way' : 'a round trip'}.
+        ${destinationLine}
+
+        Suggest THREE distinct walk CONCEPTS or THEMES that are significantly different from each other.
+        For each concept list 1-${MAX_WAYPOINTS_PER_CONCEPT} named waypoints (real parks, churches, rivers, streets,
+        landmarks...) in the order they should be visited, all within walking range of the start.
+
+        Do NOT provide turn-by-turn directions.
+        Respond with ONLY a JSON object matching this schema, with no markdown or commentary:
+        ${CONCEPT_SCHEMA_TEXT}
+    `;
+}
+
+function buildRetryPrompt(originalPrompt, previousResponse, errorMessage) {
+    return `${originalPrompt}
+
+        Your previous response could not be used: ${errorMessage}
+        Previous response (first 500 characters): ${String(previousResponse).substring(0, 500)}
+        Reply again with ONLY valid JSON matching the schema above.
+    `;
+}
+
+// --- Helper: Pull the JSON object out of a response (tolerates ``` fences and stray prose) ---
+function extractJson(text) {
+    if (typeof text !== 'string' || !text.trim()) throw new Error("Response was empty.");
+    const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+    const candidate = fenced ? fenced[1] : text;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new Error("Response did not contain a JSON object.");
+    try {
+        return JSON.parse(candidate.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`Response was not valid JSON (${error.message}).`);
+    }
+}
+
+function validateWaypoint(waypoint) {
+    if (!waypoint || typeof waypoint.name !== 'string' || !waypoint.name.trim()) return null;
+    const type = typeof waypoint.type === 'string' ? waypoint.type.trim().toLowerCase() : 'other';
+    const validated = { name: waypoint.name.trim(), type: WAYPOINT_TYPES.includes(type) ? type : 'other' };
+    const bearing = Number(waypoint.approxBearingDeg);
+    if (waypoint.approxBearingDeg !== undefined && Number.isFinite(bearing) && bearing >= 0 && bearing <= 360) {
+        validated.approxBearingDeg = bearing;
+    }
+    const distance = Number(waypoint.approxDistanceM);
+    if (waypoint.approxDistanceM !== undefined && Number.isFinite(distance) && distance > 0) {
+        validated.approxDistanceM = distance;
+    }
+    return validated;
+}
+
+// Returns the valid concepts; throws if none are usable so the caller can retry
+function validateConcepts(data) {
+    const rawConcepts = Array.isArray(data) ? data : data?.concepts;
+    if (!Array.isArray(rawConcepts)) throw new Error('JSON must have a "concepts" array.');
+
+    const concepts = [];
+    rawConcepts.forEach((concept, index) => {
+        if (!concept || typeof concept.name !== 'string' || !concept.name.trim()) {
+            console.warn(`   Skipping concept ${index + 1}: missing "name".`);
+            return;
+        }
+        const waypoints = (Array.isArray(concept.waypoints) ? concept.waypoints : [])
+            .map(validateWaypoint)
+            .filter(Boolean)
+            .slice(0, MAX_WAYPOINTS_PER_CONCEPT);
+        concepts.push({
+            name: concept.name.trim(),
+            description: typeof concept.description === 'string' ? concept.description.trim() : '',
+            waypoints
+        });
+    });
+    if (concepts.length === 0) throw new Error("No concept had a valid name.");
+    return concepts.slice(0, MAX_CONCEPTS);
+}
+
+function parseLlmConcepts(llmText) {
+    console.log("Parsing LLM response...");
+    const concepts = validateConcepts(extractJson(llmText));
+    concepts.forEach(concept => {
+        console.log(`   Parsed Concept: Name="${concept.name}", Waypoints=[${concept.waypoints.map(w => w.name).join(', ')}]`);
+    });
+    console.log(`Parsed ${concepts.length} concepts from LLM response.`);
+    return concepts;
+}
+
+// --- Main Export: Ask the provider for concepts, retrying once on malformed output ---
+// Resolves to an array of 0-3 validated concepts; an empty array means "use fallback routes".
+async function requestWalkConcepts(llmProvider, params) {
+    const prompt = buildConceptPrompt(params);
+    let responseText = await llmProvider.generateText(prompt, { json: true });
+    try {
+        return parseLlmConcepts(responseText);
+    } catch (firstError) {
+        console.warn(`LLM concepts were malformed (${firstError.message}). Retrying once...`);
+        try {
+            responseText = await llmProvider.generateText(buildRetryPrompt(prompt, responseText, firstError.message), { json: true });
+            return parseLlmConcepts(responseText);
+        } catch (secondError) {
+            console.warn(`LLM concepts still unusable after retry (${secondError.message}). Falling back.`);
+            return [];
+        }
+    }
+}
+
+module.exports = {
+    WAYPOINT_TYPES,
+    buildConceptPrompt,
+    parseLlmConcepts,
+    requestWalkConcepts
+};
@@ -0,0 +1,125 @@
+// --- LLM Providers ---
+// Every provider exposes { name, generateText(prompt, options) } resolving to the raw response text.
+// options.json asks the provider to use its native JSON output mode where it has one.
+// The provider is chosen by configuration (see createLlmProvider); without one the
+// server still runs and serves fallback-only routes.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-1.5-pro-latest';
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1'; // Local Ollama's OpenAI-compatible API
+const DEFAULT_OPENAI_MODEL = 'llama3.1';
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, 'fixtures', 'llm_concepts.json');
+const LLM_REQUEST_TIMEOUT_MS = 60000;
+
+// --- Google Gemini ---
+function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL }) {
+    if (!apiKey) throw new Error("The gemini LLM provider needs GOOGLE_API_KEY to be set.");
+    // Required lazily so the other providers work without the Gemini client installed
+    const { GoogleGenerativeAI } = require("@google/generative-ai");
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const textModel = genAI.getGenerativeModel({ model });
+    const jsonModel = genAI.getGenerativeModel({ model, generationConfig: { responseMimeType: 'application/json' } });
+
+    async function generateText(prompt, options = {}) {
+        const generativeModel = options.json ? jsonModel : textModel;
+        const result = await generativeModel.generateContent(prompt);
+        const response = result.response;
+        if (!response || !response.text) {
+            if (response && response.promptFeedback) {
+                console.warn("Prompt Feedback:", JSON.stringify(response.promptFeedback, null, 2));
+            }
+            throw new Error("Gemini did not return any text.");
+        }
+        return response.text();
+    }
+
+    return { name: `gemini (${model})`, generateText };
+}
+
+// --- OpenAI-compatible chat completions endpoint (OpenAI, Ollama, llama.cpp server, ...) ---
+function createOpenAiCompatibleProvider({ baseUrl = DEFAULT_OPENAI_BASE_URL, apiKey, model = DEFAULT_OPENAI_MODEL }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function generateText(prompt, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        const body = { model, messages: [{ role: 'user', content: prompt }] };
+        if (options.json) body.response_format = { type: 'json_object' };
+        try {
+            const response = await axios.post(url, body, { headers, timeout: LLM_REQUEST_TIMEOUT_MS });
+            const text = response.data?.choices?.[0]?.message?.content;
+            if (!text) throw new Error("Response contained no message content.");
+            return text;
+        } catch (error) {
+            throw new Error(`OpenAI-compatible LLM request to ${url} failed: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    return { name: `openai (${model} @ ${baseUrl})`, generateText };
+}
+
+// --- Canned responses for tests and offline development ---
+// The fixture file is a JSON array of response strings (or { "responses": [...] }).
+// Responses are returned in order and repeat once exhausted, so runs are deterministic.
+function createFixtureProvider({ responses, file = DEFAULT_FIXTURE_FILE } = {}) {
+    let scripted = responses;
+    if (!scripted) {
+        if (!fs.existsSync(file)) throw new Error(`LLM fixture file not found: ${file}`);
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        scripted = Array.isArray(parsed) ? parsed : parsed.responses;
+    }
+    if (!Array.isArray(scripted) || scripted.length === 0) {
+        throw new Error("The fixture LLM provider needs at least one scripted response.");
+    }
+    let callCount = 0;
+
+    async function generateText() {
+        const response = scripted[callCount % scripted.length];
+        callCount++;
+        return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    return { name: 'fixture', generateText };
+}
+
+// --- Factory: pick a provider from configuration ---
+// provider: 'gemini' | 'openai' | 'fixture' | 'none'. Defaults to gemini when a Google key is
+// available and to no provider (null) otherwise.
+function createLlmProvider(config = {}) {
+    const selected = config.provider || (config.googleApiKey ? 'gemini' : 'none');
+    switch (selected) {
+        case 'gemini':
+            return createGeminiProvider({ apiKey: config.googleApiKey, model: config.model });
+        case 'openai':
+            return createOpenAiCompatibleProvider({ baseUrl: config.openAiBaseUrl, apiKey: config.openAiApiKey, model: config.model });
+        case 'fixture':
+            return createFixtureProvider({ file: config.fixtureFile });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown LLM provider "${selected}" (expected gemini, openai, fixture or none).`);
+    }
+}
+
+// --- Read provider configuration from environment variables ---
+function getLlmConfigFromEnv(env = process.env) {
+    return {
+        provider: env.LLM_PROVIDER,
+        model: env.LLM_MODEL,
+        googleApiKey: env.GOOGLE_API_KEY,
+        openAiBaseUrl: env.OPENAI_BASE_URL,
+        openAiApiKey: env.OPENAI_API_KEY,
+        fixtureFile: env.LLM_FIXTURE_FILE ? path.resolve(__dirname, '..', env.LLM_FIXTURE_FILE) : undefined
+    };
+}
+
+module.exports = {
+    createLlmProvider,
+    getLlmConfigFromEnv,
+    createGeminiProvider,
+    createOpenAiCompatibleProvider,
+    createFixtureProvider
+};
@@ -0,0 +1,264 @@
+// --- Loop Generator: seeded via-point walks ---
+// Replaces the old exhaustive DFS. Each candidate walk is a small polygon of via-points laid
+// out around a circle (round trips) or towards a bearing (one-way walks), sized from the
+// target distance; consecutive via-points are joined with the compact graph's A*, penalising
+// edges the walk already uses, and dead-end spurs where two legs meet are trimmed. A walk that misses
+// the target length is rescaled from its measured length and retried.
+//
+// All randomness comes from a seeded generator and the graph is visited in a fixed order, so a
+// given seed always gives the same walks. Searches also stop when the time budget runs out;
+// the walks found so far are returned (only then can the output differ between runs).
+
+const turf = require('@turf/turf');
+const compactGraph = require('./compact_graph');
+
+const DEFAULT_TIME_BUDGET_MS = 1500; // Searches stop after this long, keeping what they found
+const DEFAULT_LENGTH_TOLERANCE = 0.15; // Accept walks within +/- 15% of the target
+const INITIAL_DETOUR_FACTOR = 1.3; // Walked distance / straight-line distance, refined as walks are found
+const ATTEMPTS_PER_WALK = 4; // Directions tried per requested walk before giving up
+const RESCALE_ATTEMPTS = 2; // Retries of one direction with a corrected size
+const REUSE_PENALTY_FACTOR = 10; // Cost multiplier for edges the walk already uses
+const MAX_SELF_OVERLAP = 0.3; // Reject walks that retrace more than 30% of their length
+const MAX_WALK_OVERLAP = 0.5; // ...or share more than half their edges with an earlier walk
+const MAX_SEARCH_EXPANSIONS = 300000; // Safety cap per leg search
+const GOLDEN_ANGLE = 137.508; // Spreads successive directions evenly around the compass
+const GRID_CELL_DEGREES = 0.002; // ~220m x 140m cells for snapping via-points to the graph
+const MAX_SNAP_RINGS = 10;
+const METERS_PER_DEGREE = 111320;
+
+// --- Seeded random numbers (mulberry32) ---
+function createSeededRandom(seed) {
+    let state = (Number(seed) >>> 0) || 1;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// --- Grid of compact node indices for snapping via-points, built once per compact graph ---
+const snapGrids = new WeakMap();
+
+function getSnapGrid(compact) {
+    let cells = snapGrids.get(compact);
+    if (cells) return cells;
+    cells = new Map();
+    for (let i = 0; i < compact.nodeCount; i++) {
+        if (compact.offsets[i] === compact.offsets[i + 1]) continue; // No edges to walk from
+        const key = `${Math.floor(compact.lon[i] / GRID_CELL_DEGREES)}:${Math.floor(compact.lat[i] / GRID_CELL_DEGREES)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+    }
+    snapGrids.set(compact, cells);
+    return cells;
+}
+
+// Fast equirectangular distance in metres (plenty accurate over a walk)
+function approxDistance(a, b) {
+    const x = (b.lon - a.lon) * Math.cos(((a.lat + b.lat) / 2) * Math.PI / 180);
+    const y = b.lat - a.lat;
+    return Math.sqrt(x * x + y * y) * METERS_PER_DEGREE;
+}
+
+// Nearest walkable node index to a point, searching outwards ring by ring through the grid
+function snapToGraph(compact, point) {
+    const cells = getSnapGrid(compact);
+    const cellX = Math.floor(point.lon / GRID_CELL_DEGREES);
+    const cellY = Math.floor(point.lat / GRID_CELL_DEGREES);
+    let best = null;
+    for (let ring = 0; ring <= MAX_SNAP_RINGS; ring++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+            for (let dy = -ring; dy <= ring; dy++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+                (cells.get(`${cellX + dx}:${cellY + dy}`) || []).forEach(index => {
+                    const distance = approxDistance(point, { lat: compact.lat[index], lon: compact.lon[index] });
+                    if (!best || distance < best.distance) best = { index, distance };
+                });
+            }
+        }
+        // Anything in a further ring is at least `ring` cells away
+        if (best && best.distance < ring * GRID_CELL_DEGREES * METERS_PER_DEGREE * 0.6) break;
+    }
+    return best ? best.index : -1;
+}
+
+function edgeKey(a, b) {
+    return a < b ? `${a}_${b}` : `${b}_${a}`;
+}
+
+// Drop immediate back-tracking (A -> B -> A), e.g. a dead end leading to a via-point
+function removeSpurs(segments) {
+    const kept = [];
+    segments.forEach(segment => {
+        const last = kept[kept.length - 1];
+        if (last && last.startNodeId === segment.endNodeId && last.endNodeId === segment.startNodeId) kept.pop();
+        else kept.push(segment);
+    });
+    return kept;
+}
+
+function buildWalk(startNodeId, segments) {
+    return {
+        length: segments.reduce((total, s) => total + s.length, 0),
+        cost: segments.reduce((total, s) => total + s.cost, 0),
+        path: [startNodeId, ...segments.map(s => s.endNodeId)],
+        segments
+    };
+}
+
+// Share of the walk's length spent on edges it has already walked
+function getSelfOverlap(walk) {
+    const seen = new Set();
+    let repeated = 0;
+    walk.segments.forEach(segment => {
+        const key = edgeKey(segment.startNodeId, segment.endNodeId);
+        if (seen.has(key)) repeated += segment.length;
+        seen.add(key);
+    });
+    return walk.length > 0 ? repeated / walk.length : 0;
+}
+
+function getEdgeSet(walk) {
+    return new Set(walk.segments.map(s => edgeKey(s.startNodeId, s.endNodeId)));
+}
+
+function destinationPoint(origin, distance, bearing) {
+    const [lon, lat] = turf.destination(turf.point([origin.lon, origin.lat]), distance, bearing, { units: 'meters' }).geometry.coordinates;
+    return { lat, lon };
+}
+
+// --- Shapes: via-points for one attempt, plus their straight-line perimeter per unit scale ---
+// Round trip: a regular polygon inscribed in a circle through the start, with 2-3 jittered
+// corners. One-way: an end point along the bearing with one via-point pushed sideways.
+function buildShape(random, roundTrip, bearing) {
+    if (roundTrip) {
+        const corners = random() < 0.5 ? 2 : 3;
+        const step = 360 / (corners + 1);
+        const vias = [];
+        for (let i = 1; i <= corners; i++) {
+            vias.push({
+                angle: bearing + 180 + i * step + (random() - 0.5) * step * 0.3,
+                radius: 0.85 + random() * 0.3
+            });
+        }
+        // Perimeter of the regular polygon through the start for a circle of radius 1
+        return { roundTrip, bearing, vias, unitPerimeter: 2 * (corners + 1) * Math.sin(Math.PI / (corners + 1)) };
+    }
+    const sideways = (random() - 0.5) * 0.5; // Up to a quarter of the distance either side
+    return { roundTrip, bearing, sideways, unitPerimeter: 2 * Math.sqrt(0.25 + sideways * sideways) };
+}
+
+function getShapePoints(shape, start, scale) {
+    if (shape.roundTrip) {
+        const centre = destinationPoint(start, scale, shape.bearing);
+        return shape.vias.map(via => destinationPoint(centre, scale * via.radius, via.angle));
+    }
+    const middle = destinationPoint(start, scale / 2, shape.bearing);
+    const via = destinationPoint(middle, Math.abs(shape.sideways) * scale, shape.bearing + (shape.sideways < 0 ? -90 : 90));
+    return [via, destinationPoint(start, scale, shape.bearing)];
+}
+
+// Routes start -> vias (-> start); null if a via cannot be snapped or reached in time
+function routeShape(compact, startIndex, points, roundTrip, deadline, costFactors) {
+    const stops = [startIndex];
+    for (const point of points) {
+        const index = snapToGraph(compact, point);
+        if (index === -1) return null;
+        if (index !== stops[stops.length - 1]) stops.push(index);
+    }
+    if (roundTrip) stops.push(startIndex);
+    if (stops.length < 2) return null;
+
+    const usedEdges = new Uint8Array(compact.edgeCount);
+    const edges = [];
+    for (let i = 1; i < stops.length; i++) {
+        const leg = compactGraph.findPathAStar(compact, stops[i - 1], stops[i], {
+            penalisedEdges: usedEdges, penaltyFactor: REUSE_PENALTY_FACTOR, costFactors, deadline, maxExpansions: MAX_SEARCH_EXPANSIONS
+        });
+        if (!leg.edges) return null;
+        compactGraph.markPathEdges(compact, stops[i - 1], leg.edges, usedEdges);
+        edges.push(...leg.edges);
+    }
+    const segments = removeSpurs(compactGraph.buildRouteFromEdges(compact, startIndex, edges, costFactors).segments);
+    return segments.length > 0 ? buildWalk(compact.ids[startIndex], segments) : null;
+}
+
+// --- Main Export ---
+// options: { roundTrip = true, count = 4, seed = 1, bearing = null (spread around the compass),
+//            bearingSpread = 0 (one-way jitter around `bearing`), timeBudgetMs, tolerance,
+//            costFactors (compactGraph.createCostFactors) }
+// Returns up to `count` walks [{ length, cost, path, segments }] within the length tolerance.
+function generateWalks(graph, nodes, startNodeId, targetDistance, options = {}) {
+    const {
+        roundTrip = true, count = 4, seed = 1, bearing = null, bearingSpread = 0,
+        timeBudgetMs = DEFAULT_TIME_BUDGET_MS, tolerance = DEFAULT_LENGTH_TOLERANCE, costFactors = null
+    } = options;
+    const start = nodes[startNodeId];
+    if (!start || !graph[startNodeId] || !(targetDistance > 0)) {
+        console.error(`Backend: Cannot generate walks from node ${startNodeId} (missing from graph or bad distance).`);
+        return [];
+    }
+
+    const startTime = Date.now();
+    const deadline = startTime + timeBudgetMs;
+    const compact = compactGraph.getCompactGraph(graph, nodes);
+    const startIndex = compactGraph.findNodeIndex(compact, startNodeId);
+    const random = createSeededRandom(seed);
+    const firstBearing = bearing === null ? random() * 360 : bearing;
+    const maxAttempts = count * ATTEMPTS_PER_WALK;
+    let detourFactor = INITIAL_DETOUR_FACTOR;
+    const walks = [];
+    const walkEdgeSets = [];
+    let attempts = 0;
+    let searches = 0;
+
+    console.log(`Backend: Generating ${count} ${roundTrip ? 'round-trip' : 'one-way'} walks near ${targetDistance.toFixed(0)}m from node ${startNodeId} (seed ${seed}, budget ${timeBudgetMs}ms).`);
+    for (; attempts < maxAttempts && walks.length < count && Date.now() < deadline; attempts++) {
+        const attemptBearing = bearing === null
+            ? (firstBearing + attempts * GOLDEN_ANGLE) % 360
+            : firstBearing + (random() - 0.5) * 2 * bearingSpread;
+        const shape = buildShape(random, roundTrip, attemptBearing);
+        let scale = targetDistance / (detourFactor * shape.unitPerimeter);
+
+        for (let rescale = 0; rescale <= RESCALE_ATTEMPTS && Date.now() < deadline; rescale++) {
+            searches++;
+            const walk = routeShape(compact, startIndex, getShapePoints(shape, start, scale), roundTrip, deadline, costFactors);
+            if (!walk) break;
+            const ratio = walk.length / targetDistance;
+            if (Math.abs(ratio - 1) > tolerance) {
+                scale /= ratio; // Too long: shrink the shape, too short: grow it
+                continue;
+            }
+            // Learn how winding this network is, so later attempts start closer to the target
+            detourFactor = (detourFactor + walk.length / (scale * shape.unitPerimeter)) / 2;
+
+            if (getSelfOverlap(walk) > MAX_SELF_OVERLAP) break;
+            const edges = getEdgeSet(walk);
+            const tooSimilar = walkEdgeSets.some(other => {
+                let shared = 0;
+                edges.forEach(key => { if (other.has(key)) shared++; });
+                return shared / edges.size > MAX_WALK_OVERLAP;
+            });
+            if (!tooSimilar) {
+                walks.push(walk);
+                walkEdgeSets.push(edges);
+            }
+            break;
+        }
+    }
+
+    const elapsed = Date.now() - startTime;
+    if (Date.now() >= deadline && walks.length < count) {
+        console.warn(`Backend: Walk generation hit its ${timeBudgetMs}ms budget; returning ${walks.length} walks found so far.`);
+    }
+    console.log(`Backend: Generated ${walks.length} walks in ${elapsed}ms (${attempts} directions, ${searches} routings).`);
+    return walks;
+}
+
+module.exports = {
+    DEFAULT_TIME_BUDGET_MS,
+    createSeededRandom,
+    generateWalks
+};
@@ -0,0 +1,195 @@
+// --- Vector route map for PDFs ---
+// Draws the route geometry straight into a pdfkit document so exports do not
+// depend on the browser screenshotting Leaflet tiles.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const MAP_PADDING = 20; // Points of padding inside the map frame
+const ROUTE_COLOR = '#d62728';
+const ROUTE_WIDTH = 3;
+const FRAME_COLOR = '#999999';
+const BACKGROUND_COLOR = '#f7f7f2';
+const START_COLOR = '#2ca02c';
+const END_COLOR = '#1f4e79';
+const TICK_INTERVAL_METERS = 1000;
+const SCALE_BAR_STEPS = [50, 100, 200, 250, 500, 1000, 2000, 2500, 5000, 10000];
+
+// --- Helper: Flatten route segments into a single [lon, lat] line ---
+function getRouteLine(route) {
+    const line = [];
+    route.segments.forEach((segment, index) => {
+        const points = index === 0 ? segment.geometry : segment.geometry.slice(1);
+        points.forEach(coord => {
+            if (Array.isArray(coord) && coord.length === 2) line.push(coord);
+        });
+    });
+    return line;
+}
+
+// --- Helper: Local equirectangular projection to metres around the route centre ---
+function createProjection(line) {
+    const lats = line.map(c => c[1]);
+    const lons = line.map(c => c[0]);
+    const centreLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const centreLon = (Math.min(...lons) + Math.max(...lons)) / 2;
+    const cosLat = Math.cos(centreLat * Math.PI / 180);
+    const toRad = Math.PI / 180;
+    return (coord) => ({
+        x: (coord[0] - centreLon) * toRad * EARTH_RADIUS_METERS * cosLat,
+        y: (coord[1] - centreLat) * toRad * EARTH_RADIUS_METERS
+    });
+}
+
+// --- Helper: Fit projected metres into the frame (pdf y axis points down) ---
+function createViewport(projectedLine, box) {
+    const xs = projectedLine.map(p => p.x);
+    const ys = projectedLine.map(p => p.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const spanX = Math.max(maxX - minX, 1);
+    const spanY = Math.max(maxY - minY, 1);
+    const innerWidth = box.width - MAP_PADDING * 2;
+    const innerHeight = box.height - MAP_PADDING * 2;
+    const pointsPerMeter = Math.min(innerWidth / spanX, innerHeight / spanY);
+    const offsetX = box.x + MAP_PADDING + (innerWidth - spanX * pointsPerMeter) / 2;
+    const offsetY = box.y + MAP_PADDING + (innerHeight - spanY * pointsPerMeter) / 2;
+    return {
+        pointsPerMeter,
+        toPage: (p) => ({
+            x: offsetX + (p.x - minX) * pointsPerMeter,
+            y: offsetY + (maxY - p.y) * pointsPerMeter
+        })
+    };
+}
+
+// --- Helper: Points along the line every TICK_INTERVAL_METERS (in projected metres) ---
+function findDistanceTicks(projectedLine) {
+    const ticks = [];
+    let travelled = 0;
+    let nextTick = TICK_INTERVAL_METERS;
+    for (let i = 1; i < projectedLine.length; i++) {
+        const a = projectedLine[i - 1];
+        const b = projectedLine[i];
+        const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+        if (segmentLength === 0) continue;
+        while (travelled + segmentLength >= nextTick) {
+            const t = (nextTick - travelled) / segmentLength;
+            ticks.push({
+                km: nextTick / 1000,
+                point: { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t },
+                // Unit direction of travel, used to draw the tick perpendicular to the line
+                direction: { x: (b.x - a.x) / segmentLength, y: (b.y - a.y) / segmentLength }
+            });
+            nextTick += TICK_INTERVAL_METERS;
+        }
+        travelled += segmentLength;
+    }
+    return ticks;
+}
+
+function pickScaleBarLength(pointsPerMeter, maxWidthPoints) {
+    let best = SCALE_BAR_STEPS[0];
+    for (const step of SCALE_BAR_STEPS) {
+        if (step * pointsPerMeter <= maxWidthPoints) best = step;
+    }
+    return best;
+}
+
+// --- Drawing Helpers ---
+function drawMarker(doc, point, color, label) {
+    doc.save();
+    doc.circle(point.x, point.y, 6).lineWidth(1.5).fillAndStroke(color, '#ffffff');
+    doc.font('Helvetica-Bold').fontSize(8).fillColor(color)
+        .text(label, point.x + 8, point.y - 4, { lineBreak: false });
+    doc.restore();
+}
+
+function drawTicks(doc, ticks, viewport) {
+    doc.save();
+    ticks.forEach(tick => {
+        const centre = viewport.toPage(tick.point);
+        // Perpendicular in page space (page y is flipped relative to projected y)
+        const nx = tick.direction.y;
+        const ny = tick.direction.x;
+        doc.moveTo(centre.x - nx * 5, centre.y - ny * 5)
+            .lineTo(centre.x + nx * 5, centre.y + ny * 5)
+            .lineWidth(1.5).strokeColor('#000000').stroke();
+        doc.font('Helvetica').fontSize(7).fillColor('#000000')
+            .text(`${tick.km} km`, centre.x + nx * 7 + 2, centre.y + ny * 7 - 3, { lineBreak: false });
+    });
+    doc.restore();
+}
+
+function drawScaleBar(doc, box, pointsPerMeter) {
+    const lengthMeters = pickScaleBarLength(pointsPerMeter, box.width / 4);
+    const barWidth = lengthMeters * pointsPerMeter;
+    const x = box.x + 10;
+    const y = box.y + box.height - 14;
+    const label = lengthMeters >= 1000 ? `${lengthMeters / 1000} km` : `${lengthMeters} m`;
+
+    doc.save();
+    doc.rect(x, y, barWidth / 2, 4).fill('#000000');
+    doc.rect(x + barWidth / 2, y, barWidth / 2, 4).lineWidth(0.5).fillAndStroke('#ffffff', '#000000');
+    doc.font('Helvetica').fontSize(7).fillColor('#000000')
+        .text('0', x - 2, y - 9, { lineBreak: false })
+        .text(label, x + barWidth - 6, y - 9, { lineBreak: false });
+    doc.restore();
+}
+
+function drawNorthArrow(doc, box) {
+    const x = box.x + box.width - 16;
+    const y = box.y + 12;
+    doc.save();
+    doc.polygon([x, y], [x - 5, y + 14], [x, y + 10], [x + 5, y + 14]).fill('#000000');
+    doc.font('Helvetica-Bold').fontSize(7).fillColor('#000000').text('N', x - 2.5, y + 16, { lineBreak: false });
+    doc.restore();
+}
+
+// --- Main Export: Draw a route into the given box on the current page ---
+// box: { x, y, width, height } in PDF points.
+function drawRouteMap(doc, route, nodes, box) {
+    const line = getRouteLine(route);
+    if (line.length < 2) {
+        console.warn("Backend: Route has too few coordinates to render a map.");
+        return false;
+    }
+
+    // Prefer node coordinates for start/end markers (matches the frontend markers)
+    const startNode = nodes && route.path ? nodes[route.path[0]] : null;
+    const endNode = nodes && route.path ? nodes[route.path[route.path.length - 1]] : null;
+    const startCoord = startNode ? [startNode.lon, startNode.lat] : line[0];
+    const endCoord = endNode ? [endNode.lon, endNode.lat] : line[line.length - 1];
+
+    const project = createProjection(line);
+    const projectedLine = line.map(project);
+    const viewport = createViewport(projectedLine, box);
+    const pageLine = projectedLine.map(viewport.toPage);
+
+    doc.save();
+    doc.rect(box.x, box.y, box.width, box.height).fill(BACKGROUND_COLOR);
+    doc.rect(box.x, box.y, box.width, box.height).lineWidth(1).strokeColor(FRAME_COLOR).stroke();
+
+    doc.moveTo(pageLine[0].x, pageLine[0].y);
+    for (let i = 1; i < pageLine.length; i++) doc.lineTo(pageLine[i].x, pageLine[i].y);
+    doc.lineWidth(ROUTE_WIDTH).lineJoin('round').lineCap('round').strokeColor(ROUTE_COLOR).stroke();
+    doc.restore();
+
+    drawTicks(doc, findDistanceTicks(projectedLine), viewport);
+
+    const startPoint = viewport.toPage(project(startCoord));
+    const endPoint = viewport.toPage(project(endCoord));
+    const isLoop = Math.hypot(startPoint.x - endPoint.x, startPoint.y - endPoint.y) < 4;
+    if (isLoop) {
+        drawMarker(doc, startPoint, START_COLOR, 'Start / Finish');
+    } else {
+        drawMarker(doc, endPoint, END_COLOR, 'Finish');
+        drawMarker(doc, startPoint, START_COLOR, 'Start');
+    }
+
+    drawScaleBar(doc, box, viewport.pointsPerMeter);
+    drawNorthArrow(doc, box);
+    return true;
+}
+
+module.exports = {
+    drawRouteMap
+};
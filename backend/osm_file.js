@@ -0,0 +1,463 @@
+// --- Offline OSM data source ---
+// Loads a local OpenStreetMap extract (.osm XML or .osm.pbf) and serves bbox
+// queries in the same { elements: [...] } shape that Overpass returns, so it can
+// be used anywhere routing.fetchOsmDataInBbox is. Named landmark features from the
+// same file are served in the shape landmarks.fetchNamedFeaturesInBbox returns.
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { WALKABLE_HIGHWAY_TYPES } = require('./routing');
+const { isAccessibilityNode } = require('./accessibility');
+const { classifyFeature } = require('./landmarks');
+const { classifyScenicArea, isScenicLine, stitchRings } = require('./scenic');
+
+const WALKABLE_HIGHWAYS = new Set(WALKABLE_HIGHWAY_TYPES);
+
+function isWalkableWay(tags) {
+    return !!tags && WALKABLE_HIGHWAYS.has(tags.highway);
+}
+
+// =====================================================================
+// --- XML (.osm) Reader ---
+// =====================================================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+}
+
+function parseXmlAttributes(tagText) {
+    const attributes = {};
+    const attributeRegex = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attributeRegex.exec(tagText)) !== null) {
+        attributes[match[1]] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+// Streams the file and calls onNode(id, lat, lon, tags) / onWay(id, refs, tags).
+// Either callback may be null to skip that element type.
+async function readOsmXml(filePath, onNode, onWay) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 1024 * 1024 });
+    const tagRegex = /<(\/?)(node|way|nd|tag|relation)\b([^>]*?)(\/?)>/g;
+    let leftover = '';
+    let currentNode = null;
+    let currentWay = null;
+    let insideRelation = false;
+
+    for await (const chunk of stream) {
+        const text = leftover + chunk;
+        const lastClose = text.lastIndexOf('>');
+        const complete = text.slice(0, lastClose + 1);
+        leftover = text.slice(lastClose + 1);
+
+        tagRegex.lastIndex = 0;
+        let match;
+        while ((match = tagRegex.exec(complete)) !== null) {
+            const [, closing, name, body, selfClosing] = match;
+            if (name === 'relation') {
+                insideRelation = !closing && !selfClosing;
+                continue;
+            }
+            if (insideRelation) continue; // Relation members/tags are not needed
+
+            if (name === 'node') {
+                if (closing) {
+                    if (currentNode) onNode(currentNode.id, currentNode.lat, currentNode.lon, currentNode.tags);
+                    currentNode = null;
+                } else if (onNode) {
+                    const attrs = parseXmlAttributes(body);
+                    currentNode = { id: Number(attrs.id), lat: parseFloat(attrs.lat), lon: parseFloat(attrs.lon), tags: {} };
+                    if (selfClosing) {
+                        onNode(currentNode.id, currentNode.lat, currentNode.lon, currentNode.tags);
+                        currentNode = null;
+                    }
+                }
+            } else if (name === 'way') {
+                if (closing) {
+                    if (currentWay && onWay) onWay(currentWay.id, currentWay.refs, currentWay.tags);
+                    currentWay = null;
+                } else if (onWay) {
+                    currentWay = { id: Number(parseXmlAttributes(body).id), refs: [], tags: {} };
+                    if (selfClosing) {
+                        onWay(currentWay.id, currentWay.refs, currentWay.tags);
+                        currentWay = null;
+                    }
+                }
+            } else if (name === 'nd' && currentWay) {
+                currentWay.refs.push(Number(parseXmlAttributes(body).ref));
+            } else if (name === 'tag' && (currentWay || currentNode)) {
+                const attrs = parseXmlAttributes(body);
+                (currentWay || currentNode).tags[attrs.k] = attrs.v;
+            }
+        }
+    }
+}
+
+// =====================================================================
+// --- PBF (.osm.pbf) Reader ---
+// Minimal protobuf decoding of the OSM PBF format (raw and zlib blobs only).
+// =====================================================================
+
+// Protobuf cursor over a Buffer. 64-bit varints are decoded with float maths,
+// which is exact for OSM ids and coordinates (all below 2^53).
+function createProtoReader(buffer, start = 0, end = buffer.length) {
+    let pos = start;
+
+    const readVarint = () => {
+        let result = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            if (pos >= end) throw new Error("Truncated varint in PBF data.");
+            byte = buffer[pos++];
+            result += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return result;
+    };
+
+    const zigzag = (value) => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+    return {
+        hasMore: () => pos < end,
+        readVarint,
+        readSVarint: () => zigzag(readVarint()),
+        // Returns { field, wireType }
+        readKey: () => {
+            const key = readVarint();
+            return { field: Math.floor(key / 8), wireType: key % 8 };
+        },
+        // Returns [start, end) offsets of a length-delimited field
+        readBytesRange: () => {
+            const length = readVarint();
+            const range = [pos, pos + length];
+            pos += length;
+            return range;
+        },
+        skip: (wireType) => {
+            if (wireType === 0) readVarint();
+            else if (wireType === 1) pos += 8;
+            else if (wireType === 2) {
+                const length = readVarint(); // Read before updating pos (pos += readVarint() would use the stale pos)
+                pos += length;
+            }
+            else if (wireType === 5) pos += 4;
+            else throw new Error(`Unsupported protobuf wire type ${wireType} in PBF data.`);
+        }
+    };
+}
+
+function readPackedVarints(buffer, [start, end], signed) {
+    const reader = createProtoReader(buffer, start, end);
+    const values = [];
+    while (reader.hasMore()) values.push(signed ? reader.readSVarint() : reader.readVarint());
+    return values;
+}
+
+function decodeBlob(buffer) {
+    const reader = createProtoReader(buffer);
+    let raw = null;
+    let zlibData = null;
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1 && wireType === 2) raw = reader.readBytesRange();
+        else if (field === 3 && wireType === 2) zlibData = reader.readBytesRange();
+        else if (field >= 4 && wireType === 2) throw new Error("Unsupported PBF blob compression (only raw and zlib are supported).");
+        else reader.skip(wireType);
+    }
+    if (raw) return buffer.subarray(raw[0], raw[1]);
+    if (zlibData) return zlib.inflateSync(buffer.subarray(zlibData[0], zlibData[1]));
+    throw new Error("PBF blob has no data.");
+}
+
+function decodeStringTable(buffer, [start, end]) {
+    const reader = createProtoReader(buffer, start, end);
+    const strings = [];
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1 && wireType === 2) {
+            const [s, e] = reader.readBytesRange();
+            strings.push(buffer.toString('utf8', s, e));
+        } else {
+            reader.skip(wireType);
+        }
+    }
+    return strings;
+}
+
+function decodeDenseNodes(buffer, range, block, onNode) {
+    const reader = createProtoReader(buffer, range[0], range[1]);
+    let ids = [], lats = [], lons = [], keysVals = [];
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1 && wireType === 2) ids = readPackedVarints(buffer, reader.readBytesRange(), true);
+        else if (field === 8 && wireType === 2) lats = readPackedVarints(buffer, reader.readBytesRange(), true);
+        else if (field === 9 && wireType === 2) lons = readPackedVarints(buffer, reader.readBytesRange(), true);
+        else if (field === 10 && wireType === 2) keysVals = readPackedVarints(buffer, reader.readBytesRange(), false);
+        else reader.skip(wireType);
+    }
+    let id = 0, lat = 0, lon = 0; // Delta coded
+    let tagPos = 0; // keys_vals is key,value,key,value,...,0 per node
+    for (let i = 0; i < ids.length; i++) {
+        id += ids[i];
+        lat += lats[i];
+        lon += lons[i];
+        const tags = {};
+        while (tagPos < keysVals.length && keysVals[tagPos] !== 0) {
+            tags[block.strings[keysVals[tagPos]]] = block.strings[keysVals[tagPos + 1]];
+            tagPos += 2;
+        }
+        tagPos++;
+        onNode(id, block.toLat(lat), block.toLon(lon), tags);
+    }
+}
+
+function decodeNode(buffer, range, block, onNode) {
+    const reader = createProtoReader(buffer, range[0], range[1]);
+    let id = 0, lat = 0, lon = 0, keys = [], vals = [];
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1 && wireType === 0) id = reader.readSVarint();
+        else if (field === 2 && wireType === 2) keys = readPackedVarints(buffer, reader.readBytesRange(), false);
+        else if (field === 3 && wireType === 2) vals = readPackedVarints(buffer, reader.readBytesRange(), false);
+        else if (field === 8 && wireType === 0) lat = reader.readSVarint();
+        else if (field === 9 && wireType === 0) lon = reader.readSVarint();
+        else reader.skip(wireType);
+    }
+    const tags = {};
+    keys.forEach((keyIndex, i) => { tags[block.strings[keyIndex]] = block.strings[vals[i]]; });
+    onNode(id, block.toLat(lat), block.toLon(lon), tags);
+}
+
+function decodeWay(buffer, range, block, onWay) {
+    const reader = createProtoReader(buffer, range[0], range[1]);
+    let id = 0, keys = [], vals = [], refDeltas = [];
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1 && wireType === 0) id = reader.readVarint();
+        else if (field === 2 && wireType === 2) keys = readPackedVarints(buffer, reader.readBytesRange(), false);
+        else if (field === 3 && wireType === 2) vals = readPackedVarints(buffer, reader.readBytesRange(), false);
+        else if (field === 8 && wireType === 2) refDeltas = readPackedVarints(buffer, reader.readBytesRange(), true);
+        else reader.skip(wireType);
+    }
+    const tags = {};
+    keys.forEach((keyIndex, i) => { tags[block.strings[keyIndex]] = block.strings[vals[i]]; });
+    let ref = 0;
+    const refs = refDeltas.map(delta => (ref += delta));
+    onWay(id, refs, tags);
+}
+
+function decodePrimitiveBlock(buffer, onNode, onWay) {
+    const reader = createProtoReader(buffer);
+    let strings = [];
+    const groups = [];
+    let granularity = 100, latOffset = 0, lonOffset = 0;
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1 && wireType === 2) strings = decodeStringTable(buffer, reader.readBytesRange());
+        else if (field === 2 && wireType === 2) groups.push(reader.readBytesRange());
+        else if (field === 17 && wireType === 0) granularity = reader.readVarint();
+        else if (field === 19 && wireType === 0) latOffset = reader.readVarint();
+        else if (field === 20 && wireType === 0) lonOffset = reader.readVarint();
+        else reader.skip(wireType);
+    }
+    const block = {
+        strings,
+        toLat: (value) => 1e-9 * (latOffset + granularity * value),
+        toLon: (value) => 1e-9 * (lonOffset + granularity * value)
+    };
+
+    groups.forEach(([start, end]) => {
+        const groupReader = createProtoReader(buffer, start, end);
+        while (groupReader.hasMore()) {
+            const { field, wireType } = groupReader.readKey();
+            if (field === 1 && wireType === 2 && onNode) decodeNode(buffer, groupReader.readBytesRange(), block, onNode);
+            else if (field === 2 && wireType === 2 && onNode) decodeDenseNodes(buffer, groupReader.readBytesRange(), block, onNode);
+            else if (field === 3 && wireType === 2 && onWay) decodeWay(buffer, groupReader.readBytesRange(), block, onWay);
+            else groupReader.skip(wireType);
+        }
+    });
+}
+
+async function readOsmPbf(filePath, onNode, onWay) {
+    const file = await fs.promises.readFile(filePath);
+    let pos = 0;
+    while (pos < file.length) {
+        const headerLength = file.readUInt32BE(pos);
+        pos += 4;
+        const headerReader = createProtoReader(file, pos, pos + headerLength);
+        let blobType = null;
+        let dataSize = 0;
+        while (headerReader.hasMore()) {
+            const { field, wireType } = headerReader.readKey();
+            if (field === 1 && wireType === 2) {
+                const [s, e] = headerReader.readBytesRange();
+                blobType = file.toString('utf8', s, e);
+            } else if (field === 3 && wireType === 0) {
+                dataSize = headerReader.readVarint();
+            } else {
+                headerReader.skip(wireType);
+            }
+        }
+        pos += headerLength;
+        const blob = file.subarray(pos, pos + dataSize);
+        pos += dataSize;
+
+        if (blobType === 'OSMData') {
+            decodePrimitiveBlock(decodeBlob(blob), onNode, onWay);
+        }
+        // OSMHeader blocks only carry metadata we do not need
+    }
+}
+
+// =====================================================================
+// --- Loader ---
+// =====================================================================
+
+function getReaderForFile(filePath) {
+    if (/\.pbf$/i.test(filePath)) return readOsmPbf;
+    if (/\.osm$|\.xml$/i.test(filePath)) return readOsmXml;
+    throw new Error(`Unsupported OSM file type for ${filePath} (expected .osm, .xml or .osm.pbf).`);
+}
+
+// Load every walkable way in the file together with the nodes it references, plus
+// named landmark features (tagged nodes, and ways placed at the centroid of their nodes)
+// and green/water areas (closed ways and waterway lines).
+// Two passes so node coordinates are only kept for nodes that are actually needed.
+// Relations (e.g. multipolygon parks) are not read.
+async function loadOsmFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`OSM data file not found: ${filePath}`);
+    }
+    const readFile = getReaderForFile(filePath);
+    const startTime = Date.now();
+    console.log(`Backend: Loading local OSM extract ${filePath}...`);
+
+    const ways = [];
+    const featureWays = [];
+    const scenicWays = [];
+    const neededNodeIds = new Set();
+    await readFile(filePath, null, (id, refs, tags) => {
+        const scenicType = classifyScenicArea(tags);
+        if (scenicType && refs.length >= 2) {
+            scenicWays.push({ id, refs, type: scenicType, isLine: isScenicLine(tags) });
+            refs.forEach(ref => neededNodeIds.add(ref));
+        }
+        const featureType = classifyFeature(tags);
+        if (featureType && refs.length > 0) {
+            featureWays.push({ id, refs, name: tags.name, type: featureType });
+            refs.forEach(ref => neededNodeIds.add(ref));
+        }
+        if (refs.length < 2 || !isWalkableWay(tags)) return;
+        ways.push({ type: 'way', id, nodes: refs, tags });
+        refs.forEach(ref => neededNodeIds.add(ref));
+    });
+
+    const nodes = new Map();
+    const features = [];
+    await readFile(filePath, (id, lat, lon, tags) => {
+        if (neededNodeIds.has(id)) {
+            // Node tags are only kept where routing uses them (kerbs, for accessibility mode)
+            nodes.set(id, isAccessibilityNode(tags) ? { type: 'node', id, lat, lon, tags } : { type: 'node', id, lat, lon });
+        }
+        const featureType = classifyFeature(tags);
+        if (featureType) features.push({ id: `node/${id}`, name: tags.name, type: featureType, lat, lon });
+    }, null);
+
+    featureWays.forEach(way => {
+        const wayNodes = way.refs.map(ref => nodes.get(ref)).filter(Boolean);
+        if (wayNodes.length === 0) return;
+        features.push({
+            id: `way/${way.id}`, name: way.name, type: way.type,
+            lat: wayNodes.reduce((sum, node) => sum + node.lat, 0) / wayNodes.length,
+            lon: wayNodes.reduce((sum, node) => sum + node.lon, 0) / wayNodes.length
+        });
+    });
+
+    const scenicAreas = [];
+    scenicWays.forEach(way => {
+        const line = way.refs.map(ref => nodes.get(ref)).filter(Boolean).map(node => [node.lon, node.lat]);
+        const area = { id: `way/${way.id}`, type: way.type, polygons: way.isLine ? [] : stitchRings([line]), lines: way.isLine && line.length >= 2 ? [line] : [] };
+        if (area.polygons.length > 0 || area.lines.length > 0) scenicAreas.push(area);
+    });
+
+    console.log(`Backend: Loaded ${ways.length} walkable ways, ${nodes.size} nodes, ${features.length} named features and ${scenicAreas.length} green/water areas from ${filePath} in ${Date.now() - startTime}ms.`);
+    return { ways, nodes, features, scenicAreas };
+}
+
+// Create bbox fetchers backed by a local extract: { fetchOsmData, fetchNamedFeatures, fetchScenicAreas }.
+// The file is loaded lazily on first use and kept in memory for the life of the process.
+function createLocalOsmSource(filePath) {
+    let loadPromise = null;
+
+    const load = () => {
+        if (!loadPromise) {
+            loadPromise = loadOsmFile(filePath).catch(error => {
+                loadPromise = null; // Allow a retry after fixing the file
+                throw error;
+            });
+        }
+        return loadPromise;
+    };
+
+    const isInsideBbox = ([west, south, east, north], point) =>
+        !!point && point.lat >= south && point.lat <= north && point.lon >= west && point.lon <= east;
+
+    async function fetchLocalOsmDataInBbox(bbox) {
+        if (!bbox || bbox.length !== 4) {
+            throw new Error("Invalid bounding box provided to fetchLocalOsmDataInBbox.");
+        }
+        const { ways, nodes } = await load();
+        const isInside = (node) => isInsideBbox(bbox, node);
+
+        // Same semantics as Overpass "way(bbox); >;": ways touching the bbox plus all of their nodes
+        const matchedWays = ways.filter(way => way.nodes.some(ref => isInside(nodes.get(ref))));
+        const matchedNodes = new Map();
+        matchedWays.forEach(way => {
+            way.nodes.forEach(ref => {
+                const node = nodes.get(ref);
+                if (node) matchedNodes.set(ref, node);
+            });
+        });
+        console.log(`Backend: Local OSM source matched ${matchedWays.length} ways in bbox.`);
+        return { elements: [...matchedWays, ...matchedNodes.values()] };
+    }
+
+    async function fetchLocalNamedFeaturesInBbox(bbox) {
+        if (!bbox || bbox.length !== 4) {
+            throw new Error("Invalid bounding box provided to fetchLocalNamedFeaturesInBbox.");
+        }
+        const { features } = await load();
+        return features.filter(feature => isInsideBbox(bbox, feature));
+    }
+
+    async function fetchLocalScenicAreasInBbox(bbox) {
+        if (!bbox || bbox.length !== 4) {
+            throw new Error("Invalid bounding box provided to fetchLocalScenicAreasInBbox.");
+        }
+        const { scenicAreas } = await load();
+        const [west, south, east, north] = bbox;
+        return scenicAreas.filter(area => [...area.polygons, ...area.lines].some(line =>
+            line.some(([lon, lat]) => lon >= west && lon <= east && lat >= south && lat <= north)));
+    }
+
+    return {
+        fetchOsmData: fetchLocalOsmDataInBbox,
+        fetchNamedFeatures: fetchLocalNamedFeaturesInBbox,
+        fetchScenicAreas: fetchLocalScenicAreasInBbox
+    };
+}
+
+module.exports = {
+    loadOsmFile,
+    createLocalOsmSource
+};
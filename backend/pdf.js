@@ -0,0 +1,220 @@
+const PDFDocument = require('pdfkit');
+const { drawRouteMap } = require('./map_renderer');
+const { generateInstructions } = require('./instructions');
+
+// --- PDF Layout Constants ---
+const PAGE_MARGIN = 50;
+const WALKING_SPEED_KMH = 4.8; // Average adult walking pace used for time estimates
+const TITLE_COLOR = '#1f4e79';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#777777';
+const ELEVATION_CHART_HEIGHT = 110;
+const MIN_MAP_ASPECT = 0.5; // Smallest overview map height as a fraction of its width
+const ELEVATION_FILL_COLOR = '#cfe3d4';
+const ELEVATION_LINE_COLOR = '#2e7d32';
+
+// --- Helper: Format distance/time for display ---
+function formatDistance(meters) {
+    if (meters >= 1000) return `${(meters / 1000).toFixed(2)} km`;
+    return `${Math.round(meters)} m`;
+}
+
+function estimateWalkingMinutes(meters) {
+    return Math.round((meters / 1000) / WALKING_SPEED_KMH * 60);
+}
+
+function formatDuration(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours === 0) return `${minutes} min`;
+    return `${hours} h ${String(minutes).padStart(2, '0')} min`;
+}
+
+// --- Helper: Get [lon, lat] for the first/last point of a route ---
+function getRouteEndpoints(route, nodes) {
+    const firstSegment = route.segments[0];
+    const lastSegment = route.segments[route.segments.length - 1];
+    const startNode = nodes && route.path ? nodes[route.path[0]] : null;
+    const endNode = nodes && route.path ? nodes[route.path[route.path.length - 1]] : null;
+    const start = startNode ? [startNode.lon, startNode.lat] : firstSegment.geometry[0];
+    const end = endNode ? [endNode.lon, endNode.lat] : lastSegment.geometry[lastSegment.geometry.length - 1];
+    return { start, end };
+}
+
+function formatCoords(coord) {
+    return `${coord[1].toFixed(5)}, ${coord[0].toFixed(5)}`;
+}
+
+// --- Page Sections ---
+function drawHeading(doc, text) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(TITLE_COLOR).text(text);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(11).fillColor(TEXT_COLOR);
+}
+
+function drawOverviewPage(doc, walk) {
+    const { route, nodes, routeName, startPostcode, endPostcode, walkType } = walk;
+    const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(TITLE_COLOR).text(routeName);
+    doc.font('Helvetica').fontSize(11).fillColor(MUTED_COLOR)
+        .text(`${walkType === 'round_trip' ? 'Circular walk' : 'One-way walk'} from ${startPostcode}${endPostcode ? ` to ${endPostcode}` : ''}`);
+    doc.moveDown(0.5);
+
+    if (route.llmConceptDescription) {
+        doc.font('Helvetica-Oblique').fontSize(11).fillColor(TEXT_COLOR).text(route.llmConceptDescription);
+        doc.moveDown(0.5);
+    }
+
+    const minutes = estimateWalkingMinutes(route.length);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(TEXT_COLOR)
+        .text(`Distance: ${formatDistance(route.length)}    Estimated time: ${formatDuration(minutes)}`);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+        .text(`Time estimate assumes a steady pace of ${WALKING_SPEED_KMH} km/h without stops.`);
+    doc.moveDown(0.8);
+
+    // A long title or description can leave too little room; the map then gets a page of its own
+    if (doc.page.height - doc.y - PAGE_MARGIN < contentWidth * MIN_MAP_ASPECT) {
+        doc.addPage();
+    }
+    const mapHeight = doc.page.height - doc.y - PAGE_MARGIN;
+    const mapBox = { x: PAGE_MARGIN, y: doc.y, width: contentWidth, height: mapHeight };
+    if (!drawRouteMap(doc, route, nodes, mapBox)) {
+        doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text("Map could not be drawn for this walk.");
+    }
+}
+
+function drawSummaryAndDirectionsPage(doc, walk) {
+    const { route, nodes, walkType } = walk;
+    const { start, end } = getRouteEndpoints(route, nodes);
+
+    doc.addPage();
+    drawHeading(doc, 'Start & Finish');
+    doc.text(`Start: ${walk.startPostcode} (${formatCoords(start)})`);
+    if (walkType === 'round_trip') {
+        doc.text(`Finish: back at the start (${formatCoords(end)})`);
+    } else {
+        doc.text(`Finish: ${walk.endPostcode ? `${walk.endPostcode} ` : ''}(${formatCoords(end)})`);
+    }
+    doc.text(`Total distance: ${formatDistance(route.length)}`);
+    doc.text(`Estimated time: ${formatDuration(estimateWalkingMinutes(route.length))}`);
+    if (route.scenery) {
+        doc.text(`Green space: ${route.scenery.greenPercent}% of the walk    Beside water: ${route.scenery.waterPercent}%`);
+    }
+    if (route.newGround) {
+        doc.text(`New ground: ${route.newGround.newPercent}% of the walk is on streets you have not walked before`);
+    }
+    const elevation = route.elevation && Array.isArray(route.elevation.profile) && route.elevation.profile.length >= 2 ? route.elevation : null;
+    if (elevation) {
+        doc.text(`Total ascent: ${elevation.ascent} m    Total descent: ${elevation.descent} m`);
+        drawHeading(doc, 'Elevation Profile');
+        drawElevationProfile(doc, elevation);
+    }
+
+    drawHeading(doc, 'Directions');
+    // Directions from /api/find-routes when the client sent them, otherwise built here (without feature cues)
+    const instructions = Array.isArray(route.instructions) && route.instructions.length > 0
+        ? route.instructions
+        : generateInstructions(route, { walkType });
+    if (instructions.length === 0) {
+        doc.text("Route consists of very short segments. No detailed directions generated.");
+    } else {
+        instructions.forEach((instruction, index) => {
+            const font = instruction.type === 'turnaround' ? 'Helvetica-Bold' : 'Helvetica';
+            doc.font(font).text(`${index + 1}. ${instruction.text}`, { paragraphGap: 3 });
+        });
+        doc.font('Helvetica');
+    }
+}
+
+// Elevation profile chart (route.elevation from /api/find-routes): filled area with axis labels
+function drawElevationProfile(doc, elevation) {
+    const labelWidth = 40;
+    const box = {
+        x: PAGE_MARGIN + labelWidth, y: doc.y,
+        width: doc.page.width - PAGE_MARGIN * 2 - labelWidth, height: ELEVATION_CHART_HEIGHT
+    };
+    if (box.y + box.height + 30 > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+        box.y = doc.y;
+    }
+    const totalDistance = elevation.profile[elevation.profile.length - 1][0] || 1;
+    const range = Math.max(elevation.maxElevation - elevation.minElevation, 10);
+    const toX = distance => box.x + (distance / totalDistance) * box.width;
+    const toY = height => box.y + box.height - ((height - elevation.minElevation) / range) * box.height;
+
+    doc.save();
+    doc.rect(box.x, box.y, box.width, box.height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.moveTo(box.x, box.y + box.height);
+    elevation.profile.forEach(([distance, height]) => doc.lineTo(toX(distance), toY(height)));
+    doc.lineTo(box.x + box.width, box.y + box.height).closePath().fillColor(ELEVATION_FILL_COLOR).fill();
+    elevation.profile.forEach(([distance, height], index) => {
+        if (index === 0) doc.moveTo(toX(distance), toY(height));
+        else doc.lineTo(toX(distance), toY(height));
+    });
+    doc.lineWidth(1.2).strokeColor(ELEVATION_LINE_COLOR).stroke();
+    doc.restore();
+
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+    doc.text(`${elevation.minElevation + range} m`, PAGE_MARGIN, box.y - 3, { width: labelWidth - 4, align: 'right' });
+    doc.text(`${elevation.minElevation} m`, PAGE_MARGIN, box.y + box.height - 7, { width: labelWidth - 4, align: 'right' });
+    doc.text('0 km', box.x, box.y + box.height + 3, { lineBreak: false });
+    doc.text(formatDistance(totalDistance), box.x, box.y + box.height + 3, { width: box.width, align: 'right' });
+    doc.font('Helvetica').fontSize(11).fillColor(TEXT_COLOR);
+    doc.x = PAGE_MARGIN;
+    doc.y = box.y + box.height + 18;
+}
+
+function drawPageNumbers(doc) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0; // Allow writing into the footer area
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+            .text(`Postcode Walker - page ${i + 1} of ${range.count}`, PAGE_MARGIN, doc.page.height - 30,
+                { align: 'center', width: doc.page.width - PAGE_MARGIN * 2 });
+        doc.page.margins.bottom = bottomMargin;
+    }
+}
+
+// --- Main Export: Build the walk booklet ---
+// Returns a PDFDocument stream; the caller is responsible for piping it and calling end().
+function createWalkPdf({ routes, selectedIndex, nodes, startPostcode, endPostcode, walkType }) {
+    if (!Array.isArray(routes) || typeof selectedIndex !== 'number' || !routes[selectedIndex]) {
+        throw new Error("No selected route supplied for PDF generation.");
+    }
+    const route = routes[selectedIndex];
+    if (!Array.isArray(route.segments) || route.segments.length === 0 || typeof route.length !== 'number') {
+        throw new Error("Selected route has no segments to include in the PDF.");
+    }
+
+    const walk = {
+        route,
+        nodes: nodes || {},
+        startPostcode: startPostcode || 'your start point',
+        endPostcode: walkType === 'one_way' && endPostcode ? endPostcode : null,
+        walkType,
+        routeName: route.llmConceptName || route.importedTrackName || `Walk ${selectedIndex + 1}`
+    };
+    console.log(`Backend: Building PDF for "${walk.routeName}" (${formatDistance(route.length)}, ${route.segments.length} segments).`);
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: { Title: `Postcode Walker - ${walk.routeName}`, Author: 'Postcode Walker' }
+    });
+    drawOverviewPage(doc, walk);
+    drawSummaryAndDirectionsPage(doc, walk);
+    drawPageNumbers(doc);
+    return doc;
+}
+
+module.exports = {
+    createWalkPdf,
+    formatDistance,
+    formatDuration,
+    estimateWalkingMinutes
+};
@@ -0,0 +1,78 @@
+// --- Binary Min-Heap for graph searches ---
+// Holds integer values (compact graph node indices) keyed by a numeric priority, in two
+// parallel typed arrays that double in size when full. Stale entries are allowed: searches
+// push a node again when they find a better score and skip it when it is popped a second time.
+
+const INITIAL_CAPACITY = 1024;
+
+function createMinHeap(initialCapacity = INITIAL_CAPACITY) {
+    let values = new Int32Array(initialCapacity);
+    let priorities = new Float64Array(initialCapacity);
+    let size = 0;
+
+    function grow() {
+        const nextValues = new Int32Array(values.length * 2);
+        const nextPriorities = new Float64Array(priorities.length * 2);
+        nextValues.set(values);
+        nextPriorities.set(priorities);
+        values = nextValues;
+        priorities = nextPriorities;
+    }
+
+    return {
+        get size() { return size; },
+
+        push(value, priority) {
+            if (size === values.length) grow();
+            // Sift up: move parents down until the new entry's slot is found
+            let i = size++;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (priorities[parent] <= priority) break;
+                values[i] = values[parent];
+                priorities[i] = priorities[parent];
+                i = parent;
+            }
+            values[i] = value;
+            priorities[i] = priority;
+        },
+
+        // Priority of the next value to pop (Infinity when empty)
+        peekPriority() {
+            return size > 0 ? priorities[0] : Infinity;
+        },
+
+        pop() {
+            if (size === 0) return -1;
+            const top = values[0];
+            size--;
+            if (size > 0) {
+                // Sift the last entry down from the root
+                const value = values[size];
+                const priority = priorities[size];
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    if (left >= size) break;
+                    const right = left + 1;
+                    const child = right < size && priorities[right] < priorities[left] ? right : left;
+                    if (priorities[child] >= priority) break;
+                    values[i] = values[child];
+                    priorities[i] = priorities[child];
+                    i = child;
+                }
+                values[i] = value;
+                priorities[i] = priority;
+            }
+            return top;
+        },
+
+        clear() {
+            size = 0;
+        }
+    };
+}
+
+module.exports = {
+    createMinHeap
+};
@@ -0,0 +1,262 @@
+// --- Route Export: GPX 1.1, KML and GeoJSON ---
+// Turns a route from /api/find-routes ({ segments, path, length, ... }) into files that
+// GPS watches and mapping apps can load. Waypoints cover the start, the finish, any
+// resolved LLM landmarks and the turns (and round-trip turnaround) from the directions.
+
+const turf = require('@turf/turf');
+const { generateInstructions } = require('./instructions');
+
+const CREATOR = 'Postcode Walker';
+const KML_ROUTE_COLOR = 'ff0000ff'; // KML colours are aabbggrr: opaque red, like the map's first route
+const KML_ROUTE_WIDTH = 4;
+
+const EXPORT_FORMATS = {
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+// --- Helpers ---
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function formatCoordinate(value) {
+    return Number(value).toFixed(7);
+}
+
+// Full [lon, lat] line of the route (shared segment endpoints only once)
+function getRouteCoordinates(route) {
+    const coordinates = [];
+    route.segments.forEach((segment, index) => {
+        const points = index === 0 ? segment.geometry : segment.geometry.slice(1);
+        (points || []).forEach(point => coordinates.push(point));
+    });
+    return coordinates;
+}
+
+// Distance walked (m) at each point of getRouteCoordinates
+function getCumulativeDistances(coordinates) {
+    const distances = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+        distances.push(distances[i - 1] + turf.distance(turf.point(coordinates[i - 1]), turf.point(coordinates[i]), { units: 'meters' }));
+    }
+    return distances;
+}
+
+// Index of the route point nearest to [lon, lat], searching from fromIndex onwards
+function findNearestCoordinateIndex(coordinates, lon, lat, fromIndex) {
+    const lonScale = Math.cos(lat * Math.PI / 180);
+    let bestIndex = fromIndex;
+    let bestDistance = Infinity;
+    for (let i = fromIndex; i < coordinates.length; i++) {
+        const dLon = (coordinates[i][0] - lon) * lonScale;
+        const dLat = coordinates[i][1] - lat;
+        const distance = dLon * dLon + dLat * dLat;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestIndex = i;
+        }
+    }
+    return bestIndex;
+}
+
+// Resolved LLM landmarks with their distance along the route. They are visited in the order
+// listed, so each is looked for after the previous one (a round trip passes some twice).
+function getLandmarkWaypoints(route, coordinates) {
+    const cumulative = getCumulativeDistances(coordinates);
+    let fromIndex = 0;
+    return (route.llmResolvedLandmarks || [])
+        .filter(landmark => typeof landmark.lat === 'number' && typeof landmark.lon === 'number')
+        .map(landmark => {
+            fromIndex = findNearestCoordinateIndex(coordinates, landmark.lon, landmark.lat, fromIndex);
+            return {
+                kind: 'landmark', name: landmark.matchedName || landmark.name,
+                lon: landmark.lon, lat: landmark.lat, distanceAlong: cumulative[fromIndex]
+            };
+        });
+}
+
+// Turn and turnaround points from the route's directions, named after the instruction
+function getTurnWaypoints(route, walkType) {
+    const instructions = Array.isArray(route.instructions) && route.instructions.length > 0
+        ? route.instructions
+        : generateInstructions(route, { walkType });
+    return instructions
+        .filter(instruction => instruction.type === 'turn' || instruction.type === 'turnaround')
+        .map(instruction => ({
+            kind: instruction.type, name: instruction.action,
+            lon: instruction.lon, lat: instruction.lat, distanceAlong: instruction.distanceFromStart
+        }));
+}
+
+// Start, landmarks and turns (in walking order, by distance along the route), then the
+// finish for one-way walks
+function getRouteWaypoints(walk) {
+    const { route, walkType, startPostcode, endPostcode } = walk;
+    const coordinates = getRouteCoordinates(route);
+    const [startLon, startLat] = coordinates[0];
+    const [endLon, endLat] = coordinates[coordinates.length - 1];
+    const alongRoute = [...getLandmarkWaypoints(route, coordinates), ...getTurnWaypoints(route, walkType)]
+        .sort((a, b) => a.distanceAlong - b.distanceAlong) // Stable: a landmark at a turn comes first
+        .map(({ distanceAlong, ...waypoint }) => waypoint);
+
+    const waypoints = [{ kind: 'start', name: `Start${startPostcode ? ` (${startPostcode})` : ''}`, lon: startLon, lat: startLat }];
+    waypoints.push(...alongRoute);
+    if (walkType !== 'round_trip') {
+        waypoints.push({ kind: 'finish', name: `Finish${endPostcode ? ` (${endPostcode})` : ''}`, lon: endLon, lat: endLat });
+    }
+    return waypoints;
+}
+
+// --- GPX 1.1 ---
+const GPX_SYMBOLS = { start: 'Flag, Green', finish: 'Flag, Red', landmark: 'Scenic Area', turn: 'Waypoint', turnaround: 'Flag, Blue' };
+
+function buildGpx(walk) {
+    const waypointXml = getRouteWaypoints(walk).map(waypoint => [
+        `  <wpt lat="${formatCoordinate(waypoint.lat)}" lon="${formatCoordinate(waypoint.lon)}">`,
+        `    <name>${escapeXml(waypoint.name)}</name>`,
+        `    <sym>${GPX_SYMBOLS[waypoint.kind]}</sym>`,
+        `    <type>${waypoint.kind}</type>`,
+        '  </wpt>'
+    ].join('\n'));
+    const trackPointXml = getRouteCoordinates(walk.route)
+        .map(([lon, lat]) => `      <trkpt lat="${formatCoordinate(lat)}" lon="${formatCoordinate(lon)}"></trkpt>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">`,
+        '  <metadata>',
+        `    <name>${escapeXml(walk.routeName)}</name>`,
+        walk.route.llmConceptDescription ? `    <desc>${escapeXml(walk.route.llmConceptDescription)}</desc>` : null,
+        `    <time>${new Date().toISOString()}</time>`,
+        '  </metadata>',
+        ...waypointXml,
+        '  <trk>',
+        `    <name>${escapeXml(walk.routeName)}</name>`,
+        '    <type>walking</type>',
+        '    <trkseg>',
+        ...trackPointXml,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+// --- KML ---
+const KML_ICONS = {
+    start: 'http://maps.google.com/mapfiles/kml/paddle/grn-circle.png',
+    finish: 'http://maps.google.com/mapfiles/kml/paddle/red-circle.png',
+    landmark: 'http://maps.google.com/mapfiles/kml/paddle/ylw-stars.png',
+    turn: 'http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png',
+    turnaround: 'http://maps.google.com/mapfiles/kml/paddle/blu-circle.png'
+};
+
+function buildKml(walk) {
+    const iconStyles = Object.entries(KML_ICONS).map(([kind, href]) => [
+        `    <Style id="${kind}">`,
+        `      <IconStyle><scale>${kind === 'turn' ? 0.6 : 1.0}</scale><Icon><href>${href}</href></Icon></IconStyle>`,
+        '    </Style>'
+    ].join('\n'));
+    const placemarks = getRouteWaypoints(walk).map(waypoint => [
+        '    <Placemark>',
+        `      <name>${escapeXml(waypoint.name)}</name>`,
+        `      <styleUrl>#${waypoint.kind}</styleUrl>`,
+        `      <Point><coordinates>${formatCoordinate(waypoint.lon)},${formatCoordinate(waypoint.lat)},0</coordinates></Point>`,
+        '    </Placemark>'
+    ].join('\n'));
+    const lineCoordinates = getRouteCoordinates(walk.route)
+        .map(([lon, lat]) => `${formatCoordinate(lon)},${formatCoordinate(lat)},0`)
+        .join(' ');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(walk.routeName)}</name>`,
+        walk.route.llmConceptDescription ? `    <description>${escapeXml(walk.route.llmConceptDescription)}</description>` : null,
+        '    <Style id="route">',
+        `      <LineStyle><color>${KML_ROUTE_COLOR}</color><width>${KML_ROUTE_WIDTH}</width></LineStyle>`,
+        '    </Style>',
+        ...iconStyles,
+        '    <Placemark>',
+        `      <name>${escapeXml(walk.routeName)}</name>`,
+        '      <styleUrl>#route</styleUrl>',
+        `      <LineString><tessellate>1</tessellate><coordinates>${lineCoordinates}</coordinates></LineString>`,
+        '    </Placemark>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+// --- GeoJSON ---
+// One LineString per segment (with its way/highway properties) plus Point features for waypoints.
+function buildGeoJson(walk) {
+    const segmentFeatures = walk.route.segments.map((segment, index) => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: segment.geometry },
+        properties: {
+            featureType: 'segment',
+            index,
+            wayId: segment.wayId ?? null,
+            wayName: segment.wayName ?? null,
+            highwayTag: segment.highwayTag ?? null,
+            length: segment.length,
+            cost: segment.cost ?? null,
+            startNodeId: segment.startNodeId ?? null,
+            endNodeId: segment.endNodeId ?? null
+        }
+    }));
+    const waypointFeatures = getRouteWaypoints(walk).map(waypoint => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [waypoint.lon, waypoint.lat] },
+        properties: { featureType: waypoint.kind, name: waypoint.name }
+    }));
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name: walk.routeName,
+        features: [...segmentFeatures, ...waypointFeatures]
+    }, null, 2);
+}
+
+const BUILDERS = { gpx: buildGpx, kml: buildKml, geojson: buildGeoJson };
+
+// --- Main Export ---
+// Same request shape as createWalkPdf plus `format`. Throws on invalid input.
+// Returns { contentType, extension, body }.
+function exportRoute({ format, routes, selectedIndex, startPostcode, endPostcode, walkType }) {
+    const normalisedFormat = String(format || '').toLowerCase();
+    if (!EXPORT_FORMATS[normalisedFormat]) {
+        throw new Error(`Unsupported export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')}).`);
+    }
+    if (!Array.isArray(routes) || typeof selectedIndex !== 'number' || !routes[selectedIndex]) {
+        throw new Error("No selected route supplied for export.");
+    }
+    const route = routes[selectedIndex];
+    if (!Array.isArray(route.segments) || route.segments.length === 0 || !route.segments.every(s => Array.isArray(s.geometry))) {
+        throw new Error("Selected route has no segment geometry to export.");
+    }
+
+    const walk = {
+        route,
+        walkType,
+        startPostcode: startPostcode || null,
+        endPostcode: walkType === 'one_way' && endPostcode ? endPostcode : null,
+        routeName: route.llmConceptName || route.importedTrackName || `Walk ${selectedIndex + 1}`
+    };
+    console.log(`Backend: Exporting "${walk.routeName}" as ${normalisedFormat} (${route.segments.length} segments).`);
+    return { ...EXPORT_FORMATS[normalisedFormat], body: BUILDERS[normalisedFormat](walk) };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportRoute
+};
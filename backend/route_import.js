@@ -0,0 +1,292 @@
+// --- Route Import: GPX/GeoJSON track -> walk graph route ---
+// Parses an uploaded track and map-matches it onto the walk graph so it comes back in the
+// same shape as /api/find-routes results ({ length, cost, path, segments }).
+// Matching is a small Viterbi search (Newson & Krumm style): each resampled track point has a
+// few nearby graph nodes as candidates, and the chosen sequence minimises the distance from
+// the track plus the difference between walked and straight-line distance between points.
+
+const turf = require('@turf/turf');
+const routing = require('./routing');
+const compactGraph = require('./compact_graph');
+
+const SAMPLE_SPACING_METERS = 30; // Resample the track so dense GPS logs do not slow matching
+const SNAP_RADIUS_METERS = 40; // Graph nodes further than this from a track point are not candidates
+const MAX_CANDIDATES = 4;
+const TRANSITION_SLACK_METERS = 100; // Extra walked distance allowed between consecutive points
+const TRANSITION_DETOUR_FACTOR = 3;
+const ROUND_TRIP_CLOSE_METERS = 100; // Start and end this close together make a round trip
+const GRID_CELL_DEGREES = 0.001; // ~110m x 70m cells for the candidate lookup
+// Limits checked before any map data is fetched for a track
+const MAX_TRACK_POINTS = 20000;
+const MAX_TRACK_LENGTH_METERS = 30000;
+const MAX_TRACK_EXTENT_METERS = 20000; // Width or height of the track's bbox
+
+// =====================================================================
+// --- Track Parsing ---
+// =====================================================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlText(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, (match, entity) => XML_ENTITIES[entity]);
+}
+
+// Stops after MAX_TRACK_POINTS + 1 points (parseTrack rejects the track then)
+function parseXmlPoints(xml, tagName) {
+    const points = [];
+    const pointRegex = new RegExp(`<${tagName}\\b([^>]*)>`, 'g');
+    let match;
+    while (points.length <= MAX_TRACK_POINTS && (match = pointRegex.exec(xml)) !== null) {
+        const lat = /\blat\s*=\s*["']([^"']+)["']/.exec(match[1]);
+        const lon = /\blon\s*=\s*["']([^"']+)["']/.exec(match[1]);
+        if (lat && lon) points.push([parseFloat(lon[1]), parseFloat(lat[1])]);
+    }
+    return points;
+}
+
+function parseGpx(xml) {
+    // Tracks first; fall back to a planned route (<rte>) if the file has no track
+    const trackPoints = parseXmlPoints(xml, 'trkpt');
+    const points = trackPoints.length > 0 ? trackPoints : parseXmlPoints(xml, 'rtept');
+    const nameMatch = /<(?:trk|rte|metadata)\b[^>]*>\s*<name>([^<]*)<\/name>/.exec(xml);
+    return { name: nameMatch ? decodeXmlText(nameMatch[1].trim()) : null, points };
+}
+
+// Concatenates every LineString/MultiLineString in the document, in order
+function parseGeoJson(data) {
+    const document = typeof data === 'string' ? JSON.parse(data) : data;
+    const points = [];
+    let name = null;
+    const addGeometry = (geometry) => {
+        if (!geometry) return;
+        if (geometry.type === 'LineString') points.push(...geometry.coordinates);
+        else if (geometry.type === 'MultiLineString') geometry.coordinates.forEach(line => points.push(...line));
+        else if (geometry.type === 'GeometryCollection') (geometry.geometries || []).forEach(addGeometry);
+    };
+    const addFeature = (feature) => {
+        if (!name && feature.properties && feature.properties.name) name = feature.properties.name;
+        addGeometry(feature.geometry);
+    };
+    if (document.type === 'FeatureCollection') {
+        if (document.name) name = document.name;
+        (document.features || []).forEach(addFeature);
+    } else if (document.type === 'Feature') {
+        addFeature(document);
+    } else {
+        addGeometry(document);
+    }
+    return { name, points: points.map(point => [Number(point[0]), Number(point[1])]) };
+}
+
+// format: 'gpx' | 'geojson' | undefined (sniffed from the content)
+// Returns { name, points: [[lon, lat], ...] }; throws if there is no usable track.
+function parseTrack(data, format) {
+    if (data === undefined || data === null || data === '') throw new Error("No track data supplied.");
+    const detected = format
+        ? String(format).toLowerCase()
+        : (typeof data === 'string' && data.trim().startsWith('<') ? 'gpx' : 'geojson');
+    let track;
+    try {
+        if (detected === 'gpx') track = parseGpx(String(data));
+        else if (detected === 'geojson' || detected === 'json') track = parseGeoJson(data);
+        else throw new Error(`Unsupported track format "${format}" (expected gpx or geojson).`);
+    } catch (error) {
+        throw new Error(`Could not read ${detected} track: ${error.message}`);
+    }
+    track.points = track.points.filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat)
+        && Math.abs(lat) <= 90 && Math.abs(lon) <= 180);
+    if (track.points.length < 2) throw new Error("Track needs at least two points.");
+    checkTrackSize(track.points);
+    return track;
+}
+
+// Throws for tracks too big to match: more than MAX_TRACK_POINTS points, longer than
+// MAX_TRACK_LENGTH_METERS or spread over more than MAX_TRACK_EXTENT_METERS either way
+function checkTrackSize(points) {
+    if (points.length > MAX_TRACK_POINTS) {
+        throw new Error(`Track has too many points (the limit is ${MAX_TRACK_POINTS}).`);
+    }
+    const [west, south, east, north] = turf.bbox(turf.lineString(points));
+    const width = turf.distance([west, (south + north) / 2], [east, (south + north) / 2], { units: 'meters' });
+    const height = turf.distance([west, south], [west, north], { units: 'meters' });
+    if (Math.max(width, height) > MAX_TRACK_EXTENT_METERS) {
+        throw new Error(`Track covers too large an area (more than ${MAX_TRACK_EXTENT_METERS / 1000} km across).`);
+    }
+    const length = turf.length(turf.lineString(points), { units: 'meters' });
+    if (length > MAX_TRACK_LENGTH_METERS) {
+        throw new Error(`Track is ${(length / 1000).toFixed(1)} km long; walks up to ${MAX_TRACK_LENGTH_METERS / 1000} km can be imported.`);
+    }
+}
+
+// [west, south, east, north] around the track, grown by bufferMeters
+function getTrackBbox(points, bufferMeters) {
+    const [west, south, east, north] = turf.bbox(turf.lineString(points));
+    const bufferLat = bufferMeters / 111000;
+    const bufferLon = bufferLat / Math.cos(((south + north) / 2) * Math.PI / 180);
+    return [west - bufferLon, south - bufferLat, east + bufferLon, north + bufferLat];
+}
+
+// =====================================================================
+// --- Map Matching ---
+// =====================================================================
+
+function resampleTrack(points) {
+    const line = turf.lineString(points);
+    const totalLength = turf.length(line, { units: 'meters' });
+    const samples = [];
+    for (let along = 0; along < totalLength; along += SAMPLE_SPACING_METERS) {
+        samples.push(turf.along(line, along, { units: 'meters' }).geometry.coordinates);
+    }
+    samples.push(points[points.length - 1]);
+    return samples;
+}
+
+// Grid index over graph nodes for "nodes within r metres" lookups
+function buildNodeGrid(graph, nodes) {
+    const cells = new Map();
+    Object.keys(graph).forEach(nodeId => {
+        const node = nodes[nodeId];
+        if (!node) return;
+        const key = `${Math.floor(node.lon / GRID_CELL_DEGREES)}:${Math.floor(node.lat / GRID_CELL_DEGREES)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(nodeId);
+    });
+    return cells;
+}
+
+function findCandidates(grid, nodes, [lon, lat]) {
+    const cellX = Math.floor(lon / GRID_CELL_DEGREES);
+    const cellY = Math.floor(lat / GRID_CELL_DEGREES);
+    const samplePoint = turf.point([lon, lat]);
+    const candidates = [];
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            (grid.get(`${cellX + dx}:${cellY + dy}`) || []).forEach(nodeId => {
+                const node = nodes[nodeId];
+                const distance = turf.distance(samplePoint, turf.point([node.lon, node.lat]), { units: 'meters' });
+                if (distance <= SNAP_RADIUS_METERS) candidates.push({ nodeId, distance });
+            });
+        }
+    }
+    return candidates.sort((a, b) => a.distance - b.distance).slice(0, MAX_CANDIDATES);
+}
+
+// Dijkstra on edge length from one node, stopping at maxDistance.
+// Returns Map(targetId -> { distance, path }) for the targets it reached.
+function findWalkedDistances(compact, fromNodeId, targetIds, maxDistance) {
+    const targetsByIndex = new Map();
+    targetIds.forEach(nodeId => {
+        const index = compactGraph.findNodeIndex(compact, nodeId);
+        if (index !== -1) targetsByIndex.set(index, nodeId);
+    });
+    const fromIndex = compactGraph.findNodeIndex(compact, fromNodeId);
+    const results = new Map();
+    if (fromIndex === -1) return results;
+    const reached = compactGraph.findDistancesDijkstra(compact, fromIndex, new Set(targetsByIndex.keys()), maxDistance);
+    reached.forEach(({ distance, nodePath }, index) => {
+        results.set(targetsByIndex.get(index), { distance, path: nodePath.map(i => String(compact.ids[i])) });
+    });
+    return results;
+}
+
+// Turn a node id sequence into route segments using the cheapest edge between each pair
+function buildRouteFromNodePath(graph, nodePath) {
+    const segments = [];
+    for (let i = 1; i < nodePath.length; i++) {
+        const fromId = nodePath[i - 1];
+        const toId = nodePath[i];
+        const edge = (graph[fromId] || [])
+            .filter(e => String(e.neighborId) === String(toId))
+            .sort((a, b) => a.length - b.length)[0];
+        if (!edge) throw new Error(`Matched path uses a missing edge ${fromId} -> ${toId}.`);
+        segments.push({
+            startNodeId: parseInt(fromId), endNodeId: edge.neighborId,
+            geometry: edge.geometry, length: edge.length, cost: edge.cost,
+            wayId: edge.wayId, wayName: edge.wayName, highwayTag: edge.highwayTag
+        });
+    }
+    return {
+        length: segments.reduce((total, segment) => total + segment.length, 0),
+        cost: segments.reduce((total, segment) => total + segment.cost, 0),
+        path: nodePath.map(id => parseInt(id)),
+        segments
+    };
+}
+
+// --- Main Export: match track points ([[lon, lat], ...]) onto the graph ---
+// Resolves to { route, walkType, stats: { samples, matchedSamples, gapsBridged } }; throws if
+// the track does not touch the walk network.
+async function matchTrackToGraph(graph, nodes, trackPoints) {
+    const samples = resampleTrack(trackPoints);
+    const grid = buildNodeGrid(graph, nodes);
+    const compact = compactGraph.getCompactGraph(graph, nodes);
+    const stats = { samples: samples.length, matchedSamples: 0, gapsBridged: 0 };
+    console.log(`Backend: Map-matching ${trackPoints.length} track points (${samples.length} samples).`);
+
+    // Viterbi states for the previous matched sample: nodeId -> { score, nodePath }
+    let states = null;
+    let previousSample = null;
+
+    for (const sample of samples) {
+        const candidates = findCandidates(grid, nodes, sample);
+        if (candidates.length === 0) continue; // Off the network (e.g. across a field); skip the point
+        stats.matchedSamples++;
+
+        if (!states) {
+            states = new Map(candidates.map(c => [c.nodeId, { score: c.distance, nodePath: [c.nodeId] }]));
+            previousSample = sample;
+            continue;
+        }
+
+        const straightDistance = turf.distance(turf.point(previousSample), turf.point(sample), { units: 'meters' });
+        const maxWalked = straightDistance * TRANSITION_DETOUR_FACTOR + 2 * SNAP_RADIUS_METERS + TRANSITION_SLACK_METERS;
+        const candidateIds = new Set(candidates.map(c => c.nodeId));
+        const nextStates = new Map();
+
+        states.forEach((state, fromNodeId) => {
+            const reached = findWalkedDistances(compact, fromNodeId, candidateIds, maxWalked);
+            candidates.forEach(candidate => {
+                const transition = reached.get(candidate.nodeId);
+                if (!transition) return;
+                const score = state.score + candidate.distance + Math.abs(transition.distance - straightDistance);
+                const existing = nextStates.get(candidate.nodeId);
+                if (!existing || score < existing.score) {
+                    nextStates.set(candidate.nodeId, { score, nodePath: [...state.nodePath, ...transition.path.slice(1)] });
+                }
+            });
+        });
+
+        if (nextStates.size === 0) {
+            // No candidate is reachable within the local limit: bridge the gap with a full A* search
+            const [bestFromId, bestState] = [...states.entries()].sort((a, b) => a[1].score - b[1].score)[0];
+            const target = candidates[0];
+            const bridge = await routing.findShortestPathAStar(graph, nodes, bestFromId, target.nodeId);
+            if (!bridge) {
+                throw new Error("Track could not be matched: part of it is not connected to the walk network.");
+            }
+            stats.gapsBridged++;
+            nextStates.set(target.nodeId, {
+                score: bestState.score + target.distance,
+                nodePath: [...bestState.nodePath, ...bridge.path.slice(1).map(String)]
+            });
+        }
+        states = nextStates;
+        previousSample = sample;
+    }
+
+    if (!states) throw new Error("Track does not pass near any walkable paths in the map data.");
+    const [, bestState] = [...states.entries()].sort((a, b) => a[1].score - b[1].score)[0];
+    if (bestState.nodePath.length < 2) throw new Error("Matched track is too short to make a walk.");
+
+    const route = buildRouteFromNodePath(graph, bestState.nodePath);
+    const startToEnd = turf.distance(turf.point(trackPoints[0]), turf.point(trackPoints[trackPoints.length - 1]), { units: 'meters' });
+    const walkType = startToEnd <= ROUND_TRIP_CLOSE_METERS ? 'round_trip' : 'one_way';
+    console.log(`Backend: Matched track to ${route.segments.length} segments, ${route.length.toFixed(0)}m (${stats.matchedSamples}/${stats.samples} samples on the network).`);
+    return { route, walkType, stats };
+}
+
+module.exports = {
+    parseTrack,
+    getTrackBbox,
+    matchTrackToGraph
+};
@@ -0,0 +1,142 @@
+// --- Route Jobs: long-running route searches with streamed progress ---
+// A job runs a route search in the background and records everything it reports as
+// numbered events:
+//   progress  { stage, message, ...details }  e.g. geocoded, graph_built, concept_validated
+//   route     { index, route, ...details }     each route as soon as it is ready (partial results)
+//   done      { ...result }                    the full /api/find-routes style response
+//   failed    { message, status }
+//   cancelled { message }
+// Subscribers get the events recorded so far and then live ones, so a client can connect
+// late or reconnect (Server-Sent Events Last-Event-ID) without missing anything.
+// Finished jobs are kept for ttlMs so their events can still be read, then dropped.
+
+const crypto = require('crypto');
+
+const DEFAULT_JOB_TTL_MS = 10 * 60 * 1000;
+const TERMINAL_EVENTS = new Set(['done', 'failed', 'cancelled']);
+
+// Thrown inside a job's search once it has been cancelled; never reported as a failure
+function createCancelledError() {
+    const error = new Error("Route job was cancelled.");
+    error.cancelled = true;
+    return error;
+}
+
+// Context for searches that run outside a job (the blocking /api/find-routes): reports go nowhere
+const detachedJobContext = {
+    signal: null,
+    progress() {},
+    addRoute() {},
+    throwIfCancelled() {}
+};
+
+// Format one event for a text/event-stream response
+function formatServerSentEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+// --- Job Store Factory ---
+// options.ttlMs: how long finished jobs (and their events) are kept
+function createJobStore(options = {}) {
+    const ttlMs = options.ttlMs || DEFAULT_JOB_TTL_MS;
+    const jobs = new Map(); // id -> job
+
+    function emit(job, type, data) {
+        const event = { id: job.events.length + 1, type, data };
+        job.events.push(event);
+        job.listeners.forEach(listener => listener(event));
+        if (TERMINAL_EVENTS.has(type)) {
+            job.status = type;
+            job.finishedAt = Date.now();
+            job.listeners.clear();
+            setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+        }
+    }
+
+    // run(context) performs the search and resolves to the final result.
+    // context: { signal, progress(stage, message, details), addRoute(route, details), throwIfCancelled() }
+    function createJob(run) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'running',
+            createdAt: Date.now(),
+            finishedAt: null,
+            routeCount: 0,
+            events: [],
+            listeners: new Set(),
+            controller: new AbortController()
+        };
+        jobs.set(job.id, job);
+
+        const isActive = () => job.status === 'running';
+        const context = {
+            signal: job.controller.signal,
+            progress(stage, message, details = {}) {
+                if (isActive()) emit(job, 'progress', { stage, message, ...details });
+            },
+            addRoute(route, details = {}) {
+                if (isActive()) emit(job, 'route', { index: job.routeCount++, route, ...details });
+            },
+            throwIfCancelled() {
+                if (job.controller.signal.aborted) throw createCancelledError();
+            }
+        };
+
+        Promise.resolve()
+            .then(() => run(context))
+            .then(result => {
+                if (isActive()) emit(job, 'done', result);
+            })
+            .catch(error => {
+                if (!isActive() || error.cancelled) return;
+                console.error(`Backend: Route job ${job.id} failed:`, error.message);
+                emit(job, 'failed', { message: error.message || "An error occurred while finding routes.", status: error.statusCode || 500 });
+            });
+        return job;
+    }
+
+    function getJob(id) {
+        return jobs.get(id) || null;
+    }
+
+    // Returns false if the job is unknown or already finished
+    function cancelJob(id) {
+        const job = jobs.get(id);
+        if (!job || job.status !== 'running') return false;
+        job.controller.abort();
+        emit(job, 'cancelled', { message: `Cancelled after ${job.routeCount} route(s).` });
+        return true;
+    }
+
+    // Calls listener(event) for every event after afterEventId, past and future.
+    // Returns an unsubscribe function.
+    function subscribe(id, listener, afterEventId = 0) {
+        const job = jobs.get(id);
+        if (!job) throw new Error(`Unknown route job "${id}".`);
+        job.events.filter(event => event.id > afterEventId).forEach(listener);
+        if (job.status !== 'running') return () => {};
+        job.listeners.add(listener);
+        return () => job.listeners.delete(listener);
+    }
+
+    // Public view of a job (no listeners or controller)
+    function describeJob(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt,
+            routeCount: job.routeCount,
+            events: job.events
+        };
+    }
+
+    return { createJob, getJob, cancelJob, subscribe, describeJob };
+}
+
+module.exports = {
+    TERMINAL_EVENTS,
+    detachedJobContext,
+    formatServerSentEvent,
+    createJobStore
+};
@@ -0,0 +1,44 @@
+// --- Route sections: runs of consecutive segments sharing a property ---
+// Used by the route reports (accessibility data gaps, questionable access) to turn
+// per-segment findings into a short list of named stretches of the walk.
+
+// describeSegment(segment) returns null for segments that are fine, or an object describing
+// the finding (compared with describeSegment's previous result via key() to merge runs).
+// Returns [{ wayId, wayName, ...finding, distanceFromStart, length, start, end }].
+function groupRouteSections(route, describeSegment, key = finding => JSON.stringify(finding)) {
+    const sections = [];
+    let distance = 0;
+    let current = null;
+    let currentKey = null;
+
+    (route.segments || []).forEach(segment => {
+        const finding = describeSegment(segment);
+        const findingKey = finding ? `${segment.wayId}|${key(finding)}` : null;
+        if (!finding) {
+            current = null;
+        } else if (current && currentKey === findingKey) {
+            current.length += segment.length;
+            current.end = { lat: segment.geometry[1][1], lon: segment.geometry[1][0] };
+        } else {
+            current = {
+                wayId: segment.wayId,
+                wayName: segment.wayName,
+                ...finding,
+                distanceFromStart: Math.round(distance),
+                length: segment.length,
+                start: { lat: segment.geometry[0][1], lon: segment.geometry[0][0] },
+                end: { lat: segment.geometry[1][1], lon: segment.geometry[1][0] }
+            };
+            currentKey = findingKey;
+            sections.push(current);
+        }
+        distance += segment.length;
+    });
+
+    sections.forEach(section => { section.length = Math.round(section.length); });
+    return sections;
+}
+
+module.exports = {
+    groupRouteSections
+};
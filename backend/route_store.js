@@ -0,0 +1,352 @@
+// --- Route Store: saved walks behind short permalink ids ---
+// A saved walk is the selected route from a result (with its directions and reports), the
+// nodes along it and the inputs it was generated for - everything the frontend needs to
+// reopen it on the map. Walks are JSON files in one directory. A walk saved through a
+// shared link stays; one saved only for a user's history (permalink: false) is deleted once
+// no history refers to it any more (accounts.js onWalksDropped). Anyone can save a walk, so
+// routes are checked and copied field by field (sanitiseRoute) and the store has a size limit.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ID_LENGTH = 8;
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789'; // No look-alikes (0/O, 1/l/I)
+const ID_PATTERN = new RegExp(`^[${ID_ALPHABET}]{${ID_LENGTH}}$`);
+const MAX_TEXT_LENGTH = 500; // Longer strings (names, directions) are cut short
+const MAX_ROUTE_SEGMENTS = 5000;
+const MAX_SEGMENT_POINTS = 1000;
+const MAX_ROUTE_ITEMS = 2000; // Directions, report sections, landmarks, elevation profile points
+const MAX_WALK_BYTES = 2 * 1024 * 1024; // One saved walk, as JSON
+const DEFAULT_MAX_STORE_BYTES = 200 * 1024 * 1024; // All saved walks, as JSON
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+function createWalkId() {
+    const bytes = crypto.randomBytes(ID_LENGTH);
+    return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+function isValidWalkId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// Errors in what the client sent (answered with 400 rather than 500)
+function createInvalidWalkError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function isValidCoords(coords) {
+    return !!coords && Number.isFinite(coords.latitude) && Math.abs(coords.latitude) <= 90
+        && Number.isFinite(coords.longitude) && Math.abs(coords.longitude) <= 180;
+}
+
+// --- Client route -> stored route ---
+// Saved walks are served to anyone with the link, so only the fields the frontend, PDF and
+// exports read are kept: numbers must be finite numbers, text is cut to MAX_TEXT_LENGTH and
+// anything else is dropped. Throws (statusCode 400) on a malformed route.
+function toNumber(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw createInvalidWalkError(`${name} must be a number.`);
+    return value;
+}
+
+function toText(value) {
+    return typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : null;
+}
+
+function toNodeId(value, name) {
+    if (Number.isInteger(value) || (typeof value === 'string' && /^-?\d{1,20}$/.test(value))) return value;
+    throw createInvalidWalkError(`${name} must be an OSM id.`);
+}
+
+function toLatLon(value, name) {
+    const latitude = value ? value.lat : undefined;
+    const longitude = value ? value.lon : undefined;
+    if (!isValidCoords({ latitude, longitude })) throw createInvalidWalkError(`${name} must be a lat/lon point.`);
+    return { lat: latitude, lon: longitude };
+}
+
+function toList(value, name, maxLength, toItem) {
+    if (!Array.isArray(value) || value.length > maxLength) {
+        throw createInvalidWalkError(`${name} must be a list of up to ${maxLength} items.`);
+    }
+    return value.map((item, index) => {
+        if (item === null || typeof item !== 'object') throw createInvalidWalkError(`${name}[${index}] is not valid.`);
+        return toItem(item, `${name}[${index}]`);
+    });
+}
+
+// Optional parts of a route are left out when missing
+function toOptional(value, toValue) {
+    return value === undefined || value === null ? undefined : toValue(value);
+}
+
+function sanitiseSegment(segment, name) {
+    return {
+        startNodeId: toNodeId(segment.startNodeId, `${name}.startNodeId`),
+        endNodeId: toNodeId(segment.endNodeId, `${name}.endNodeId`),
+        geometry: toList(segment.geometry, `${name}.geometry`, MAX_SEGMENT_POINTS, (point, pointName) => {
+            const { lat, lon } = toLatLon({ lat: point[1], lon: point[0] }, pointName);
+            return [lon, lat];
+        }),
+        length: toNumber(segment.length, `${name}.length`),
+        cost: toNumber(segment.cost, `${name}.cost`),
+        wayId: toOptional(segment.wayId, wayId => toNodeId(wayId, `${name}.wayId`)) ?? null,
+        wayName: toText(segment.wayName),
+        highwayTag: toText(segment.highwayTag)
+    };
+}
+
+function sanitiseInstruction(instruction, name) {
+    return {
+        type: toText(instruction.type),
+        turn: toText(instruction.turn),
+        action: toText(instruction.action),
+        text: toText(instruction.text),
+        wayName: toText(instruction.wayName),
+        distance: toNumber(instruction.distance, `${name}.distance`),
+        distanceFromStart: toNumber(instruction.distanceFromStart, `${name}.distanceFromStart`),
+        ...toLatLon(instruction, name)
+    };
+}
+
+// Access warnings and missing accessibility data share the route_sections.js shape
+function sanitiseSection(section, name) {
+    return {
+        wayId: toOptional(section.wayId, wayId => toNodeId(wayId, `${name}.wayId`)) ?? null,
+        wayName: toText(section.wayName),
+        distanceFromStart: toNumber(section.distanceFromStart, `${name}.distanceFromStart`),
+        length: toNumber(section.length, `${name}.length`),
+        start: toLatLon(section.start, `${name}.start`),
+        end: toLatLon(section.end, `${name}.end`)
+    };
+}
+
+function sanitiseRoute(route) {
+    if (!route || typeof route !== 'object' || !Array.isArray(route.segments) || route.segments.length === 0
+        || !Array.isArray(route.path)) {
+        throw createInvalidWalkError("Selected route has no segments to save.");
+    }
+    if (route.path.length > MAX_ROUTE_SEGMENTS + 1) throw createInvalidWalkError("Selected route is too long to save.");
+    const report = (value, name, fields) => toOptional(value, object => {
+        const result = {};
+        fields.forEach(field => { result[field] = toNumber(object[field], `${name}.${field}`); });
+        return result;
+    });
+    const elevation = toOptional(route.elevation, value => ({
+        ...report(value, 'route.elevation', ['ascent', 'descent', 'minElevation', 'maxElevation']),
+        profile: toList(value.profile, 'route.elevation.profile', MAX_ROUTE_ITEMS, (point, name) =>
+            [toNumber(point[0], name), toNumber(point[1], name)])
+    }));
+    const accessibility = toOptional(route.accessibility, value => ({
+        ...report(value, 'route.accessibility', ['missingDataLength', 'missingDataPercent']),
+        missingData: toList(value.missingData, 'route.accessibility.missingData', MAX_ROUTE_ITEMS, (section, name) => ({
+            ...sanitiseSection(section, name),
+            missing: Array.isArray(section.missing) ? section.missing.slice(0, 10).map(toText).filter(Boolean) : []
+        }))
+    }));
+
+    const sanitised = {
+        length: toNumber(route.length, 'route.length'),
+        cost: toNumber(route.cost, 'route.cost'),
+        path: route.path.map((nodeId, index) => toNodeId(nodeId, `route.path[${index}]`)),
+        segments: toList(route.segments, 'route.segments', MAX_ROUTE_SEGMENTS, sanitiseSegment),
+        instructions: toOptional(route.instructions, value =>
+            toList(value, 'route.instructions', MAX_ROUTE_ITEMS, sanitiseInstruction)),
+        elevation,
+        scenery: report(route.scenery, 'route.scenery', ['greenDistance', 'waterDistance', 'greenPercent', 'waterPercent']),
+        newGround: report(route.newGround, 'route.newGround', ['newDistance', 'walkedDistance', 'newPercent']),
+        accessWarnings: toOptional(route.accessWarnings, value =>
+            toList(value, 'route.accessWarnings', MAX_ROUTE_ITEMS, (section, name) => ({
+                ...sanitiseSection(section, name), flag: toText(section.flag), reason: toText(section.reason)
+            }))),
+        accessibility,
+        importedTrackName: toText(route.importedTrackName) ?? undefined,
+        llmConceptName: toText(route.llmConceptName) ?? undefined,
+        llmConceptDescription: toText(route.llmConceptDescription) ?? undefined,
+        llmResolvedLandmarks: toOptional(route.llmResolvedLandmarks, value =>
+            toList(value, 'route.llmResolvedLandmarks', MAX_ROUTE_ITEMS, (landmark, name) => ({
+                name: toText(landmark.name), matchedName: toText(landmark.matchedName), ...toLatLon(landmark, name)
+            })))
+    };
+    Object.keys(sanitised).forEach(key => { if (sanitised[key] === undefined) delete sanitised[key]; });
+    return sanitised;
+}
+
+function sanitiseCoords(coords) {
+    return {
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        postcode: toText(coords.postcode),
+        precision: toText(coords.precision)
+    };
+}
+
+// --- Request body (as sent to /api/generate-pdf) -> walk record ---
+// body: { routes, selectedIndex, nodes, startPostcode, endPostcode, desiredDistanceKm, walkType,
+//         startCoords, endCoords, profile }; throws if there is no usable selected route.
+function buildWalkRecord(body) {
+    const { routes, selectedIndex, nodes, startPostcode, endPostcode, desiredDistanceKm, walkType, profile } = body;
+    if (!Array.isArray(routes) || typeof selectedIndex !== 'number' || !routes[selectedIndex]) {
+        throw createInvalidWalkError("No selected route supplied to save.");
+    }
+    const route = sanitiseRoute(routes[selectedIndex]);
+
+    // Only the nodes along the route are kept
+    const routeNodes = {};
+    route.path.forEach(nodeId => {
+        const node = nodes ? nodes[nodeId] : null;
+        if (node && isValidCoords({ latitude: node.lat, longitude: node.lon })) routeNodes[nodeId] = { lat: node.lat, lon: node.lon };
+    });
+    // Without the geocoded start the walk starts where its first segment does
+    const [startLon, startLat] = route.segments[0].geometry[0] || [];
+    const startCoords = isValidCoords(body.startCoords)
+        ? sanitiseCoords(body.startCoords)
+        : { latitude: startLat, longitude: startLon, postcode: toText(startPostcode) };
+    if (!isValidCoords(startCoords)) throw createInvalidWalkError("Selected route has no start point.");
+
+    return {
+        startPostcode: toText(startPostcode),
+        endPostcode: walkType === 'one_way' ? toText(endPostcode) : null,
+        desiredDistanceKm: Number.isFinite(desiredDistanceKm) ? desiredDistanceKm : route.length / 1000,
+        walkType: walkType === 'one_way' ? 'one_way' : 'round_trip',
+        profile: typeof profile === 'string' && PROFILE_NAME_PATTERN.test(profile) ? profile : null,
+        startCoords,
+        endCoords: isValidCoords(body.endCoords) ? sanitiseCoords(body.endCoords) : null,
+        route,
+        nodes: routeNodes
+    };
+}
+
+// --- Store Factory ---
+// Each walk is its own file (<dirPath>/<id>.json, written via a temp file + rename), so a
+// save writes one walk and only the ids and sizes are kept in memory.
+// options: { maxBytes } - saving fails (statusCode 507) once the walks would take more than
+// this on disk; a single walk may take up to MAX_WALK_BYTES.
+function createRouteStore(dirPath, options = {}) {
+    const maxBytes = options.maxBytes || DEFAULT_MAX_STORE_BYTES;
+    const walkSizes = new Map(); // id -> bytes on disk; ids being written are reserved with 0
+    let storedBytes = 0;
+    let loadPromise = null;
+
+    const getWalkFile = id => path.join(dirPath, `${id}.json`);
+
+    function load() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                await fs.promises.mkdir(dirPath, { recursive: true });
+                for (const fileName of await fs.promises.readdir(dirPath)) {
+                    const id = fileName.endsWith('.json') ? fileName.slice(0, -'.json'.length) : null;
+                    if (!isValidWalkId(id)) continue; // Leftover temp files
+                    const { size } = await fs.promises.stat(getWalkFile(id));
+                    walkSizes.set(id, size);
+                    storedBytes += size;
+                }
+                console.log(`Backend: Loaded ${walkSizes.size} saved walks from ${dirPath}.`);
+            })().catch(error => {
+                loadPromise = null;
+                throw new Error(`Could not read ${dirPath}: ${error.message}`);
+            });
+        }
+        return loadPromise;
+    }
+
+    function createWalk(record, permalink) {
+        let id = createWalkId();
+        while (walkSizes.has(id)) id = createWalkId();
+        walkSizes.set(id, 0);
+        return { id, createdAt: new Date().toISOString(), permalink, ...record };
+    }
+
+    // Writes the walks after checking the size limits. A rejected save stores nothing and a
+    // failed write is rolled back, so neither counts against maxBytes.
+    async function storeWalks(walks) {
+        const texts = walks.map(walk => JSON.stringify(walk));
+        const sizes = texts.map(text => Buffer.byteLength(text));
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        const release = () => walks.forEach(walk => walkSizes.delete(walk.id));
+        if (sizes.some(size => size > MAX_WALK_BYTES)) {
+            release();
+            throw createInvalidWalkError("Selected route is too large to save.");
+        }
+        if (storedBytes + total > maxBytes) {
+            release();
+            const error = new Error("The saved walk store is full.");
+            error.statusCode = 507;
+            throw error;
+        }
+        storedBytes += total; // Reserved now so concurrent saves cannot overshoot maxBytes
+        try {
+            await Promise.all(walks.map(async (walk, index) => {
+                const tempFile = `${getWalkFile(walk.id)}.tmp`;
+                await fs.promises.writeFile(tempFile, texts[index]);
+                await fs.promises.rename(tempFile, getWalkFile(walk.id));
+            }));
+        } catch (error) {
+            await Promise.all(walks.map(walk => fs.promises.rm(getWalkFile(walk.id), { force: true }).catch(() => {})));
+            release();
+            storedBytes -= total;
+            throw error;
+        }
+        walks.forEach((walk, index) => walkSizes.set(walk.id, sizes[index]));
+    }
+
+    // Saves the selected route of a result; resolves to the stored walk (with its id).
+    // options.permalink: false for walks kept only for a user's history (see deleteWalks)
+    async function saveWalk(body, saveOptions = {}) {
+        const record = buildWalkRecord(body);
+        await load();
+        const walk = createWalk(record, saveOptions.permalink !== false);
+        await storeWalks([walk]);
+        console.log(`Backend: Saved walk ${walk.id} (${(walk.route.length / 1000).toFixed(1)} km from ${walk.startPostcode || 'a map point'}).`);
+        return walk;
+    }
+
+    // Saves every route of a result (same body, selectedIndex ignored); resolves to the walks in route order
+    async function saveWalks(body, saveOptions = {}) {
+        const routes = Array.isArray(body.routes) ? body.routes : [];
+        const records = routes.map((route, index) => buildWalkRecord({ ...body, selectedIndex: index }));
+        await load();
+        const walks = records.map(record => createWalk(record, saveOptions.permalink !== false));
+        await storeWalks(walks);
+        console.log(`Backend: Saved ${walks.length} walks from ${body.startPostcode || 'a map point'}.`);
+        return walks;
+    }
+
+    // Resolves to the walk or null
+    async function getWalk(id) {
+        if (!isValidWalkId(id)) return null;
+        await load();
+        if (!walkSizes.get(id)) return null; // Unknown, or still being written
+        try {
+            return JSON.parse(await fs.promises.readFile(getWalkFile(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Deletes the walks that were saved only for a history (permalink false); walks behind
+    // a shared link are kept. Resolves to the number deleted.
+    async function deleteWalks(ids) {
+        let deleted = 0;
+        for (const id of ids) {
+            const walk = await getWalk(id);
+            if (!walk || walk.permalink !== false) continue;
+            await fs.promises.rm(getWalkFile(id), { force: true });
+            storedBytes -= walkSizes.get(id) || 0;
+            walkSizes.delete(id);
+            deleted++;
+        }
+        if (deleted > 0) console.log(`Backend: Deleted ${deleted} saved walk(s) no longer in any history.`);
+        return deleted;
+    }
+
+    return { saveWalk, saveWalks, getWalk, deleteWalks };
+}
+
+module.exports = {
+    createRouteStore,
+    isValidWalkId
+};
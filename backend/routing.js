@@ -1,40 +1,24 @@
 const axios = require('axios');
 const turf = require('@turf/turf');
+const compactGraph = require('./compact_graph');
+const { getWayCostFactor } = require('./routing_profiles');
+const accessibility = require('./accessibility');
+const { getWayAccess } = require('./access_rules');
+const elevation = require('./elevation');
+const scenic = require('./scenic');
 
 // --- Configuration Constants (Copied from script.js) ---
-const POSTCODES_IO_API_URL = 'https://api.postcodes.io/postcodes/';
 const OVERPASS_API_URL = 'https://overpass-api.de/api/interpreter';
-const ROUTE_FINDING_TIMEOUT_MS = 60000; // 60 seconds
 
-// --- Helper: Define costs per meter for different highway types (Moved here) ---
-// Lower values are preferred.
-// REMOVED highwayCosts definition from here - will be passed in from server.js
+// Highway types fetched from OSM (shared by the Overpass query and the local file loader)
+const WALKABLE_HIGHWAY_TYPES = [
+    'footway', 'path', 'pedestrian', 'track', 'residential', 'living_street',
+    'service', 'unclassified', 'tertiary', 'cycleway', 'bridleway', 'steps'
+];
 
-// --- Ported Functions from script.js (Adapted for Backend) ---
+// Edge costs come from a routing profile (see routing_profiles.js), passed in by the caller.
 
-async function lookupPostcodeCoords(postcode) {
-    const url = `${POSTCODES_IO_API_URL}${encodeURIComponent(postcode)}`;
-    console.log(`Backend: Looking up postcode: ${url}`);
-    try {
-        // Use axios instead of fetch
-        const response = await axios.get(url);
-        const data = response.data; // axios wraps response in data property
-        if (data.status === 200 && data.result) {
-            console.log(`Backend: Postcode lookup successful for ${data.result.postcode}`);
-            return {
-                latitude: data.result.latitude,
-                longitude: data.result.longitude,
-                postcode: data.result.postcode
-            };
-        } else {
-            throw new Error(data.error || 'Postcode not found');
-        }
-    } catch (error) {
-        console.error("Backend: Error fetching postcode data:", error.response ? error.response.data : error.message);
-        // Rethrow a cleaner error for the caller
-        throw new Error(`Postcode lookup failed: ${error.response?.data?.error || error.message}`);
-    }
-}
+// --- Ported Functions from script.js (Adapted for Backend) ---
 
 async function fetchOsmDataInBbox(bbox) {
     if (!bbox || bbox.length !== 4) {
@@ -47,8 +31,10 @@ async function fetchOsmDataInBbox(bbox) {
         [out:json][timeout:60];
         (
           way
-            ["highway"~"^(footway|path|pedestrian|track|residential|living_street|service|unclassified|tertiary|cycleway|bridleway)$"] // Added bridleway
+            ["highway"~"^(${WALKABLE_HIGHWAY_TYPES.join('|')})$"]
             (${bboxString});
+          node["kerb"](${bboxString});
+          node["barrier"="kerb"](${bboxString});
         );
         out body;
         >;
@@ -76,23 +62,49 @@ async function fetchOsmDataInBbox(bbox) {
     }
 }
 
-function buildGraph(nodes, ways, costMap) {
-    console.log("Backend: Building graph with provided cost map...");
-    const graph = {}; // Adjacency list
-    if (!costMap || Object.keys(costMap).length === 0) {
-        console.error("CRITICAL: buildGraph called without a valid costMap!");
-        // Fallback to a default to avoid crashing, but log error
-        costMap = { default: 1.8 }; 
+// nodeTags: { nodeId: tags } for the few tagged nodes kept (kerbs), used in accessibility mode
+// scenicIndex: green/water index (scenic.createScenicIndex), used when the profile has "scenic" factors
+function buildGraph(nodes, ways, profile, nodeTags = {}, scenicIndex = null) {
+    if (!profile || !profile.highway) {
+        throw new Error("buildGraph called without a routing profile.");
     }
+    console.log(`Backend: Building graph with routing profile '${profile.name}'...`);
+    const graph = {}; // Adjacency list
+    let excludedWays = 0;
+    // Flat/hilly preference: node elevations from the DEM, looked up once per node
+    const nodeElevations = new Map();
+    const getNodeElevation = (nodeId, coords) => {
+        if (!nodeElevations.has(nodeId)) nodeElevations.set(nodeId, profile.elevationSource.getElevation(coords.lat, coords.lon));
+        return nodeElevations.get(nodeId);
+    };
     try {
         ways.forEach(way => {
             if (way && Array.isArray(way.nodes) && way.nodes.length >= 2) {
+                const access = getWayAccess(way.tags, profile.accessHandling);
+                if (access === null) { // No public foot access (private, foot=no, driveways, ...)
+                    excludedWays++;
+                    return;
+                }
+                let costFactor = getWayCostFactor(profile, way.tags);
+                if (costFactor !== null && profile.accessible) {
+                    const accessibilityFactor = accessibility.getAccessibilityFactor(way.tags);
+                    costFactor = accessibilityFactor === null ? null : costFactor * accessibilityFactor;
+                }
+                if (costFactor === null) { // Excluded by the profile (e.g. steps for wheelchairs)
+                    excludedWays++;
+                    return;
+                }
+                costFactor *= access.factor;
                 for (let i = 0; i < way.nodes.length - 1; i++) {
                     const node1Id = way.nodes[i];
                     const node2Id = way.nodes[i+1];
                     const node1Coords = nodes[node1Id];
                     const node2Coords = nodes[node2Id];
 
+                    if (profile.accessible && (accessibility.isBlockedNode(nodeTags[node1Id]) || accessibility.isBlockedNode(nodeTags[node2Id]))) {
+                        continue; // e.g. a raised kerb
+                    }
+
                     if (node1Coords && node2Coords) {
                         const length = turf.distance(
                             turf.point([node1Coords.lon, node1Coords.lat]),
@@ -103,30 +115,41 @@ function buildGraph(nodes, ways, costMap) {
                         if (length > 0) {
                             const wayName = way.tags?.name || way.tags?.ref || `Way ${way.id}`; 
                             const highwayTag = way.tags?.highway || 'unknown'; 
-                            // Use the passed-in costMap here
-                            const costFactor = costMap[highwayTag] || costMap.default || 1.8; // Use default from map or fallback
-                            const cost = length * costFactor; // Calculate cost here
+                            let edgeCostFactor = costFactor;
+                            if (profile.scenic && scenicIndex) {
+                                const scenery = scenic.getEdgeScenery(scenicIndex, [node1Coords.lon, node1Coords.lat], [node2Coords.lon, node2Coords.lat], length);
+                                edgeCostFactor *= scenic.getScenicCostFactor(profile.scenic, scenery);
+                            }
+                            if (profile.hilliness) {
+                                const grade = elevation.getGrade(getNodeElevation(node1Id, node1Coords), getNodeElevation(node2Id, node2Coords), length);
+                                edgeCostFactor *= elevation.getGradeCostFactor(grade, profile.hilliness);
+                            }
+                            const cost = length * edgeCostFactor; // Calculate cost here
                             const segmentGeometry = [[node1Coords.lon, node1Coords.lat],[node2Coords.lon, node2Coords.lat]];
 
                             if (!graph[node1Id]) graph[node1Id] = [];
                             if (!graph[node2Id]) graph[node2Id] = [];
 
-                            // Store edge with calculated cost
-                            graph[node1Id].push({ 
-                                neighborId: node2Id, length, cost, geometry: segmentGeometry, 
-                                wayId: way.id, wayName, highwayTag
-                            });
-                            graph[node2Id].push({ 
-                                neighborId: node1Id, length, cost, geometry: segmentGeometry.slice().reverse(), 
-                                wayId: way.id, wayName, highwayTag 
-                            });
+                            // Store edge with calculated cost (only the permitted direction of oneway:foot ways)
+                            if (access.forward) {
+                                graph[node1Id].push({ 
+                                    neighborId: node2Id, length, cost, geometry: segmentGeometry, 
+                                    wayId: way.id, wayName, highwayTag
+                                });
+                            }
+                            if (access.backward) {
+                                graph[node2Id].push({ 
+                                    neighborId: node1Id, length, cost, geometry: segmentGeometry.slice().reverse(), 
+                                    wayId: way.id, wayName, highwayTag 
+                                });
+                            }
                         }
                     }
                 }
             }
         });
         const graphNodeCount = Object.keys(graph).length;
-        console.log(`Backend: Graph built: ${graphNodeCount} nodes.`);
+        console.log(`Backend: Graph built: ${graphNodeCount} nodes (${excludedWays} ways excluded by access rules or profile).`);
         return graph;
     } catch (error) {
         console.error("Backend: Error during graph construction:", error);
@@ -134,49 +157,57 @@ function buildGraph(nodes, ways, costMap) {
     }
 }
 
-function processOsmData(osmData, startLat, startLon, costMap) {
-    console.log("Backend: Processing OSM data...");
-    if (typeof startLat !== 'number' || typeof startLon !== 'number') {
-        throw new Error("Invalid start coordinates provided for processing.");
-    }
-    if (typeof turf === 'undefined') {
-         throw new Error("Turf.js library not available on backend.");
-    }
-
-    // 1. Parse OSM Data
+// --- Helper: Split raw Overpass elements into node coordinates, tagged nodes and ways ---
+function parseOsmElements(osmData) {
     const nodes = {};
+    const nodeTags = {};
     const ways = [];
     osmData.elements.forEach(element => {
         if (element.type === 'node') {
             nodes[element.id] = { lat: element.lat, lon: element.lon };
+            if (element.tags) nodeTags[element.id] = element.tags;
         } else if (element.type === 'way' && element.nodes) {
             ways.push({ id: element.id, nodes: element.nodes, tags: element.tags || {} }); 
         }
     });
     console.log(`Backend: Parsed ${Object.keys(nodes).length} nodes and ${ways.length} ways.`);
+    return { nodes, nodeTags, ways };
+}
 
-    // 2. Build Graph (Pass costMap through)
-    const graph = buildGraph(nodes, ways, costMap);
+// --- Build the routable graph for an area (independent of the start point, so it can be cached) ---
+// scenicAreas: green/water areas for the same bbox (scenic.js), or null if unavailable.
+// Returns { graph, nodes, wayTags: Map(wayId -> tags), nodeTags, accessHandling, scenicIndex } (for route reports)
+function buildGraphData(osmData, profile, scenicAreas = null) {
+    if (typeof turf === 'undefined') {
+         throw new Error("Turf.js library not available on backend.");
+    }
+    const { nodes, nodeTags, ways } = parseOsmElements(osmData);
+    const scenicIndex = scenicAreas ? scenic.createScenicIndex(scenicAreas) : null;
+    const graph = buildGraph(nodes, ways, profile, nodeTags, scenicIndex);
     const graphNodeCount = Object.keys(graph).length;
     if (graphNodeCount === 0) {
          throw new Error("Graph construction failed or area has no usable paths.");
     }
     console.log(`Backend: Network graph built (${graphNodeCount} nodes).`);
+    const wayTags = new Map(ways.map(way => [way.id, way.tags]));
+    return { graph, nodes, wayTags, nodeTags, accessHandling: profile.accessHandling, scenicIndex };
+}
 
-    // 3. Find Closest Start Node
-    let startNodeId = null;
-    let minStartDistance = Infinity;
+// --- Find the graph node closest to a coordinate ---
+function findNearestGraphNode(graph, nodes, lat, lon) {
+    let nearestNodeId = null;
+    let minDistance = Infinity;
     try {
-        const startPoint = turf.point([startLon, startLat]);
+        const targetPoint = turf.point([lon, lat]);
         Object.keys(graph).forEach(nodeId => {
             const nodeData = nodes[nodeId];
             if (nodeData && typeof nodeData.lat === 'number' && typeof nodeData.lon === 'number') {
                 try { 
                     const nodePoint = turf.point([nodeData.lon, nodeData.lat]);
-                    const distToStart = turf.distance(startPoint, nodePoint, { units: 'meters' });
-                    if (distToStart < minStartDistance) {
-                        minStartDistance = distToStart;
-                        startNodeId = parseInt(nodeId);
+                    const distance = turf.distance(targetPoint, nodePoint, { units: 'meters' });
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        nearestNodeId = parseInt(nodeId);
                     }
                 } catch (turfError) {
                      console.warn(`Backend: Turf.js error processing node ${nodeId} data - skipping node.`, turfError);
@@ -184,9 +215,22 @@ function processOsmData(osmData, startLat, startLon, costMap) {
             }
         });
     } catch (error) {
-         throw new Error(`Error finding closest start node to path network: ${error.message}`);
+         throw new Error(`Error finding closest node to path network: ${error.message}`);
+    }
+    return { nodeId: nearestNodeId, distance: minDistance };
+}
+
+function processOsmData(osmData, startLat, startLon, profile) {
+    console.log("Backend: Processing OSM data...");
+    if (typeof startLat !== 'number' || typeof startLon !== 'number') {
+        throw new Error("Invalid start coordinates provided for processing.");
     }
 
+    // 1 & 2. Parse OSM Data and Build Graph (Pass the routing profile through)
+    const { graph, nodes } = buildGraphData(osmData, profile);
+
+    // 3. Find Closest Start Node
+    const { nodeId: startNodeId, distance: minStartDistance } = findNearestGraphNode(graph, nodes, startLat, startLon);
     if (startNodeId === null) {
          throw new Error("Could not link start postcode location to the path network.");
     }
@@ -196,21 +240,6 @@ function processOsmData(osmData, startLat, startLon, costMap) {
     return { graph, nodes, startNodeId };
 }
 
-// Helper for A* priority queue
-function findSortedIndex(array, element) {
-    let low = 0, high = array.length;
-    while (low < high) {
-        const mid = Math.floor((low + high) / 2);
-        // Compare 'f' scores (estimated total cost)
-        if (array[mid].f < element.f) {
-            low = mid + 1;
-        } else {
-            high = mid;
-        }
-    }
-    return low;
-}
-
 // Helper to calculate initial bearing of a route (Exported)
 const calculateInitialBearing = (route, nodes) => {
     if (!route || !route.path || route.path.length < 2 || !nodes) return null;
@@ -247,277 +276,14 @@ const calculateInitialBearing = (route, nodes) => {
     }
 };
 
-async function findWalkNearDistance(graph, nodes, startNodeId, targetDistance) {
-    console.log(`Backend: Searching (DFS) for diverse outward walks near ${targetDistance}m from node ${startNodeId}`);
-    const startTime = Date.now();
-    
-    // Store the single best route found ending in each quadrant (0:NE, 1:SE, 2:SW, 3:NW)
-    const bestRouteInQuadrant = {
-        0: { route: null, cost: Infinity },
-        1: { route: null, cost: Infinity },
-        2: { route: null, cost: Infinity },
-        3: { route: null, cost: Infinity },
-    };
-    let routesChecked = 0;
-    const startNodeCoords = nodes[startNodeId];
-
-    if (!startNodeCoords) {
-        console.error(`Backend: Cannot find coordinates for start node ${startNodeId}. Aborting DFS.`);
-        return [];
-    }
-
-    const stack = []; 
-    if (graph[startNodeId]) {
-        stack.push({ 
-            nodeId: startNodeId, path: [startNodeId], segments: [], 
-            currentLength: 0, currentCost: 0, 
-            visited: new Set([startNodeId])
-        });
-    } else {
-        console.error(`Backend: Start node ${startNodeId} not found in graph for DFS.`);
-        return []; 
-    }
-
-    let iterations = 0;
-    const tolerance = targetDistance * 0.2; 
-    const lowerBound = targetDistance - tolerance;
-    const upperBound = targetDistance + tolerance;
-
-    // Helper to get quadrant from bearing
-    const getQuadrant = (bearing) => {
-        if (bearing === null || bearing === undefined) return -1; // Invalid
-        if (bearing >= 0 && bearing < 90) return 0; // NE
-        if (bearing >= 90 && bearing < 180) return 1; // SE
-        if (bearing >= 180 && bearing < 270) return 2; // SW
-        if (bearing >= 270 && bearing <= 360) return 3; // NW
-        return -1; // Should not happen
-    };
-
-    while (stack.length > 0) {
-        iterations++;
-        if (iterations % 20000 === 0) { // Check slightly less often
-            const elapsedTime = Date.now() - startTime;
-            if (elapsedTime > ROUTE_FINDING_TIMEOUT_MS) {
-                console.warn(`Backend: findWalkNearDistance DFS timed out after ${elapsedTime}ms`);
-                break; 
-            }
-            console.log(`  DFS Iteration ${iterations}, Stack size ${stack.length}`);
-        }
-
-        const { nodeId, path, segments, currentLength, currentCost, visited } = stack.pop();
-
-        // Check if DISTANCE is within tolerance
-        if (currentLength >= lowerBound && currentLength <= upperBound) {
-            routesChecked++;
-            const endNodeCoords = nodes[nodeId];
-            let bearing = null;
-            if (endNodeCoords && !(startNodeCoords.lat === endNodeCoords.lat && startNodeCoords.lon === endNodeCoords.lon)) {
-                try {
-                    bearing = turf.bearing(
-                        turf.point([startNodeCoords.lon, startNodeCoords.lat]),
-                        turf.point([endNodeCoords.lon, endNodeCoords.lat])
-                    );
-                    if (bearing < 0) bearing += 360; // Normalize to 0-360
-                } catch (e) {
-                    console.warn(`Turf bearing calculation failed for end node ${nodeId}: ${e.message}`);
-                }
-            }
-
-            const quadrant = getQuadrant(bearing);
-            // console.log(`  Route found: Len ${currentLength.toFixed(0)}, Cost ${currentCost.toFixed(0)}, Bearing ${bearing?.toFixed(1)}, Quad ${quadrant}`); // Debug
-            
-            if (quadrant !== -1) {
-                 if (currentCost < bestRouteInQuadrant[quadrant].cost) {
-                     const newRoute = { 
-                         length: currentLength, cost: currentCost, path: path, segments: segments 
-                     };
-                     bestRouteInQuadrant[quadrant] = { route: newRoute, cost: currentCost };
-                     // console.log(`    -> New best for Quadrant ${quadrant}!`);
-                 }
-            }
-        }
-        
-        // Pruning based on distance (keep this)
-        if (currentLength > upperBound) continue; // Prune slightly tighter - if already over max tolerance, stop
-
-        // Explore neighbors
-        const neighbors = graph[nodeId] || [];
-        for (const edge of neighbors) {
-            const neighborId = edge.neighborId;
-            if (!visited.has(neighborId)) {
-                // Standard DFS push logic...
-                const newLength = currentLength + edge.length;
-                const newCost = currentCost + edge.cost; 
-                const newPath = [...path, neighborId];
-                const newSegment = { 
-                    geometry: edge.geometry, length: edge.length, cost: edge.cost, 
-                    wayId: edge.wayId, wayName: edge.wayName, highwayTag: edge.highwayTag,
-                    startNodeId: nodeId, endNodeId: neighborId 
-                };
-                const newSegments = [...segments, newSegment];
-                const newVisited = new Set(visited); 
-                newVisited.add(neighborId);
-                stack.push({
-                    nodeId: neighborId, path: newPath, segments: newSegments,
-                    currentLength: newLength, currentCost: newCost, 
-                    visited: newVisited
-                });
-            }
-        }
-    } // End while loop
-
-    // Collect the best routes from each quadrant
-    const finalRoutes = [];
-    for (let quad = 0; quad < 4; quad++) {
-        if (bestRouteInQuadrant[quad].route) {
-            finalRoutes.push(bestRouteInQuadrant[quad].route);
-        }
-    }
-
-    console.log(`Backend: DFS finished. Checked ${routesChecked} routes within tolerance. Returning ${finalRoutes.length} best routes (one per quadrant).`);
-    
-    // Sort final routes by cost before returning (optional, but good practice)
-    finalRoutes.sort((a, b) => a.cost - b.cost);
-    
-    return finalRoutes; 
-}
-
-// --- NEW FUNCTION: DFS Search Biased Towards a Bearing --- 
-async function findDirectedWalkNearDistance(graph, nodes, startNodeId, targetDistance, targetBearing, bearingTolerance = 45) {
-    console.log(`Backend: Searching (DFS) for walk near ${targetDistance}m from node ${startNodeId} towards bearing ${targetBearing.toFixed(1)}° (±${bearingTolerance}°).`);
-    const startTime = Date.now();
-    
-    let bestRoute = { route: null, cost: Infinity }; // Store the single best route found
-    let routesChecked = 0;
-    const startNodeCoords = nodes[startNodeId];
-
-    if (!startNodeCoords) {
-        console.error(`Backend: Cannot find coordinates for start node ${startNodeId}. Aborting directed DFS.`);
-        return null;
-    }
-
-    const stack = []; 
-    if (graph[startNodeId]) {
-        stack.push({ 
-            nodeId: startNodeId, path: [startNodeId], segments: [], 
-            currentLength: 0, currentCost: 0, 
-            visited: new Set([startNodeId])
-        });
-    } else {
-        console.error(`Backend: Start node ${startNodeId} not found in graph for directed DFS.`);
-        return null; 
-    }
-
-    let iterations = 0;
-    const tolerance = targetDistance * 0.2; // Reuse existing tolerance logic
-    const lowerBound = targetDistance - tolerance;
-    const upperBound = targetDistance + tolerance;
-    const initialExploreDistance = 200; // Allow exploring in any direction initially
-
-    // Helper function to check if bearing B is within target T +/- tolerance W
-    // Handles angle wrapping correctly.
-    const isBearingWithinTolerance = (bearing, target, tolerance) => {
-        if (bearing === null || bearing === undefined) return false;
-        const diff = Math.abs(target - bearing);
-        const wrappedDiff = Math.min(diff, 360 - diff);
-        return wrappedDiff <= tolerance;
-    };
+// Round-trip and one-way walks of a target length are generated by loop_generator.js
+// (seeded via-point loops with a time budget), which replaced the exhaustive DFS searches.
 
-    while (stack.length > 0) {
-        iterations++;
-        if (iterations % 20000 === 0) { 
-            const elapsedTime = Date.now() - startTime;
-            if (elapsedTime > ROUTE_FINDING_TIMEOUT_MS) {
-                console.warn(`Backend: findDirectedWalkNearDistance DFS timed out after ${elapsedTime}ms`);
-                break; 
-            }
-            console.log(`  Directed DFS Iteration ${iterations}, Stack size ${stack.length}`);
-        }
-
-        const { nodeId, path, segments, currentLength, currentCost, visited } = stack.pop();
-        const currentNodeCoords = nodes[nodeId]; // Needed for bearing calculation
-        if (!currentNodeCoords) continue; // Should not happen if graph is consistent
-
-        // Check if DISTANCE is within tolerance
-        if (currentLength >= lowerBound && currentLength <= upperBound) {
-            routesChecked++;
-            // We don't strictly need the end bearing here, but check if it's the best route found so far
-            if (currentCost < bestRoute.cost) {
-                bestRoute = {
-                    route: { length: currentLength, cost: currentCost, path: path, segments: segments },
-                    cost: currentCost
-                };
-                // console.log(`    -> New best directed route found: Cost ${currentCost.toFixed(0)}, Length ${currentLength.toFixed(0)}`);
-            }
-        }
-        
-        // Pruning based on distance
-        if (currentLength > upperBound) continue; 
-
-        // Explore neighbors
-        const neighbors = graph[nodeId] || [];
-        const neighborsToExplore = []; // Store valid neighbors to potentially shuffle later
-
-        for (const edge of neighbors) {
-            const neighborId = edge.neighborId;
-            const neighborCoords = nodes[neighborId];
-
-            if (!visited.has(neighborId) && neighborCoords) {
-                let neighborBearing = null;
-                try {
-                    neighborBearing = turf.bearing(
-                        turf.point([currentNodeCoords.lon, currentNodeCoords.lat]),
-                        turf.point([neighborCoords.lon, neighborCoords.lat])
-                    );
-                    if (neighborBearing < 0) neighborBearing += 360;
-                } catch (e) { /* Ignore errors, treat as invalid bearing */ }
-
-                // Check bearing: Always allow exploration initially, then check tolerance
-                const withinBearing = isBearingWithinTolerance(neighborBearing, targetBearing, bearingTolerance);
-                
-                if (currentLength < initialExploreDistance || withinBearing) {
-                    // Store neighbor details for pushing onto stack
-                    neighborsToExplore.push({ edge, neighborId });
-                    // Optional: Log bearing check
-                    // if (currentLength >= initialExploreDistance) {
-                    //     console.log(`      -> Bearing Check: Node ${nodeId} to ${neighborId} = ${neighborBearing?.toFixed(1)}°, Target=${targetBearing.toFixed(1)}°, Within=${withinBearing}`);
-                    // }
-                } else {
-                     // Optional: Log pruning
-                    // console.log(`      -> Pruning neighbor ${neighborId}: Bearing ${neighborBearing?.toFixed(1)}° outside target ${targetBearing.toFixed(1)}° ±${bearingTolerance}°`);
-                }
-            }
-        }
-
-        // --- Push valid neighbors onto the stack --- 
-        // Optional: Shuffle neighborsToExplore to add randomness if needed?
-        // For now, push in the order found (usually consistent)
-        for (const { edge, neighborId } of neighborsToExplore) {
-            const newLength = currentLength + edge.length;
-            const newCost = currentCost + edge.cost; 
-            const newPath = [...path, neighborId];
-            const newSegment = { 
-                geometry: edge.geometry, length: edge.length, cost: edge.cost, 
-                wayId: edge.wayId, wayName: edge.wayName, highwayTag: edge.highwayTag,
-                startNodeId: nodeId, endNodeId: neighborId // Pass IDs through
-            };
-            const newSegments = [...segments, newSegment];
-            const newVisited = new Set(visited); 
-            newVisited.add(neighborId);
-            stack.push({
-                nodeId: neighborId, path: newPath, segments: newSegments,
-                currentLength: newLength, currentCost: newCost, 
-                visited: newVisited
-            });
-        }
-    } // End while loop
-
-    console.log(`Backend: Directed DFS finished. Checked ${routesChecked} routes within length tolerance. Returning best route found.`);
-
-    return bestRoute.route; // Return the route object itself, or null if none found
-}
-
-async function findShortestPathAStar(graph, nodes, startNodeId, endNodeId, outwardSegments = null) {
+// --- A* shortest path (heap-based, on the compact typed-array copy of the graph) ---
+// outwardSegments: edges (by node pair, either direction) that cost PENALTY_FACTOR times more,
+// e.g. the outward half of a round trip so the return leg takes a different way back.
+// options.costFactors: per-edge cost factors (compactGraph.createCostFactors)
+async function findShortestPathAStar(graph, nodes, startNodeId, endNodeId, outwardSegments = null, options = {}) {
     console.log(`Backend: A* Starting path search from ${startNodeId} to ${endNodeId}.`); // DIAGNOSTIC
     if (!graph || Object.keys(graph).length === 0) {
         console.error("Backend: A* cannot run - Graph is empty or null."); // DIAGNOSTIC
@@ -528,204 +294,53 @@ async function findShortestPathAStar(graph, nodes, startNodeId, endNodeId, outwa
         console.error(`Backend: A* cannot run - Start node ${startNodeId} not found in graph/nodes.`); // DIAGNOSTIC
         return null;
     }
-     // End node only needs to exist in the 'nodes' object for the heuristic.
-     if (!nodes[String(endNodeId)]) { 
+    // End node only needs to exist in the 'nodes' object for the heuristic.
+    if (!nodes[String(endNodeId)]) {
         console.error(`Backend: A* cannot run - End node ${endNodeId} not found in nodes object (needed for heuristic).`); // DIAGNOSTIC
         return null;
     }
 
-    const startNodeStr = String(startNodeId); // Ensure string keys
-    const endNodeStr = String(endNodeId);
-    const startTime = Date.now();
     const PENALTY_FACTOR = 100.0; // Increased Penalty Factor
+    const MAX_ITERATIONS = 500000; // Safety break
+    const compact = compactGraph.getCompactGraph(graph, nodes);
+    const startIndex = compactGraph.findNodeIndex(compact, startNodeId);
+    const endIndex = compactGraph.findNodeIndex(compact, endNodeId);
+    if (endIndex === -1) {
+        console.warn(`Backend: A* end node ${endNodeId} has no edges; no path possible.`);
+        return null;
+    }
 
-    // --- Create a set of outward edges for quick lookup --- 
-    const outwardEdgeSet = new Set();
-    const applyPenalty = outwardSegments && outwardSegments.length > 0;
-    if (applyPenalty) {
+    let penalisedEdges = null;
+    if (outwardSegments && outwardSegments.length > 0) {
         console.log(`Backend: A* applying penalty using ${outwardSegments.length} outward segments.`);
-        outwardSegments.forEach(segment => {
-            if (segment.startNodeId !== undefined && segment.endNodeId !== undefined) {
-                 const u = Math.min(segment.startNodeId, segment.endNodeId);
-                 const v = Math.max(segment.startNodeId, segment.endNodeId);
-                 outwardEdgeSet.add(`${u}_${v}`);
-            } else {
-                 console.warn("Segment missing node IDs for penalty calculation");
-            }
-        });
-         console.log(`Backend: Outward edge set size: ${outwardEdgeSet.size}`);
-    } else {
-         console.log(`Backend: A* No outward segments provided, penalty disabled.`); // LOGGING
+        penalisedEdges = compactGraph.markSegmentEdges(compact, outwardSegments);
     }
 
-    const openSet = []; 
-    const cameFrom = {}; // Stores { nodeStr: {fromNode: nodeStr, segment: edgeInfo} }
-    const gScore = {};   // Stores { nodeStr: score }
-
-    // Initialize gScore with string keys
-    Object.keys(graph).forEach(nodeStr => { gScore[nodeStr] = Infinity; });
-    // Also add nodes that might only be destinations (exist in 'nodes' but not 'graph' keys)
-    Object.keys(nodes).forEach(nodeStr => { 
-        if (gScore[nodeStr] === undefined) { gScore[nodeStr] = Infinity; }
+    const result = compactGraph.findPathAStar(compact, startIndex, endIndex, {
+        penalisedEdges, penaltyFactor: PENALTY_FACTOR, costFactors: options.costFactors, maxExpansions: MAX_ITERATIONS
     });
-
-    gScore[startNodeStr] = 0;
-
-    const endNodeData = nodes[endNodeStr];
-    if (!endNodeData) { // Should be caught earlier, but double-check
-        console.error(`Backend: A* Critical - Failed to get coordinates for end node ${endNodeStr}.`); 
-        return null; 
-    }
-    const endPoint = turf.point([endNodeData.lon, endNodeData.lat]);
-    
-    // Heuristic: Use string ID
-    const heuristic = (nodeStr) => {
-        const nodeData = nodes[nodeStr];
-        if (!nodeData) return Infinity; 
-        const nodePoint = turf.point([nodeData.lon, nodeData.lat]);
-        // Using turf distance is more accurate than scaled Euclidean
-        return turf.distance(nodePoint, endPoint, { units: 'meters' }); 
-    };
-
-    openSet.push({ nodeId: startNodeStr, f: heuristic(startNodeStr) });
-
-    const visitedNodes = new Set(); // Track nodes pulled from openSet
-    let iterations = 0;
-    const MAX_ITERATIONS = 500000; // Safety break
-    let currentNodeStr = null; // Declare currentNodeStr outside the loop
-
-    while (openSet.length > 0) {
-        iterations++;
-        // Log detailed status periodically for debugging long runs/failures
-        if (iterations > MAX_ITERATIONS || iterations % 50000 === 0) { 
-            // Log based on the *next* node to be processed
-            console.log(`Backend: A* Status [Iter ${iterations}]: OpenSet=${openSet.length}, CurrentBestF=${openSet[0]?.f.toFixed(0)}, NextNode=${openSet[0]?.nodeId}`);
-        }
-
-        if (iterations > MAX_ITERATIONS) {
-             console.warn(`Backend: A* MAX_ITERATIONS (${MAX_ITERATIONS}) reached, aborting search from ${startNodeStr} to ${endNodeStr}.`);
-            return null;
-        }
-
-        // Get node with lowest f score
-        openSet.sort((a, b) => a.f - b.f); // Keep sorted
-        const current = openSet.shift(); 
-        // Assign to the *outer* variable so it's available after the loop
-        currentNodeStr = current.nodeId; 
-
-        // Optimization: If we already found a better path to this node, skip
-        if (visitedNodes.has(currentNodeStr)) {
-             continue;
-        }
-        visitedNodes.add(currentNodeStr);
-
-        if (currentNodeStr === endNodeStr) {
-             console.log(`Backend: A* found path to ${endNodeStr} in ${iterations} iterations.`);
-            // Reconstruct path
-            const segments = [];
-            const pathNodes = []; // Store string node IDs first
-            let tempNodeStr = endNodeStr;
-            let totalLength = 0; 
-
-            while (cameFrom[tempNodeStr]) {
-                pathNodes.push(tempNodeStr);
-                const predInfo = cameFrom[tempNodeStr];
-                segments.push(predInfo.segment); 
-                totalLength += predInfo.segment.length; 
-                tempNodeStr = predInfo.fromNode;
-            }
-            pathNodes.push(startNodeStr); 
-            segments.reverse(); 
-            pathNodes.reverse();
-            
-            const finalCost = gScore[endNodeStr]; // Get the final calculated cost
-            console.log(`Backend: Reconstructed A* path: Segments=${segments.length}, Length=${totalLength.toFixed(0)}m, Cost=${finalCost.toFixed(0)}`);
-            
-            // Convert path back to numbers for consistency with rest of app
-            const pathNumbers = pathNodes.map(id => parseInt(id)); 
-            return { 
-                length: totalLength, 
-                cost: finalCost,
-                segments: segments, 
-                path: pathNumbers 
-            };
-        }
-
-        // Explore neighbors (Handle case where node might not be in graph keys if it has no outgoing edges)
-        const neighbors = graph[currentNodeStr] || []; 
-        for (const edge of neighbors) {
-            // edge.neighborId is a number from buildGraph
-            const neighborNodeStr = String(edge.neighborId); 
-
-            // Skip if already processed via an optimal path
-            if (visitedNodes.has(neighborNodeStr)) {
-                 continue; 
-            }
-
-            let edgeCostForSearch = edge.cost; // Start with actual cost
-
-            // Apply penalty if this edge was on the outward path
-            if (applyPenalty) {
-                // Ensure numeric IDs for comparison logic
-                const u = Math.min(parseInt(currentNodeStr), edge.neighborId);
-                const v = Math.max(parseInt(currentNodeStr), edge.neighborId);
-                const edgeId = `${u}_${v}`;
-                if (outwardEdgeSet.has(edgeId)) {
-                    edgeCostForSearch *= PENALTY_FACTOR; 
-                }
-            }
-
-            // Use the potentially penalized cost for G score calculation
-            const tentativeGScore = gScore[currentNodeStr] + edgeCostForSearch; 
-
-            // Check if this path to neighbor is better than any previous one
-            // Use string keys for gScore access
-            if (tentativeGScore < (gScore[neighborNodeStr] ?? Infinity)) { 
-                // Store the original edge info (with original cost) in cameFrom
-                // Ensure cameFrom uses string key for the node *being pointed to*
-                cameFrom[neighborNodeStr] = { 
-                    fromNode: currentNodeStr, // Key is the node *from* which we came
-                    segment: { 
-                        // Make sure segment has numeric IDs for consistency later
-                        startNodeId: parseInt(currentNodeStr), 
-                        endNodeId: edge.neighborId, 
-                        geometry: edge.geometry, length: edge.length, cost: edge.cost, // Store ACTUAL cost 
-                        wayId: edge.wayId, wayName: edge.wayName, highwayTag: edge.highwayTag
-                    } 
-                };
-                // Store the gScore (potentially penalized) using string key
-                gScore[neighborNodeStr] = tentativeGScore; 
-                const fScore = tentativeGScore + heuristic(neighborNodeStr);
-                
-                // Update priority queue (openSet) using string ID
-                const existingIndex = openSet.findIndex(item => item.nodeId === neighborNodeStr);
-                const newState = { nodeId: neighborNodeStr, f: fScore };
-                
-                if (existingIndex !== -1) { // If exists, remove old entry before adding new one
-                    openSet.splice(existingIndex, 1);
-                }
-                // Add new state and keep sorted (splice/findSortedIndex is inefficient for large sets)
-                // For simplicity here, push and re-sort is easier to implement than heap
-                openSet.push(newState);
-                // No need to sort every time, sort at the start of the loop
-            }
+    if (!result.edges) {
+        if (result.stopReason === 'limit') {
+            console.warn(`Backend: A* MAX_ITERATIONS (${MAX_ITERATIONS}) reached, aborting search from ${startNodeId} to ${endNodeId}.`);
+        } else {
+            console.warn(`Backend: A* failed to find a path from ${startNodeId} to ${endNodeId} after ${result.expansions} iterations.`);
         }
+        return null;
     }
 
-    // If loop finishes and we haven't returned, the end node was not reachable
-    // currentNodeStr should now hold the ID of the last node actually processed
-    console.warn(`Backend: A* failed to find a path from ${startNodeStr} to ${endNodeStr}. Open set empty after ${iterations} iterations. Last node processed: ${currentNodeStr ?? 'None'}`); 
-    return null; 
+    const route = compactGraph.buildRouteFromEdges(compact, startIndex, result.edges, options.costFactors);
+    console.log(`Backend: A* found path to ${endNodeId} in ${result.expansions} iterations: Segments=${route.segments.length}, Length=${route.length.toFixed(0)}m, Cost=${route.cost.toFixed(0)}`);
+    return route;
 }
 
 
 // --- Export functions needed by server.js ---
 module.exports = {
-    lookupPostcodeCoords,
+    WALKABLE_HIGHWAY_TYPES,
     fetchOsmDataInBbox,
+    buildGraphData,
+    findNearestGraphNode,
     processOsmData,
-    findWalkNearDistance,
-    findDirectedWalkNearDistance,
     findShortestPathAStar,
     calculateInitialBearing
 }; 
\ No newline at end of file
@@ -0,0 +1,126 @@
+// --- Routing Profiles ---
+// Named cost profiles loaded from JSON files (one profile per file, named after the file):
+//
+//   {
+//     "label": "Green",                       // Shown in the UI
+//     "description": "Parks, paths and ...",  // Optional
+//     "highway": { "footway": 1.0, "steps": null, ..., "default": 1.8 },
+//     "tags": { "surface": { "mud": 1.5, "gravel": 1.1 }, "lit": { "yes": 0.95 }, ... },
+//     "accessHandling": { "permissive": "allow", "destination": "penalise" }, // Optional
+//     "scenic": { "green": 0.6, "water": 0.7 }                                  // Optional
+//   }
+//
+// An edge costs length x highway factor x the multiplier of every listed tag value the way
+// has. A factor of null excludes the way from the graph entirely (e.g. steps for buggies).
+// Any OSM tag can be weighted; the shipped profiles use surface, lit, foot, sidewalk,
+// smoothness, wheelchair and highway=steps. Legal access (access/foot/oneway:foot) is not a
+// weight: access_rules.js applies it to every profile, and accessHandling only chooses how
+// permissive and destination ways are treated. "scenic" factors apply in proportion to how
+// much of an edge runs through or alongside green space / water (see scenic.js).
+
+const fs = require('fs');
+const path = require('path');
+const { normaliseAccessHandling } = require('./access_rules');
+
+const DEFAULT_PROFILE_NAME = 'balanced';
+const PROFILE_NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+// --- Validation ---
+function validateFactor(value, where) {
+    if (value === null) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`${where} must be a positive number or null (exclude), got ${JSON.stringify(value)}.`);
+    }
+}
+
+function validateProfile(name, profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error(`Routing profile "${name}" must be a JSON object.`);
+    }
+    if (!profile.highway || typeof profile.highway !== 'object') {
+        throw new Error(`Routing profile "${name}" needs a "highway" cost map.`);
+    }
+    Object.entries(profile.highway).forEach(([highway, factor]) => validateFactor(factor, `${name}: highway.${highway}`));
+    if (typeof profile.highway.default !== 'number') {
+        throw new Error(`Routing profile "${name}" needs a numeric highway.default.`);
+    }
+    if (profile.scenic !== undefined) {
+        if (!profile.scenic || typeof profile.scenic !== 'object') throw new Error(`${name}: scenic must map green/water to factors.`);
+        Object.entries(profile.scenic).forEach(([key, factor]) => {
+            if (key !== 'green' && key !== 'water') throw new Error(`${name}: scenic.${key} is not green or water.`);
+            if (factor === null) throw new Error(`${name}: scenic.${key} cannot exclude ways.`);
+            validateFactor(factor, `${name}: scenic.${key}`);
+        });
+    }
+    Object.entries(profile.tags || {}).forEach(([key, values]) => {
+        if (!values || typeof values !== 'object') throw new Error(`${name}: tags.${key} must map tag values to factors.`);
+        Object.entries(values).forEach(([value, factor]) => validateFactor(factor, `${name}: tags.${key}.${value}`));
+    });
+    return {
+        name,
+        label: typeof profile.label === 'string' ? profile.label : name,
+        description: typeof profile.description === 'string' ? profile.description : '',
+        highway: { ...profile.highway },
+        tags: { ...(profile.tags || {}) },
+        accessHandling: normaliseAccessHandling(profile.accessHandling, `${name}: accessHandling`),
+        scenic: profile.scenic ? { ...profile.scenic } : null
+    };
+}
+
+// --- Cost factor for one way ---
+// Returns the cost multiplier for a way's tags, or null if the profile excludes the way.
+function getWayCostFactor(profile, tags = {}) {
+    const highway = tags.highway;
+    let factor = highway in profile.highway ? profile.highway[highway] : profile.highway.default;
+    if (factor === null) return null;
+    for (const [key, values] of Object.entries(profile.tags)) {
+        const value = tags[key];
+        if (value === undefined || !(value in values)) continue;
+        if (values[value] === null) return null;
+        factor *= values[value];
+    }
+    return factor;
+}
+
+// --- Loader ---
+// Reads every *.json file in a directory. Returns { get(name), list(), defaultName };
+// throws if a file is invalid or the default profile is missing.
+function loadRoutingProfiles(directory, defaultName = DEFAULT_PROFILE_NAME) {
+    const profiles = new Map();
+    fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const name = path.basename(file, '.json');
+            if (!PROFILE_NAME_PATTERN.test(name)) {
+                throw new Error(`Routing profile file name "${file}" must be lowercase letters, digits, - or _.`);
+            }
+            let parsed;
+            try {
+                parsed = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            } catch (error) {
+                throw new Error(`Could not read routing profile ${file}: ${error.message}`);
+            }
+            profiles.set(name, validateProfile(name, parsed));
+        });
+    if (!profiles.has(defaultName)) {
+        throw new Error(`Default routing profile "${defaultName}" not found in ${directory}.`);
+    }
+    console.log(`Backend: Loaded ${profiles.size} routing profiles from ${directory}: ${[...profiles.keys()].join(', ')} (default ${defaultName}).`);
+
+    return {
+        defaultName,
+        get(name) {
+            return profiles.get(name || defaultName) || null;
+        },
+        list() {
+            return [...profiles.values()].map(({ name, label, description }) => ({ name, label, description, isDefault: name === defaultName }));
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PROFILE_NAME,
+    getWayCostFactor,
+    loadRoutingProfiles
+};
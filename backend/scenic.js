@@ -0,0 +1,262 @@
+// --- Scenic Areas: green space and water near the walk network ---
+// Parks, woods, grassland and water bodies (polygons) plus rivers and canals (lines) are
+// fetched for the same bbox as the walk graph and put in a grid index. For each graph edge
+// we measure the share of its length that runs through or alongside green space (inside a
+// green polygon or within GREEN_ALONGSIDE_M of one) and alongside water (within
+// WATER_ALONGSIDE_M of a water polygon or waterway, e.g. a canal towpath). Profiles with a
+// "scenic" section scale edge costs by those shares, and every route reports its % green.
+// Multipolygon holes are ignored (a pond in a park still counts as the park).
+
+const axios = require('axios');
+
+const OVERPASS_API_URL = 'https://overpass-api.de/api/interpreter';
+const GREEN_ALONGSIDE_M = 15;
+const WATER_ALONGSIDE_M = 30;
+const EDGE_SAMPLE_SPACING_M = 15;
+const GRID_CELL_DEGREES = 0.005;
+const METERS_PER_DEGREE = 111320;
+
+// --- OSM tag -> scenic type ---
+// Checked in order; the first matching rule wins. Lines only come from waterway=*.
+const SCENIC_RULES = [
+    { type: 'green', key: 'leisure', values: ['park', 'garden', 'nature_reserve', 'common', 'recreation_ground'] },
+    { type: 'green', key: 'landuse', values: ['forest', 'grass', 'meadow', 'recreation_ground', 'village_green', 'allotments', 'cemetery'] },
+    { type: 'green', key: 'natural', values: ['wood', 'scrub', 'heath', 'grassland'] },
+    { type: 'water', key: 'natural', values: ['water', 'bay'] },
+    { type: 'water', key: 'landuse', values: ['reservoir', 'basin'] },
+    { type: 'water', key: 'waterway', values: ['river', 'canal', 'stream', 'riverbank', 'dock'] }
+];
+
+// Returns 'green' | 'water' | null for a tag set
+function classifyScenicArea(tags) {
+    if (!tags) return null;
+    for (const rule of SCENIC_RULES) {
+        if (rule.values.includes(tags[rule.key])) return rule.type;
+    }
+    return null;
+}
+
+// Waterways other than riverbank/dock areas are lines, everything else is a polygon
+function isScenicLine(tags) {
+    return ['river', 'canal', 'stream'].includes(tags.waterway);
+}
+
+// --- Ring assembly for multipolygon relations ---
+// Joins outer member ways end to end; returns closed rings only.
+function stitchRings(lines) {
+    const pending = lines.filter(line => line.length >= 2).map(line => line.slice());
+    const rings = [];
+    const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+    while (pending.length > 0) {
+        let ring = pending.shift();
+        let extended = true;
+        while (!samePoint(ring[0], ring[ring.length - 1]) && extended) {
+            extended = false;
+            for (let i = 0; i < pending.length; i++) {
+                const line = pending[i];
+                const end = ring[ring.length - 1];
+                if (samePoint(line[0], end)) ring = ring.concat(line.slice(1));
+                else if (samePoint(line[line.length - 1], end)) ring = ring.concat(line.slice(0, -1).reverse());
+                else continue;
+                pending.splice(i, 1);
+                extended = true;
+                break;
+            }
+        }
+        if (ring.length >= 4 && samePoint(ring[0], ring[ring.length - 1])) rings.push(ring);
+    }
+    return rings;
+}
+
+// --- Overpass: scenic areas in a bbox ---
+function buildScenicQuery(bboxString) {
+    const clauses = [];
+    SCENIC_RULES.forEach(rule => {
+        const filter = `["${rule.key}"~"^(${rule.values.join('|')})$"]`;
+        clauses.push(`way${filter}(${bboxString});`);
+        clauses.push(`relation${filter}["type"="multipolygon"](${bboxString});`);
+    });
+    return `
+        [out:json][timeout:90];
+        (
+          ${clauses.join('\n          ')}
+        );
+        out geom;
+    `;
+}
+
+// Overpass "out geom" element -> { id, type, polygons: [ring], lines: [line] } (or null)
+function parseScenicElement(element) {
+    const type = classifyScenicArea(element.tags);
+    if (!type) return null;
+    const toLine = geometry => (geometry || []).filter(Boolean).map(point => [point.lon, point.lat]);
+    const area = { id: `${element.type}/${element.id}`, type, polygons: [], lines: [] };
+    if (element.type === 'way') {
+        const line = toLine(element.geometry);
+        if (isScenicLine(element.tags)) area.lines.push(line);
+        else area.polygons.push(...stitchRings([line]));
+    } else if (element.type === 'relation') {
+        const outers = (element.members || []).filter(member => member.type === 'way' && member.role !== 'inner');
+        area.polygons.push(...stitchRings(outers.map(member => toLine(member.geometry))));
+    }
+    return area.polygons.length > 0 || area.lines.length > 0 ? area : null;
+}
+
+async function fetchScenicAreasInBbox(bbox) {
+    if (!bbox || bbox.length !== 4) {
+        throw new Error("Invalid bounding box provided to fetchScenicAreasInBbox.");
+    }
+    const bboxString = `${bbox[1]},${bbox[0]},${bbox[3]},${bbox[2]}`; // Overpass format: south,west,north,east
+    console.log(`Backend: Fetching green space and water within bbox: ${bboxString}`);
+    try {
+        const response = await axios.post(OVERPASS_API_URL, `data=${encodeURIComponent(buildScenicQuery(bboxString))}`, {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        const elements = response.data?.elements;
+        if (!Array.isArray(elements)) {
+            throw new Error("Received invalid scenic area data structure from Overpass API.");
+        }
+        const areas = elements.map(parseScenicElement).filter(Boolean);
+        console.log(`Backend: Received ${areas.length} green/water areas.`);
+        return areas;
+    } catch (error) {
+        console.error("Backend: Error fetching scenic areas:", error.response ? error.response.data : error.message);
+        throw new Error(`Fetching scenic areas failed: ${error.response?.data?.error || error.message}`);
+    }
+}
+
+// --- Geometry helpers (flat-earth metres around the query point) ---
+function isInsideRing(ring, lon, lat) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+function distanceToLineMeters(line, lon, lat, cosLat) {
+    let best = Infinity;
+    for (let i = 1; i < line.length; i++) {
+        const ax = (line[i - 1][0] - lon) * cosLat;
+        const ay = line[i - 1][1] - lat;
+        const bx = (line[i][0] - lon) * cosLat;
+        const by = line[i][1] - lat;
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+        const x = ax + dx * t;
+        const y = ay + dy * t;
+        best = Math.min(best, x * x + y * y);
+    }
+    return Math.sqrt(best) * METERS_PER_DEGREE;
+}
+
+function getLineBbox(line) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    line.forEach(([lon, lat]) => {
+        bbox[0] = Math.min(bbox[0], lon);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lon);
+        bbox[3] = Math.max(bbox[3], lat);
+    });
+    return bbox;
+}
+
+// --- Spatial index ---
+// areas: [{ type, polygons, lines }] -> { partCount, classifyPoint(lon, lat) -> { green, water } }
+function createScenicIndex(areas) {
+    const cells = new Map(); // "x|y" -> [part]
+    let partCount = 0;
+    const addPart = (part, bufferMeters) => {
+        const margin = bufferMeters / METERS_PER_DEGREE / Math.max(Math.cos((part.bbox[1] * Math.PI) / 180), 0.1);
+        part.searchBbox = [part.bbox[0] - margin, part.bbox[1] - margin, part.bbox[2] + margin, part.bbox[3] + margin];
+        for (let x = Math.floor(part.searchBbox[0] / GRID_CELL_DEGREES); x <= Math.floor(part.searchBbox[2] / GRID_CELL_DEGREES); x++) {
+            for (let y = Math.floor(part.searchBbox[1] / GRID_CELL_DEGREES); y <= Math.floor(part.searchBbox[3] / GRID_CELL_DEGREES); y++) {
+                const key = `${x}|${y}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(part);
+            }
+        }
+        partCount++;
+    };
+    (areas || []).forEach(area => {
+        const buffer = area.type === 'green' ? GREEN_ALONGSIDE_M : WATER_ALONGSIDE_M;
+        area.polygons.forEach(ring => addPart({ type: area.type, ring, line: ring, bbox: getLineBbox(ring) }, buffer));
+        area.lines.forEach(line => addPart({ type: area.type, ring: null, line, bbox: getLineBbox(line) }, buffer));
+    });
+
+    function classifyPoint(lon, lat) {
+        const result = { green: false, water: false };
+        const parts = cells.get(`${Math.floor(lon / GRID_CELL_DEGREES)}|${Math.floor(lat / GRID_CELL_DEGREES)}`);
+        if (!parts) return result;
+        const cosLat = Math.cos((lat * Math.PI) / 180);
+        for (const part of parts) {
+            if (result[part.type]) continue;
+            const [west, south, east, north] = part.searchBbox;
+            if (lon < west || lon > east || lat < south || lat > north) continue;
+            const buffer = part.type === 'green' ? GREEN_ALONGSIDE_M : WATER_ALONGSIDE_M;
+            if ((part.ring && isInsideRing(part.ring, lon, lat)) || distanceToLineMeters(part.line, lon, lat, cosLat) <= buffer) {
+                result[part.type] = true;
+                if (result.green && result.water) break;
+            }
+        }
+        return result;
+    }
+
+    return { partCount, classifyPoint };
+}
+
+// Share (0-1) of a straight edge that is green / beside water, sampled every EDGE_SAMPLE_SPACING_M
+function getEdgeScenery(index, from, to, length) {
+    const steps = Math.max(2, Math.ceil(length / EDGE_SAMPLE_SPACING_M));
+    let green = 0;
+    let water = 0;
+    for (let i = 0; i <= steps; i++) {
+        const fraction = i / steps;
+        const point = index.classifyPoint(from[0] + (to[0] - from[0]) * fraction, from[1] + (to[1] - from[1]) * fraction);
+        if (point.green) green++;
+        if (point.water) water++;
+    }
+    return { green: green / (steps + 1), water: water / (steps + 1) };
+}
+
+// Cost multiplier for an edge: a profile's scenic factors apply in proportion to the shares
+// (profile.scenic = { green: 0.6, water: 0.7 } makes a fully green edge cost 0.6x)
+function getScenicCostFactor(scenic, scenery) {
+    const greenFactor = 1 + ((scenic.green ?? 1) - 1) * scenery.green;
+    const waterFactor = 1 + ((scenic.water ?? 1) - 1) * scenery.water;
+    return greenFactor * waterFactor;
+}
+
+// --- Route report ---
+// Returns { greenDistance, waterDistance, greenPercent, waterPercent }
+function describeRouteScenery(route, index) {
+    let greenDistance = 0;
+    let waterDistance = 0;
+    (route.segments || []).forEach(segment => {
+        const scenery = getEdgeScenery(index, segment.geometry[0], segment.geometry[segment.geometry.length - 1], segment.length);
+        greenDistance += scenery.green * segment.length;
+        waterDistance += scenery.water * segment.length;
+    });
+    const percent = distance => (route.length > 0 ? Math.round((distance / route.length) * 100) : 0);
+    return {
+        greenDistance: Math.round(greenDistance),
+        waterDistance: Math.round(waterDistance),
+        greenPercent: percent(greenDistance),
+        waterPercent: percent(waterDistance)
+    };
+}
+
+module.exports = {
+    classifyScenicArea,
+    isScenicLine,
+    stitchRings,
+    fetchScenicAreasInBbox,
+    createScenicIndex,
+    getEdgeScenery,
+    getScenicCostFactor,
+    describeRouteScenery
+};
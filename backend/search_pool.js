@@ -0,0 +1,174 @@
+// --- Search Pool: graph searches on worker threads ---
+// Route searches (walk generation, A*, concept routes, track matching) are CPU-bound and
+// would otherwise block every other request on Express's thread. The pool runs them on up to
+// `size` workers (search_worker.js) and queues the rest in arrival order, up to `maxQueue`;
+// beyond that new searches are refused (error.statusCode 503) rather than piling up.
+// Graphs reach the workers as compactGraph.getSharedGraph data (SharedArrayBuffers), so a
+// worker that has not seen an area yet gets its typed arrays without copying them.
+//
+// Cancelling (options.signal) drops a queued search, or terminates the worker running it
+// and starts a fresh one.
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const compactGraph = require('./compact_graph');
+
+const WORKER_FILE = path.join(__dirname, 'search_worker.js');
+const DEFAULT_POOL_SIZE = Math.max(1, Math.min(4, os.cpus().length - 1));
+const DEFAULT_MAX_QUEUE = 20;
+
+function createPoolError(message, props) {
+    return Object.assign(new Error(message), props);
+}
+
+// --- Pool Factory ---
+// options: { size, maxQueue }
+function createSearchPool(options = {}) {
+    const size = options.size || DEFAULT_POOL_SIZE;
+    const maxQueue = options.maxQueue !== undefined ? options.maxQueue : DEFAULT_MAX_QUEUE;
+    const workers = []; // [{ worker, task }] - started on first use
+    const queue = []; // tasks waiting for a free worker
+    let nextTaskId = 1;
+    const stats = { completed: 0, failed: 0, cancelled: 0, rejected: 0 };
+
+    function startWorker() {
+        const slot = { worker: new Worker(WORKER_FILE), task: null };
+        slot.worker.on('message', message => onMessage(slot, message));
+        slot.worker.on('error', error => {
+            console.error("Backend: Search worker crashed:", error);
+            replaceWorker(slot, createPoolError(`Search worker crashed: ${error.message}`));
+        });
+        slot.worker.on('exit', code => {
+            if (slot.task) replaceWorker(slot, createPoolError(`Search worker exited (code ${code}).`));
+        });
+        return slot;
+    }
+
+    // Ends the slot's task (if any) with error and puts a new worker in its place
+    function replaceWorker(slot, error) {
+        const index = workers.indexOf(slot);
+        if (index === -1) return;
+        const task = slot.task;
+        slot.task = null;
+        slot.worker.removeAllListeners();
+        slot.worker.terminate();
+        workers[index] = startWorker();
+        if (task) finishTask(task, error);
+        dispatch();
+    }
+
+    function finishTask(task, error, result) {
+        if (task.signal) task.signal.removeEventListener('abort', task.onAbort);
+        if (error) {
+            if (error.cancelled) stats.cancelled++;
+            else stats.failed++;
+            task.reject(error);
+        } else {
+            stats.completed++;
+            task.resolve(result);
+        }
+    }
+
+    function send(slot, task, includeGraph) {
+        slot.worker.postMessage({
+            id: task.id,
+            task: task.name,
+            args: task.args,
+            graphKey: task.sharedGraph.key,
+            graph: includeGraph ? task.sharedGraph : undefined
+        });
+    }
+
+    function onMessage(slot, message) {
+        const task = slot.task;
+        if (!task || message.id !== task.id) return;
+        if (message.needGraph) {
+            send(slot, task, true);
+            return;
+        }
+        slot.task = null;
+        if (message.error) finishTask(task, createPoolError(message.error));
+        else finishTask(task, null, message.result);
+        dispatch();
+    }
+
+    function dispatch() {
+        while (queue.length > 0) {
+            let slot = workers.find(candidate => !candidate.task);
+            if (!slot && workers.length < size) {
+                slot = startWorker();
+                workers.push(slot);
+            }
+            if (!slot) return;
+            const task = queue.shift();
+            slot.task = task;
+            send(slot, task, false);
+        }
+    }
+
+    // Run TASKS[name](graph, nodes, ...args) (see search_worker.js) on a worker.
+    // options.signal: AbortSignal that cancels the search (rejects with error.cancelled).
+    function run(graph, nodes, name, args, runOptions = {}) {
+        const { signal } = runOptions;
+        if (signal && signal.aborted) {
+            return Promise.reject(createPoolError("Route search was cancelled.", { cancelled: true }));
+        }
+        // Searches only wait (and count against maxQueue) when no worker is free or can be started
+        const canStartNow = workers.length < size || workers.some(slot => !slot.task);
+        if (!canStartNow && queue.length >= maxQueue) {
+            stats.rejected++;
+            return Promise.reject(createPoolError("The server is busy with other route searches. Please try again shortly.", { statusCode: 503 }));
+        }
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: nextTaskId++, name, args, resolve, reject, signal,
+                sharedGraph: compactGraph.getSharedGraph(graph, nodes)
+            };
+            if (signal) {
+                task.onAbort = () => {
+                    const error = createPoolError("Route search was cancelled.", { cancelled: true });
+                    const queuedIndex = queue.indexOf(task);
+                    if (queuedIndex !== -1) {
+                        queue.splice(queuedIndex, 1);
+                        finishTask(task, error);
+                        return;
+                    }
+                    const slot = workers.find(candidate => candidate.task === task);
+                    if (slot) replaceWorker(slot, error);
+                };
+                signal.addEventListener('abort', task.onAbort);
+            }
+            queue.push(task);
+            dispatch();
+        });
+    }
+
+    function getStats() {
+        return {
+            ...stats,
+            size,
+            maxQueue,
+            workers: workers.length,
+            busy: workers.filter(slot => slot.task).length,
+            queued: queue.length
+        };
+    }
+
+    // Stops all workers; queued and running searches are rejected
+    async function close() {
+        const error = createPoolError("Search pool closed.");
+        queue.splice(0).forEach(task => finishTask(task, error));
+        await Promise.all(workers.splice(0).map(slot => {
+            slot.worker.removeAllListeners();
+            if (slot.task) finishTask(slot.task, error);
+            return slot.worker.terminate();
+        }));
+    }
+
+    return { run, getStats, close };
+}
+
+module.exports = {
+    createSearchPool
+};
@@ -0,0 +1,49 @@
+// --- Search Worker: runs graph searches off the main thread (see search_pool.js) ---
+// Messages in:  { id, task, args, graphKey, graph? }  (graph: compactGraph.getSharedGraph form)
+// Messages out: { id, result } | { id, error } | { id, needGraph: true }
+// Graphs are restored once and kept for the next tasks on the same area; the pool resends
+// a graph this worker does not have (yet, or any more).
+
+const { parentPort } = require('worker_threads');
+const compactGraph = require('./compact_graph');
+const routing = require('./routing');
+const { generateWalks } = require('./loop_generator');
+const { buildConceptRoute, findDestinationWalks } = require('./concept_routes');
+const { matchTrackToGraph } = require('./route_import');
+
+const MAX_GRAPHS = 4; // Restored graphs kept per worker (least recently used dropped first)
+
+// task name -> (graph, nodes, ...args) => result | Promise
+const TASKS = {
+    generateWalks,
+    findDestinationWalks,
+    buildConceptRoute,
+    findShortestPathAStar: routing.findShortestPathAStar,
+    matchTrackToGraph
+};
+
+const graphs = new Map(); // graphKey -> { graph, nodes }, in least recently used order
+
+function getGraph(graphKey, sharedGraph) {
+    let restored = graphs.get(graphKey);
+    if (!restored && sharedGraph) restored = compactGraph.restoreSharedGraph(sharedGraph);
+    if (!restored) return null;
+    graphs.delete(graphKey);
+    graphs.set(graphKey, restored);
+    if (graphs.size > MAX_GRAPHS) graphs.delete(graphs.keys().next().value);
+    return restored;
+}
+
+parentPort.on('message', async ({ id, task, args, graphKey, graph: sharedGraph }) => {
+    const restored = getGraph(graphKey, sharedGraph);
+    if (!restored) {
+        parentPort.postMessage({ id, needGraph: true });
+        return;
+    }
+    try {
+        const result = await TASKS[task](restored.graph, restored.nodes, ...args);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message || String(error) });
+    }
+});
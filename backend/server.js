@@ -3,31 +3,54 @@ require('dotenv').config({ path: path.resolve(__dirname, '../.env') }); // Load
 
 const express = require('express');
 const cors = require('cors');
-const PDFDocument = require('pdfkit'); // Import pdfkit
+const pdf = require('./pdf'); // Walk booklet generation (pdfkit)
 const fs = require('fs'); // File system module (optional, for saving to file)
 // const path = require('path'); // Moved up
 // Import routing functions
 const routing = require('./routing'); 
+const { createGraphCache } = require('./graph_cache');
+const { createLocalOsmSource } = require('./osm_file');
+const { createGeocoder } = require('./geocoder');
 const turf = require('@turf/turf'); // Make sure turf is available here too
-const { GoogleGenerativeAI } = require("@google/generative-ai"); // Gemini Client
-
-// --- Gemini API Key Setup ---
-const apiKey = process.env.GOOGLE_API_KEY;
-if (!apiKey) {
-  console.error("ERROR: GOOGLE_API_KEY not found in environment variables. Did you create a .env file?");
-  process.exit(1); // Exit if key is missing
+const { createLlmProvider, getLlmConfigFromEnv } = require('./llm_providers');
+const { requestWalkConcepts } = require('./llm_concepts');
+const landmarks = require('./landmarks');
+const { exportRoute } = require('./route_export');
+const routeImport = require('./route_import');
+const { generateInstructions } = require('./instructions');
+const { DEFAULT_TIME_BUDGET_MS } = require('./loop_generator');
+const { loadRoutingProfiles } = require('./routing_profiles');
+const accessibility = require('./accessibility');
+const { describeRouteAccess } = require('./access_rules');
+const elevation = require('./elevation');
+const { createDemSource } = require('./dem_file');
+const scenic = require('./scenic');
+const { createJobStore, detachedJobContext, formatServerSentEvent, TERMINAL_EVENTS } = require('./route_jobs');
+const { createSearchPool } = require('./search_pool');
+const { createRouteStore } = require('./route_store');
+const { createAccountStore } = require('./accounts');
+const walkedEdges = require('./walked_edges');
+const compactGraph = require('./compact_graph');
+
+// --- LLM Provider Setup (LLM_PROVIDER=gemini|openai|fixture|none) ---
+// Without a provider the server still runs and serves fallback-only routes.
+const llmProvider = createLlmProvider(getLlmConfigFromEnv());
+if (llmProvider) {
+    console.log(`Using LLM provider: ${llmProvider.name}`);
+} else {
+    console.warn("WARNING: No LLM provider configured (set LLM_PROVIDER or GOOGLE_API_KEY). Only fallback routes will be generated.");
 }
-const genAI = new GoogleGenerativeAI(apiKey);
-// --- End Gemini API Key Setup ---
-
-// You can now get the model when needed, e.g., inside route handlers:
-// const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro-latest" });
+// --- End LLM Provider Setup ---
 
 const app = express();
 const port = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Only the frontend's own origin(s) (FRONTEND_ORIGIN, comma-separated; defaults to a local dev
+// server) may call the API with credentials, so the page's fetches carry the session cookie
+const FRONTEND_ORIGINS = (process.env.FRONTEND_ORIGIN || 'http://localhost:5500,http://127.0.0.1:5500')
+    .split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: FRONTEND_ORIGINS, credentials: true }));
 app.use(express.json({ limit: '10mb' }));
 
 // --- Constants ---
@@ -36,55 +59,88 @@ const MAX_ROUTES_TO_RETURN = 3;
 const MIN_BEARING_DIFF = 75; // No longer used
 const OVERLAP_THRESHOLD = 30.0; // Relaxed overlap threshold further
 const LENGTH_TOLERANCE = 0.40; // +/- 40%
+const FALLBACK_CANDIDATE_FACTOR = 2; // Generate twice the walks needed so the overlap filter has a choice
+
+// --- Routing profiles: one JSON file per profile (ROUTING_PROFILES_DIR, ROUTING_PROFILE_DEFAULT) ---
+const ROUTING_PROFILES_DIR = process.env.ROUTING_PROFILES_DIR ? path.resolve(__dirname, '..', process.env.ROUTING_PROFILES_DIR) : path.join(__dirname, 'profiles');
+const routingProfiles = loadRoutingProfiles(ROUTING_PROFILES_DIR, process.env.ROUTING_PROFILE_DEFAULT || undefined);
+
+const IMPORT_BBOX_BUFFER_METERS = 200; // Map data fetched around an imported track
+
+// --- Route jobs: finished jobs kept for ROUTE_JOB_TTL_MS so clients can still read them ---
+const routeJobs = createJobStore({ ttlMs: parseInt(process.env.ROUTE_JOB_TTL_MS, 10) || undefined });
+const SSE_HEARTBEAT_MS = 15000; // Comment line so proxies keep idle event streams open
+
+// --- Saved walks (permalinks and history): one JSON file per walk in ROUTE_STORE_DIR, up to ROUTE_STORE_MAX_MB ---
+const ROUTE_STORE_DIR = process.env.ROUTE_STORE_DIR ? path.resolve(__dirname, '..', process.env.ROUTE_STORE_DIR) : path.join(__dirname, 'data', 'saved_walks');
+const routeStore = createRouteStore(ROUTE_STORE_DIR, { maxBytes: (parseFloat(process.env.ROUTE_STORE_MAX_MB) || 200) * 1024 * 1024 });
+
+// --- User accounts and walk history: JSON file at ACCOUNTS_FILE, sessions last SESSION_TTL_DAYS ---
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE ? path.resolve(__dirname, '..', process.env.ACCOUNTS_FILE) : path.join(__dirname, 'data', 'accounts.json');
+const SESSION_COOKIE = 'walker_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Generated walks are deleted once they drop out of every history (shared ones are kept)
+const accounts = createAccountStore(ACCOUNTS_FILE, {
+    sessionTtlMs: SESSION_TTL_MS,
+    onWalksDropped: walkIds => routeStore.deleteWalks(walkIds)
+        .catch(error => console.error("Backend: Could not delete walks dropped from history:", error.message))
+});
 
-// --- Cost Maps ---
-const preferredCosts = {
-    'path': 1.0, 'footway': 1.0, 'pedestrian': 1.0,
-    'track': 1.1, 'bridleway': 1.1,
-    'cycleway': 1.2,
-    'living_street': 1.5,
-    'residential': 1.8, // Higher cost
-    'service': 2.0,
-    'unclassified': 1.8,
-    'tertiary': 2.5,    // Higher cost
-    default: 1.8
-};
+function getSessionToken(req) {
+    const cookie = (req.get('Cookie') || '').split(';').map(part => part.trim())
+        .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
 
-const relaxedCosts = {
-    'path': 1.0, 'footway': 1.0, 'pedestrian': 1.0,
-    'track': 1.1, 'bridleway': 1.1,
-    'cycleway': 1.2,
-    'living_street': 1.3, // Lower cost
-    'residential': 1.4, // Lower cost
-    'service': 1.8,     // Lower cost
-    'unclassified': 1.6,
-    'tertiary': 2.0,    // Lower cost
-    default: 1.6
-};
+// req.user: username of the logged-in user, or null
+app.use((req, res, next) => {
+    req.user = accounts.getSessionUser(getSessionToken(req));
+    next();
+});
 
-// --- In-memory cache for graph data ---
-const graphCache = new Map();
-
-// --- Helper: Define costs per meter for different highway types ---
-// Lower values are preferred.
-const highwayCosts = {
-    // Highly preferred
-    'path': 1.0,
-    'footway': 1.0,
-    'pedestrian': 1.0,
-    'track': 1.2, // Slightly less preferred than dedicated paths
-    'cycleway': 1.2, // Often shared or parallel to roads
-    // Acceptable
-    'living_street': 1.5,
-    'residential': 1.5,
-    'service': 2.0, // Often back alleys, access roads - less pleasant
-    'unclassified': 1.8,
-    // Less preferred (maybe avoid if possible later?)
-    'tertiary': 2.5, 
-    // 'primary': 5.0, // Example: Heavily penalize major roads
-    // 'secondary': 4.0,
-    default: 1.8 // Default cost for unknown/other types included in query
-};
+// --- Fallback walk generation: time budget per request (ROUTE_SEARCH_BUDGET_MS) ---
+const ROUTE_SEARCH_BUDGET_MS = parseInt(process.env.ROUTE_SEARCH_BUDGET_MS, 10) || DEFAULT_TIME_BUDGET_MS;
+
+// --- Graph searches run on worker threads: ROUTE_SEARCH_WORKERS at once, ROUTE_SEARCH_QUEUE_LIMIT waiting ---
+const searchPool = createSearchPool({
+    size: parseInt(process.env.ROUTE_SEARCH_WORKERS, 10) || undefined,
+    maxQueue: process.env.ROUTE_SEARCH_QUEUE_LIMIT !== undefined ? parseInt(process.env.ROUTE_SEARCH_QUEUE_LIMIT, 10) : undefined
+});
+
+// --- In-memory cache for graph data (tile-keyed OSM elements + built graphs, LRU) ---
+const GRAPH_CACHE_MAX_MB = parseInt(process.env.GRAPH_CACHE_MAX_MB, 10) || 256;
+
+// --- OSM data source: local extract (OSM_DATA_FILE=.osm/.osm.pbf) or Overpass ---
+const OSM_DATA_FILE = process.env.OSM_DATA_FILE ? path.resolve(__dirname, '..', process.env.OSM_DATA_FILE) : null;
+if (OSM_DATA_FILE) {
+    console.log(`Using local OSM extract for map data: ${OSM_DATA_FILE}`);
+}
+const localOsmSource = OSM_DATA_FILE ? createLocalOsmSource(OSM_DATA_FILE) : null;
+
+// --- Elevation: local DEM file or directory (ELEVATION_DEM_PATH=.hgt/.tif); no elevation data without it ---
+const ELEVATION_DEM_PATH = process.env.ELEVATION_DEM_PATH ? path.resolve(__dirname, '..', process.env.ELEVATION_DEM_PATH) : null;
+const elevationSource = ELEVATION_DEM_PATH ? createDemSource(ELEVATION_DEM_PATH) : null;
+if (!elevationSource) {
+    console.log("No elevation data configured (set ELEVATION_DEM_PATH); walks will not include elevation profiles.");
+}
+
+// --- Landmark resolution: OSM features only, unless LANDMARK_GEOCODER_FALLBACK=nominatim ---
+const LANDMARK_GEOCODER_FALLBACK = process.env.LANDMARK_GEOCODER_FALLBACK || null;
+
+// --- Postcode geocoder: GEOCODER=postcodes_io|csv (csv needs POSTCODE_CSV_FILE) ---
+const geocoder = createGeocoder({
+    type: process.env.GEOCODER,
+    csvFile: process.env.POSTCODE_CSV_FILE ? path.resolve(__dirname, '..', process.env.POSTCODE_CSV_FILE) : null
+});
+console.log(`Using ${geocoder.name} geocoder for postcode lookups.`);
+
+const graphCache = createGraphCache({
+    ttlMs: CACHE_DURATION_MS,
+    maxBytes: GRAPH_CACHE_MAX_MB * 1024 * 1024,
+    fetchOsmData: localOsmSource ? localOsmSource.fetchOsmData : routing.fetchOsmDataInBbox,
+    fetchNamedFeatures: localOsmSource ? localOsmSource.fetchNamedFeatures : landmarks.fetchNamedFeaturesInBbox,
+    fetchScenicAreas: localOsmSource ? localOsmSource.fetchScenicAreas : scenic.fetchScenicAreasInBbox
+});
 
 // Helper Function to Select Diverse Routes (Based on segment overlap)
 const selectDiverseRoutes = (candidateRoutes, nodes) => {
@@ -169,92 +225,8 @@ const selectDiverseRoutes = (candidateRoutes, nodes) => {
     return diverseRoutes;
 };
 
-// --- Helper Function: Find Round Trip Routes (encapsulates the core logic) ---
-async function findRoundTripSet(startNodeId, graph, nodes, desiredDistanceMeters, runIdentifier) {
-    console.log(`--- [${runIdentifier}] Finding Round Trips ---`);
-    const outwardTargetDistance = desiredDistanceMeters / 2;
-    
-    // 1. Find diverse outward paths (Quadrant based)
-    console.log(`[${runIdentifier}] Finding diverse outward paths near ${outwardTargetDistance}m`);
-    const diverseOutwardPaths = await routing.findWalkNearDistance(graph, nodes, startNodeId, outwardTargetDistance);
-    console.log(`[${runIdentifier}] Found ${diverseOutwardPaths.length} quadrant-diverse outward paths.`);
-    if (diverseOutwardPaths.length === 0) return []; // No routes found in this run
-
-    // 2. Generate Combined Routes
-    console.log(`[${runIdentifier}] Generating combined routes for ${diverseOutwardPaths.length} diverse outward paths...`);
-    const combinedRoutes = [];
-    for (let i = 0; i < diverseOutwardPaths.length; i++) {
-        const outwardRoute = diverseOutwardPaths[i];
-        const endNodeId = outwardRoute.path[outwardRoute.path.length - 1];
-        // console.log(`[${runIdentifier}] Finding return path for outward route ${i+1}/${diverseOutwardPaths.length}`);
-        const returnRoute = await routing.findShortestPathAStar(graph, nodes, endNodeId, startNodeId, outwardRoute.segments);
-        if (returnRoute && returnRoute.path.length > 0) {
-            const combinedPath = [...outwardRoute.path, ...returnRoute.path.slice(1)];
-            const combinedSegments = [...outwardRoute.segments, ...returnRoute.segments];
-            const combinedLength = outwardRoute.length + returnRoute.length;
-            const combinedCost = outwardRoute.cost + returnRoute.cost;
-            combinedRoutes.push({ length: combinedLength, cost: combinedCost, path: combinedPath, segments: combinedSegments });
-            // console.log(`  -> [${runIdentifier}] Combined route generated: Length ${combinedLength.toFixed(0)}m, Cost ${combinedCost.toFixed(0)}`);
-        } else {
-             console.log(`[${runIdentifier}] No return path found for diverse outward route ${i+1}.`);
-        }
-    }
-    console.log(`[${runIdentifier}] Generated ${combinedRoutes.length} combined routes.`);
-    return combinedRoutes; 
-}
-
-// --- Helper Function: Parse LLM response to get 3 concepts ---
-// TODO: Implement robust parsing based on actual LLM output format
-function parseLlmConcepts(llmText) {
-    console.log("Parsing LLM response...");
-    const concepts = [];
-    // Split the response into potential concept blocks based on lines starting with "1.", "2.", etc.
-    // Allow for potential markdown formatting around the number.
-    // Look for DOUBLE newlines between concepts, allowing whitespace around them.
-    const blocks = llmText.split(/\s*\n\s*\n\s*(?=\*?\d+\.\s)/).map(block => block.trim());
-
-    for (const block of blocks) {
-        if (!block) continue;
-
-        // Attempt to extract name and description using regex that captures title up to first colon
-        // Use the block directly as it seems to be a single line from the split
-        const match = block.match(/^\\*?(\d+)\.\s+(.*?):\s*(.*)/s); 
-        // console.log("   DEBUG: Regex match result:", match); // Keep commented out for now
-        
-        if (match) {
-            // Extract name from group 2 (non-greedy capture up to colon)
-            const name = match[2].trim(); 
-            // Description is group 3
-            const description = match[3].trim(); 
-
-            console.log(`   Parsed Concept: Name="${name}", Desc="${description.substring(0, 50)}..."`); // Log successful parse
-            concepts.push({ name, description });
-        } else {
-            // Fallback if regex doesn't match expected "1. **Name:** Description" format
-             console.warn(`Could not parse concept block using regex. Block content: "${block.substring(0, 80)}..."`);
-             // As a fallback, let's just take the whole block as description and generate a name
-             concepts.push({ name: `Unparsed Concept ${concepts.length + 1}`, description: block });
-        }
-    }
-
-    console.log(`Parsed ${concepts.length} concepts from LLM response.`);
-
-    // Ensure we always return up to 3 concepts, even if parsing is imperfect
-    while (concepts.length < 3) {
-        concepts.push({ name: `Concept ${concepts.length + 1} (Parsing Failed)`, description: '' });
-    }
-    // Slice to ensure exactly 3 concepts if more were somehow parsed
-    return concepts.slice(0, 3);
-}
-
-// --- Helper Function: Attempt to validate a single LLM concept (Simplified Version) ---
-async function validateLlmConcept(concept, startNodeId, graph, nodes, desiredDistanceMeters, minLength, maxLength) {
-    console.log(`Attempting to validate concept: "${concept.name}"`);
-
-    // 1. Improved Feature Extraction: Find potential landmarks
-    console.log("   DEBUG: Input description:", JSON.stringify(concept.description));
-    let targetLocationName = null;
-
+// --- Helper Function: Guess a landmark from free-text description (used when a concept has no waypoints) ---
+function guessLandmarkFromDescription(description) {
     // Expanded list of common words/verbs unlikely to be specific landmarks
     const excludedWords = new Set([
         "Starting", "Beginning", "Explore", "Head", "This", "Return", "Continue", "Via",
@@ -288,7 +260,7 @@ async function validateLlmConcept(concept, startNodeId, graph, nodes, desiredDis
 
     // Regex to find sequences of capitalized words (incl. possessives, hyphens)
     const landmarkRegex = /\b[A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+)*\b/g;
-    let potentialLandmarks = concept.description.match(landmarkRegex);
+    let potentialLandmarks = (description || '').match(landmarkRegex);
     console.log(`   DEBUG: Raw potential landmarks:`, potentialLandmarks);
 
     let bestCandidate = null;
@@ -321,190 +293,132 @@ async function validateLlmConcept(concept, startNodeId, graph, nodes, desiredDis
         }
     }
 
-    targetLocationName = bestCandidate; // Assign the best one found
+    return bestCandidate ? { name: bestCandidate, priority: maxPriority } : null;
+}
 
-    if (targetLocationName) {
-        console.log(`   Selected landmark: "${targetLocationName}" (Priority: ${maxPriority})`);
+// --- Helper Function: Attempt to validate a single LLM concept ---
+// Resolves every waypoint of the concept and builds one walk that visits them all.
+// conceptContext: { features, startCoords, searchBbox } used to resolve the concept's landmarks,
+// plus endNodeId when a one-way walk has a chosen destination, the request's costFactors
+// (walked streets, may be null) and the job's cancel signal
+async function validateLlmConcept(concept, startNodeId, graph, nodes, desiredDistanceMeters, minLength, maxLength, walkType, conceptContext) {
+    console.log(`Attempting to validate concept: "${concept.name}"`);
+
+    // 1. Feature Extraction: prefer the concept's explicit waypoints, only guess from prose without them
+    let targetWaypoints = [];
+    if (concept.waypoints && concept.waypoints.length > 0) {
+        targetWaypoints = concept.waypoints;
+        console.log(`   Waypoints: ${targetWaypoints.map(w => `"${w.name}"`).join(', ')}`);
     } else {
+        console.log("   DEBUG: No waypoints, guessing from description:", JSON.stringify(concept.description));
+        const guessed = guessLandmarkFromDescription(concept.description);
+        if (guessed) {
+            targetWaypoints = [{ name: guessed.name, type: 'other' }];
+            console.log(`   Selected landmark: "${guessed.name}" (Priority: ${guessed.priority})`);
+        }
+    }
+
+    if (targetWaypoints.length === 0) {
         console.log(`   No usable landmarks found after filtering and prioritization.`);
         return null; // Cannot proceed without a landmark
     }
 
-    // 2. Geocode Landmark & Find Nearest Graph Node
-    let waypointNodeId = null;
-    try {
-        console.log(`   Attempting to geocode landmark: ${targetLocationName}`);
-        
-        // --- Geocoding using Nominatim --- 
-        const geocodeQuery = encodeURIComponent(targetLocationName + ", London, UK"); // Add context
-        // IMPORTANT: Add a valid User-Agent header for Nominatim
-        const nominatimUrl = `https://nominatim.openstreetmap.org/search?q=${geocodeQuery}&format=json&limit=1`;
-        console.log(`   Nominatim URL: ${nominatimUrl}`);
-        const geoResponse = await fetch(nominatimUrl, {
-            headers: { 'User-Agent': 'PostcodeWalker/1.0 (github.com/your-repo/postcode-walker; contact@example.com)' } // Replace with real info
-        });
-
-        if (!geoResponse.ok) {
-            throw new Error(`Nominatim API request failed: ${geoResponse.statusText}`);
-        }
-        const geoResults = await geoResponse.json();
-
-        if (!geoResults || geoResults.length === 0 || !geoResults[0].lat || !geoResults[0].lon) {
-            console.warn(`   Geocoding failed for "${targetLocationName}" or returned no coordinates.`);
-            return null; // Cannot proceed without coordinates
-        }
-
-        const landmarkLat = parseFloat(geoResults[0].lat);
-        const landmarkLon = parseFloat(geoResults[0].lon);
-        console.log(`   Geocoded "${targetLocationName}" to: Lat ${landmarkLat.toFixed(5)}, Lon ${landmarkLon.toFixed(5)}`);
-        const landmarkPoint = turf.point([landmarkLon, landmarkLat]); // Turf uses [lon, lat]
-
-        // --- Find Nearest Node --- 
-        let minDistance = Infinity;
-        let nearestNodeId = null;
-
-        for (const nodeId in nodes) {
-            // Avoid comparing the start node itself as the waypoint, unless it's the only option
-            if (nodeId === String(startNodeId)) continue; 
-            
-            const node = nodes[nodeId];
-            if (!node || typeof node.lat !== 'number' || typeof node.lon !== 'number') {
-                // console.warn(`   Skipping node ${nodeId} due to missing coordinates.`);
+    // 2. Resolve Landmarks against OSM features in the search area & Find Nearest Graph Nodes
+    // A round trip has to get there and back, so a landmark can be at most half the distance away
+    const maxLandmarkDistance = walkType === 'one_way' ? desiredDistanceMeters : desiredDistanceMeters / 2;
+    const resolvedWaypoints = [];
+    const unresolvedWaypoints = [];
+    for (const waypoint of targetWaypoints) { // Sequential: the optional Nominatim fallback is rate limited
+        try {
+            const landmark = await landmarks.resolveLandmark(waypoint, {
+                features: conceptContext.features,
+                startCoords: conceptContext.startCoords,
+                maxDistanceMeters: maxLandmarkDistance,
+                bbox: conceptContext.searchBbox,
+                externalFallback: LANDMARK_GEOCODER_FALLBACK
+            });
+            if (!landmark) {
+                unresolvedWaypoints.push({ name: waypoint.name, type: waypoint.type, reason: 'not_found' });
                 continue;
             }
-            const nodePoint = turf.point([node.lon, node.lat]);
-            const distance = turf.distance(landmarkPoint, nodePoint, { units: 'meters' });
-
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearestNodeId = nodeId;
+            const { nodeId, distance } = routing.findNearestGraphNode(graph, nodes, landmark.lat, landmark.lon);
+            if (!nodeId) {
+                console.warn(`   Could not find any suitable nearest node for landmark "${waypoint.name}".`);
+                unresolvedWaypoints.push({ name: waypoint.name, type: waypoint.type, reason: 'not_found' });
+                continue;
             }
+            console.log(`   "${waypoint.name}" -> node ${nodeId} (Distance: ${distance.toFixed(1)}m)`);
+            resolvedWaypoints.push({ nodeId, landmark });
+        } catch (geoError) {
+            console.error(`   Error resolving landmark "${waypoint.name}":`, geoError);
+            unresolvedWaypoints.push({ name: waypoint.name, type: waypoint.type, reason: 'not_found' });
         }
-
-        if (nearestNodeId) {
-            console.log(`   Nearest node found: ${nearestNodeId} (Distance: ${minDistance.toFixed(1)}m)`);
-            waypointNodeId = nearestNodeId;
-        } else {
-            console.warn(`   Could not find any suitable nearest node for landmark "${targetLocationName}".`);
-            return null; // Cannot proceed
-        }
-        // --- End Geocoding & Nearest Node --- 
-
-    } catch (geoError) {
-        console.error(`   Error during geocoding/nearest node finding for "${targetLocationName}":`, geoError);
-        return null; // Cannot proceed
     }
 
-    // Ensure waypointNodeId was actually found before routing
-    if (!waypointNodeId) {
-        console.log(`   No valid waypointNodeId found after geocoding/nearest node search.`);
+    if (resolvedWaypoints.length === 0) {
+        console.log(`   None of the concept's landmarks could be found near the start.`);
         return null;
     }
 
-    // --- NEW Strategy: Use Directed DFS for Outward Path --- 
+    // 3. Build one walk through all of them, padded/trimmed toward the target distance
     try {
-        // Calculate bearing from start to waypoint
-        const startNodeCoords = nodes[startNodeId];
-        const waypointCoords = nodes[waypointNodeId]; 
-        if (!startNodeCoords || !waypointCoords) {
-            console.error(`   Cannot get coordinates for bearing calculation (Start: ${!!startNodeCoords}, Waypoint: ${!!waypointCoords})`);
+        const conceptRoute = await searchPool.run(graph, nodes, 'buildConceptRoute', [startNodeId, resolvedWaypoints, {
+            walkType, desiredDistanceMeters, maxLength, endNodeId: conceptContext.endNodeId, costFactors: conceptContext.costFactors
+        }], { signal: conceptContext.signal });
+        if (!conceptRoute) {
+            console.log(`   Could not route through any of the concept's landmarks.`);
             return null;
         }
-        let targetBearing = null;
-        try {
-            targetBearing = turf.bearing(
-                turf.point([startNodeCoords.lon, startNodeCoords.lat]),
-                turf.point([waypointCoords.lon, waypointCoords.lat])
-            );
-            if (targetBearing < 0) targetBearing += 360;
-            console.log(`   Calculated bearing to waypoint: ${targetBearing.toFixed(1)}°`);
-        } catch (bearingError) {
-            console.error(`   Error calculating bearing: ${bearingError.message}`);
-            return null; // Cannot proceed without a bearing
-        }
-        
-        // Path 1: Find walk towards bearing, aiming for half distance
-        const halfDesired = desiredDistanceMeters / 2;
-        const outwardRoute = await routing.findDirectedWalkNearDistance(
-            graph, nodes, startNodeId, 
-            halfDesired, // Target distance for this DFS run
-            targetBearing // Target direction
-            // Default bearing tolerance (e.g., 45 degrees) is used within the function
-        );
 
-        if (!outwardRoute) {
-            console.log(`   Failed to find outward route towards bearing ${targetBearing.toFixed(1)}° near ${halfDesired.toFixed(0)}m.`);
-            return null;
-        }
-        console.log(`   Found directed outward path: Length ${outwardRoute.length.toFixed(0)}m`);
-        
-        // Determine the actual end node of the outward path
-        const actualEndNodeId = outwardRoute.path[outwardRoute.path.length - 1];
-        console.log(`   Actual end node: ${actualEndNodeId}`);
-
-        console.log(`   Routing return path: ${actualEndNodeId} -> ${startNodeId}`);
-        // Path 2: Route back from the actual end node using A*
-        const returnRoute = await routing.findShortestPathAStar(
-            graph, nodes, 
-            actualEndNodeId, // Route back from where the directed walk ended
-            startNodeId, 
-            outwardRoute.segments // Pass outward segments for penalty
-        ); 
-
-         if (!returnRoute || returnRoute.path.length <= 1) { 
-             console.log(`   Failed to route back from directed path end node ${actualEndNodeId} to start ${startNodeId}.`);
-             return null;
-         }
-         console.log(`   Found return path: Length ${returnRoute.length.toFixed(0)}m`);
-
-        // Combine
-        const combinedPath = [...outwardRoute.path, ...returnRoute.path.slice(1)]; 
-        const combinedSegments = [...outwardRoute.segments, ...returnRoute.segments];
-        const combinedLength = outwardRoute.length + returnRoute.length;
-        const combinedCost = outwardRoute.cost + returnRoute.cost; 
-
-         console.log(`   Combined route length: ${combinedLength.toFixed(0)}m`);
-
-        // Check FINAL Length against the original full distance tolerance
-        if (combinedLength >= minLength && combinedLength <= maxLength) {
-            console.log(`   --> Concept "${concept.name}" validated! Length: ${combinedLength.toFixed(0)}m`);
+        if (conceptRoute.length >= minLength && conceptRoute.length <= maxLength) {
+            console.log(`   --> Concept "${concept.name}" validated! Length: ${conceptRoute.length.toFixed(0)}m, visiting ${conceptRoute.visitedWaypoints.length}/${targetWaypoints.length} landmarks`);
             return {
-                length: combinedLength,
-                cost: combinedCost,
-                path: combinedPath,
-                segments: combinedSegments,
+                length: conceptRoute.length,
+                cost: conceptRoute.cost,
+                path: conceptRoute.path,
+                segments: conceptRoute.segments,
                 llmConceptName: concept.name, 
-                llmConceptDescription: concept.description
+                llmConceptDescription: concept.description,
+                llmConceptWaypoints: concept.waypoints || [],
+                llmResolvedLandmarks: conceptRoute.visitedWaypoints,
+                llmSkippedLandmarks: [...unresolvedWaypoints, ...conceptRoute.skippedWaypoints]
             };
         } else {
-            console.log(`   --> Concept "${concept.name}" failed FINAL length validation. Length ${combinedLength.toFixed(0)}m not in [${minLength.toFixed(0)}m - ${maxLength.toFixed(0)}m]`);
+            console.log(`   --> Concept "${concept.name}" failed FINAL length validation. Length ${conceptRoute.length.toFixed(0)}m not in [${minLength.toFixed(0)}m - ${maxLength.toFixed(0)}m]`);
             return null;
         }
 
     } catch (routingError) {
-         console.log(`   Routing error during directed validation: ${routingError.message}`);
+         console.log(`   Routing error during concept route building: ${routingError.message}`);
          return null;
     }
 }
 
-// --- Helper Function: Generate fallback routes (using original logic) ---
-async function generateFallbackRoutes(count, existingRoutes, graphData, desiredDistanceMeters, minLength, maxLength, walkType) {
-    console.log(`Generating ${count} fallback routes using original algorithm...`);
+// --- Helper Function: Generate fallback routes (seeded loop generator) ---
+// The same seed, graph and distance always give the same fallback walks.
+// signal (optional) cancels the search on the worker pool.
+async function generateFallbackRoutes(count, existingRoutes, graphData, desiredDistanceMeters, minLength, maxLength, walkType, seed, signal) {
+    console.log(`Generating ${count} fallback routes with the loop generator (seed ${seed})...`);
     const fallbackCandidates = [];
-    let baseGraphData = graphData; // Use preferred graph by default
-
-    // Option 1: Use original Run 1 + Run 2 combined logic if available (complex to refactor here)
-    // Option 2: Simpler - just run findRoundTripSet/findWalkNearDistance again
+    let baseGraphData = graphData; // Graph built with the request's routing profile
 
     if (walkType === 'round_trip') {
-        // Try preferred costs first
-        let candidates = await findRoundTripSet(baseGraphData.startNodeId, baseGraphData.graph, baseGraphData.nodes, desiredDistanceMeters, "Fallback-Pref");
+        let candidates = await searchPool.run(baseGraphData.graph, baseGraphData.nodes, 'generateWalks', [baseGraphData.startNodeId, desiredDistanceMeters, {
+            roundTrip: true, count: count * FALLBACK_CANDIDATE_FACTOR, seed, timeBudgetMs: ROUTE_SEARCH_BUDGET_MS,
+            costFactors: baseGraphData.costFactors
+        }], { signal });
         fallbackCandidates.push(...candidates);
-        // If still not enough potential candidates, try relaxed (need to re-process graph)
-        // For simplicity, we might skip the relaxed run in fallback or assume graphData contains combined results
 
+    } else if (baseGraphData.endNodeId !== null) { // one_way to a chosen destination
+        let candidates = await searchPool.run(baseGraphData.graph, baseGraphData.nodes, 'findDestinationWalks', [baseGraphData.startNodeId, baseGraphData.endNodeId, {
+            desiredDistanceMeters, count, costFactors: baseGraphData.costFactors
+        }], { signal });
+        fallbackCandidates.push(...candidates);
     } else { // one_way
-        let candidates = await routing.findWalkNearDistance(baseGraphData.graph, baseGraphData.nodes, baseGraphData.startNodeId, desiredDistanceMeters);
+        let candidates = await searchPool.run(baseGraphData.graph, baseGraphData.nodes, 'generateWalks', [baseGraphData.startNodeId, desiredDistanceMeters, {
+            roundTrip: false, count: count * FALLBACK_CANDIDATE_FACTOR, seed, timeBudgetMs: ROUTE_SEARCH_BUDGET_MS,
+            costFactors: baseGraphData.costFactors
+        }], { signal });
         fallbackCandidates.push(...candidates);
     }
 
@@ -578,151 +492,660 @@ async function generateFallbackRoutes(count, existingRoutes, graphData, desiredD
     return finalFallbacks;
 }
 
-// --- Main API Endpoint: Find Routes --- 
-app.post('/api/find-routes', async (req, res) => {
-    console.log("Backend: Received POST request on /api/find-routes (LLM First)");
-    const { startPostcode, desiredDistanceKm, walkType } = req.body;
-    
-    // --- Input Validation ---
+// --- Helper: Named OSM features for a bbox, or none if they cannot be fetched ---
+// Features only enrich landmarks and directions, so a failed fetch must not fail the request.
+async function getNamedFeatures(bbox) {
+    try {
+        return await graphCache.getFeatures(bbox);
+    } catch (featureError) {
+        console.warn(`Could not fetch named features (${featureError.message}). Continuing without them.`);
+        return [];
+    }
+}
+
+// --- Helper: Validate a { latitude, longitude } object from a request ---
+function isValidCoordinate(coords) {
+    return !!coords && Number.isFinite(coords.latitude) && Number.isFinite(coords.longitude)
+        && Math.abs(coords.latitude) <= 90 && Math.abs(coords.longitude) <= 180;
+}
+
+// --- Helper: Error for a route request that cannot be served (sent as 400, not 500) ---
+function createRequestError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// --- Helper: Validate a find-routes request body into search parameters (throws a request error) ---
+// user: the logged-in username (or null), whose generated walks are saved to their history and
+// whose completed walks can be left out
+function parseRouteRequest(body, user) {
+    const { startPostcode, desiredDistanceKm, walkType, endPostcode, endCoords } = body;
+    // Optional routing profile name (see GET /api/profiles); the default profile otherwise
+    const profile = routingProfiles.get(body.profile);
+    // Optional accessibility mode: step-free, firm surfaces, steep inclines penalised (see accessibility.js)
+    const accessible = body.accessible !== undefined ? body.accessible : false;
+    // Optional flat/hilly preference (needs elevation data)
+    const hilliness = body.hilliness !== undefined ? body.hilliness : 'any';
+    // Optional seed for reproducible fallback walks; a random one is picked (and returned) otherwise
+    const seed = body.seed !== undefined ? body.seed : Math.floor(Math.random() * 2147483647);
+    // Optional: leave out street segments of walks the logged-in user has marked as completed
+    const excludeWalked = body.excludeWalked !== undefined ? body.excludeWalked : false;
+    // Optional "explore new streets": walked segments (completed walks when logged in, plus
+    // walkedSegments [[fromNodeId, toNodeId], ...] e.g. from imported GPX walks) cost more
+    const exploreNew = body.exploreNew !== undefined ? body.exploreNew : false;
+
     if (!startPostcode || typeof desiredDistanceKm !== 'number' || desiredDistanceKm <= 0 || !walkType) {
-        return res.status(400).json({ success: false, message: "Missing or invalid input parameters." });
+        throw createRequestError("Missing or invalid input parameters.");
+    }
+    // Optional destination (one-way only): an end postcode or a map-clicked { latitude, longitude }
+    const hasDestination = !!endPostcode || !!endCoords;
+    if (hasDestination && walkType !== 'one_way') {
+        throw createRequestError("A destination can only be set for one-way walks.");
+    }
+    if (!endPostcode && endCoords && !isValidCoordinate(endCoords)) {
+        throw createRequestError("endCoords must have a numeric latitude and longitude.");
+    }
+    if (!Number.isInteger(seed) || seed < 0) {
+        throw createRequestError("seed must be a non-negative integer.");
+    }
+    if (!profile) {
+        const names = routingProfiles.list().map(p => p.name).join(', ');
+        throw createRequestError(`Unknown routing profile "${body.profile}". Available profiles: ${names}.`);
+    }
+    if (typeof accessible !== 'boolean') {
+        throw createRequestError("accessible must be true or false.");
+    }
+    if (!elevation.HILLINESS_OPTIONS.includes(hilliness)) {
+        throw createRequestError(`hilliness must be one of ${elevation.HILLINESS_OPTIONS.join(', ')}.`);
+    }
+    if (hilliness !== 'any' && !elevationSource) {
+        throw createRequestError("A flat or hilly preference needs elevation data, which is not configured on this server.");
+    }
+    if (typeof excludeWalked !== 'boolean') {
+        throw createRequestError("excludeWalked must be true or false.");
+    }
+    if (excludeWalked && !user) {
+        throw Object.assign(createRequestError("Log in to leave out streets you have already walked."), { statusCode: 401 });
     }
+    if (typeof exploreNew !== 'boolean') {
+        throw createRequestError("exploreNew must be true or false.");
+    }
+    let walkedSegments = new Set();
+    if (body.walkedSegments !== undefined) {
+        try {
+            walkedSegments = walkedEdges.parseWalkedSegments(body.walkedSegments);
+        } catch (error) {
+            throw createRequestError(error.message);
+        }
+    }
+    if (exploreNew && !user && walkedSegments.size === 0) {
+        throw createRequestError("Exploring new streets needs walks you have done: log in or import a walk first.");
+    }
+    return { startPostcode, desiredDistanceKm, walkType, endPostcode, endCoords, profile, accessible, hilliness, seed, excludeWalked, exploreNew, walkedSegments, user };
+}
+
+// --- Helper: Nodes along a route's path (enough to draw it and build its PDF) ---
+function getRouteNodes(route, nodes) {
+    const routeNodes = {};
+    route.path.forEach(nodeId => { routeNodes[nodeId] = nodes[nodeId]; });
+    return routeNodes;
+}
+
+// --- Helper: Saved walks the user has marked as completed ---
+async function getCompletedWalks(user) {
+    const history = await accounts.getHistory(user);
+    const walks = await Promise.all(history.filter(entry => entry.completedOn).map(entry => routeStore.getWalk(entry.walkId)));
+    return walks.filter(Boolean);
+}
+
+// --- Helper: Save a logged-in user's generated walk to their history (sets route.walkId) ---
+// walkDetails: the saved walk body without routes (nodes, postcodes, coords, profile...).
+// Walks are saved without a permalink, so they are deleted once they drop out of the history.
+// A failure here is logged and does not fail the search.
+async function recordGeneratedWalk(user, walkDetails, route) {
+    let walk = null;
+    try {
+        walk = await routeStore.saveWalk({ ...walkDetails, routes: [route], selectedIndex: 0 }, { permalink: false });
+        await accounts.addToHistory(user, [walk.id]);
+        route.walkId = walk.id;
+    } catch (error) {
+        console.error(`Backend: Could not add a generated walk to ${user}'s history:`, error.message);
+        if (walk) routeStore.deleteWalks([walk.id]).catch(() => {});
+    }
+}
+
+// --- Route Search (shared by /api/find-routes and route jobs) ---
+// job: { signal, progress(stage, message, details), addRoute(route, details), throwIfCancelled() }
+// (see route_jobs.js). Each route is reported through job.addRoute once it has its
+// directions and reports and, for a logged-in user, has been saved to their history with a
+// walkId (it stays there if the search later fails); resolves to the /api/find-routes response.
+async function findRoutes(params, job) {
+    const { startPostcode, desiredDistanceKm, walkType, endPostcode, endCoords, profile, accessible, hilliness, seed, excludeWalked, exploreNew, walkedSegments, user } = params;
+    let graphProfile = hilliness !== 'any' ? elevation.createHillinessProfile(profile, hilliness, elevationSource) : profile;
+    if (accessible) graphProfile = accessibility.createAccessibleProfile(graphProfile);
     const desiredDistanceMeters = desiredDistanceKm * 1000;
     const finalMinLength = desiredDistanceMeters * (1 - LENGTH_TOLERANCE);
     const finalMaxLength = desiredDistanceMeters * (1 + LENGTH_TOLERANCE);
     let finalFoundRoutes = [];
-    let allNodes = {};
-    let graphData = null; // Will hold processed graph data
 
-    try {
-        console.log(`Finding routes for ${startPostcode}, ${desiredDistanceKm}km, ${walkType} using LLM First approach.`);
-        // --- Geocode, BBox, Fetch OSM Data (Same as before) --- 
-        const startCoords = await routing.lookupPostcodeCoords(startPostcode);
-        const bufferFactor = 1.5; 
-        const approxRadiusLat = (desiredDistanceMeters * bufferFactor) / 111000; 
-        const approxRadiusLon = approxRadiusLat / Math.cos(startCoords.latitude * Math.PI / 180);
-        const searchBbox = [
-            startCoords.longitude - approxRadiusLon, startCoords.latitude - approxRadiusLat,
-            startCoords.longitude + approxRadiusLon, startCoords.latitude + approxRadiusLat
-        ];
-        const osmData = await routing.fetchOsmDataInBbox(searchBbox);
-        if (osmData.elements.length === 0) throw new Error("No map features found.");
-        console.log(`Fetched ${osmData.elements.length} OSM elements.`);
-
-        // --- Process Graph Data Once (e.g., with preferred costs) ---
-        // We need this graph data for validation and fallback
-        console.log("Processing OSM data into graph (using preferred costs)...");
-        graphData = routing.processOsmData(osmData, startCoords.latitude, startCoords.longitude, preferredCosts);
-        allNodes = graphData.nodes;
-        const startNodeId = graphData.startNodeId;
-        const graph = graphData.graph;
-        if (!startNodeId) throw new Error("Could not find a starting node near the postcode.");
-
-        // --- LLM Call for 3 Concepts ---
-        console.log("DEBUG: Preparing to call LLM...");
-        let llmConcepts = [];
-        let llmCallAttempted = false;
+    console.log(`Finding routes for ${startPostcode}, ${desiredDistanceKm}km, ${walkType} (profile ${profile.name}) using LLM First approach.`);
+    // --- Geocode, BBox, Fetch OSM Data (Same as before) --- 
+    const startCoords = await geocoder.lookup(startPostcode);
+    let destinationCoords = null;
+    if (endPostcode) {
+        destinationCoords = await geocoder.lookup(endPostcode);
+    } else if (endCoords) {
+        destinationCoords = { latitude: endCoords.latitude, longitude: endCoords.longitude, postcode: null };
+    }
+    job.throwIfCancelled();
+    job.progress('geocoded', `Found ${startPostcode}.`, { startCoords, endCoords: destinationCoords });
+    if (destinationCoords) {
+        const straightDistance = turf.distance(
+            turf.point([startCoords.longitude, startCoords.latitude]),
+            turf.point([destinationCoords.longitude, destinationCoords.latitude]),
+            { units: 'meters' }
+        );
+        if (straightDistance > finalMaxLength) {
+            throw createRequestError(`The destination is ${(straightDistance / 1000).toFixed(1)} km away in a straight line, too far for a ${desiredDistanceKm} km walk.`);
+        }
+    }
+    const bufferFactor = 1.5; 
+    const approxRadiusLat = (desiredDistanceMeters * bufferFactor) / 111000; 
+    const approxRadiusLon = approxRadiusLat / Math.cos(startCoords.latitude * Math.PI / 180);
+    const searchBbox = [
+        startCoords.longitude - approxRadiusLon, startCoords.latitude - approxRadiusLat,
+        startCoords.longitude + approxRadiusLon, startCoords.latitude + approxRadiusLat
+    ];
+
+    // --- Build (or reuse cached) Graph Data Once, weighted by the routing profile ---
+    // We need this graph data for validation and fallback
+    console.log(`Getting graph for search area (using routing profile ${graphProfile.name})...`);
+    const { graph: graph, nodes, wayTags, nodeTags, accessHandling, scenicIndex, warnings } = await graphCache.getGraph(searchBbox, graphProfile, (stage, details) => {
+        job.progress(stage, `Fetched ${details.elements} map elements.`, details);
+    });
+    job.throwIfCancelled();
+    job.progress('graph_built', `Walk network ready (${Object.keys(graph).length} junctions).`, { warnings });
+    const { nodeId: startNodeId, distance: startNodeDistance } = routing.findNearestGraphNode(graph, nodes, startCoords.latitude, startCoords.longitude);
+    if (!startNodeId) throw new Error("Could not find a starting node near the postcode.");
+    console.log(`Start node ${startNodeId} is ${startNodeDistance.toFixed(1)}m from the postcode.`);
+
+    // --- Destination (one-way walks only) ---
+    // Any reachable destination is within finalMaxLength of the start, which the bbox above
+    // (radius 1.5x the desired distance) already covers, so no extra map data is needed.
+    let endNodeId = null;
+    if (destinationCoords) {
+        const { nodeId, distance } = routing.findNearestGraphNode(graph, nodes, destinationCoords.latitude, destinationCoords.longitude);
+        if (!nodeId || String(nodeId) === String(startNodeId)) {
+            throw createRequestError("The destination is too close to the start for a walk.");
+        }
+        endNodeId = nodeId;
+        console.log(`End node ${endNodeId} is ${distance.toFixed(1)}m from the destination.`);
+    }
+
+    // --- Leave out (excludeWalked) or penalise (exploreNew) streets the user has already walked ---
+    // Done through per-edge cost factors for this request; the cached graph is not changed
+    const costFactors = excludeWalked || exploreNew ? compactGraph.createCostFactors(compactGraph.getCompactGraph(graph, nodes)) : null;
+    const completedEdges = user && (excludeWalked || exploreNew) ? walkedEdges.collectWalkedEdges(await getCompletedWalks(user)) : new Set();
+    if (excludeWalked) {
+        const excludedEdges = walkedEdges.excludeWalkedEdges(graph, nodes, costFactors, completedEdges, [startNodeId, endNodeId]);
+        console.log(`Left out ${excludedEdges} of ${completedEdges.size} walked segments for ${user}.`);
+        job.progress('walked_excluded', `Leaving out ${excludedEdges} street segment(s) you have already walked.`, { excludedEdges });
+    }
+    // Walked edges each route is measured against for its % of new ground
+    const knownWalkedEdges = exploreNew ? new Set([...completedEdges, ...walkedSegments]) : null;
+    if (exploreNew) {
+        const penalisedEdges = walkedEdges.penaliseWalkedEdges(graph, nodes, costFactors, knownWalkedEdges);
+        console.log(`Penalised ${penalisedEdges} of ${knownWalkedEdges.size} walked segments to explore new streets.`);
+        job.progress('walked_penalised', `Steering away from ${penalisedEdges} street segment(s) you have already walked.`, { penalisedEdges });
+    }
+    job.throwIfCancelled();
+    const graphData = { graph, nodes, costFactors, wayTags, nodeTags, accessHandling, scenicIndex, startNodeId, endNodeId };
+    // Named features resolve LLM landmarks and give cues at turns in the directions
+    const namedFeatures = await getNamedFeatures(searchBbox);
+    job.throwIfCancelled();
+
+    const walkDetails = {
+        nodes, startPostcode, endPostcode: destinationCoords ? destinationCoords.postcode : null, desiredDistanceKm, walkType,
+        startCoords, endCoords: destinationCoords, profile: profile.name
+    };
+    // --- Finish a route: directions, reports and walkId, then hand it to the job as a partial result ---
+    const acceptRoute = async (route) => {
+        if (finalFoundRoutes.length >= MAX_ROUTES_TO_RETURN) return;
+        // Turn-by-turn directions (named features give cues at turns)
+        route.instructions = generateInstructions(route, { walkType, features: namedFeatures });
+        // Flag segments on ways with conditional access (permissive, visitors only, car parks)
+        route.accessWarnings = describeRouteAccess(route, graphData);
+        // Elevation profile, ascent and descent (when a DEM is configured)
+        if (elevationSource) route.elevation = elevation.describeRouteElevation(route, elevationSource);
+        // Share of the walk through green space / beside water
+        if (scenicIndex) route.scenery = scenic.describeRouteScenery(route, scenicIndex);
+        // Accessibility mode: report sections the map data could not vouch for
+        if (accessible) route.accessibility = accessibility.describeRouteAccessibility(route, graphData);
+        // Explore mode: share of the walk on streets not walked before
+        if (knownWalkedEdges) route.newGround = walkedEdges.describeNewGround(route, knownWalkedEdges);
+        finalFoundRoutes.push(route);
+        if (user) await recordGeneratedWalk(user, walkDetails, route);
+        job.addRoute(route, { nodes: getRouteNodes(route, nodes) });
+    };
+
+    // --- LLM Call for 3 Concepts ---
+    console.log("DEBUG: Preparing to call LLM...");
+    let llmConcepts = [];
+    let llmCallAttempted = false;
+    if (!llmProvider) {
+        console.log("No LLM provider configured. Proceeding with fallback.");
+    } else {
         try {
             console.log("DEBUG: Entering LLM try block...");
             llmCallAttempted = true;
-            const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro-latest" }); 
-            const prompt = `
-                You are suggesting walking routes for someone who has just moved to a new area.
-                They want interesting and varied walks starting near the postcode ${startPostcode}.
-                The desired total distance is approximately ${desiredDistanceKm} km.
-                The walk type should be ${walkType === 'one_way' ? 'one way' : 'a round trip'}.
-
-                Suggest THREE distinct walk CONCEPTS or THEMES.
-                For each concept, provide:
-                1. A short, appealing name/theme (e.g., "Park Explorer", "Local Shops Loop", "Canal Path Discovery").
-                2. A brief text description highlighting key features, landmarks, or street types involved.
-                3. Ensure the concepts are significantly different from each other.
-
-                Do NOT provide turn-by-turn directions. Focus on the overall idea and key points of interest for each walk concept.
-            `;
-            
-            console.log("DEBUG: Calling model.generateContent...");
-            const result = await model.generateContent(prompt);
-            const response = result.response;
-            console.log("DEBUG: LLM response received (or not). Checking text...");
-
-            if (response && response.text) {
-                console.log("DEBUG: LLM response has text. Parsing concepts...");
-                llmConcepts = parseLlmConcepts(response.text());
-            } else {
-                console.warn("LLM did not return text. Proceeding with fallback.");
-                 // Trigger fallback immediately if LLM fails
-                 finalFoundRoutes = await generateFallbackRoutes(MAX_ROUTES_TO_RETURN, [], graphData, desiredDistanceMeters, finalMinLength, finalMaxLength, walkType);
-                 if (finalFoundRoutes.length < MAX_ROUTES_TO_RETURN) {
-                      throw new Error(`Failed to generate sufficient routes even with fallback.`);
-                 }
-            }
+            console.log(`DEBUG: Requesting walk concepts from LLM provider ${llmProvider.name}...`);
+            job.progress('concepts_requested', `Asking ${llmProvider.name} for walk ideas...`);
+            llmConcepts = await requestWalkConcepts(llmProvider, {
+                postcode: startPostcode, distanceKm: desiredDistanceKm, walkType,
+                destination: destinationCoords
+                    ? (destinationCoords.postcode || `${destinationCoords.latitude.toFixed(5)}, ${destinationCoords.longitude.toFixed(5)}`)
+                    : null
+            });
         } catch (llmError) {
-            console.error("Error calling Gemini API:", llmError);
+            console.error(`Error calling LLM provider ${llmProvider.name}:`, llmError);
             console.warn("LLM call failed. Proceeding with fallback.");
-             // Trigger fallback immediately if LLM fails
-             finalFoundRoutes = await generateFallbackRoutes(MAX_ROUTES_TO_RETURN, [], graphData, desiredDistanceMeters, finalMinLength, finalMaxLength, walkType);
-             if (finalFoundRoutes.length < MAX_ROUTES_TO_RETURN) {
-                  throw new Error(`Failed to generate sufficient routes even with fallback.`);
-             }
-        }
-        console.log(`DEBUG: LLM try/catch block finished. llmCallAttempted=${llmCallAttempted}, llmConcepts.length=${llmConcepts.length}, finalFoundRoutes.length=${finalFoundRoutes.length}`);
-
-        // --- Attempt to Validate LLM Concepts (if LLM call succeeded and fallback wasn't triggered) ---
-        if (llmCallAttempted && llmConcepts.length > 0 && finalFoundRoutes.length === 0) {
-            console.log("Attempting validation of LLM concepts...");
-            const validationPromises = llmConcepts.map(concept => 
-                validateLlmConcept(concept, startNodeId, graph, allNodes, desiredDistanceMeters, finalMinLength, finalMaxLength)
-            );
-            const validationResults = await Promise.all(validationPromises);
-            
-            // Filter out null results (failed validations)
-            const successfullyValidated = validationResults.filter(r => r !== null);
-            console.log(`Successfully validated ${successfullyValidated.length} LLM concepts.`);
-            
-            // TODO: Add diversity check among validated LLM routes here?
-            finalFoundRoutes.push(...successfullyValidated);
         }
+        job.throwIfCancelled();
+    }
+    console.log(`DEBUG: LLM try/catch block finished. llmCallAttempted=${llmCallAttempted}, llmConcepts.length=${llmConcepts.length}, finalFoundRoutes.length=${finalFoundRoutes.length}`);
+
+    // --- Attempt to Validate LLM Concepts (if LLM call succeeded and fallback wasn't triggered) ---
+    if (llmCallAttempted && llmConcepts.length > 0 && finalFoundRoutes.length === 0) {
+        console.log("Attempting validation of LLM concepts...");
+        job.progress('concepts_received', `Checking ${llmConcepts.length} walk idea(s) against the map...`, { count: llmConcepts.length });
+        // Landmarks are matched against named OSM features in the same area as the graph
+        const conceptContext = {
+            features: [...namedFeatures, ...landmarks.buildStreetFeatures(graph, nodes)],
+            startCoords,
+            searchBbox,
+            endNodeId,
+            costFactors,
+            signal: job.signal
+        };
+        // Each concept is reported (and its route delivered) as soon as it has been checked
+        let validatedCount = 0;
+        const validationPromises = llmConcepts.map((concept, index) =>
+            validateLlmConcept(concept, startNodeId, graph, nodes, desiredDistanceMeters, finalMinLength, finalMaxLength, walkType, conceptContext)
+                .then(route => {
+                    job.throwIfCancelled();
+                    if (route) validatedCount++;
+                    job.progress('concept_validated', `Walk idea ${index + 1} of ${llmConcepts.length} ("${concept.name}") ${route ? 'works' : 'could not be routed'}.`, {
+                        concept: index + 1, of: llmConcepts.length, name: concept.name, validated: !!route
+                    });
+                    if (route) return acceptRoute(route);
+                })
+        );
+        await Promise.all(validationPromises);
+        console.log(`Successfully validated ${validatedCount} LLM concepts.`);
+        // TODO: Add diversity check among validated LLM routes here?
+    }
 
-        // --- Fallback if Needed ---
-        const routesNeeded = MAX_ROUTES_TO_RETURN - finalFoundRoutes.length;
-        if (routesNeeded > 0) {
-            console.log(`Need ${routesNeeded} more routes. Calling fallback generator...`);
-            const fallbackRoutes = await generateFallbackRoutes(routesNeeded, finalFoundRoutes, graphData, desiredDistanceMeters, finalMinLength, finalMaxLength, walkType);
-            finalFoundRoutes.push(...fallbackRoutes);
-        }
+    // --- Fallback if Needed ---
+    const routesNeeded = MAX_ROUTES_TO_RETURN - finalFoundRoutes.length;
+    if (routesNeeded > 0) {
+        console.log(`Need ${routesNeeded} more routes. Calling fallback generator...`);
+        job.progress('fallback_running', `Generating ${routesNeeded} more walk(s)...`, { routesNeeded });
+        const fallbackRoutes = await generateFallbackRoutes(routesNeeded, finalFoundRoutes, graphData, desiredDistanceMeters, finalMinLength, finalMaxLength, walkType, seed, job.signal);
+        job.throwIfCancelled();
+        for (const route of fallbackRoutes) await acceptRoute(route);
+    }
+
+    // --- Final Output --- 
+    if (finalFoundRoutes.length < MAX_ROUTES_TO_RETURN) {
+         console.error(`CRITICAL: Could not fulfill request for ${MAX_ROUTES_TO_RETURN} routes. Only found ${finalFoundRoutes.length}.`);
+          throw new Error(`Failed to generate the required ${MAX_ROUTES_TO_RETURN} routes.`);
+    }
+
+    console.log(`Backend: Sending ${finalFoundRoutes.length} final routes.`);
+    return {
+        success: true,
+        message: `Found ${finalFoundRoutes.length} routes.`,
+        startCoords: startCoords, 
+        endCoords: destinationCoords,
+        seed,
+        profile: profile.name,
+        accessible,
+        hilliness,
+        excludeWalked,
+        exploreNew,
+        warnings, // e.g. green/water data missing (see graph_cache.getGraph)
+        routes: finalFoundRoutes, 
+        nodes: nodes 
+    };
+}
+
+// --- Main API Endpoint: Find Routes (blocks until all routes are ready) --- 
+app.post('/api/find-routes', async (req, res) => {
+    console.log("Backend: Received POST request on /api/find-routes (LLM First)");
+    let params;
+    try {
+        params = parseRouteRequest(req.body || {}, req.user);
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ success: false, message: error.message });
+    }
+
+    try {
+        res.json(await findRoutes(params, detachedJobContext));
+    } catch (error) {
+        console.error("Backend: Error in /api/find-routes (LLM First):", error);
+        console.error(error.stack);
+        res.status(error.statusCode || 500).json({ success: false, message: error.message || "An error occurred while finding routes." });
+    }
+});
 
-        // --- Final Output --- 
-        if (finalFoundRoutes.length < MAX_ROUTES_TO_RETURN) {
-             console.error(`CRITICAL: Could not fulfill request for ${MAX_ROUTES_TO_RETURN} routes. Only found ${finalFoundRoutes.length}.`);
-              throw new Error(`Failed to generate the required ${MAX_ROUTES_TO_RETURN} routes.`);
+// --- API Endpoints: Route jobs (find routes in the background, stream progress) ---
+// POST /api/route-jobs               body as /api/find-routes -> 202 { success, jobId }
+// GET  /api/route-jobs/:id/events    text/event-stream of progress/route/done/failed/cancelled events
+// GET  /api/route-jobs/:id           job status and the events so far
+// DELETE /api/route-jobs/:id         cancel; routes already delivered stay valid
+app.post('/api/route-jobs', (req, res) => {
+    console.log("Backend: Received POST request on /api/route-jobs");
+    let params;
+    try {
+        params = parseRouteRequest(req.body || {}, req.user);
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ success: false, message: error.message });
+    }
+    const job = routeJobs.createJob(context => findRoutes(params, context));
+    console.log(`Backend: Started route job ${job.id}.`);
+    res.status(202).json({ success: true, jobId: job.id });
+});
+
+app.get('/api/route-jobs/:id/events', (req, res) => {
+    if (!routeJobs.getJob(req.params.id)) {
+        return res.status(404).json({ success: false, message: "Unknown or expired route job." });
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    // A reconnecting EventSource sends the last event it saw; only newer ones are replayed
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    unsubscribe = routeJobs.subscribe(req.params.id, event => {
+        res.write(formatServerSentEvent(event));
+        if (TERMINAL_EVENTS.has(event.type)) close();
+    }, lastEventId);
+    req.on('close', close);
+});
+
+app.get('/api/route-jobs/:id', (req, res) => {
+    const job = routeJobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, message: "Unknown or expired route job." });
+    }
+    res.json({ success: true, job: routeJobs.describeJob(job) });
+});
+
+app.delete('/api/route-jobs/:id', (req, res) => {
+    const job = routeJobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, message: "Unknown or expired route job." });
+    }
+    if (!routeJobs.cancelJob(job.id)) {
+        return res.status(409).json({ success: false, message: `Route job has already finished (${job.status}).` });
+    }
+    console.log(`Backend: Cancelled route job ${job.id}.`);
+    res.json({ success: true, job: routeJobs.describeJob(job) });
+});
+
+// --- API Endpoint: Save the selected walk behind a short id (permalink) ---
+// Body: same as /api/generate-pdf plus startCoords, endCoords, profile. Responds with { id }.
+app.post('/api/routes', async (req, res) => {
+    console.log("Backend: Received POST request on /api/routes");
+    try {
+        const walk = await routeStore.saveWalk(req.body || {});
+        res.status(201).json({ success: true, id: walk.id });
+    } catch (error) {
+        console.error("Backend: Could not save walk:", error.message);
+        res.status(error.statusCode || 500).json({ success: false, message: error.message || "Could not save the walk." });
+    }
+});
+
+// --- API Endpoint: A saved walk (route, nodes along it and the inputs it was generated for) ---
+app.get('/api/routes/:id', async (req, res) => {
+    try {
+        const walk = await routeStore.getWalk(req.params.id);
+        if (!walk) {
+            return res.status(404).json({ success: false, message: "No saved walk with that id." });
         }
-         // Trim if somehow we got more than needed (unlikely with current logic)
-         if (finalFoundRoutes.length > MAX_ROUTES_TO_RETURN) { 
-             finalFoundRoutes = finalFoundRoutes.slice(0, MAX_ROUTES_TO_RETURN);
-         }
-        
-        console.log(`Backend: Sending ${finalFoundRoutes.length} final routes.`);
+        res.json({ success: true, walk });
+    } catch (error) {
+        console.error("Backend: Could not load saved walk:", error.message);
+        res.status(500).json({ success: false, message: error.message || "Could not load the walk." });
+    }
+});
+
+// --- API Endpoints: Accounts (session cookie) ---
+// POST /api/auth/register  { username, password } -> 201 { success, user }, logged in
+// POST /api/auth/login     { username, password } -> { success, user }; 429 (Retry-After) after too many failures
+// POST /api/auth/logout
+// GET  /api/auth/me        -> { success, user } (user null when logged out)
+function startSession(res, username) {
+    res.cookie(SESSION_COOKIE, accounts.createSession(username), { httpOnly: true, sameSite: 'lax', maxAge: SESSION_TTL_MS, path: '/' });
+}
+
+app.post('/api/auth/register', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const user = await accounts.register(username, password);
+        startSession(res, user.username);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        console.error("Backend: Could not register user:", error.message);
+        res.status(error.statusCode || 500).json({ success: false, message: error.message || "Could not create the account." });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const user = await accounts.authenticate(username, password, req.ip);
+        startSession(res, user.username);
+        console.log(`Backend: User ${user.username} logged in.`);
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error("Backend: Login failed:", error.message);
+        if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+        res.status(error.statusCode || 500).json({ success: false, message: error.message || "Could not log in." });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    const token = getSessionToken(req);
+    if (token) accounts.endSession(token);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user ? { username: req.user } : null });
+});
+
+// --- API Endpoints: The logged-in user's walks (generated, favourites, completed) ---
+// GET   /api/me/walks?filter=favourites|completed -> { success, walks: [summary] }, newest first
+// PATCH /api/me/walks/:id { favourite?, completedOn? } -> { success, walk: summary }
+function requireUser(req, res) {
+    if (req.user) return true;
+    res.status(401).json({ success: false, message: "Log in to see your walks." });
+    return false;
+}
 
-        // --- Prepare and Send Response --- 
+// History entry + the saved walk's headline details (the full walk is GET /api/routes/:id)
+function summariseHistoryEntry(entry, walk) {
+    return {
+        ...entry,
+        createdAt: walk.createdAt,
+        startPostcode: walk.startPostcode,
+        endPostcode: walk.endPostcode,
+        walkType: walk.walkType,
+        profile: walk.profile,
+        length: walk.route.length,
+        greenPercent: walk.route.scenery ? walk.route.scenery.greenPercent : null
+    };
+}
+
+app.get('/api/me/walks', async (req, res) => {
+    if (!requireUser(req, res)) return;
+    const { filter } = req.query;
+    if (filter !== undefined && filter !== 'favourites' && filter !== 'completed') {
+        return res.status(400).json({ success: false, message: "filter must be favourites or completed." });
+    }
+    try {
+        const history = (await accounts.getHistory(req.user))
+            .filter(entry => filter === 'favourites' ? entry.favourite : filter === 'completed' ? !!entry.completedOn : true);
+        const walks = await Promise.all(history.map(entry => routeStore.getWalk(entry.walkId)));
         res.json({
             success: true,
-            message: `Found ${finalFoundRoutes.length} routes.`,
-            startCoords: startCoords, 
-            routes: finalFoundRoutes, 
-            nodes: allNodes 
+            walks: history.map((entry, index) => walks[index] && summariseHistoryEntry(entry, walks[index])).filter(Boolean)
         });
+    } catch (error) {
+        console.error("Backend: Could not load walk history:", error.message);
+        res.status(error.statusCode || 500).json({ success: false, message: error.message || "Could not load your walks." });
+    }
+});
 
+app.patch('/api/me/walks/:id', async (req, res) => {
+    if (!requireUser(req, res)) return;
+    try {
+        const walk = await routeStore.getWalk(req.params.id);
+        if (!walk) {
+            return res.status(404).json({ success: false, message: "No saved walk with that id." });
+        }
+        const { favourite, completedOn } = req.body || {};
+        const entry = await accounts.updateHistoryEntry(req.user, walk.id, { favourite, completedOn });
+        res.json({ success: true, walk: summariseHistoryEntry(entry, walk) });
     } catch (error) {
-        console.error("Backend: Error in /api/find-routes (LLM First):", error);
-        console.error(error.stack);
-        res.status(500).json({ success: false, message: error.message || "An error occurred while finding routes." });
+        console.error("Backend: Could not update walk history:", error.message);
+        res.status(error.statusCode || 500).json({ success: false, message: error.message || "Could not update the walk." });
     }
 });
 
+// --- API Endpoint: Import a GPX/GeoJSON track as a route ---
+// Body: { data: <GPX text | GeoJSON text or object>, format?: 'gpx' | 'geojson', profile?: <name> }
+// Responds in the /api/find-routes shape with the matched track as the only route.
+app.post('/api/import-route', async (req, res) => {
+    console.log("Backend: Received POST request on /api/import-route");
+    const { data, format } = req.body || {};
+    const profile = routingProfiles.get(req.body?.profile);
+
+    let track;
+    try {
+        if (!profile) throw new Error(`Unknown routing profile "${req.body.profile}".`);
+        track = routeImport.parseTrack(data, format);
+    } catch (error) {
+        console.error("Backend: Invalid import request:", error.message);
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const searchBbox = routeImport.getTrackBbox(track.points, IMPORT_BBOX_BUFFER_METERS);
+        const importGraphData = await graphCache.getGraph(searchBbox, profile);
+        const { graph, nodes } = importGraphData;
+        const { route, walkType, stats } = await searchPool.run(graph, nodes, 'matchTrackToGraph', [track.points]);
+        route.importedTrackName = track.name || 'Imported walk';
+        route.accessWarnings = describeRouteAccess(route, importGraphData);
+        if (elevationSource) route.elevation = elevation.describeRouteElevation(route, elevationSource);
+        if (importGraphData.scenicIndex) route.scenery = scenic.describeRouteScenery(route, importGraphData.scenicIndex);
+        route.instructions = generateInstructions(route, { walkType, features: await getNamedFeatures(searchBbox) });
+
+        const routeNodes = {};
+        route.path.forEach(nodeId => { routeNodes[nodeId] = nodes[nodeId]; });
+        const startNode = nodes[route.path[0]];
+        res.json({
+            success: true,
+            message: `Matched ${stats.matchedSamples} of ${stats.samples} track points to the walk network.`,
+            startCoords: { latitude: startNode.lat, longitude: startNode.lon, postcode: null },
+            walkType,
+            matchStats: stats,
+            warnings: importGraphData.warnings,
+            routes: [route],
+            nodes: routeNodes
+        });
+    } catch (error) {
+        console.error("Backend: Error in /api/import-route:", error);
+        res.status(error.statusCode || 500).json({ success: false, message: error.message || "Could not match the track to the walk network." });
+    }
+});
+
+// --- Helper: Download filename for a selected walk, e.g. postcode-walk-SW1A0AA-2.gpx ---
+function buildDownloadFilename(startPostcode, selectedIndex, extension) {
+    const safePostcode = String(startPostcode || 'walk').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    return `postcode-walk-${safePostcode || 'WALK'}-${selectedIndex + 1}.${extension}`;
+}
+
 // --- API Endpoint: Generate PDF --- 
 app.post('/api/generate-pdf', (req, res) => {
-    // ... PDF generation logic ...
+    console.log("Backend: Received POST request on /api/generate-pdf");
+    const { routes, selectedIndex, startPostcode } = req.body || {};
+
+    let doc;
+    try {
+        doc = pdf.createWalkPdf(req.body || {});
+    } catch (error) {
+        console.error("Backend: Invalid PDF request:", error.message);
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const filename = buildDownloadFilename(startPostcode, selectedIndex, 'pdf');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    doc.on('error', (error) => {
+        console.error("Backend: Error while streaming PDF:", error);
+        res.destroy(error);
+    });
+    doc.pipe(res);
+    doc.end();
+    console.log(`Backend: PDF streamed for route ${selectedIndex + 1} of ${routes.length}.`);
+});
+
+// --- API Endpoint: Export the selected route as GPX, KML or GeoJSON ---
+// Body: same as /api/generate-pdf plus format: 'gpx' | 'kml' | 'geojson'
+app.post('/api/export-route', (req, res) => {
+    console.log("Backend: Received POST request on /api/export-route");
+    const { selectedIndex, startPostcode } = req.body || {};
+
+    let exported;
+    try {
+        exported = exportRoute(req.body || {});
+    } catch (error) {
+        console.error("Backend: Invalid export request:", error.message);
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const filename = buildDownloadFilename(startPostcode, selectedIndex, exported.extension);
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(exported.body);
+});
+
+// --- API Endpoint: Available routing profiles ---
+app.get('/api/profiles', (req, res) => {
+    res.json({
+        success: true,
+        defaultProfile: routingProfiles.defaultName,
+        profiles: routingProfiles.list(),
+        elevationAvailable: !!elevationSource
+    });
+});
+
+// --- API Endpoint: Graph cache and search pool statistics ---
+app.get('/api/cache-stats', (req, res) => {
+    res.json({ success: true, stats: graphCache.getStats(), searchPool: searchPool.getStats() });
 });
 
 // Simple root route for testing
@@ -732,4 +1155,5 @@ app.get('/', (req, res) => {
 
 app.listen(port, () => {
   console.log(`Backend server listening on http://localhost:${port}`);
+  console.log(`Backend: Accepting API requests from ${FRONTEND_ORIGINS.join(', ')}`);
 }); 
\ No newline at end of file
@@ -0,0 +1,84 @@
+// GeoTIFF elevation sampling (dem_file.js) in lon/lat and British National Grid rasters
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDemSource } = require('../dem_file');
+const { osGridToWgs84 } = require('../geocoder');
+
+// Writes a little-endian, uncompressed, single-strip int16 GeoTIFF.
+// geoKeys: [[keyId, value], ...]; sample(col, row) gives each pixel's value
+function writeGeoTiff(filePath, { width, height, scale, tiepoint, geoKeys, sample }) {
+    const pixels = Buffer.alloc(width * height * 2);
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) pixels.writeInt16LE(sample(col, row), (row * width + col) * 2);
+    }
+    const doubles = values => { const b = Buffer.alloc(values.length * 8); values.forEach((v, i) => b.writeDoubleLE(v, i * 8)); return b; };
+    const shorts = values => { const b = Buffer.alloc(values.length * 2); values.forEach((v, i) => b.writeUInt16LE(v, i * 2)); return b; };
+    const entries = [
+        [256, 3, [width]], [257, 3, [height]], [258, 3, [16]], [259, 3, [1]], [273, 4, null],
+        [277, 3, [1]], [278, 3, [height]], [279, 4, [pixels.length]], [339, 3, [2]],
+        [33550, 12, doubles([...scale, 0])], [33922, 12, doubles(tiepoint)],
+        [34735, 3, shorts([1, 1, 0, geoKeys.length, ...geoKeys.flatMap(([key, value]) => [key, 0, 1, value])])]
+    ];
+    const ifdSize = 2 + entries.length * 12 + 4;
+    let extraOffset = 8 + ifdSize;
+    const extras = [];
+    const ifd = Buffer.alloc(ifdSize);
+    ifd.writeUInt16LE(entries.length, 0);
+    const pixelOffset = 8 + ifdSize + entries.reduce((sum, [, , data]) => sum + (Buffer.isBuffer(data) ? data.length : 0), 0);
+    entries.forEach(([tag, type, data], i) => {
+        const base = 2 + i * 12;
+        ifd.writeUInt16LE(tag, base);
+        ifd.writeUInt16LE(type, base + 2);
+        if (Buffer.isBuffer(data)) {
+            ifd.writeUInt32LE(data.length / (type === 3 ? 2 : 8), base + 4);
+            ifd.writeUInt32LE(extraOffset, base + 8);
+            extras.push(data);
+            extraOffset += data.length;
+            return;
+        }
+        ifd.writeUInt32LE(1, base + 4);
+        const value = tag === 273 ? pixelOffset : data[0];
+        if (type === 3) ifd.writeUInt16LE(value, base + 8); else ifd.writeUInt32LE(value, base + 8);
+    });
+    const header = Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]);
+    fs.writeFileSync(filePath, Buffer.concat([header, ifd, ...extras, pixels]));
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dem-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('samples a British National Grid (EPSG:27700) raster from WGS84 coordinates', () => {
+    // 50m pixels with corners from E 529000 / N 180000 (central London); value = 100 + col + 10 * row
+    const filePath = path.join(tempDir, 'bng.tif');
+    writeGeoTiff(filePath, {
+        width: 10, height: 10, scale: [50, 50], tiepoint: [0, 0, 0, 529000, 180000, 0],
+        geoKeys: [[1024, 1], [3072, 27700]], sample: (col, row) => 100 + col + 10 * row
+    });
+    const dem = createDemSource(filePath);
+    // Centre of pixel col 3, row 4
+    const { latitude, longitude } = osGridToWgs84(529000 + 3.5 * 50, 180000 - 4.5 * 50);
+    assert.ok(Math.abs(dem.getElevation(latitude, longitude) - 143) < 0.01);
+    assert.strictEqual(dem.getElevation(51.6, -0.2), null);
+});
+
+test('still samples a lon/lat raster', () => {
+    const filePath = path.join(tempDir, 'lonlat.tif');
+    writeGeoTiff(filePath, {
+        width: 4, height: 4, scale: [0.01, 0.01], tiepoint: [0, 0, 0, -0.2, 51.54, 0],
+        geoKeys: [[1024, 2]], sample: (col, row) => 10 * col + row
+    });
+    const dem = createDemSource(filePath);
+    assert.ok(Math.abs(dem.getElevation(51.515, -0.175) - 22) < 0.01);
+});
+
+test('refuses other projected rasters', () => {
+    const filePath = path.join(tempDir, 'utm.tif');
+    writeGeoTiff(filePath, {
+        width: 2, height: 2, scale: [30, 30], tiepoint: [0, 0, 0, 699000, 5710000, 0],
+        geoKeys: [[1024, 1], [3072, 32630]], sample: () => 0
+    });
+    assert.throws(() => createDemSource(filePath), /EPSG:27700/);
+});
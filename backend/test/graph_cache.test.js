@@ -0,0 +1,49 @@
+// Sharing of in-flight fetches and builds in the tile cache (graph_cache.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createGraphCache } = require('../graph_cache');
+const { loadRoutingProfiles } = require('../routing_profiles');
+
+const profile = loadRoutingProfiles(path.join(__dirname, '..', 'profiles')).get('balanced');
+const bbox = [-0.121, 51.4995, -0.119, 51.5015];
+const elements = [
+    { type: 'node', id: 1, lat: 51.5, lon: -0.12 },
+    { type: 'node', id: 2, lat: 51.501, lon: -0.12 },
+    { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'footway', name: 'Test Lane' } }
+];
+
+// fetchOsmData that counts calls and fails the first `failures` of them
+function countingFetch(failures = 0) {
+    const fetch = async () => {
+        fetch.calls++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        if (fetch.calls <= failures) throw new Error('Overpass unavailable');
+        return { elements };
+    };
+    fetch.calls = 0;
+    return fetch;
+}
+
+test('concurrent getGraph calls share one fetch and one graph', async () => {
+    const fetchOsmData = countingFetch();
+    const cache = createGraphCache({ fetchOsmData, fetchScenicAreas: async () => [] });
+    const [first, second] = await Promise.all([cache.getGraph(bbox, profile), cache.getGraph(bbox, profile)]);
+    assert.strictEqual(fetchOsmData.calls, 1);
+    assert.strictEqual(first, second);
+    assert.ok(first.graph['1'].length > 0);
+    assert.ok(cache.getStats().approxBytes > 0);
+});
+
+test('a failed fetch is not cached, so the next call tries again', async () => {
+    const fetchOsmData = countingFetch(1);
+    const cache = createGraphCache({ fetchOsmData, fetchScenicAreas: async () => [] });
+    const results = await Promise.allSettled([cache.getOsmElements(bbox), cache.getGraph(bbox, profile)]);
+    assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected']);
+    assert.strictEqual(fetchOsmData.calls, 1);
+    assert.strictEqual(cache.getStats().tiles.entries, 0);
+
+    const { graph } = await cache.getGraph(bbox, profile);
+    assert.strictEqual(fetchOsmData.calls, 2);
+    assert.ok(graph['2'].length > 0);
+});
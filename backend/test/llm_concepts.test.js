@@ -0,0 +1,72 @@
+// Concept parsing, retry and fallback (llm_concepts.js) with scripted fixture-provider responses
+const test = require('node:test');
+const assert = require('node:assert');
+const { requestWalkConcepts } = require('../llm_concepts');
+const { createFixtureProvider } = require('../llm_providers');
+
+const params = { postcode: 'SW1A 1AA', distanceKm: 3, walkType: 'round_trip' };
+const concept = (name, waypoints = [{ name: "St James's Park", type: 'park' }]) => ({ name, description: `${name} walk.`, waypoints });
+
+// Fixture provider that also records the prompts it was sent
+function scriptedProvider(responses) {
+    const provider = createFixtureProvider({ responses });
+    const prompts = [];
+    return {
+        prompts,
+        generateText: prompt => {
+            prompts.push(prompt);
+            return provider.generateText(prompt);
+        }
+    };
+}
+
+test('the shipped fixture responses parse into concepts', async () => {
+    const concepts = await requestWalkConcepts(createFixtureProvider(), params);
+    assert.ok(concepts.length > 0);
+    concepts.forEach(parsed => assert.ok(parsed.name && Array.isArray(parsed.waypoints)));
+});
+
+test('a fenced JSON response with prose is used without a retry', async () => {
+    const provider = scriptedProvider([`Here you go:\n\`\`\`json\n${JSON.stringify({ concepts: [concept('Park Loop')] })}\n\`\`\``]);
+    const concepts = await requestWalkConcepts(provider, params);
+    assert.deepStrictEqual(concepts.map(parsed => parsed.name), ['Park Loop']);
+    assert.strictEqual(provider.prompts.length, 1);
+});
+
+test('a malformed response is retried once with the error in the prompt', async () => {
+    const provider = scriptedProvider(['Sorry, I cannot help with that.', { concepts: [concept('River Walk')] }]);
+    const concepts = await requestWalkConcepts(provider, params);
+    assert.deepStrictEqual(concepts.map(parsed => parsed.name), ['River Walk']);
+    assert.strictEqual(provider.prompts.length, 2);
+    assert.match(provider.prompts[1], /could not be used: Response did not contain a JSON object\./);
+    assert.match(provider.prompts[1], /Sorry, I cannot help with that\./);
+});
+
+test('two unusable responses fall back to no concepts', async () => {
+    const provider = scriptedProvider(['{"concepts": [ { "name": } ] }', { concepts: [{ description: 'No name' }] }, { concepts: [concept('Never Asked')] }]);
+    const concepts = await requestWalkConcepts(provider, params);
+    assert.deepStrictEqual(concepts, []);
+    assert.strictEqual(provider.prompts.length, 2);
+    assert.match(provider.prompts[1], /not valid JSON/);
+});
+
+test('invalid concepts and waypoints are dropped or normalised', async () => {
+    const provider = scriptedProvider([{
+        concepts: [
+            { name: '  ', waypoints: [] },
+            concept('Church Trail', [
+                { name: 'St Martin-in-the-Fields', type: 'Church', approxBearingDeg: 45, approxDistanceM: 800 },
+                { name: 'Somewhere', type: 'castle', approxBearingDeg: 400, approxDistanceM: -5 },
+                { type: 'park' }
+            ]),
+            concept('Two'), concept('Three'), concept('Four')
+        ]
+    }]);
+    const concepts = await requestWalkConcepts(provider, params);
+    assert.deepStrictEqual(concepts.map(parsed => parsed.name), ['Church Trail', 'Two', 'Three']);
+    assert.deepStrictEqual(concepts[0].waypoints, [
+        { name: 'St Martin-in-the-Fields', type: 'church', approxBearingDeg: 45, approxDistanceM: 800 },
+        { name: 'Somewhere', type: 'other' }
+    ]);
+    assert.strictEqual(provider.prompts.length, 1);
+});
@@ -0,0 +1,36 @@
+// PBF reader (osm_file.js) against the same data as XML.
+// fixtures/pbf_sample.osm.pbf holds fixtures/pbf_sample.osm as: a raw OSMHeader blob, a zlib
+// OSMData blob of dense nodes (tagged, and with ids above 2^32), and a raw OSMData blob with
+// a plain node, the ways and a relation.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadOsmFile } = require('../osm_file');
+
+const fixture = name => path.join(__dirname, '..', 'fixtures', name);
+
+// PBF coordinates are integers times 1e-9 degrees, so compare at their 1e-7 granularity
+const round = value => Math.round(value * 1e7) / 1e7;
+function normalise({ ways, nodes, features, scenicAreas }) {
+    return {
+        ways,
+        nodes: [...nodes.values()].map(node => ({ ...node, lat: round(node.lat), lon: round(node.lon) })),
+        features: features.map(feature => ({ ...feature, lat: round(feature.lat), lon: round(feature.lon) })),
+        scenicAreas: scenicAreas.map(area => ({
+            ...area,
+            polygons: area.polygons.map(rings => rings.map(([lon, lat]) => [round(lon), round(lat)])),
+            lines: area.lines.map(line => line.map(([lon, lat]) => [round(lon), round(lat)]))
+        }))
+    };
+}
+
+test('a .osm.pbf file loads the same ways, nodes, features and areas as the equivalent .osm', async () => {
+    const fromXml = normalise(await loadOsmFile(fixture('pbf_sample.osm')));
+    const fromPbf = normalise(await loadOsmFile(fixture('pbf_sample.osm.pbf')));
+
+    assert.deepStrictEqual(fromXml.ways.map(way => way.id), [201, 202]);
+    assert.strictEqual(fromXml.nodes.length, 8);
+    assert.strictEqual(fromXml.features.length, 3);
+    assert.strictEqual(fromXml.scenicAreas.length, 1);
+    assert.deepStrictEqual(fromPbf, fromXml);
+});
@@ -0,0 +1,39 @@
+// Queue limit of the worker pool (search_pool.js), on a two-node graph
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSearchPool } = require('../search_pool');
+
+const nodes = { 1: { lat: 51.5, lon: -0.12 }, 2: { lat: 51.501, lon: -0.12 } };
+const edge = (neighborId, from, to) => ({
+    neighborId, length: 111, cost: 111, wayId: 10, wayName: 'Test Lane', highwayTag: 'footway',
+    geometry: [[nodes[from].lon, nodes[from].lat], [nodes[to].lon, nodes[to].lat]]
+});
+const graph = { 1: [edge(2, 1, 2)], 2: [edge(1, 2, 1)] };
+
+const findPath = pool => pool.run(graph, nodes, 'findShortestPathAStar', ['1', '2']);
+
+test('maxQueue 0 runs searches while a worker is free and refuses the rest', async () => {
+    const pool = createSearchPool({ size: 1, maxQueue: 0 });
+    try {
+        const route = await findPath(pool);
+        assert.deepStrictEqual(route.path.map(String), ['1', '2']);
+
+        const [first, second] = await Promise.allSettled([findPath(pool), findPath(pool)]);
+        assert.strictEqual(first.status, 'fulfilled');
+        assert.strictEqual(second.status, 'rejected');
+        assert.strictEqual(second.reason.statusCode, 503);
+        assert.strictEqual(pool.getStats().rejected, 1);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('searches queue up to maxQueue while every worker is busy', async () => {
+    const pool = createSearchPool({ size: 1, maxQueue: 1 });
+    try {
+        const results = await Promise.allSettled([findPath(pool), findPath(pool), findPath(pool)]);
+        assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    } finally {
+        await pool.close();
+    }
+});
@@ -0,0 +1,117 @@
+// --- Walked Edges: street segments a user has walked before ---
+// Segments are identified by their two OSM node ids (either direction), so walks saved from
+// any earlier graph of the same area (completed walks, imported GPX tracks) line up with the
+// current one. excludeWalkedEdges and penaliseWalkedEdges set a request's cost factors
+// (compactGraph.createCostFactors) rather than copying the cached graph. The first leaves
+// walked edges out of searches, keeping those close to the start and finish, since a walk
+// from home usually has to begin on streets that have been walked before. The second
+// ("explore new streets") only makes them cost more, the way findShortestPathAStar penalises
+// the outward half of a round trip. describeNewGround reports how much of a walk is on
+// streets not walked yet.
+
+const turf = require('@turf/turf');
+const compactGraph = require('./compact_graph');
+
+const KEEP_NEAR_ENDPOINTS_METERS = 200;
+const NEW_STREETS_PENALTY_FACTOR = 4; // Walked edges cost this much more when exploring new streets
+const MAX_WALKED_SEGMENTS = 50000; // Node pairs accepted from a request (parseWalkedSegments)
+
+function getEdgeKey(fromNodeId, toNodeId) {
+    const from = String(fromNodeId);
+    const to = String(toNodeId);
+    return from < to ? `${from}_${to}` : `${to}_${from}`;
+}
+
+// Set of edge keys walked in any of the saved walks (route_store.js records)
+function collectWalkedEdges(walks) {
+    const walkedEdges = new Set();
+    walks.forEach(walk => {
+        walk.route.segments.forEach(segment => {
+            if (segment.startNodeId !== undefined && segment.endNodeId !== undefined) {
+                walkedEdges.add(getEdgeKey(segment.startNodeId, segment.endNodeId));
+            }
+        });
+    });
+    return walkedEdges;
+}
+
+// [[fromNodeId, toNodeId], ...] from a request (e.g. the segments of imported walks) -> Set of
+// edge keys. Throws on anything else.
+function parseWalkedSegments(segments) {
+    const isNodeId = id => (typeof id === 'string' && id !== '') || Number.isInteger(id);
+    if (!Array.isArray(segments) || segments.length > MAX_WALKED_SEGMENTS
+        || !segments.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(isNodeId))) {
+        throw new Error(`walkedSegments must be a list of up to ${MAX_WALKED_SEGMENTS} [fromNodeId, toNodeId] pairs.`);
+    }
+    return new Set(segments.map(([fromNodeId, toNodeId]) => getEdgeKey(fromNodeId, toNodeId)));
+}
+
+// Calls visit(edgeIndex, edgeKey) for every compact edge whose node pair is in walkedEdges
+function forEachWalkedEdge(compact, walkedEdges, visit) {
+    for (let from = 0; from < compact.nodeCount; from++) {
+        for (let e = compact.offsets[from]; e < compact.offsets[from + 1]; e++) {
+            const edgeKey = getEdgeKey(compact.ids[from], compact.ids[compact.targets[e]]);
+            if (walkedEdges.has(edgeKey)) visit(e, edgeKey, from);
+        }
+    }
+}
+
+// Leaves the walked edges out of searches (cost factor Infinity, see
+// compactGraph.createCostFactors), except those with both ends within
+// KEEP_NEAR_ENDPOINTS_METERS of one of keepNearNodeIds. Returns the number of edges left out.
+function excludeWalkedEdges(graph, nodes, costFactors, walkedEdges, keepNearNodeIds = []) {
+    const compact = compactGraph.getCompactGraph(graph, nodes);
+    const anchors = keepNearNodeIds.filter(nodeId => nodeId !== null && nodes[nodeId])
+        .map(nodeId => turf.point([nodes[nodeId].lon, nodes[nodeId].lat]));
+    const nearAnchorCache = new Map();
+    const isNearAnchor = (index) => {
+        if (!nearAnchorCache.has(index)) {
+            const point = turf.point([compact.lon[index], compact.lat[index]]);
+            nearAnchorCache.set(index, anchors.some(anchor =>
+                turf.distance(anchor, point, { units: 'meters' }) <= KEEP_NEAR_ENDPOINTS_METERS));
+        }
+        return nearAnchorCache.get(index);
+    };
+
+    const excluded = new Set();
+    forEachWalkedEdge(compact, walkedEdges, (e, edgeKey, from) => {
+        if (isNearAnchor(from) && isNearAnchor(compact.targets[e])) return;
+        costFactors[e] = Infinity;
+        excluded.add(edgeKey);
+    });
+    return excluded.size;
+}
+
+// Walked edges cost NEW_STREETS_PENALTY_FACTOR times more (in costFactors).
+// Returns the number of edges penalised.
+function penaliseWalkedEdges(graph, nodes, costFactors, walkedEdges) {
+    const compact = compactGraph.getCompactGraph(graph, nodes);
+    const penalised = new Set();
+    forEachWalkedEdge(compact, walkedEdges, (e, edgeKey) => {
+        costFactors[e] *= NEW_STREETS_PENALTY_FACTOR;
+        penalised.add(edgeKey);
+    });
+    return penalised.size;
+}
+
+// Share of the route (by length) on edges not in walkedEdges
+function describeNewGround(route, walkedEdges) {
+    let newDistance = 0;
+    (route.segments || []).forEach(segment => {
+        if (!walkedEdges.has(getEdgeKey(segment.startNodeId, segment.endNodeId))) newDistance += segment.length;
+    });
+    return {
+        newDistance: Math.round(newDistance),
+        walkedDistance: Math.round(route.length - newDistance),
+        newPercent: route.length > 0 ? Math.round((newDistance / route.length) * 100) : 0
+    };
+}
+
+module.exports = {
+    getEdgeKey,
+    collectWalkedEdges,
+    parseWalkedSegments,
+    excludeWalkedEdges,
+    penaliseWalkedEdges,
+    describeNewGround
+};
@@ -23,6 +23,25 @@ let downloadPdfButton = null;
 let lastGeneratedRouteData = null; 
 let globalNodes = null; // Store nodes globally for PDF generation access?
 
+// Optional one-way destination picked by clicking the map ({ latitude, longitude })
+let selectedEndPoint = null;
+let endPointMarker = null;
+
+// Last displayed results ({ result, request }) so an imported walk can be compared against them
+let lastRouteResults = null;
+
+// Segments ([fromNodeId, toNodeId]) of every walk imported this session, sent as walked
+// streets when exploring new ones
+let importedWalkSegments = [];
+
+// Route search running on the backend ({ id, events: EventSource }), see /api/route-jobs
+let activeRouteJob = null;
+
+// Logged-in username (session cookie, see /api/auth/*) and what we know of their walks:
+// walkId -> { favourite, completedOn }
+let currentUser = null;
+let walkHistoryState = {};
+
 document.addEventListener('DOMContentLoaded', () => {
     console.log("DOM fully loaded and parsed");
 
@@ -46,6 +65,22 @@ document.addEventListener('DOMContentLoaded', () => {
 
     console.log("Map initialized");
 
+    // Clicking the map sets the destination of a one-way walk
+    map.on('click', (event) => {
+        const walkType = document.querySelector('input[name="walk_type"]:checked').value;
+        if (walkType !== 'one_way') return;
+        setEndPoint(event.latlng.lat, event.latlng.lng);
+    });
+    document.querySelectorAll('input[name="walk_type"]').forEach(radio => {
+        radio.addEventListener('change', updateEndPointControls);
+    });
+    const clearEndButton = document.getElementById('clear-end-btn');
+    if (clearEndButton) {
+        clearEndButton.addEventListener('click', clearEndPoint);
+    }
+    updateEndPointControls();
+    loadRoutingProfiles();
+
     // Add event listener for the button
     const findButton = document.getElementById('find-routes-btn');
     if (findButton) {
@@ -76,29 +111,10 @@ document.addEventListener('DOMContentLoaded', () => {
                     throw new Error("No route selected from the list.");
                 }
                 
-                // Capture Map Image
-                console.log("Frontend: Capturing map image with html2canvas...");
-                const mapElement = document.getElementById('map');
-                if (!mapElement) throw new Error("Map element not found for capture.");
-                if (typeof html2canvas === 'undefined') throw new Error("html2canvas library not loaded.");
-                
-                const canvas = await html2canvas(mapElement, { 
-                    useCORS: true, 
-                    logging: false, 
-                    scale: 1 
-                });
-                const mapImageDataUrl = canvas.toDataURL('image/png');
-                console.log("Frontend: Map captured. Data URL length:", mapImageDataUrl.length);
-                if (mapImageDataUrl.length > 10 * 1024 * 1024) { // Increased check slightly
-                    console.warn("Captured map image data may be large.");
-                }
-
                 // Prepare data to send (using data sourced from /api/find-routes)
+                // The backend draws the route map itself from segments/nodes (no screenshot needed)
                 const dataToSend = { 
-                    ...lastGeneratedRouteData, 
-                    mapImageDataUrl: mapImageDataUrl 
-                    // nodes might be large, but backend might need them for PDF context?
-                    // Let's keep sending relevant nodes for now, backend PDF endpoint can ignore if not needed
+                    ...lastGeneratedRouteData
                 }; 
                 // Add relevant nodes again just before sending to PDF endpoint
                  const selectedRouteForPDF = dataToSend.routes[dataToSend.selectedIndex];
@@ -139,19 +155,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Process PDF blob for download
                 console.log("Frontend: PDF Backend response OK. Processing as blob...");
-                const contentDisposition = pdfResponse.headers.get('content-disposition');
-                let filename = 'postcode-walk.pdf'; 
-                if (contentDisposition) {
-                    const filenameMatch = contentDisposition.match(/filename="?(.+)"?/i);
-                    if (filenameMatch && filenameMatch.length > 1) filename = filenameMatch[1];
-                }
-                console.log(`Frontend: Attempting to download file as: ${filename}`);
-                const blob = await pdfResponse.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.style.display = 'none'; a.href = url; a.download = filename; 
-                document.body.appendChild(a); a.click();
-                window.URL.revokeObjectURL(url); document.body.removeChild(a);
+                await downloadResponseAsFile(pdfResponse, 'postcode-walk.pdf');
                 console.log("Frontend: PDF download initiated.");
 
             } catch (error) {
@@ -166,6 +170,49 @@ document.addEventListener('DOMContentLoaded', () => {
         console.error("Download PDF button not found!");
     }
 
+    // Import an existing walk (GPX/GeoJSON) to compare or print it
+    const importInput = document.getElementById('import-file');
+    if (importInput) {
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) importRoute(importInput.files[0]);
+            importInput.value = ''; // Allow re-importing the same file
+        });
+    }
+
+    // Route export menu (GPX/KML/GeoJSON)
+    const exportButton = document.getElementById('download-export-btn');
+    if (exportButton) {
+        exportButton.addEventListener('click', exportSelectedRoute);
+    } else {
+        console.error("Download route button not found!");
+    }
+
+    // Permalink to the selected walk
+    const shareButton = document.getElementById('share-walk-btn');
+    if (shareButton) {
+        shareButton.addEventListener('click', shareSelectedRoute);
+    } else {
+        console.error("Share link button not found!");
+    }
+
+    // Accounts: log in / sign up / out, the user's walk history, favourite and completed walks
+    document.getElementById('login-btn').addEventListener('click', () => submitAccountForm('login'));
+    document.getElementById('register-btn').addEventListener('click', () => submitAccountForm('register'));
+    document.getElementById('logout-btn').addEventListener('click', logOut);
+    document.getElementById('my-walks-btn').addEventListener('click', () => {
+        const historyDiv = document.getElementById('walk-history');
+        historyDiv.hidden = !historyDiv.hidden;
+        if (!historyDiv.hidden) loadWalkHistory();
+    });
+    document.getElementById('walk-history-filter').addEventListener('change', loadWalkHistory);
+    document.getElementById('favourite-walk-btn').addEventListener('click', toggleFavouriteWalk);
+    document.getElementById('mark-completed-btn').addEventListener('click', markWalkCompleted);
+    loadCurrentUser();
+
+    // Opened from a permalink (?walk=<id>): show the saved walk
+    const savedWalkId = new URLSearchParams(window.location.search).get('walk');
+    if (savedWalkId) openSavedWalk(savedWalkId);
+
     // *** COMMENTED OUT DEBUG log for element check on load ***
     // const initialEndElement = document.getElementById('end_postcode_input');
     // console.log("DEBUG (DOMContentLoaded): Element with ID 'end_postcode_input':", initialEndElement);
@@ -178,6 +225,20 @@ async function findRoutes() {
     const distanceInput = document.getElementById('desired_distance').value;
     const desiredDistanceKm = parseFloat(distanceInput);
     const walkType = document.querySelector('input[name="walk_type"]:checked').value;
+    // Destination (one-way only): a typed end postcode wins over a map-clicked point
+    const endPostcode = walkType === 'one_way' ? document.getElementById('end_postcode_input').value.trim() : '';
+    const endCoords = walkType === 'one_way' && !endPostcode ? selectedEndPoint : null;
+    // Same seed + same inputs = same generated walks; left empty the backend picks one
+    const seedInput = document.getElementById('seed_input').value.trim();
+    const seed = seedInput === '' ? undefined : parseInt(seedInput, 10);
+    const profile = document.getElementById('profile_select').value || undefined;
+    const accessible = document.getElementById('accessible_checkbox').checked;
+    const hillinessSelect = document.getElementById('hilliness_select');
+    const hilliness = hillinessSelect.disabled ? undefined : hillinessSelect.value;
+    const excludeWalked = !!currentUser && document.getElementById('exclude_walked_checkbox').checked;
+    const exploreNew = document.getElementById('explore_new_checkbox').checked;
+    // Imported walks (GPX/GeoJSON) count as walked streets when exploring new ones
+    const walkedSegments = exploreNew && importedWalkSegments.length > 0 ? importedWalkSegments : undefined;
 
     const resultsDiv = document.getElementById('results');
     const spinner = document.getElementById('loading-spinner'); 
@@ -190,8 +251,13 @@ async function findRoutes() {
         pdfButton.hidden = true; // Hide PDF button
         pdfButton.disabled = true; 
     }
+    const exportMenu = document.getElementById('export-menu');
+    if (exportMenu) exportMenu.hidden = true;
+    hideShareLink();
+    document.getElementById('walk-actions').hidden = true;
     if (spinner) spinner.classList.remove('hidden'); 
     lastGeneratedRouteData = null; // Clear previous data
+    lastRouteResults = null;
     globalNodes = null; // Clear nodes
 
     // --- Input Validation (Keep on Frontend) ---
@@ -205,19 +271,41 @@ async function findRoutes() {
         alert("Please enter a valid positive number for the desired distance.");
         return;
     }
+    if (seed !== undefined && (isNaN(seed) || seed < 0)) {
+        if (spinner) spinner.classList.add('hidden');
+        alert("The seed must be a whole number of 0 or more.");
+        return;
+    }
     console.log(`Frontend: Requesting routes for ${startPostcode}, ${desiredDistanceKm}km, ${walkType}`);
 
-    // --- Call Backend API to Find Routes --- 
+    // --- Start a Route Job on the Backend, then follow its progress --- 
+    // A new search replaces one still running: stop following it, then cancel it on the backend
+    if (activeRouteJob) {
+        activeRouteJob.events.close();
+        cancelRouteJob();
+        activeRouteJob = null;
+    }
+    const request = { startPostcode, desiredDistanceKm, walkType };
     try {
-        const response = await fetch('http://localhost:3000/api/find-routes', {
+        const response = await fetch('http://localhost:3000/api/route-jobs', {
             method: 'POST',
+            credentials: 'include', // Logged-in users get the walks added to their history
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({ 
                 startPostcode,
                 desiredDistanceKm,
-                walkType 
+                walkType,
+                endPostcode: endPostcode || undefined,
+                endCoords: endCoords || undefined,
+                seed,
+                profile,
+                accessible,
+                hilliness,
+                excludeWalked,
+                exploreNew,
+                walkedSegments
             }),
         });
 
@@ -230,82 +318,24 @@ async function findRoutes() {
             throw new Error(errorMsg);
         }
 
-        const result = await response.json();
+        const { jobId } = await response.json();
+        resultsDiv.innerHTML += '<div id="route-progress"><ul id="route-progress-log"></ul><button type="button" id="cancel-routes-btn">Cancel</button></div>';
+        document.getElementById('cancel-routes-btn').addEventListener('click', cancelRouteJob);
+        const result = await followRouteJob(jobId);
+        clearRoutes(); // Routes drawn as they arrived are redrawn with the full results
+        removeRouteProgress();
 
+        if (!result) {
+            resultsDiv.innerHTML += '<p>Route search cancelled before any walks were ready.</p>';
+            return;
+        }
         if (!result.success || !result.routes || !result.nodes || !result.startCoords) {
             throw new Error(result.message || "Invalid data received from backend.");
         }
 
         console.log(`Frontend: Received ${result.routes.length} routes from backend.`);
-        globalNodes = result.nodes; // Store nodes from backend
-        
-        // --- Process and Display Results (Using Backend Data) --- 
-        
-        // Center map on start coords
-        map.setView([result.startCoords.latitude, result.startCoords.longitude], 14); 
-        L.marker([result.startCoords.latitude, result.startCoords.longitude]).addTo(map)
-            .bindPopup(`Start: ${result.startCoords.postcode}`)
-            .openPopup();
-        
-        if (result.routes.length > 0) {
-            let routeListHtml = "";
-            let combinedBounds = L.latLngBounds([]);
-            combinedBounds.extend([result.startCoords.latitude, result.startCoords.longitude]);
-
-            result.routes.forEach((route, index) => {
-                const routeLabel = walkType === 'round_trip' ? 'Round Trip' : 'Route';
-                // Display length and COST
-                routeListHtml += `<li class="route-summary-item" data-route-index="${index}">${routeLabel} ${index + 1} - Length: ${(route.length / 1000).toFixed(1)} km, Cost: ${route.cost.toFixed(0)}</li>`;
-                
-                // Draw route using backend data
-                const routeLayer = drawRoute(route, index); 
-                if (routeLayer) {
-                    combinedBounds.extend(routeLayer.getBounds());
-                }
-                 // Add end marker if one-way (using last node from path)
-                 if (walkType === 'one_way' && route.path && route.path.length > 0) {
-                    const endNodeId = route.path[route.path.length - 1];
-                    const endNodeCoords = globalNodes[endNodeId]; // Use globalNodes
-                    if(endNodeCoords) {
-                        L.marker([endNodeCoords.lat, endNodeCoords.lon]).addTo(map)
-                            .bindPopup(`End (${routeLabel} ${index + 1})`);
-                        combinedBounds.extend([endNodeCoords.lat, endNodeCoords.lon]);
-                    }
-                 }
-            });
-
-            resultsDiv.innerHTML += `<h3>Found ${result.routes.length} Route(s):</h3><ul id="route-summary-list">${routeListHtml}</ul><hr/><div id="selected-route-instructions"></div>`;
-            
-            // Add click listener for route selection
-            const routeListElement = document.getElementById('route-summary-list');
-            if (routeListElement) {
-                routeListElement.addEventListener('click', (event) => {
-                    if (event.target && event.target.classList.contains('route-summary-item')) {
-                        const selectedIndex = parseInt(event.target.getAttribute('data-route-index'));
-                        if (!isNaN(selectedIndex)) {
-                            // Store data received from backend for the selected route
-                            lastGeneratedRouteData = { 
-                                startPostcode: startPostcode, // Keep original inputs
-                                desiredDistanceKm: desiredDistanceKm,
-                                walkType: walkType,
-                                routes: result.routes, // Store all routes from backend
-                                selectedIndex: selectedIndex,
-                                nodes: globalNodes // Store nodes for PDF generation
-                            };
-                            displaySelectedRoute(selectedIndex); 
-                        }
-                    }
-                });
-            }
-            
-            // Fit map to bounds
-            if (combinedBounds.isValid()) {
-                 map.fitBounds(combinedBounds.pad(0.1)); 
-            }
-
-        } else {
-            resultsDiv.innerHTML += `<p>Backend could not find any suitable routes.</p>`;
-        }
+        lastRouteResults = { result, request };
+        displayRouteResults(result, lastRouteResults.request);
 
     } catch (error) {
          console.error("Frontend: Error calling backend or processing results:", error);
@@ -318,6 +348,79 @@ async function findRoutes() {
      }
 } 
 
+// --- Follow a route job's Server-Sent Events until it finishes ---
+// Shows each progress message and draws routes as soon as they are ready. Resolves to the
+// full results, to the routes delivered so far if the job is cancelled (null if there were
+// none), and rejects if the search fails.
+function followRouteJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const events = new EventSource(`http://localhost:3000/api/route-jobs/${jobId}/events`);
+        const partial = { success: true, message: '', startCoords: null, endCoords: null, routes: [], nodes: {} };
+        activeRouteJob = { id: jobId, events };
+        const finish = () => {
+            events.close();
+            if (activeRouteJob && activeRouteJob.id === jobId) activeRouteJob = null;
+        };
+
+        events.addEventListener('progress', (event) => {
+            const progress = JSON.parse(event.data);
+            if (progress.stage === 'geocoded') {
+                partial.startCoords = progress.startCoords;
+                partial.endCoords = progress.endCoords;
+            }
+            addRouteProgress(progress.message);
+        });
+        events.addEventListener('route', (event) => {
+            const { index, route, nodes } = JSON.parse(event.data);
+            partial.routes[index] = route;
+            Object.assign(partial.nodes, nodes);
+            drawRoute(route, index);
+            addRouteProgress(`Route ${index + 1} ready: ${(route.length / 1000).toFixed(1)} km.`);
+        });
+        events.addEventListener('done', (event) => {
+            finish();
+            resolve(JSON.parse(event.data));
+        });
+        events.addEventListener('failed', (event) => {
+            finish();
+            reject(new Error(JSON.parse(event.data).message));
+        });
+        events.addEventListener('cancelled', () => {
+            finish();
+            const routes = partial.routes.filter(Boolean);
+            resolve(routes.length > 0 && partial.startCoords
+                ? { ...partial, routes, message: `Cancelled with ${routes.length} route(s) ready.` }
+                : null);
+        });
+        // EventSource reconnects by itself; it only gives up (CLOSED) if the job is gone
+        events.onerror = () => {
+            if (events.readyState === EventSource.CLOSED) {
+                finish();
+                reject(new Error("Lost connection to the route search."));
+            }
+        };
+    });
+}
+
+// --- Cancel the running route job (the routes already delivered are kept) ---
+function cancelRouteJob() {
+    if (!activeRouteJob) return;
+    const cancelButton = document.getElementById('cancel-routes-btn');
+    if (cancelButton) cancelButton.disabled = true;
+    fetch(`http://localhost:3000/api/route-jobs/${activeRouteJob.id}`, { method: 'DELETE' })
+        .catch(error => console.error("Frontend: Could not cancel the route search:", error));
+}
+
+function addRouteProgress(message) {
+    const log = document.getElementById('route-progress-log');
+    if (log) log.innerHTML += `<li>${escapeHtml(message)}</li>`;
+}
+
+function removeRouteProgress() {
+    const progress = document.getElementById('route-progress');
+    if (progress) progress.remove();
+}
+
 // --- UI / Helper Functions (Keep) --- 
 
 function generateInstructions(routeSegments) {
@@ -367,6 +470,293 @@ function generateInstructions(routeSegments) {
     }
 }
 
+// Directions from the backend (route.instructions) as a numbered list; the turnaround
+// point of round trips is highlighted. Older results without them fall back to the
+// way-name summary above.
+function formatRouteInstructions(route) {
+    if (!Array.isArray(route.instructions) || route.instructions.length === 0) {
+        return `<pre class="route-instruction-text">${escapeHtml(generateInstructions(route.segments))}</pre>`;
+    }
+    const items = route.instructions.map(instruction => {
+        const className = instruction.type === 'turnaround' ? ' class="instruction-turnaround"' : '';
+        return `<li${className}>${escapeHtml(instruction.text)}</li>`;
+    });
+    return `<ol class="route-instruction-list">${items.join('')}</ol>`;
+}
+
+// --- Elevation profile as an inline SVG chart (distance along the walk vs height) ---
+const ELEVATION_CHART_WIDTH = 320;
+const ELEVATION_CHART_HEIGHT = 90;
+
+function formatElevationProfile(route) {
+    const elevation = route.elevation;
+    if (!elevation || elevation.profile.length < 2) return '';
+    const totalDistance = elevation.profile[elevation.profile.length - 1][0] || 1;
+    const range = Math.max(elevation.maxElevation - elevation.minElevation, 10); // Keep gentle walks from looking alpine
+    const toX = distance => (distance / totalDistance) * ELEVATION_CHART_WIDTH;
+    const toY = height => ELEVATION_CHART_HEIGHT - ((height - elevation.minElevation) / range) * (ELEVATION_CHART_HEIGHT - 4) - 2;
+    const line = elevation.profile.map(([distance, height]) => `${toX(distance).toFixed(1)},${toY(height).toFixed(1)}`).join(' ');
+    const area = `0,${ELEVATION_CHART_HEIGHT} ${line} ${ELEVATION_CHART_WIDTH},${ELEVATION_CHART_HEIGHT}`;
+    return `<div class="elevation-profile">
+        <p>Ascent ${escapeHtml(elevation.ascent)} m &middot; Descent ${escapeHtml(elevation.descent)} m &middot; ${escapeHtml(elevation.minElevation)}-${escapeHtml(elevation.maxElevation)} m above sea level</p>
+        <svg viewBox="0 0 ${ELEVATION_CHART_WIDTH} ${ELEVATION_CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Elevation profile">
+            <polygon points="${area}" class="elevation-area"></polygon>
+            <polyline points="${line}" class="elevation-line"></polyline>
+        </svg>
+    </div>`;
+}
+
+// --- Sections on ways with conditional access (permissive paths, car parks, visitors only) ---
+function formatAccessWarnings(route) {
+    if (!route.accessWarnings || route.accessWarnings.length === 0) return '';
+    const items = route.accessWarnings.map(section =>
+        `<li>${escapeHtml(section.wayName)} (${escapeHtml(section.length)} m, from ${formatKilometres(section.distanceFromStart)} km): ${escapeHtml(section.reason)}</li>`
+    ).join('');
+    return `<div class="access-warnings"><p>Check access on ${route.accessWarnings.length} section(s) of this walk:</p><ul>${items}</ul></div>`;
+}
+
+// --- Accessibility mode: list sections where the map has no surface/kerb information ---
+function formatAccessibilityReport(route) {
+    const report = route.accessibility;
+    if (!report) return '';
+    if (report.missingData.length === 0) {
+        return '<p class="accessibility-report">Step-free route. Surface and kerb information is mapped along the whole walk.</p>';
+    }
+    const items = report.missingData.map(section => {
+        const missing = section.missing.map(tag => tag === 'kerb' ? 'kerb height' : escapeHtml(tag)).join(' and ');
+        return `<li>${escapeHtml(section.wayName)} (${escapeHtml(section.length)} m, from ${formatKilometres(section.distanceFromStart)} km): no ${missing} information</li>`;
+    }).join('');
+    return `<div class="accessibility-report"><p>Step-free route. ${report.missingData.length} section(s), ${escapeHtml(report.missingDataLength)} m (${escapeHtml(report.missingDataPercent)}% of the walk), could not be checked - please take care:</p><ul>${items}</ul></div>`;
+}
+
+// --- Share of the walk through green space and beside water ---
+function formatScenery(route) {
+    const scenery = route.scenery;
+    if (!scenery) return '';
+    const waterText = scenery.waterPercent > 0 ? ` &middot; Beside water: ${escapeHtml(scenery.waterPercent)}% (${escapeHtml(scenery.waterDistance)} m)` : '';
+    return `<p class="route-scenery">Green space: ${escapeHtml(scenery.greenPercent)}% of the walk (${escapeHtml(scenery.greenDistance)} m)${waterText}</p>`;
+}
+
+function formatNewGround(route) {
+    const newGround = route.newGround;
+    if (!newGround) return '';
+    return `<p class="route-new-ground">New ground: ${escapeHtml(newGround.newPercent)}% of the walk (${escapeHtml(newGround.newDistance)} m on streets you have not walked before)</p>`;
+}
+
+// --- Show a /api/find-routes style result: markers, route lines and the route list ---
+// request: { startPostcode, desiredDistanceKm, walkType } the routes were generated for
+function displayRouteResults(result, request) {
+    const { startPostcode, desiredDistanceKm, walkType } = request;
+    const resultsDiv = document.getElementById('results');
+    globalNodes = result.nodes; // Store nodes from backend
+    
+    // --- Process and Display Results (Using Backend Data) --- 
+    
+    // Center map on start coords
+    map.setView([result.startCoords.latitude, result.startCoords.longitude], 14); 
+    L.marker([result.startCoords.latitude, result.startCoords.longitude]).addTo(map)
+        .bindPopup(`Start: ${escapeHtml(result.startCoords.postcode || startPostcode)}`)
+        .openPopup();
+    
+    if (result.routes.length > 0) {
+        let routeListHtml = "";
+        let combinedBounds = L.latLngBounds([]);
+        combinedBounds.extend([result.startCoords.latitude, result.startCoords.longitude]);
+
+        result.routes.forEach((route, index) => {
+            const routeLabel = route.importedTrackName
+                ? `Imported "${escapeHtml(route.importedTrackName)}"`
+                : (walkType === 'round_trip' ? 'Round Trip' : 'Route');
+            // Display length and COST
+            const climbText = route.elevation ? `, Ascent: ${escapeHtml(route.elevation.ascent)} m` : '';
+            const greenText = route.scenery ? `, Green: ${escapeHtml(route.scenery.greenPercent)}%` : '';
+            const newGroundText = route.newGround ? `, New: ${escapeHtml(route.newGround.newPercent)}%` : '';
+            routeListHtml += `<li class="route-summary-item" data-route-index="${index}">${routeLabel} ${index + 1} - Length: ${formatKilometres(route.length)} km${climbText}${greenText}${newGroundText}, Cost: ${formatNumber(route.cost, 0)}</li>`;
+            
+            // Draw route using backend data
+            const routeLayer = drawRoute(route, index); 
+            if (routeLayer) {
+                combinedBounds.extend(routeLayer.getBounds());
+            }
+             // Add end marker if one-way without a chosen destination (using last node from path)
+             if (walkType === 'one_way' && !result.endCoords && route.path && route.path.length > 0) {
+                const endNodeId = route.path[route.path.length - 1];
+                const endNodeCoords = globalNodes[endNodeId]; // Use globalNodes
+                if(endNodeCoords) {
+                    L.marker([endNodeCoords.lat, endNodeCoords.lon]).addTo(map)
+                        .bindPopup(`End (${routeLabel} ${index + 1})`);
+                    combinedBounds.extend([endNodeCoords.lat, endNodeCoords.lon]);
+                }
+             }
+        });
+
+        // One shared end marker when the walks go to a chosen destination
+        if (result.endCoords) {
+            const endLabel = result.endCoords.postcode ? `End: ${escapeHtml(result.endCoords.postcode)}` : 'End: selected point';
+            L.marker([result.endCoords.latitude, result.endCoords.longitude]).addTo(map).bindPopup(endLabel);
+            combinedBounds.extend([result.endCoords.latitude, result.endCoords.longitude]);
+        }
+
+        const profileOption = result.profile ? Array.from(document.querySelectorAll('#profile_select option')).find(option => option.value === result.profile) : null;
+        const profileText = (result.profile ? ` &middot; Route style: ${escapeHtml(profileOption ? profileOption.textContent : result.profile)}` : '')
+            + (result.accessible ? ' (step-free)' : '');
+        const seedHtml = typeof result.seed === 'number' ? `<p class="route-seed">Seed: ${escapeHtml(result.seed)}${profileText}</p>` : '';
+        const warningsHtml = (result.warnings || []).map(warning => `<p class="route-warning">${escapeHtml(warning)}</p>`).join('');
+        resultsDiv.innerHTML += `<h3>Found ${result.routes.length} Route(s):</h3>${seedHtml}${warningsHtml}<ul id="route-summary-list">${routeListHtml}</ul><hr/><div id="selected-route-instructions"></div>`;
+        
+        // Add click listener for route selection
+        const routeListElement = document.getElementById('route-summary-list');
+        if (routeListElement) {
+            routeListElement.addEventListener('click', (event) => {
+                if (event.target && event.target.classList.contains('route-summary-item')) {
+                    const selectedIndex = parseInt(event.target.getAttribute('data-route-index'));
+                    if (!isNaN(selectedIndex)) {
+                        // Store data received from backend for the selected route
+                        lastGeneratedRouteData = { 
+                            startPostcode: startPostcode, // Keep original inputs
+                            endPostcode: result.endCoords ? result.endCoords.postcode : null,
+                            desiredDistanceKm: desiredDistanceKm,
+                            walkType: walkType,
+                            routes: result.routes, // Store all routes from backend
+                            selectedIndex: selectedIndex,
+                            nodes: globalNodes, // Store nodes for PDF generation
+                            startCoords: result.startCoords, // Saved with the walk for its permalink
+                            endCoords: result.endCoords || null,
+                            profile: result.profile
+                        };
+                        displaySelectedRoute(selectedIndex); 
+                    }
+                }
+            });
+        }
+        
+        // Fit map to bounds
+        if (combinedBounds.isValid()) {
+             map.fitBounds(combinedBounds.pad(0.1)); 
+        }
+
+    } else {
+        resultsDiv.innerHTML += `<p>Backend could not find any suitable routes.</p>`;
+    }
+}
+
+// --- Import a GPX/GeoJSON walk, matched onto paths by the backend ---
+// The imported walk is added to the current results (if any) so it can be compared with them.
+async function importRoute(file) {
+    const resultsDiv = document.getElementById('results');
+    const spinner = document.getElementById('loading-spinner');
+    if (spinner) spinner.classList.remove('hidden');
+    try {
+        const data = await file.text();
+        const format = /\.gpx$/i.test(file.name) ? 'gpx' : 'geojson';
+        const profile = document.getElementById('profile_select').value || undefined;
+        const response = await fetch('http://localhost:3000/api/import-route', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ data, format, profile }),
+        });
+        const imported = await response.json();
+        if (!response.ok || !imported.success) {
+            throw new Error(imported.message || `Import Error: ${response.status} ${response.statusText}`);
+        }
+        console.log(`Frontend: ${imported.message}`);
+        imported.routes.forEach(route => {
+            route.segments.forEach(segment => importedWalkSegments.push([segment.startNodeId, segment.endNodeId]));
+        });
+
+        if (lastRouteResults) {
+            lastRouteResults = {
+                request: lastRouteResults.request,
+                result: {
+                    ...lastRouteResults.result,
+                    routes: [...lastRouteResults.result.routes, ...imported.routes],
+                    nodes: { ...lastRouteResults.result.nodes, ...imported.nodes }
+                }
+            };
+        } else {
+            const importedRoute = imported.routes[0];
+            lastRouteResults = {
+                result: imported,
+                request: {
+                    startPostcode: document.getElementById('postcode').value.trim() || 'Imported walk',
+                    desiredDistanceKm: importedRoute.length / 1000,
+                    walkType: imported.walkType
+                }
+            };
+        }
+        resultsDiv.innerHTML = '<h2>Results</h2>';
+        clearRoutes();
+        displayRouteResults(lastRouteResults.result, lastRouteResults.request);
+    } catch (error) {
+        console.error("Frontend: Error importing walk:", error);
+        alert(`Could not import walk: ${error.message}`);
+    } finally {
+        if (spinner) spinner.classList.add('hidden');
+    }
+}
+
+// --- Fill the route style dropdown from the backend's routing profiles ---
+// Keeps the built-in "Balanced" option (the backend default) if the request fails, and
+// enables the hills preference if the backend has elevation data.
+async function loadRoutingProfiles() {
+    const select = document.getElementById('profile_select');
+    if (!select) return;
+    try {
+        const response = await fetch('http://localhost:3000/api/profiles');
+        const result = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.message || `${response.status} ${response.statusText}`);
+        select.innerHTML = result.profiles.map(profile =>
+            `<option value="${escapeHtml(profile.name)}" title="${escapeHtml(profile.description)}"${profile.isDefault ? ' selected' : ''}>${escapeHtml(profile.label)}</option>`
+        ).join('');
+        // The flat/hilly preference only works when the server has elevation data
+        const hillinessSelect = document.getElementById('hilliness_select');
+        if (hillinessSelect && result.elevationAvailable) {
+            hillinessSelect.disabled = false;
+            hillinessSelect.title = '';
+        }
+    } catch (error) {
+        console.warn("Frontend: Could not load routing profiles, using the default:", error.message);
+    }
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Numbers from a result (saved walks included) for HTML; '-' when missing
+function formatNumber(value, digits) {
+    return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '-';
+}
+
+function formatKilometres(meters) {
+    return formatNumber(meters / 1000, 1);
+}
+
+// --- One-way destination picked on the map ---
+function setEndPoint(latitude, longitude) {
+    selectedEndPoint = { latitude, longitude };
+    if (endPointMarker) map.removeLayer(endPointMarker);
+    endPointMarker = L.marker([latitude, longitude]).addTo(map).bindPopup('Walk end point').openPopup();
+    document.getElementById('clear-end-btn').hidden = false;
+}
+
+function clearEndPoint() {
+    selectedEndPoint = null;
+    if (endPointMarker) {
+        map.removeLayer(endPointMarker);
+        endPointMarker = null;
+    }
+    document.getElementById('clear-end-btn').hidden = true;
+}
+
+// A destination only makes sense for one-way walks
+function updateEndPointControls() {
+    const isOneWay = document.querySelector('input[name="walk_type"]:checked').value === 'one_way';
+    const endPostcodeInput = document.getElementById('end_postcode_input');
+    if (endPostcodeInput) endPostcodeInput.disabled = !isOneWay;
+    if (!isOneWay) clearEndPoint();
+}
+
 function clearRoutes() {
     drawnRouteLayers.forEach(layer => map.removeLayer(layer));
     drawnRouteLayers = [];
@@ -409,7 +799,7 @@ function drawRoute(route, index, isSelected = false) {
             weight: isSelected ? selectedWeight : defaultWeight,
             opacity: isSelected ? selectedOpacity : defaultOpacity
         }).addTo(map);
-        polyline.bindPopup(`Route ${index + 1}: ${route.length.toFixed(0)}m (Cost: ${route.cost.toFixed(0)})`);// Add cost to popup
+        polyline.bindPopup(`Route ${index + 1}: ${formatNumber(route.length, 0)}m (Cost: ${formatNumber(route.cost, 0)})`);// Add cost to popup
         drawnRouteLayers.push(polyline);
         return polyline; 
     } else {
@@ -459,8 +849,7 @@ function displaySelectedRoute(selectedIndex) {
     // Update Instructions Display
     const instructionsDiv = document.getElementById('selected-route-instructions');
     if (instructionsDiv) {
-        const instructionsText = generateInstructions(selectedRoute.segments);
-        instructionsDiv.innerHTML = `<h3>Route ${selectedIndex + 1} Instructions:</h3><pre class="route-instruction-text">${instructionsText}</pre>`;
+        instructionsDiv.innerHTML = `${formatScenery(selectedRoute)}${formatNewGround(selectedRoute)}${formatElevationProfile(selectedRoute)}${formatAccessWarnings(selectedRoute)}${formatAccessibilityReport(selectedRoute)}<h3>Route ${selectedIndex + 1} Instructions:</h3>${formatRouteInstructions(selectedRoute)}`;
     } else {
         console.error("Could not find #selected-route-instructions div.");
     }
@@ -480,6 +869,313 @@ function displaySelectedRoute(selectedIndex) {
         downloadPdfButton.hidden = false; // Make sure it's visible
         downloadPdfButton.textContent = "Generate Premium PDF"; 
     }
+    const exportMenu = document.getElementById('export-menu');
+    if (exportMenu) exportMenu.hidden = false;
+    hideShareLink(); // A link shared earlier was for another walk
+    const shareMenu = document.getElementById('share-menu');
+    if (shareMenu) shareMenu.hidden = false;
+    updateWalkActions();
+}
+
+// --- Save a fetch() response as a file, using the server's Content-Disposition name ---
+async function downloadResponseAsFile(response, fallbackFilename) {
+    const contentDisposition = response.headers.get('content-disposition');
+    let filename = fallbackFilename; 
+    if (contentDisposition) {
+        const filenameMatch = contentDisposition.match(/filename="?(.+)"?/i);
+        if (filenameMatch && filenameMatch.length > 1) filename = filenameMatch[1];
+    }
+    console.log(`Frontend: Attempting to download file as: ${filename}`);
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none'; a.href = url; a.download = filename; 
+    document.body.appendChild(a); a.click();
+    window.URL.revokeObjectURL(url); document.body.removeChild(a);
+}
+
+// --- Export the selected route as GPX/KML/GeoJSON via the backend ---
+async function exportSelectedRoute() {
+    const exportButton = document.getElementById('download-export-btn');
+    const format = document.getElementById('export-format').value;
+    if (!lastGeneratedRouteData || typeof lastGeneratedRouteData.selectedIndex !== 'number') {
+        alert("Select a route from the list first.");
+        return;
+    }
+    exportButton.disabled = true;
+    try {
+        const { nodes, ...routeData } = lastGeneratedRouteData; // Exports only need segment geometry
+        const response = await fetch('http://localhost:3000/api/export-route', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...routeData, format }),
+        });
+        if (!response.ok) {
+            let errorMsg = `Export Error: ${response.status} ${response.statusText}`;
+            try {
+                const errorData = await response.json(); 
+                errorMsg = errorData.message || errorMsg; 
+            } catch (e) { /* Ignore if body isn't JSON */ }
+            throw new Error(errorMsg);
+        }
+        await downloadResponseAsFile(response, `postcode-walk.${format}`);
+        console.log(`Frontend: ${format.toUpperCase()} download initiated.`);
+    } catch (error) {
+        console.error("Frontend: Error exporting route:", error);
+        alert(`Could not export route: ${error.message}`);
+    } finally {
+        exportButton.disabled = false;
+    }
+}
+
+// --- Permalinks: save the selected walk on the backend and share ?walk=<id> ---
+function buildWalkPermalink(id) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('walk', id);
+    return url.toString();
+}
+
+function hideShareLink() {
+    const shareMenu = document.getElementById('share-menu');
+    const linkInput = document.getElementById('share-walk-link');
+    if (shareMenu) shareMenu.hidden = true;
+    if (linkInput) {
+        linkInput.hidden = true;
+        linkInput.value = '';
+    }
+}
+
+async function shareSelectedRoute() {
+    const shareButton = document.getElementById('share-walk-btn');
+    const linkInput = document.getElementById('share-walk-link');
+    if (!lastGeneratedRouteData || typeof lastGeneratedRouteData.selectedIndex !== 'number') {
+        alert("Select a route from the list first.");
+        return;
+    }
+    shareButton.disabled = true;
+    try {
+        const response = await fetch('http://localhost:3000/api/routes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(lastGeneratedRouteData),
+        });
+        const saved = await response.json();
+        if (!response.ok || !saved.success) {
+            throw new Error(saved.message || `Share Error: ${response.status} ${response.statusText}`);
+        }
+        const link = buildWalkPermalink(saved.id);
+        linkInput.value = link;
+        linkInput.hidden = false;
+        linkInput.select();
+        window.history.replaceState(null, '', link);
+        try {
+            await navigator.clipboard.writeText(link);
+            console.log(`Frontend: Copied permalink ${link}`);
+        } catch (e) { /* Clipboard needs permission or a secure context; the link is shown anyway */ }
+    } catch (error) {
+        console.error("Frontend: Error saving walk:", error);
+        alert(`Could not create a link to this walk: ${error.message}`);
+    } finally {
+        shareButton.disabled = false;
+    }
+}
+
+// Show a saved walk (GET /api/routes/:id) as a one-route result, selected with its instructions
+async function openSavedWalk(id) {
+    const resultsDiv = document.getElementById('results');
+    const spinner = document.getElementById('loading-spinner');
+    if (spinner) spinner.classList.remove('hidden');
+    try {
+        const response = await fetch(`http://localhost:3000/api/routes/${encodeURIComponent(id)}`);
+        const saved = await response.json();
+        if (!response.ok || !saved.success) {
+            throw new Error(saved.message || `${response.status} ${response.statusText}`);
+        }
+        const { walk } = saved;
+        walk.route.walkId = walk.id; // So it can be starred or marked completed
+        console.log(`Frontend: Opened saved walk ${walk.id}`);
+
+        // Fill the form with the walk's inputs so it can be tweaked and searched again
+        if (walk.startPostcode) document.getElementById('postcode').value = walk.startPostcode;
+        document.getElementById('desired_distance').value = walk.desiredDistanceKm;
+        const walkTypeInput = document.querySelector(`input[name="walk_type"][value="${walk.walkType}"]`);
+        if (walkTypeInput) walkTypeInput.checked = true;
+        updateEndPointControls();
+        if (walk.endPostcode) document.getElementById('end_postcode_input').value = walk.endPostcode;
+
+        const result = {
+            success: true,
+            startCoords: walk.startCoords,
+            endCoords: walk.endCoords,
+            profile: walk.profile,
+            routes: [walk.route],
+            nodes: walk.nodes
+        };
+        lastRouteResults = {
+            result,
+            request: { startPostcode: walk.startPostcode, desiredDistanceKm: walk.desiredDistanceKm, walkType: walk.walkType }
+        };
+        resultsDiv.innerHTML = '<h2>Results</h2>';
+        clearRoutes();
+        displayRouteResults(result, lastRouteResults.request);
+        const walkItem = document.querySelector('.route-summary-item[data-route-index="0"]');
+        if (walkItem) walkItem.click(); // Select it as if picked from the list
+    } catch (error) {
+        console.error("Frontend: Error opening saved walk:", error);
+        resultsDiv.innerHTML += `<p>Could not open the saved walk: ${escapeHtml(error.message)}</p>`;
+    } finally {
+        if (spinner) spinner.classList.add('hidden');
+    }
+}
+
+// --- Accounts: session cookie set by /api/auth/login and /api/auth/register ---
+async function loadCurrentUser() {
+    try {
+        const response = await fetch('http://localhost:3000/api/auth/me', { credentials: 'include' });
+        const result = await response.json();
+        setCurrentUser(result.user ? result.user.username : null);
+    } catch (error) {
+        console.warn("Frontend: Could not check the login session:", error.message);
+    }
+}
+
+function setCurrentUser(username) {
+    currentUser = username;
+    walkHistoryState = {};
+    document.getElementById('account-logged-out').hidden = !!username;
+    document.getElementById('account-logged-in').hidden = !username;
+    document.getElementById('account-name').textContent = username || '';
+    const excludeWalkedCheckbox = document.getElementById('exclude_walked_checkbox');
+    excludeWalkedCheckbox.disabled = !username;
+    excludeWalkedCheckbox.title = username ? '' : 'Log in to use';
+    if (!username) {
+        excludeWalkedCheckbox.checked = false;
+        document.getElementById('walk-history').hidden = true;
+    }
+    updateWalkActions();
+}
+
+// action: 'login' | 'register'
+async function submitAccountForm(action) {
+    const username = document.getElementById('account-username').value.trim();
+    const passwordInput = document.getElementById('account-password');
+    try {
+        const response = await fetch(`http://localhost:3000/api/auth/${action}`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password: passwordInput.value }),
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `${response.status} ${response.statusText}`);
+        }
+        passwordInput.value = '';
+        setCurrentUser(result.user.username);
+    } catch (error) {
+        console.error(`Frontend: Error during ${action}:`, error);
+        alert(`Could not ${action === 'login' ? 'log in' : 'sign up'}: ${error.message}`);
+    }
+}
+
+async function logOut() {
+    try {
+        await fetch('http://localhost:3000/api/auth/logout', { method: 'POST', credentials: 'include' });
+    } catch (error) {
+        console.warn("Frontend: Could not log out on the server:", error.message);
+    }
+    setCurrentUser(null);
+}
+
+// --- The logged-in user's walks: history, favourites and completed walks ---
+async function loadWalkHistory() {
+    const list = document.getElementById('walk-history-list');
+    const filter = document.getElementById('walk-history-filter').value;
+    try {
+        const response = await fetch(`http://localhost:3000/api/me/walks${filter ? `?filter=${filter}` : ''}`, { credentials: 'include' });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `${response.status} ${response.statusText}`);
+        }
+        result.walks.forEach(walk => {
+            walkHistoryState[walk.walkId] = { favourite: walk.favourite, completedOn: walk.completedOn };
+        });
+        list.innerHTML = result.walks.length === 0
+            ? '<li>No walks yet.</li>'
+            : result.walks.map(walk => {
+                const date = new Date(walk.createdAt).toLocaleDateString();
+                const type = walk.walkType === 'one_way' ? 'One way' : 'Round trip';
+                const star = walk.favourite ? ' &#9733;' : '';
+                const completed = walk.completedOn ? ` &middot; walked ${escapeHtml(walk.completedOn)}` : '';
+                return `<li class="walk-history-item" data-walk-id="${escapeHtml(walk.walkId)}">${date}: ${type} from ${escapeHtml(walk.startPostcode || 'a map point')}, ${formatKilometres(walk.length)} km${star}${completed}</li>`;
+            }).join('');
+        list.querySelectorAll('.walk-history-item').forEach(item => {
+            item.addEventListener('click', () => openSavedWalk(item.getAttribute('data-walk-id')));
+        });
+    } catch (error) {
+        console.error("Frontend: Error loading walk history:", error);
+        list.innerHTML = `<li>Could not load your walks: ${escapeHtml(error.message)}</li>`;
+    }
+}
+
+function getSelectedWalkId() {
+    if (!lastGeneratedRouteData || typeof lastGeneratedRouteData.selectedIndex !== 'number') return null;
+    const route = lastGeneratedRouteData.routes[lastGeneratedRouteData.selectedIndex];
+    return route ? route.walkId || null : null;
+}
+
+// Favourite / completed controls for the selected walk (logged in, walk saved on the backend)
+function updateWalkActions() {
+    const walkActions = document.getElementById('walk-actions');
+    const walkId = getSelectedWalkId();
+    walkActions.hidden = !currentUser || !walkId;
+    if (walkActions.hidden) return;
+    const state = walkHistoryState[walkId] || { favourite: false, completedOn: null };
+    document.getElementById('favourite-walk-btn').innerHTML = state.favourite ? '&#9733; Favourite' : '&#9734; Favourite';
+    document.getElementById('completed-date').value = state.completedOn || new Date().toISOString().slice(0, 10);
+    document.getElementById('mark-completed-btn').textContent = state.completedOn ? 'Not Completed' : 'Mark Completed';
+}
+
+// changes: { favourite?, completedOn? } for the selected walk
+async function updateSelectedWalk(changes) {
+    const walkId = getSelectedWalkId();
+    if (!walkId) return;
+    try {
+        const response = await fetch(`http://localhost:3000/api/me/walks/${encodeURIComponent(walkId)}`, {
+            method: 'PATCH',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes),
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `${response.status} ${response.statusText}`);
+        }
+        walkHistoryState[walkId] = { favourite: result.walk.favourite, completedOn: result.walk.completedOn };
+        updateWalkActions();
+        if (!document.getElementById('walk-history').hidden) loadWalkHistory();
+    } catch (error) {
+        console.error("Frontend: Error updating walk:", error);
+        alert(`Could not update this walk: ${error.message}`);
+    }
+}
+
+function toggleFavouriteWalk() {
+    const state = walkHistoryState[getSelectedWalkId()] || {};
+    updateSelectedWalk({ favourite: !state.favourite });
+}
+
+// Marks the selected walk as walked on the chosen date, or clears it if it already is
+function markWalkCompleted() {
+    const state = walkHistoryState[getSelectedWalkId()] || {};
+    const completedOn = document.getElementById('completed-date').value;
+    if (!state.completedOn && !completedOn) {
+        alert("Pick the date you did the walk.");
+        return;
+    }
+    updateSelectedWalk({ completedOn: state.completedOn ? null : completedOn });
 }
 
 // --- End of File --- 
\ No newline at end of file